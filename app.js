@@ -23,16 +23,28 @@ import scoutProfileRouters from './src/routes/scoutProfileRouters.js';
 import rankingRouters from './src/routes/rankingRouters.js';
 import ratingRouters from './src/routes/ratingRouters.js';
 import scoutReportRouters from './src/routes/scoutReportRouters.js';
+import reportTemplateRouters from './src/routes/reportTemplateRouters.js';
+import reportWeightingRouters from './src/routes/reportWeightingRouters.js';
 import videoRouters from './src/routes/videoRouters.js';
 import videoViewRouters from './src/routes/videoViewRouters.js';
 import swaggerSpec from './src/config/swagger.js';
 import videoCategory from './src/routes/videoCategoryRoutes.js';
 import reelRouters from './src/routes/reelRoutes.js';
 import waitlistRouters from './src/routes/waitlistRoutes.js';
+import guardianRouters from './src/routes/guardianRouters.js';
+import organisationRouters from './src/routes/organisationRouters.js';
+import integrationRouters from './src/routes/integrationRouters.js';
+import savedSearchRouters from './src/routes/savedSearchRouters.js';
+import searchRouters from './src/routes/searchRouters.js';
+import publicRouters from './src/routes/publicRouters.js';
 
 
 import { initSocketServer } from './src/sockets/index.js';
 import { connectRedis } from './src/config/redis.js';
+import { startAccountDeletionJob } from './src/jobs/accountDeletionJob.js';
+import { startDataExportJob } from './src/jobs/dataExportJob.js';
+import { startSavedSearchAlertJob } from './src/jobs/savedSearchAlertJob.js';
+import { startProfileCompletenessJob } from './src/jobs/profileCompletenessJob.js';
 
 const app = express();
 const prisma = new PrismaClient();
@@ -95,11 +107,21 @@ app.use(`${api}/scoutProfiles`, scoutProfileRouters);
 app.use(`${api}/rankings`, rankingRouters);
 app.use(`${api}/ratings`, ratingRouters);
 app.use(`${api}/scoutReports`, scoutReportRouters);
+app.use(`${api}/reportTemplates`, reportTemplateRouters);
+app.use(`${api}/reportWeightings`, reportWeightingRouters);
 app.use(`${api}/videos`, videoRouters);
 app.use(`${api}/videoViews`, videoViewRouters);
 app.use(`${api}/videoCategory`, videoCategory);
 app.use(`${api}/reels`, reelRouters);
 app.use(`${api}/waitlist`, waitlistRouters);
+app.use(`${api}/guardians`, guardianRouters);
+app.use(`${api}/organisations`, organisationRouters);
+app.use(`${api}/integrations`, integrationRouters);
+app.use(`${api}/savedSearches`, savedSearchRouters);
+app.use(`${api}/search`, searchRouters);
+
+// ─── Public Pages (outside /api — these are the URLs people share) ───
+app.use('/public', publicRouters);
 
 // ─── 404 Handler ──────────────────────────────────────────────
 app.use((req, res) => {
@@ -127,6 +149,15 @@ async function startServer() {
     await connectRedis();
     console.log('✅ Connected to Redis');
 
+    // NEW — background jobs (account deletion, data export cleanup,
+    // saved-search alerts, profile completeness). They need Redis for
+    // their cross-instance lock, so they start here.
+    startAccountDeletionJob();
+    startDataExportJob();
+    startSavedSearchAlertJob();
+    startProfileCompletenessJob();
+    console.log('✅ Background jobs scheduled');
+
     // Wrap express app in a raw http server so Socket.io can share the port
     const httpServer = http.createServer(app);
 
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "AccountDeletionEvent" AS ENUM ('REQUESTED', 'CANCELLED', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "deletionScheduledFor" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ScouterReport" ADD COLUMN     "redactedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "AccountDeletionAudit" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "event" "AccountDeletionEvent" NOT NULL,
+    "actorId" INTEGER,
+    "detail" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AccountDeletionAudit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "User_deletionScheduledFor_idx" ON "User"("deletionScheduledFor");
+
+-- CreateIndex
+CREATE INDEX "AccountDeletionAudit_userId_idx" ON "AccountDeletionAudit"("userId");
+
+-- AddForeignKey
+ALTER TABLE "AccountDeletionAudit" ADD CONSTRAINT "AccountDeletionAudit_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "DataExportStatus" AS ENUM ('PENDING', 'PROCESSING', 'READY', 'FAILED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "DataExport" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "status" "DataExportStatus" NOT NULL DEFAULT 'PENDING',
+    "filePath" TEXT,
+    "fileSize" INTEGER,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+
+    CONSTRAINT "DataExport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DataExport_userId_idx" ON "DataExport"("userId");
+
+-- CreateIndex
+CREATE INDEX "DataExport_status_idx" ON "DataExport"("status");
+
+-- AddForeignKey
+ALTER TABLE "DataExport" ADD CONSTRAINT "DataExport_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- One export in flight per user. Partial, so Prisma can't express it in
+-- the schema; dataExportService.request maps a clash to 409.
+CREATE UNIQUE INDEX "DataExport_userId_in_flight_key" ON "DataExport"("userId") WHERE "status" IN ('PENDING', 'PROCESSING');
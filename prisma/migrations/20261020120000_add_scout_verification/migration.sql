@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "ScoutVerificationStatus" AS ENUM ('UNVERIFIED', 'PENDING', 'VERIFIED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "VerificationReviewStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "ScoutProfile" ADD COLUMN     "verificationStatus" "ScoutVerificationStatus" NOT NULL DEFAULT 'UNVERIFIED',
+ADD COLUMN     "verifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ScoutVerificationRequest" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "status" "VerificationReviewStatus" NOT NULL DEFAULT 'PENDING',
+    "licenceNumber" TEXT,
+    "issuingBody" TEXT,
+    "note" TEXT,
+    "reviewerId" INTEGER,
+    "rejectionReason" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScoutVerificationRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScoutVerificationDocument" (
+    "id" SERIAL NOT NULL,
+    "requestId" INTEGER NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "originalName" TEXT,
+    "sizeKB" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScoutVerificationDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScoutVerificationRequest_userId_idx" ON "ScoutVerificationRequest"("userId");
+
+-- CreateIndex
+CREATE INDEX "ScoutVerificationRequest_status_createdAt_idx" ON "ScoutVerificationRequest"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ScoutVerificationDocument_requestId_idx" ON "ScoutVerificationDocument"("requestId");
+
+-- AddForeignKey
+ALTER TABLE "ScoutVerificationRequest" ADD CONSTRAINT "ScoutVerificationRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScoutVerificationRequest" ADD CONSTRAINT "ScoutVerificationRequest_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScoutVerificationDocument" ADD CONSTRAINT "ScoutVerificationDocument_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ScoutVerificationRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "ImpersonationEvent" AS ENUM ('STARTED', 'REQUEST', 'BLOCKED', 'ENDED');
+
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "impersonatorId" INTEGER,
+ADD COLUMN     "impersonationReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "ImpersonationAuditEntry" (
+    "id" SERIAL NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "event" "ImpersonationEvent" NOT NULL,
+    "method" TEXT,
+    "path" TEXT,
+    "statusCode" INTEGER,
+    "ipAddress" TEXT,
+    "detail" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImpersonationAuditEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Session_impersonatorId_idx" ON "Session"("impersonatorId");
+
+-- CreateIndex
+CREATE INDEX "ImpersonationAuditEntry_sessionId_createdAt_idx" ON "ImpersonationAuditEntry"("sessionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Session" ADD CONSTRAINT "Session_impersonatorId_fkey" FOREIGN KEY ("impersonatorId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImpersonationAuditEntry" ADD CONSTRAINT "ImpersonationAuditEntry_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'GUARDIAN';
+
+-- CreateEnum
+CREATE TYPE "GuardianConsentStatus" AS ENUM ('PENDING', 'CONSENTED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "GuardianLink" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "guardianEmail" TEXT NOT NULL,
+    "guardianId" INTEGER,
+    "status" "GuardianConsentStatus" NOT NULL DEFAULT 'PENDING',
+    "consentedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GuardianLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuardianLink_playerId_key" ON "GuardianLink"("playerId");
+
+-- CreateIndex
+CREATE INDEX "GuardianLink_guardianId_idx" ON "GuardianLink"("guardianId");
+
+-- AddForeignKey
+ALTER TABLE "GuardianLink" ADD CONSTRAINT "GuardianLink_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuardianLink" ADD CONSTRAINT "GuardianLink_guardianId_fkey" FOREIGN KEY ("guardianId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
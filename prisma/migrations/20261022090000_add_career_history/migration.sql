@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "SquadLevel" AS ENUM ('U14', 'U15', 'U16', 'U17', 'U18', 'U19', 'U21', 'U23', 'RESERVE', 'SENIOR');
+
+-- CreateTable
+CREATE TABLE "CareerEntry" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "club" TEXT NOT NULL,
+    "league" TEXT,
+    "country" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "squadLevel" "SquadLevel",
+    "position" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CareerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CareerEntry_userId_startDate_idx" ON "CareerEntry"("userId", "startDate");
+
+-- AddForeignKey
+ALTER TABLE "CareerEntry" ADD CONSTRAINT "CareerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "StatVerificationStatus" AS ENUM ('SELF_REPORTED', 'VERIFIED');
+
+-- CreateTable
+CREATE TABLE "SeasonStat" (
+    "id" SERIAL NOT NULL,
+    "careerEntryId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "season" TEXT NOT NULL,
+    "appearances" INTEGER NOT NULL DEFAULT 0,
+    "minutes" INTEGER NOT NULL DEFAULT 0,
+    "goals" INTEGER NOT NULL DEFAULT 0,
+    "assists" INTEGER NOT NULL DEFAULT 0,
+    "verificationStatus" "StatVerificationStatus" NOT NULL DEFAULT 'SELF_REPORTED',
+    "verifiedById" INTEGER,
+    "verifiedByOrganisationId" INTEGER,
+    "verifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SeasonStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SeasonStat_careerEntryId_season_key" ON "SeasonStat"("careerEntryId", "season");
+
+-- CreateIndex
+CREATE INDEX "SeasonStat_userId_idx" ON "SeasonStat"("userId");
+
+-- AddForeignKey
+ALTER TABLE "SeasonStat" ADD CONSTRAINT "SeasonStat_careerEntryId_fkey" FOREIGN KEY ("careerEntryId") REFERENCES "CareerEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SeasonStat" ADD CONSTRAINT "SeasonStat_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SeasonStat" ADD CONSTRAINT "SeasonStat_verifiedById_fkey" FOREIGN KEY ("verifiedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SeasonStat" ADD CONSTRAINT "SeasonStat_verifiedByOrganisationId_fkey" FOREIGN KEY ("verifiedByOrganisationId") REFERENCES "Organisation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,65 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- Search vectors are generated columns, so Postgres keeps them current on
+-- every write. The 'simple' config (no stemming, no stop words) suits
+-- names and clubs, and the weights rank a name hit above a club hit above
+-- a bio hit.
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (setweight(to_tsvector('simple', coalesce("fullname", '')), 'A')) STORED;
+
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce("club", '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce("position", '') || ' ' || coalesce("city", '') || ' ' || coalesce("country", '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce("bio", '')), 'D')
+    ) STORED;
+
+-- AlterTable
+ALTER TABLE "ScoutProfile" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce("club", '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce("city", '') || ' ' || coalesce("country", '')), 'C') ||
+        setweight(to_tsvector('simple', coalesce("bio", '')), 'D')
+    ) STORED;
+
+-- AlterTable
+ALTER TABLE "Reel" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce("description", '')), 'C')
+    ) STORED;
+
+-- AlterTable
+ALTER TABLE "Post" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce("content", ''))) STORED;
+
+-- CreateIndex
+CREATE INDEX "User_searchVector_idx" ON "User" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "User_fullname_trgm_idx" ON "User" USING GIN ("fullname" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Profile_searchVector_idx" ON "Profile" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Profile_club_trgm_idx" ON "Profile" USING GIN ("club" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "ScoutProfile_searchVector_idx" ON "ScoutProfile" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "ScoutProfile_club_trgm_idx" ON "ScoutProfile" USING GIN ("club" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Reel_searchVector_idx" ON "Reel" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Reel_title_trgm_idx" ON "Reel" USING GIN ("title" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Post_searchVector_idx" ON "Post" USING GIN ("searchVector");
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "ScoutProfile" ADD COLUMN     "browseAnonymously" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ProfileView" (
+    "id" SERIAL NOT NULL,
+    "playerId" INTEGER NOT NULL,
+    "viewerId" INTEGER,
+    "viewerRole" "Role",
+    "anonymous" BOOLEAN NOT NULL DEFAULT false,
+    "viewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProfileView_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProfileView_playerId_viewedAt_idx" ON "ProfileView"("playerId", "viewedAt");
+
+-- CreateIndex
+CREATE INDEX "ProfileView_viewerId_idx" ON "ProfileView"("viewerId");
+
+-- AddForeignKey
+ALTER TABLE "ProfileView" ADD CONSTRAINT "ProfileView_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProfileView" ADD CONSTRAINT "ProfileView_viewerId_fkey" FOREIGN KEY ("viewerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
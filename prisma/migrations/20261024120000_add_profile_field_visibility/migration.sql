@@ -0,0 +1,19 @@
+-- CreateEnum
+CREATE TYPE "FieldVisibility" AS ENUM ('PUBLIC', 'FOLLOWERS', 'VERIFIED_SCOUTS', 'PRIVATE');
+
+-- CreateTable
+CREATE TABLE "ProfileFieldVisibility" (
+    "id" SERIAL NOT NULL,
+    "profileId" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "visibility" "FieldVisibility" NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProfileFieldVisibility_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProfileFieldVisibility_profileId_field_key" ON "ProfileFieldVisibility"("profileId", "field");
+
+-- AddForeignKey
+ALTER TABLE "ProfileFieldVisibility" ADD CONSTRAINT "ProfileFieldVisibility_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
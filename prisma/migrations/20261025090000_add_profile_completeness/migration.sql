@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "completenessNudgeCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "completenessNudgedAt" TIMESTAMP(3),
+ADD COLUMN     "completenessScore" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "completenessUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "Profile_completenessScore_idx" ON "Profile"("completenessScore");
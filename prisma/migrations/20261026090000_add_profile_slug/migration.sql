@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "slug" TEXT;
+
+-- Existing players get their name plus their user id, which is unique
+-- without any checking. Players can pick something nicer afterwards.
+UPDATE "Profile" p
+SET "slug" = concat_ws('-',
+  nullif(trim(both '-' from left(regexp_replace(lower(u."fullname"), '[^a-z0-9]+', '-', 'g'), 30)), ''),
+  p."userId")
+FROM "User" u
+WHERE u."id" = p."userId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Profile_slug_key" ON "Profile"("slug");
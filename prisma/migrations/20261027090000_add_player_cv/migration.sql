@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "cvShowScoutReports" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "PlayerCv" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "generatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PlayerCv_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlayerCv_userId_key" ON "PlayerCv"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PlayerCv" ADD CONSTRAINT "PlayerCv_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
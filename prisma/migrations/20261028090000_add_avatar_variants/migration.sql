@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "avatarBlurhash" TEXT,
+ADD COLUMN     "avatarSizes" JSONB;
+
+-- AlterTable
+ALTER TABLE "ScoutProfile" ADD COLUMN     "avatarBlurhash" TEXT,
+ADD COLUMN     "avatarSizes" JSONB;
@@ -0,0 +1,141 @@
+-- CreateTable
+CREATE TABLE "ReportTemplate" (
+    "id" SERIAL NOT NULL,
+    "organisationId" INTEGER,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdById" INTEGER,
+    "archivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReportTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReportTemplateVersion" (
+    "id" SERIAL NOT NULL,
+    "templateId" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "sections" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReportTemplateVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReportTemplate_organisationId_idx" ON "ReportTemplate"("organisationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReportTemplateVersion_templateId_version_key" ON "ReportTemplateVersion"("templateId", "version");
+
+-- AddForeignKey
+ALTER TABLE "ReportTemplate" ADD CONSTRAINT "ReportTemplate_organisationId_fkey" FOREIGN KEY ("organisationId") REFERENCES "Organisation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReportTemplate" ADD CONSTRAINT "ReportTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReportTemplateVersion" ADD CONSTRAINT "ReportTemplateVersion_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "ReportTemplate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- The default template: the fixed report as it was, every attribute
+-- optional and rated 1–10.
+INSERT INTO "ReportTemplate" ("isDefault", "name", "description", "updatedAt")
+VALUES (true, 'Standard report', 'Technical, tactical, physical and psychological attributes, each rated 1–10.', CURRENT_TIMESTAMP);
+
+INSERT INTO "ReportTemplateVersion" ("templateId", "version", "sections")
+SELECT "id", 1, '[
+  {"key": "technical", "title": "Technical", "attributes": [
+    {"key": "firstTouch", "label": "First touch", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "ballControl", "label": "Ball control", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "dribbling", "label": "Dribbling", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "passingShort", "label": "Short passing", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "passingLong", "label": "Long passing", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "throughBalls", "label": "Through balls", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "smartPass", "label": "Smart passing", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "shooting", "label": "Shooting", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "heading", "label": "Heading", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "tackling", "label": "Tackling", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "weakerFoot", "label": "Weaker foot", "type": "rating", "scale": "1-10", "required": false}
+  ]},
+  {"key": "tactical", "title": "Tactical", "attributes": [
+    {"key": "positionalAwareness", "label": "Positional awareness", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "decisionMaking", "label": "Decision making", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "movementOffBall", "label": "Movement off the ball", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "gameIntelligence", "label": "Game intelligence", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "transitions", "label": "Transitions", "type": "rating", "scale": "1-10", "required": false}
+  ]},
+  {"key": "physical", "title": "Physical", "attributes": [
+    {"key": "pace", "label": "Pace", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "agilityBalance", "label": "Agility and balance", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "strength", "label": "Strength", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "staminaWorkRate", "label": "Stamina and work rate", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "jumpingRate", "label": "Jumping", "type": "rating", "scale": "1-10", "required": false}
+  ]},
+  {"key": "psychological", "title": "Psychological", "attributes": [
+    {"key": "composure", "label": "Composure", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "braveryCommitment", "label": "Bravery and commitment", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "determination", "label": "Determination", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "leadershipCommunication", "label": "Leadership and communication", "type": "rating", "scale": "1-10", "required": false},
+    {"key": "coachability", "label": "Coachability", "type": "rating", "scale": "1-10", "required": false}
+  ]}
+]'::jsonb
+FROM "ReportTemplate" WHERE "isDefault" = true;
+
+-- AlterTable
+ALTER TABLE "ScouterReport" ADD COLUMN     "answers" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "templateVersionId" INTEGER;
+
+-- Existing reports move onto the default template: the filled-in
+-- columns become answers.
+UPDATE "ScouterReport" SET
+  "templateVersionId" = (SELECT v."id" FROM "ReportTemplateVersion" v JOIN "ReportTemplate" t ON t."id" = v."templateId" WHERE t."isDefault" = true AND v."version" = 1),
+  "answers" = jsonb_strip_nulls(jsonb_build_object(
+    'firstTouch', "firstTouch", 'ballControl', "ballControl", 'dribbling', "dribbling",
+    'passingShort', "passingShort", 'passingLong', "passingLong", 'throughBalls', "throughBalls",
+    'smartPass', "smartPass", 'shooting', "shooting", 'heading', "heading",
+    'tackling', "tackling", 'weakerFoot', "weakerFoot",
+    'positionalAwareness', "positionalAwareness", 'decisionMaking', "decisionMaking",
+    'movementOffBall', "movementOffBall", 'gameIntelligence', "gameIntelligence", 'transitions', "transitions",
+    'pace', "pace", 'agilityBalance', "agilityBalance", 'strength', "strength",
+    'staminaWorkRate', "staminaWorkRate", 'jumpingRate', "jumpingRate",
+    'composure', "composure", 'braveryCommitment', "braveryCommitment", 'determination', "determination",
+    'leadershipCommunication', "leadershipCommunication", 'coachability', "coachability"
+  ));
+
+ALTER TABLE "ScouterReport" ALTER COLUMN "templateVersionId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "ScouterReport" DROP COLUMN "agilityBalance",
+DROP COLUMN "ballControl",
+DROP COLUMN "braveryCommitment",
+DROP COLUMN "coachability",
+DROP COLUMN "composure",
+DROP COLUMN "decisionMaking",
+DROP COLUMN "determination",
+DROP COLUMN "dribbling",
+DROP COLUMN "firstTouch",
+DROP COLUMN "gameIntelligence",
+DROP COLUMN "heading",
+DROP COLUMN "jumpingRate",
+DROP COLUMN "leadershipCommunication",
+DROP COLUMN "movementOffBall",
+DROP COLUMN "pace",
+DROP COLUMN "passingLong",
+DROP COLUMN "passingShort",
+DROP COLUMN "positionalAwareness",
+DROP COLUMN "shooting",
+DROP COLUMN "smartPass",
+DROP COLUMN "staminaWorkRate",
+DROP COLUMN "strength",
+DROP COLUMN "tackling",
+DROP COLUMN "throughBalls",
+DROP COLUMN "transitions",
+DROP COLUMN "weakerFoot";
+
+-- CreateIndex
+CREATE INDEX "ScouterReport_templateVersionId_idx" ON "ScouterReport"("templateVersionId");
+
+-- AddForeignKey
+ALTER TABLE "ScouterReport" ADD CONSTRAINT "ScouterReport_templateVersionId_fkey" FOREIGN KEY ("templateVersionId") REFERENCES "ReportTemplateVersion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
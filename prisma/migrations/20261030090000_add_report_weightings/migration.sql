@@ -0,0 +1,71 @@
+-- AlterTable
+ALTER TABLE "ScouterReport" ADD COLUMN "score" DOUBLE PRECISION,
+ADD COLUMN "sectionScores" JSONB,
+ADD COLUMN "scoredPosition" TEXT;
+
+-- CreateTable
+CREATE TABLE "ReportWeighting" (
+    "id" SERIAL NOT NULL,
+    "organisationId" INTEGER NOT NULL,
+    "position" TEXT NOT NULL,
+    "weights" JSONB NOT NULL,
+    "updatedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReportWeighting_pkey" PRIMARY KEY ("id")
+);
+
+-- DropIndex
+DROP INDEX "ScouterReport_organisationId_idx";
+
+-- CreateIndex
+CREATE INDEX "ScouterReport_organisationId_scoredPosition_idx" ON "ScouterReport"("organisationId", "scoredPosition");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReportWeighting_organisationId_position_key" ON "ReportWeighting"("organisationId", "position");
+
+-- AddForeignKey
+ALTER TABLE "ReportWeighting" ADD CONSTRAINT "ReportWeighting_organisationId_fkey" FOREIGN KEY ("organisationId") REFERENCES "Organisation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReportWeighting" ADD CONSTRAINT "ReportWeighting_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing reports are scored for their player's current position. No
+-- organisation has a weighting yet, so every rating weighs the same.
+UPDATE "ScouterReport" r
+SET "scoredPosition" = LOWER(TRIM(p."position"))
+FROM "Profile" p
+WHERE p."userId" = r."playerId" AND TRIM(p."position") <> '';
+
+-- Each rating answer scaled to 0–10 as reportTemplateService.scaled does.
+WITH "ratings" AS (
+    SELECT r."id", s->>'key' AS "section",
+        CASE a->>'scale'
+            WHEN '1-5' THEN (r."answers"->>(a->>'key'))::numeric * 2
+            WHEN '1-10' THEN (r."answers"->>(a->>'key'))::numeric
+            WHEN 'A-E' THEN STRPOS('EDCBA', r."answers"->>(a->>'key')) * 2
+        END AS "value"
+    FROM "ScouterReport" r
+    JOIN "ReportTemplateVersion" v ON v."id" = r."templateVersionId"
+    CROSS JOIN LATERAL jsonb_array_elements(v."sections") s
+    CROSS JOIN LATERAL jsonb_array_elements(s->'attributes') a
+    WHERE a->>'type' = 'rating' AND r."answers" ? (a->>'key')
+),
+"sections" AS (
+    SELECT "id", "section", SUM("value") AS "sum", COUNT(*) AS "count"
+    FROM "ratings"
+    GROUP BY "id", "section"
+)
+UPDATE "ScouterReport" r
+SET "score" = s."score", "sectionScores" = s."sectionScores"
+FROM (
+    SELECT "id",
+        ROUND(SUM("sum") / SUM("count"), 2)::double precision AS "score",
+        jsonb_object_agg("section", ROUND("sum" / "count", 2)) AS "sectionScores"
+    FROM "sections"
+    GROUP BY "id"
+) s
+WHERE r."id" = s."id";
+
+UPDATE "ScouterReport" SET "sectionScores" = '{}' WHERE "sectionScores" IS NULL;
@@ -0,0 +1,58 @@
+// What an admin may NOT do while impersonating a user, enforced by
+// verifyToken. Impersonation is for seeing what the user sees (reel
+// feed, chat inbox…), not for acting on their behalf — so anything that
+// destroys data, moves money or touches the account's credentials is
+// refused with 403 `code: IMPERSONATION_FORBIDDEN` (and logged as
+// BLOCKED in the impersonation audit trail).
+//
+// Every DELETE is blocked regardless of this list. Entries are
+// "METHOD /full/route/path" using the Express route pattern, exactly as
+// the route is mounted in app.js — same format as verificationGate.js.
+export const IMPERSONATION_BLOCKED_ROUTES = [
+  // Credentials & account
+  'PUT /api/users/update-password',
+  'PATCH /api/users/me/email',
+  'POST /api/users/me/email/confirm',
+  'POST /api/users/me/2fa/setup',
+  'POST /api/users/me/2fa/enable',
+  'POST /api/users/me/2fa/recovery-codes',
+  'POST /api/users/me/export',
+
+  // Payments
+  'POST /api/payments',
+  'PUT /api/payments/:id',
+
+  // Chat — editing is as destructive as deleting, and read/delivered
+  // receipts would tell the other side the user has seen their messages.
+  'PUT /api/chatMessages/:id',
+  'PATCH /api/chatMessages/:roomId/read',
+  'PATCH /api/chatMessages/:roomId/delivered',
+
+  // Profile privacy — who can see what is the player's call.
+  'PUT /api/profiles/me/privacy',
+
+  // Guardians — consent and the ward's privacy are the guardian's to
+  // decide, and naming a guardian emails them.
+  'PUT /api/guardians/me',
+  'POST /api/guardians/consent',
+  'POST /api/guardians/wards/:playerId/revoke',
+  'PUT /api/guardians/wards/:playerId/privacy',
+
+  // Organisations — membership, roles and API keys change who can read
+  // the team's reports and inbox.
+  'POST /api/organisations/invites/accept',
+  'POST /api/organisations/me/leave',
+  'PATCH /api/organisations/me/members/:userId/role',
+  'POST /api/organisations/me/invites',
+  'POST /api/organisations/me/api-keys',
+];
+
+export const IMPERSONATION_FORBIDDEN = 'IMPERSONATION_FORBIDDEN';
+
+const blocked = new Set(IMPERSONATION_BLOCKED_ROUTES);
+
+export const isBlockedWhileImpersonating = (req) => {
+  if (req.method === 'DELETE') return true;
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+  return blocked.has(`${req.method} ${path}`);
+};
@@ -53,6 +53,27 @@ const ALLOWED_VOICE_NOTE_EXT = [
   '.m4a',
 ];
 
+// Identity documents (scout verification) — scans or photos of a licence
+// or ID. Only accepted by `handleDocumentUpload`, never by `upload`.
+const ALLOWED_DOCUMENT_MIME = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+];
+
+const ALLOWED_DOCUMENT_EXT = [
+  '.pdf',
+  '.jpg',
+  '.jpeg',
+  '.png',
+];
+
+const DOCUMENT_EXT_BY_MIME = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+};
+
 const multerStorage = multer.diskStorage({
   destination: (_req, _file, callback) => {
     callback(null, os.tmpdir());
@@ -143,7 +164,7 @@ const bufferToTempFile = (buffer, extension) => {
   return tempPath;
 };
 
-const uploadBufferToGCS = (
+export const uploadBufferToGCS = (
   buffer,
   blobPath,
   contentType
@@ -164,14 +185,35 @@ const uploadBufferToGCS = (
     stream.end(buffer);
   });
 
-const compressImage = async (buffer, mimeType) => {
+// `width` caps the output; give `height` too and the image is cropped
+// to fill exactly that box (never enlarged). PNG stays PNG, WebP is
+// used when asked for, anything else becomes JPEG.
+export const compressImage = async (
+  buffer,
+  mimeType,
+  { width = 1024, height } = {}
+) => {
   const resized = sharp(buffer)
     .rotate()
     .resize({
-      width: 1024,
+      width,
+      height,
+      fit: 'cover',
       withoutEnlargement: true,
     });
 
+  if (mimeType === 'image/webp') {
+    const compressed = await resized
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return {
+      buffer: compressed,
+      mimeType: 'image/webp',
+      extension: 'webp',
+    };
+  }
+
   if (mimeType === 'image/png') {
     const compressed = await resized
       .png({ quality: 80 })
@@ -194,7 +236,8 @@ const compressImage = async (buffer, mimeType) => {
     extension: 'jpg',
   };
 };
-const generateBlurHash = async (buffer) => {
+
+export const generateBlurHash = async (buffer) => {
   if (
     !Buffer.isBuffer(buffer) ||
     buffer.length === 0
@@ -968,6 +1011,159 @@ export const uploadBase64MediaToGCS = (
     directory
   );
 
+// Identity documents: up to 5 files in the `documents` field, 10 MB each.
+const uploadDocuments = multer({
+  storage: multerStorage,
+
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: 5,
+  },
+
+  fileFilter: (_req, file, callback) => {
+    const extension = path
+      .extname(file.originalname)
+      .toLowerCase();
+
+    if (
+      !ALLOWED_DOCUMENT_MIME.includes(file.mimetype) ||
+      !ALLOWED_DOCUMENT_EXT.includes(extension)
+    ) {
+      return callback(
+        new Error('Invalid file. Allowed: PDF, JPEG or PNG.'),
+        false
+      );
+    }
+
+    callback(null, true);
+  },
+}).array('documents', 5);
+
+export const handleDocumentUpload = (
+  req,
+  res,
+  next
+) => {
+  const cleanupUploadedFiles = () => {
+    for (const file of req.files || []) {
+      if (file?.path) {
+        cleanupFile(file.path);
+      }
+    }
+  };
+
+  req.on('aborted', cleanupUploadedFiles);
+
+  uploadDocuments(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      cleanupUploadedFiles();
+
+      return res.status(400).json({
+        error: `Upload error: ${error.message}`,
+      });
+    }
+
+    if (error) {
+      cleanupUploadedFiles();
+
+      return res.status(400).json({
+        error: error.message,
+      });
+    }
+
+    next();
+  });
+};
+
+// Uploads a document WITHOUT making it public: no public URL is
+// returned, only the object path, which callers store and later turn
+// into a short-lived link with getSignedDocumentUrl. The type is checked
+// from the file bytes, not the client's claim. The temp file is removed
+// either way.
+export const uploadPrivateDocumentToGCS = async (
+  file,
+  directory
+) => {
+  try {
+    const buffer = fs.readFileSync(file.path);
+
+    if (!buffer.length) {
+      const error = new Error('Uploaded file is empty.');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const detected = await fileTypeFromBuffer(buffer);
+    const mimeType = detected?.mime;
+
+    if (!ALLOWED_DOCUMENT_MIME.includes(mimeType)) {
+      const error = new Error(
+        `${file.originalname} is not a PDF, JPEG or PNG file.`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const filePath =
+      `${directory}/${uuidv4()}${DOCUMENT_EXT_BY_MIME[mimeType]}`;
+
+    await bucket.file(filePath).save(buffer, {
+      resumable: false,
+      contentType: mimeType,
+      metadata: {
+        cacheControl: 'private, no-store',
+      },
+    });
+
+    return {
+      filePath,
+      mimeType,
+      originalName: file.originalname,
+      sizeKB: Number((buffer.length / 1024).toFixed(2)),
+    };
+  } finally {
+    cleanupFile(file.path);
+  }
+};
+
+export const getSignedDocumentUrl = async (
+  filePath,
+  ttlMinutes = 15
+) => {
+  const [url] = await bucket.file(filePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: Date.now() + ttlMinutes * 60 * 1000,
+  });
+
+  return url;
+};
+
+export const deletePrivateDocumentFromGCS = (filePath) =>
+  bucket.file(filePath).delete({ ignoreNotFound: true });
+
+// Removes what an upload produced for one of the public URLs above.
+// HLS uploads live under their own prefix (playlists, segments and the
+// thumbnail), so a master.m3u8 URL takes the whole folder with it.
+// Objects that are already gone are not an error.
+export const deleteMediaFromGCS = async (url) => {
+  const publicPrefix = `https://storage.googleapis.com/${bucket.name}/`;
+  if (!url || !url.startsWith(publicPrefix)) return;
+
+  const blobPath = decodeURIComponent(
+    url.slice(publicPrefix.length).split('?')[0]
+  );
+
+  if (blobPath.endsWith('/master.m3u8')) {
+    await bucket.deleteFiles({
+      prefix: `${path.posix.dirname(blobPath)}/`,
+    });
+    return;
+  }
+
+  await bucket.file(blobPath).delete({ ignoreNotFound: true });
+};
+
 
 
 
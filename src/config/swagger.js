@@ -42,6 +42,11 @@ const swaggerDefinition = {
         scheme: "bearer",
         bearerFormat: "JWT",
       },
+      apiKeyAuth: {
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+      },
     },
   },
   security: [{ bearerAuth: [] }],
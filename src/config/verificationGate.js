@@ -0,0 +1,39 @@
+// Email-verification gate, enforced by verifyToken (REST) and the socket
+// authMiddleware.
+//
+// An account that hasn't confirmed its OTP yet is signed in (it needs a
+// token to find its way back to the OTP screen) but may only reach the
+// routes listed here. Everything else behind verifyToken answers 403
+// with `code: EMAIL_NOT_VERIFIED`, and socket handshakes are refused.
+//
+// The OTP routes themselves (/users/verify-otp, /users/resend-otp) are
+// public and never pass through verifyToken, so they don't need listing.
+//
+// Entries are "METHOD /full/route/path" using the Express route pattern,
+// exactly as the route is mounted in app.js.
+export const UNVERIFIED_ALLOWED_ROUTES = [
+  // Profile read
+  'GET /api/users/me',
+  'GET /api/videos/me',
+
+  // Logout
+  'POST /api/users/logout',
+  'GET /api/users/me/sessions',
+  'DELETE /api/users/me/sessions/:id',
+
+  // Account deletion — an unverified account can still be closed
+  'DELETE /api/users/me',
+];
+
+// Set VERIFICATION_GATE_ENABLED=false to switch the gate off (e.g. for
+// local development against accounts that never received an OTP).
+export const VERIFICATION_GATE_ENABLED = process.env.VERIFICATION_GATE_ENABLED !== 'false';
+
+export const EMAIL_NOT_VERIFIED = 'EMAIL_NOT_VERIFIED';
+
+const allowed = new Set(UNVERIFIED_ALLOWED_ROUTES);
+
+export const isAllowedWhileUnverified = (req) => {
+  const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+  return allowed.has(`${req.method} ${path}`);
+};
@@ -122,6 +122,15 @@ const getErrorResponse = (
       : fallbackMessage,
   };
 
+  // e.g. GUARDIAN_CONSENT_REQUIRED, so the
+  // app can act on it without matching text.
+  if (
+    error.statusCode &&
+    error.code
+  ) {
+    response.code = error.code;
+  }
+
   if (
     process.env.NODE_ENV !==
     'production'
@@ -79,7 +79,8 @@ const chatRoomController = {
       console.error(error);
       const status = error.statusCode || 500;
       res.status(status).json({
-        error: error.statusCode ? error.message : 'Failed to create chat room'
+        error: error.statusCode ? error.message : 'Failed to create chat room',
+        ...(error.statusCode && error.code && { code: error.code })
       });
     }
   },
@@ -100,7 +101,8 @@ const chatRoomController = {
       console.error(error);
       const status = error.statusCode || 500;
       res.status(status).json({
-        error: error.statusCode ? error.message : 'Failed to start conversation'
+        error: error.statusCode ? error.message : 'Failed to start conversation',
+        ...(error.statusCode && error.code && { code: error.code })
       });
     }
   },
@@ -247,7 +249,8 @@ const chatRoomController = {
       console.error(error);
       const status = error.statusCode || 500;
       res.status(status).json({
-        error: error.statusCode ? error.message : 'Failed to add member'
+        error: error.statusCode ? error.message : 'Failed to add member',
+        ...(error.statusCode && error.code && { code: error.code })
       });
     }
   },
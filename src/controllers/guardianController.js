@@ -0,0 +1,98 @@
+import guardianService from '../services/guardianService.js';
+
+const GuardianController = {
+
+  // ===========================
+  // PLAYER
+  // ===========================
+  async getMyGuardian(req, res) {
+    try {
+      const result = await guardianService.getForPlayer(req.user.userId);
+      res.status(200).json({ data: result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async setMyGuardian(req, res) {
+    try {
+      const result = await guardianService.setGuardian(req.user.userId, req.body ?? {});
+      res.status(200).json({ message: 'Consent request sent to your guardian', data: result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // GUARDIAN
+  // ===========================
+  async confirmConsent(req, res) {
+    try {
+      const link = await guardianService.confirmConsent(req.user, req.body ?? {});
+      res.status(200).json({ message: 'Consent given', data: link });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async revokeConsent(req, res) {
+    try {
+      const link = await guardianService.revokeConsent(req.user.userId, req.params.playerId);
+      res.status(200).json({ message: 'Consent withdrawn', data: link });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getWards(req, res) {
+    try {
+      const wards = await guardianService.listWards(req.user.userId);
+      res.status(200).json({ data: wards });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getWardPrivacy(req, res) {
+    try {
+      const settings = await guardianService.getWardPrivacy(req.user.userId, req.params.playerId);
+      res.status(200).json({ data: settings });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async setWardPrivacy(req, res) {
+    try {
+      const settings = await guardianService.setWardPrivacy(req.user.userId, req.params.playerId, req.body ?? {});
+      res.status(200).json({ message: 'Privacy settings updated', data: settings });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getWardConversations(req, res) {
+    try {
+      const rooms = await guardianService.listWardConversations(req.user.userId, req.params.playerId);
+      res.status(200).json({ data: rooms });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getWardConversationMessages(req, res) {
+    try {
+      const result = await guardianService.getWardConversationMessages(
+        req.user.userId,
+        req.params.playerId,
+        req.params.roomId,
+        req.query
+      );
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+};
+
+export default GuardianController;
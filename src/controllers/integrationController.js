@@ -0,0 +1,62 @@
+import integrationService from '../services/integrationService.js';
+
+// Every handler here runs behind verifyApiKey, so `req.apiKey` is set and
+// there is no `req.user`.
+const IntegrationController = {
+
+  async getShortlists(req, res) {
+    try {
+      const shortlists = await integrationService.listShortlists(req.apiKey.organisationId);
+      res.status(200).json({ data: shortlists });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getShortlist(req, res) {
+    try {
+      const shortlist = await integrationService.getShortlist(req.apiKey.organisationId, req.params.id);
+      res.status(200).json({ data: shortlist });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getPlayer(req, res) {
+    try {
+      const player = await integrationService.getPlayer(req.apiKey.organisationId, req.params.id);
+      res.status(200).json({ data: player });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getPlayerReels(req, res) {
+    try {
+      const result = await integrationService.listPlayerReels(req.apiKey.organisationId, req.params.id, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getReports(req, res) {
+    try {
+      const result = await integrationService.listReports(req.apiKey.organisationId, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getReport(req, res) {
+    try {
+      const report = await integrationService.getReport(req.apiKey.organisationId, req.params.id);
+      res.status(200).json({ data: report });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+};
+
+export default IntegrationController;
@@ -0,0 +1,271 @@
+import organisationService from '../services/organisationService.js';
+import apiKeyService from '../services/apiKeyService.js';
+
+const OrganisationController = {
+
+  // ===========================
+  // ORGANISATION
+  // ===========================
+  async create(req, res) {
+    try {
+      const organisation = await organisationService.create(req.user.userId, req.body ?? {});
+      res.status(201).json({ message: 'Organisation created', data: organisation });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getMine(req, res) {
+    try {
+      const organisation = await organisationService.getMine(req.user.userId);
+      res.status(200).json({ data: organisation });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async update(req, res) {
+    try {
+      const organisation = await organisationService.update(req.user.userId, req.body ?? {});
+      res.status(200).json({ message: 'Organisation updated', data: organisation });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async delete(req, res) {
+    try {
+      await organisationService.delete(req.user.userId);
+      res.status(200).json({ message: 'Organisation deleted' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // ADMIN
+  // ===========================
+  async getAll(req, res) {
+    try {
+      const result = await organisationService.getAll(req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async setSeatLimit(req, res) {
+    try {
+      const organisation = await organisationService.setSeatLimit(req.params.id, req.body ?? {});
+      res.status(200).json({ message: 'Seat limit updated', data: organisation });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getAllApiKeys(req, res) {
+    try {
+      const result = await apiKeyService.getAll(req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async adminRevokeApiKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.adminRevoke(req.user.userId, req.params.id);
+      res.status(200).json({ message: 'API key revoked', data: apiKey });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // MEMBERS
+  // ===========================
+  async leave(req, res) {
+    try {
+      await organisationService.removeMember(req.user.userId, req.user.userId);
+      res.status(200).json({ message: 'You have left the organisation' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async removeMember(req, res) {
+    try {
+      await organisationService.removeMember(req.user.userId, req.params.userId);
+      res.status(200).json({ message: 'Member removed' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async updateMemberRole(req, res) {
+    try {
+      const member = await organisationService.updateMemberRole(req.user.userId, req.params.userId, req.body ?? {});
+      res.status(200).json({ message: 'Member role updated', data: member });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // INVITES
+  // ===========================
+  async getInvites(req, res) {
+    try {
+      const invites = await organisationService.listInvites(req.user.userId);
+      res.status(200).json({ data: invites });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async invite(req, res) {
+    try {
+      const invite = await organisationService.invite(req.user.userId, req.body ?? {});
+      res.status(201).json({ message: 'Invite sent', data: invite });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async revokeInvite(req, res) {
+    try {
+      await organisationService.revokeInvite(req.user.userId, req.params.id);
+      res.status(200).json({ message: 'Invite revoked' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async acceptInvite(req, res) {
+    try {
+      const organisation = await organisationService.acceptInvite(req.user, req.body ?? {});
+      res.status(200).json({ message: 'You have joined the organisation', data: organisation });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // API KEYS
+  // ===========================
+  async getApiKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listForOrganisation(req.user.userId);
+      res.status(200).json({ data: keys });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async createApiKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.create(req.user.userId, req.body ?? {});
+      res.status(201).json({ message: 'API key created. Copy it now — it will not be shown again.', data: apiKey });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.revoke(req.user.userId, req.params.id);
+      res.status(200).json({ message: 'API key revoked', data: apiKey });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // SHORTLISTS
+  // ===========================
+  async getShortlists(req, res) {
+    try {
+      const shortlists = await organisationService.listShortlists(req.user.userId);
+      res.status(200).json({ data: shortlists });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async createShortlist(req, res) {
+    try {
+      const shortlist = await organisationService.createShortlist(req.user.userId, req.body ?? {});
+      res.status(201).json({ message: 'Shortlist created', data: shortlist });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getShortlist(req, res) {
+    try {
+      const shortlist = await organisationService.getShortlist(req.user.userId, req.params.id);
+      res.status(200).json({ data: shortlist });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async updateShortlist(req, res) {
+    try {
+      const shortlist = await organisationService.updateShortlist(req.user.userId, req.params.id, req.body ?? {});
+      res.status(200).json({ message: 'Shortlist updated', data: shortlist });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async deleteShortlist(req, res) {
+    try {
+      await organisationService.deleteShortlist(req.user.userId, req.params.id);
+      res.status(200).json({ message: 'Shortlist deleted' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async addToShortlist(req, res) {
+    try {
+      const entry = await organisationService.addToShortlist(req.user.userId, req.params.id, req.body ?? {});
+      res.status(201).json({ message: 'Player added to shortlist', data: entry });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async removeFromShortlist(req, res) {
+    try {
+      await organisationService.removeFromShortlist(req.user.userId, req.params.id, req.params.playerId);
+      res.status(200).json({ message: 'Player removed from shortlist' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // SHARED INBOX
+  // ===========================
+  async getInbox(req, res) {
+    try {
+      const result = await organisationService.getInbox(req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getInboxMessages(req, res) {
+    try {
+      const result = await organisationService.getInboxMessages(req.user.userId, req.params.roomId, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+};
+
+export default OrganisationController;
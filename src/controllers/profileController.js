@@ -1,4 +1,11 @@
 import profileService from '../services/profileService.js';
+import seasonStatService from '../services/seasonStatService.js';
+import playerSearchService from '../services/playerSearchService.js';
+import profileViewService from '../services/profileViewService.js';
+import profilePrivacyService from '../services/profilePrivacyService.js';
+import profileCompletenessService from '../services/profileCompletenessService.js';
+import publicProfileService from '../services/publicProfileService.js';
+import playerCvService from '../services/playerCvService.js';
 import fs from 'fs';
 
 const ProfileController = {
@@ -6,26 +13,109 @@ const ProfileController = {
   // ✅ Public - anyone can view all player profiles
   async getProfiles(req, res) {
     try {
-      const result = await profileService.getAll(req.query);
+      const result = await profileService.getAll(req.query, { viewer: req.user });
       res.status(200).json(result);
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch profiles' });
     }
   },
 
+  // ✅ SCOUT/ADMIN - player discovery with cursor pagination
+  async searchPlayers(req, res) {
+    try {
+      const result = await playerSearchService.search(req.query, { viewer: req.user });
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to search players' });
+    }
+  },
+
   // ✅ Public - anyone can view a player profile by userId
   async getProfileById(req, res) {
     try {
       const userId = parseInt(req.params.id);
       if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
 
-      const profile = await profileService.getById(userId); // ✅ userId
+      const profile = await profileService.getById(userId, { viewer: req.user }); // ✅ userId
       res.status(200).json({ data: profile });
+
+      profileViewService
+        .record(userId, { viewer: req.user, ip: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip })
+        .catch((err) => console.error(`profileView: could not record view of player ${userId}`, err));
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch profile' });
     }
   },
 
+  // ✅ Public - the player's CV as a PDF
+  async getCv(req, res) {
+    try {
+      const userId = parseInt(req.params.id);
+      if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+      const cv = await playerCvService.get(userId, { viewer: req.user });
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${cv.filename}"`,
+        'Cache-Control': 'private, no-cache',
+        ETag: `"${cv.hash}"`,
+        'Last-Modified': cv.generatedAt.toUTCString(),
+      });
+      res.status(200).send(cv.buffer);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to generate CV' });
+    }
+  },
+
+  // ✅ PLAYER only - who has viewed their profile
+  async getMyViewers(req, res) {
+    try {
+      const result = await profileViewService.getViewers(req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch profile viewers' });
+    }
+  },
+
+  // ✅ PLAYER only - completeness score and what to fill in next
+  async getMyCompleteness(req, res) {
+    try {
+      const checklist = await profileCompletenessService.getChecklist(req.user.userId);
+      res.status(200).json({ data: checklist });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch profile completeness' });
+    }
+  },
+
+  // ✅ PLAYER only - who can see each profile field
+  async getMyPrivacy(req, res) {
+    try {
+      const settings = await profilePrivacyService.getSettings(req.user.userId);
+      res.status(200).json({ data: settings });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch privacy settings' });
+    }
+  },
+
+  async updateMyPrivacy(req, res) {
+    try {
+      const settings = await profilePrivacyService.updateSettings(req.user.userId, req.body ?? {});
+      res.status(200).json({ message: 'Privacy settings updated', data: settings });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update privacy settings' });
+    }
+  },
+
+  // ✅ PLAYER only - pick the handle for their public page
+  async updateMySlug(req, res) {
+    try {
+      const result = await publicProfileService.setSlug(req.user.userId, req.body ?? {});
+      res.status(200).json({ message: 'Public page address updated', data: result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update public page address' });
+    }
+  },
+
   // ✅ PLAYER only - can only update their own profile
   async updateProfile(req, res) {
     try {
@@ -68,7 +158,7 @@ const ProfileController = {
       
       console.log('🔍 uploadAvatar userId:', userId, 'user:', req.user); // temp debug
       
-      const result = await profileService.uploadAvatar(userId, req.file);
+      const result = await profileService.uploadAvatar(userId, req.file, req.body);
       res.status(200).json(result);
     } catch (err) {
       console.error('❌ uploadAvatar error:', err); // ✅ add this so you can see what's failing
@@ -80,6 +170,100 @@ const ProfileController = {
     }
   },
 
+  // ✅ PLAYER only - manage their own career history
+  async getMyCareer(req, res) {
+    try {
+      const entries = await profileService.getCareer(req.user.userId);
+      res.status(200).json({ data: entries });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch career history' });
+    }
+  },
+
+  async addCareerEntry(req, res) {
+    try {
+      const entry = await profileService.addCareerEntry(req.user.userId, req.body);
+      res.status(201).json({ message: 'Career entry added', data: entry });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to add career entry' });
+    }
+  },
+
+  async updateCareerEntry(req, res) {
+    try {
+      const entry = await profileService.updateCareerEntry(req.user.userId, req.params.entryId, req.body);
+      res.status(200).json({ message: 'Career entry updated', data: entry });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update career entry' });
+    }
+  },
+
+  async deleteCareerEntry(req, res) {
+    try {
+      await profileService.deleteCareerEntry(req.user.userId, req.params.entryId);
+      res.status(200).json({ message: 'Career entry deleted' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to delete career entry' });
+    }
+  },
+
+  // ✅ PLAYER only - season stats on their own career entries
+  async addSeasonStats(req, res) {
+    try {
+      const stats = await seasonStatService.create(req.user.userId, req.params.entryId, req.body);
+      res.status(201).json({ message: 'Season stats added', data: stats });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to add season stats' });
+    }
+  },
+
+  async updateSeasonStats(req, res) {
+    try {
+      const stats = await seasonStatService.update(req.user.userId, req.params.statId, req.body);
+      res.status(200).json({ message: 'Season stats updated', data: stats });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update season stats' });
+    }
+  },
+
+  async deleteSeasonStats(req, res) {
+    try {
+      await seasonStatService.delete(req.user.userId, req.params.statId);
+      res.status(200).json({ message: 'Season stats deleted' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to delete season stats' });
+    }
+  },
+
+  // ✅ Public - a player's season stats and career totals
+  async getPlayerStats(req, res) {
+    try {
+      const stats = await seasonStatService.listForPlayer(req.params.id);
+      res.status(200).json({ data: stats });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch season stats' });
+    }
+  },
+
+  async getPlayerStatTotals(req, res) {
+    try {
+      const totals = await seasonStatService.totals(req.params.id, req.query);
+      res.status(200).json({ data: totals });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch stat totals' });
+    }
+  },
+
+  // ✅ Verified SCOUT only - confirm a player's self-reported stats
+  async verifySeasonStats(req, res) {
+    try {
+      const stats = await seasonStatService.verify(req.user.userId, req.params.statId);
+      res.status(200).json({ message: 'Season stats verified', data: stats });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to verify season stats' });
+    }
+  },
+
  };
 
 export default ProfileController;
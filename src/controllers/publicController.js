@@ -0,0 +1,30 @@
+import publicProfileService from '../services/publicProfileService.js';
+
+// Link previews are fetched over and over by messaging apps; a few
+// minutes of caching spares the database without keeping edits stale
+// for long.
+const CACHE_CONTROL = 'public, max-age=300';
+
+const publicController = {
+
+  // One URL for people and programs: browsers and link-preview crawlers
+  // (which send text/html or */*) get the page with its Open Graph tags,
+  // clients asking for application/json get the data.
+  async getPlayer(req, res) {
+    const html = req.accepts(['html', 'json']) !== 'json';
+    res.vary('Accept');
+    try {
+      const player = await publicProfileService.getBySlug(req.params.slug);
+      res.set('Cache-Control', CACHE_CONTROL);
+      if (html) return res.status(200).type('html').send(publicProfileService.renderPage(player));
+      res.status(200).json({ data: player });
+    } catch (err) {
+      if (html) {
+        return res.status(err.status ?? 500).type('text').send(err.status === 404 ? 'Player not found' : 'Something went wrong');
+      }
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch player' });
+    }
+  },
+};
+
+export default publicController;
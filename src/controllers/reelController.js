@@ -109,12 +109,19 @@ const reelController = {
           });
         }
 
+        // `code` tells the app why, e.g.
+        // GUARDIAN_CONSENT_REQUIRED sends an
+        // under-18 to the guardian-consent flow.
         return res.status(
           dbErr.statusCode || 500
         ).json({
           success: false,
-          message:
-            'Failed to create reel.',
+          message: dbErr.statusCode
+            ? dbErr.message
+            : 'Failed to create reel.',
+          ...(dbErr.statusCode && dbErr.code && {
+            code: dbErr.code,
+          }),
         });
 
       }
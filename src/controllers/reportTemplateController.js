@@ -0,0 +1,60 @@
+import reportTemplateService from '../services/reportTemplateService.js';
+
+const reportTemplateController = {
+
+  async list(req, res) {
+    try {
+      const templates = await reportTemplateService.list(req.user.userId, req.query);
+      res.status(200).json({ data: templates });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch templates' });
+    }
+  },
+
+  async getById(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid template ID' });
+
+      const template = await reportTemplateService.getById(id, req.user.userId, req.query);
+      res.status(200).json({ data: template });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch template' });
+    }
+  },
+
+  async create(req, res) {
+    try {
+      const template = await reportTemplateService.create(req.user.userId, req.body);
+      res.status(201).json({ message: 'Template created successfully', data: template });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to create template' });
+    }
+  },
+
+  async update(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid template ID' });
+
+      const template = await reportTemplateService.update(id, req.user.userId, req.body);
+      res.status(200).json({ message: 'Template updated successfully', data: template });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update template' });
+    }
+  },
+
+  async archive(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ error: 'Invalid template ID' });
+
+      await reportTemplateService.archive(id, req.user.userId);
+      res.status(200).json({ message: 'Template archived successfully' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to archive template' });
+    }
+  },
+};
+
+export default reportTemplateController;
@@ -0,0 +1,33 @@
+import reportWeightingService from '../services/reportWeightingService.js';
+
+const reportWeightingController = {
+
+  async list(req, res) {
+    try {
+      const weightings = await reportWeightingService.list(req.user.userId);
+      res.status(200).json({ data: weightings });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch weightings' });
+    }
+  },
+
+  async set(req, res) {
+    try {
+      const weighting = await reportWeightingService.set(req.user.userId, req.params.position, req.body);
+      res.status(200).json({ message: 'Weighting saved successfully', data: weighting });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to save weighting' });
+    }
+  },
+
+  async remove(req, res) {
+    try {
+      const { rescored } = await reportWeightingService.remove(req.user.userId, req.params.position);
+      res.status(200).json({ message: 'Weighting removed successfully', data: { rescored } });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to remove weighting' });
+    }
+  },
+};
+
+export default reportWeightingController;
@@ -0,0 +1,69 @@
+import savedSearchService from '../services/savedSearchService.js';
+
+const savedSearchController = {
+
+  async create(req, res) {
+    try {
+      const search = await savedSearchService.create(req.user.userId, req.body ?? {});
+      res.status(201).json({ message: 'Search saved', data: search });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to save search' });
+    }
+  },
+
+  async getAll(req, res) {
+    try {
+      const searches = await savedSearchService.list(req.user.userId);
+      res.status(200).json({ data: searches });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch saved searches' });
+    }
+  },
+
+  async getById(req, res) {
+    try {
+      const search = await savedSearchService.getById(req.user.userId, req.params.id);
+      res.status(200).json({ data: search });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch saved search' });
+    }
+  },
+
+  async update(req, res) {
+    try {
+      const search = await savedSearchService.update(req.user.userId, req.params.id, req.body ?? {});
+      res.status(200).json({ message: 'Saved search updated', data: search });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update saved search' });
+    }
+  },
+
+  async delete(req, res) {
+    try {
+      await savedSearchService.delete(req.user.userId, req.params.id);
+      res.status(200).json({ message: 'Saved search deleted' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to delete saved search' });
+    }
+  },
+
+  async run(req, res) {
+    try {
+      const result = await savedSearchService.run(req.user.userId, req.params.id, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to run saved search' });
+    }
+  },
+
+  async getNewMatches(req, res) {
+    try {
+      const result = await savedSearchService.getNewMatches(req.user.userId, req.params.id, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch new matches' });
+    }
+  },
+};
+
+export default savedSearchController;
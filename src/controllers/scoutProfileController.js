@@ -1,5 +1,6 @@
 import fs from 'fs';
 import scoutProfileService from '../services/scoutProfileService.js';
+import scoutVerificationService from '../services/scoutVerificationService.js';
 
 const ScoutProfileController = {
 
@@ -57,7 +58,7 @@ const ScoutProfileController = {
       
       console.log('🔍 uploadAvatar userId:', userId, 'user:', req.user); // temp debug
       
-      const result = await scoutProfileService.uploadAvatar(userId, req.file);
+      const result = await scoutProfileService.uploadAvatar(userId, req.file, req.body);
       res.status(200).json(result);
     } catch (err) {
       console.error('❌ uploadAvatar error:', err); // ✅ add this so you can see what's failing
@@ -69,6 +70,70 @@ const ScoutProfileController = {
     }
   },
 
+  // ✅ SCOUT only - submit licence / ID documents for verification
+  async submitVerification(req, res) {
+    try {
+      const request = await scoutVerificationService.submit(req.user.userId, req.body, req.files ?? []);
+      res.status(201).json({ message: 'Verification request submitted', data: request });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to submit verification request' });
+    } finally {
+      for (const file of req.files ?? []) {
+        fs.unlink(file.path, () => {});
+      }
+    }
+  },
+
+  // ✅ SCOUT only - own verification status + latest request
+  async getVerificationStatus(req, res) {
+    try {
+      const status = await scoutVerificationService.getStatus(req.user.userId);
+      res.status(200).json({ data: status });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch verification status' });
+    }
+  },
+
+  // ✅ ADMIN only - review queue
+  async getVerificationQueue(req, res) {
+    try {
+      const result = await scoutVerificationService.listQueue(req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch verification requests' });
+    }
+  },
+
+  // ✅ ADMIN only - one request with signed document links
+  async getVerificationRequest(req, res) {
+    try {
+      const request = await scoutVerificationService.getForReview(req.params.id);
+      res.status(200).json({ data: request });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch verification request' });
+    }
+  },
+
+  // ✅ ADMIN only
+  async approveVerification(req, res) {
+    try {
+      const status = await scoutVerificationService.approve(req.params.id, req.user.userId);
+      res.status(200).json({ message: 'Scout verified', data: status });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to approve verification request' });
+    }
+  },
+
+  // ✅ ADMIN only
+  async rejectVerification(req, res) {
+    try {
+      const status = await scoutVerificationService.reject(req.params.id, req.user.userId, req.body ?? {});
+      res.status(200).json({ message: 'Verification request rejected', data: status });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to reject verification request' });
+    }
+  },
+
 };
 
 export default ScoutProfileController;
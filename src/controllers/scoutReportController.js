@@ -4,12 +4,12 @@ const scoutReportController = {
 
   async create(req, res) {
     try {
-      const { scoutId, playerId } = req.body;
-      if (!scoutId || !playerId) {
-        return res.status(400).json({ error: 'scoutId and playerId are required' });
+      const { playerId } = req.body;
+      if (!playerId) {
+        return res.status(400).json({ error: 'playerId is required' });
       }
 
-      const report = await scoutReportService.create(req.body);
+      const report = await scoutReportService.create(req.user.userId, req.body);
       res.status(201).json({ message: 'Report created successfully', data: report });
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to create report' });
@@ -18,19 +18,28 @@ const scoutReportController = {
 
   async getAll(req, res) {
     try {
-      const result = await scoutReportService.getAll(req.query);
+      const result = await scoutReportService.getAll(req.user.userId, req.query);
       res.status(200).json(result);
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch reports' });
     }
   },
 
+  async compare(req, res) {
+    try {
+      const comparison = await scoutReportService.compare(req.user.userId, req.query);
+      res.status(200).json({ data: comparison });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to compare players' });
+    }
+  },
+
   async getById(req, res) {
     try {
       const id = parseInt(req.params.id);
       if (isNaN(id)) return res.status(400).json({ error: 'Invalid report ID' });
 
-      const report = await scoutReportService.getById(id);
+      const report = await scoutReportService.getById(id, req.user.userId);
       res.status(200).json({ data: report });
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to fetch report' });
@@ -42,8 +51,7 @@ const scoutReportController = {
       const id = parseInt(req.params.id);
       if (isNaN(id)) return res.status(400).json({ error: 'Invalid report ID' });
 
-      const { scoutId, ...updateData } = req.body;
-      const report = await scoutReportService.update(id, scoutId, updateData);
+      const report = await scoutReportService.update(id, req.user.userId, req.body);
       res.status(200).json({ message: 'Report updated successfully', data: report });
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to update report' });
@@ -55,7 +63,7 @@ const scoutReportController = {
       const id = parseInt(req.params.id);
       if (isNaN(id)) return res.status(400).json({ error: 'Invalid report ID' });
 
-      await scoutReportService.delete(id);
+      await scoutReportService.delete(id, req.user.userId);
       res.status(200).json({ message: 'Report deleted successfully' });
     } catch (err) {
       res.status(err.status ?? 500).json({ error: err.message ?? 'Failed to delete report' });
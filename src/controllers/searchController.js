@@ -0,0 +1,15 @@
+import searchService from '../services/searchService.js';
+
+const searchController = {
+
+  async search(req, res) {
+    try {
+      const result = await searchService.search(req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ error: err.message ?? 'Search failed' });
+    }
+  },
+};
+
+export default searchController;
@@ -1,4 +1,15 @@
 import userService from '../services/userService.js';
+import sessionService from '../services/sessionService.js';
+import impersonationService from '../services/impersonationService.js';
+import profileViewService from '../services/profileViewService.js';
+import { disconnectSessions } from '../sockets/index.js';
+
+// Device details recorded on the session row so users can tell their
+// sessions apart in GET /users/me/sessions.
+const clientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] ?? null,
+  ipAddress: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null,
+});
 
 const UserController = {
 
@@ -7,7 +18,7 @@ const UserController = {
   // ===========================
   async register(req, res) {
     try {
-      const result = await userService.register(req.body);
+      const result = await userService.register(req.body, clientInfo(req));
       res.status(201).json({ message: 'Registration successful', ...result });
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
@@ -16,13 +27,130 @@ const UserController = {
 
   async login(req, res) {
     try {
-      const result = await userService.login(req.body);
+      const result = await userService.login(req.body, clientInfo(req));
+
+      let message = 'Login successful';
+      if (result.twoFactorRequired) message = 'Enter the code from your authenticator app';
+      if (result.twoFactorSetupRequired) message = 'Two-factor authentication must be set up for this account';
+      if (result.deletionCancelled) message = 'Welcome back! Your account deletion has been cancelled.';
+
+      res.status(200).json({ message, ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async completeTwoFactorLogin(req, res) {
+    try {
+      const result = await userService.completeTwoFactorLogin(req.body, clientInfo(req));
       res.status(200).json({ message: 'Login successful', ...result });
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
     }
   },
 
+  async setupTwoFactorFromChallenge(req, res) {
+    try {
+      const result = await userService.setupTwoFactorFromChallenge(req.body);
+      res.status(200).json({ message: 'Scan the QR code, then confirm with a code at /users/login/2fa', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // TWO-FACTOR
+  // ===========================
+  async getTwoFactorStatus(req, res) {
+    try {
+      const status = await userService.getTwoFactorStatus(req.user.userId);
+      res.status(200).json({ data: status });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async setupTwoFactor(req, res) {
+    try {
+      const result = await userService.setupTwoFactor(req.user.userId);
+      res.status(200).json({ message: 'Scan the QR code, then confirm with a code to enable', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async enableTwoFactor(req, res) {
+    try {
+      const result = await userService.enableTwoFactor(req.user.userId, req.body);
+      res.status(200).json({ message: 'Two-factor authentication enabled. Store your recovery codes safely.', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async disableTwoFactor(req, res) {
+    try {
+      await userService.disableTwoFactor(req.user.userId, req.body);
+      res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const result = await userService.regenerateRecoveryCodes(req.user.userId, req.body);
+      res.status(200).json({ message: 'New recovery codes generated. The old ones no longer work.', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // SESSIONS
+  // ===========================
+  async refreshToken(req, res) {
+    try {
+      const result = await userService.refreshToken(req.body, clientInfo(req));
+      res.status(200).json({ message: 'Token refreshed', ...result });
+    } catch (err) {
+      if (err.revokedSessionIds) disconnectSessions(req.app.get('io'), err.revokedSessionIds);
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async logout(req, res) {
+    try {
+      const sessionId = await userService.logout(req.user);
+      disconnectSessions(req.app.get('io'), [sessionId]);
+      res.status(200).json({ message: 'Logged out successfully' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getSessions(req, res) {
+    try {
+      const sessions = await userService.getSessions(req.user);
+      res.status(200).json({ data: sessions });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async revokeSession(req, res) {
+    try {
+      const sessionId = await userService.revokeSession({
+        userId: req.user.userId,
+        sessionId: req.params.id,
+      });
+      disconnectSessions(req.app.get('io'), [sessionId]);
+      res.status(200).json({ message: 'Session revoked successfully' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
   // ===========================
   // OTP
   // ===========================
@@ -71,7 +199,8 @@ const UserController = {
 
   async resetPassword(req, res) {
     try {
-      await userService.resetPassword(req.body);
+      const { revokedSessionIds } = await userService.resetPassword(req.body);
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
       res.status(200).json({ message: 'Password reset successfully. You can now log in.' });
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
@@ -80,8 +209,48 @@ const UserController = {
 
   async updatePassword(req, res) {
     try {
-      await userService.updatePassword({ userId: req.user.userId, ...req.body });
-      res.status(200).json({ message: 'Password updated successfully.' });
+      const { revokedSessionIds } = await userService.updatePassword({
+        ...req.body,
+        userId: req.user.userId,
+        sessionId: req.user.sessionId,
+      });
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
+      res.status(200).json({ message: 'Password updated successfully. Other devices have been logged out.' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // EMAIL CHANGE
+  // ===========================
+  async requestEmailChange(req, res) {
+    try {
+      await userService.requestEmailChange({ ...req.body, userId: req.user.userId });
+      res.status(200).json({ message: 'Verification code sent to your new email address' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async confirmEmailChange(req, res) {
+    try {
+      const { revokedSessionIds, ...result } = await userService.confirmEmailChange(
+        { ...req.body, userId: req.user.userId, sessionId: req.user.sessionId },
+        clientInfo(req)
+      );
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
+      res.status(200).json({ message: 'Email updated successfully. Other devices have been logged out.', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async revertEmailChange(req, res) {
+    try {
+      const { revokedSessionIds } = await userService.revertEmailChange(req.body);
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
+      res.status(200).json({ message: 'Email change reverted. All devices have been logged out.' });
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
     }
@@ -126,6 +295,13 @@ const UserController = {
       if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
 
       const updated = await userService.update(id, req.body);
+
+      // An admin-set password logs the user out everywhere, same as a reset.
+      if (req.body.password) {
+        const revokedSessionIds = await sessionService.revokeAll(id);
+        disconnectSessions(req.app.get('io'), revokedSessionIds);
+      }
+
       res.status(200).json(updated);
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
@@ -137,8 +313,114 @@ const UserController = {
       const id = parseInt(req.params.id);
       if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
 
-      await userService.delete(id);
-      res.status(200).json({ message: 'User deleted successfully' });
+      const { revokedSessionIds, mediaFailures } = await userService.delete(id, { actorId: req.user.userId });
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
+      res.status(200).json({ message: 'User deleted successfully', mediaFailures });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // ACCOUNT DELETION
+  // ===========================
+  async requestDeletion(req, res) {
+    try {
+      const { scheduledFor, revokedSessionIds } = await userService.requestDeletion(req.user.userId, req.body);
+      disconnectSessions(req.app.get('io'), revokedSessionIds);
+      res.status(200).json({
+        message: 'Account scheduled for deletion. Log in before the scheduled date to cancel.',
+        scheduledFor,
+      });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // DATA EXPORT
+  // ===========================
+  async requestDataExport(req, res) {
+    try {
+      const record = await userService.requestDataExport(req.user.userId);
+      res.status(202).json({
+        message: "We're preparing your data. You'll get an email with a download link when it's ready.",
+        data: record,
+      });
+    } catch (err) {
+      if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+      res.status(err.status ?? 500).json({
+        message: err.message ?? 'Server error',
+        ...(err.retryAfter && { retryAfter: err.retryAfter }),
+        ...(err.export && { data: err.export }),
+      });
+    }
+  },
+
+  async getDataExports(req, res) {
+    try {
+      const exports = await userService.getDataExports(req.user.userId);
+      res.status(200).json({ data: exports });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getDataExport(req, res) {
+    try {
+      const record = await userService.getDataExport(req.user.userId, req.params.id);
+      res.status(200).json({ data: record });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getDeletionAudit(req, res) {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) return res.status(400).json({ message: 'Invalid user ID' });
+
+      const entries = await userService.getDeletionAudit(id);
+      res.status(200).json({ data: entries });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  // ===========================
+  // IMPERSONATION (Admin)
+  // ===========================
+  async startImpersonation(req, res) {
+    try {
+      const result = await impersonationService.start(req.user, req.params.id, req.body ?? {}, clientInfo(req));
+      res.status(201).json({ message: 'Impersonation session started', ...result });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async endImpersonation(req, res) {
+    try {
+      await impersonationService.end(req.params.sessionId, req.user.userId);
+      res.status(200).json({ message: 'Impersonation session ended' });
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getImpersonations(req, res) {
+    try {
+      const result = await impersonationService.listSessions(req.query);
+      res.status(200).json(result);
+    } catch (err) {
+      res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
+    }
+  },
+
+  async getImpersonation(req, res) {
+    try {
+      const session = await impersonationService.getSession(req.params.sessionId);
+      res.status(200).json({ data: session });
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
     }
@@ -149,7 +431,7 @@ const UserController = {
   // ===========================
   async getAllPlayers(req, res) {
     try {
-      const players = await userService.getAllPlayers();
+      const players = await userService.getAllPlayers({ viewer: req.user });
       res.status(200).json(players);
     } catch (err) {
       res.status(err.status ?? 500).json({ message: err.message ?? 'Server error' });
@@ -157,8 +439,12 @@ const UserController = {
   },
   async getPlayerById (req, res, next) {
       try {
-        const player = await userService.getPlayerById(req.params.id);
-    
+        const player = await userService.getPlayerById(req.params.id, { viewer: req.user });
+
+        profileViewService
+          .record(player.id, { viewer: req.user, ip: clientInfo(req).ipAddress })
+          .catch((err) => console.error(`profileView: could not record view of player ${player.id}`, err));
+
         return res.status(200).json(player);
       } catch (error) {
         next(error);
@@ -82,7 +82,11 @@ export const handleVideoUpload = async (req, res) => {
       try { fs.unlinkSync(multerFile.path); } catch { /* ignore */ }
     }
     console.error('❌ handleVideoUpload:', err);
-    return res.status(err.statusCode ?? 500).json({ success: false, message: err.message });
+    return res.status(err.statusCode ?? 500).json({
+      success: false,
+      message: err.message,
+      ...(err.statusCode && err.code && { code: err.code }),
+    });
   }
 };
 
@@ -95,7 +99,7 @@ export const handleAvatarUpload = async (req, res) => {
       return res.status(400).json({ success: false, message: 'No image file provided.' });
     }
 
-    const profile = await uploadAvatar(req.file, req.user.userId);
+    const profile = await uploadAvatar(req.file, req.user.userId, req.body);
 
     return res.status(200).json({
       success: true,
@@ -104,7 +108,7 @@ export const handleAvatarUpload = async (req, res) => {
     });
   } catch (err) {
     console.error('❌ handleAvatarUpload:', err);
-    return res.status(500).json({ success: false, message: err.message });
+    return res.status(err.status ?? 500).json({ success: false, message: err.message });
   }
 };
 
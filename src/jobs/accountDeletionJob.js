@@ -0,0 +1,31 @@
+import { scheduleJob } from './scheduler.js';
+import accountDeletionService from '../services/accountDeletionService.js';
+
+const INTERVAL_MS = parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MS || String(60 * 60 * 1000));
+
+// Anonymises every account whose grace period ended before `now`. Pass a
+// fake `now` to run it against a chosen point in time. A failure on one
+// account is recorded (as a FAILED audit entry) and the sweep moves on.
+export const runAccountDeletionJob = async ({ now = new Date() } = {}) => {
+  const userIds = await accountDeletionService.findDue({ now });
+  const summary = { processed: 0, failed: [] };
+
+  for (const userId of userIds) {
+    try {
+      await accountDeletionService.anonymise(userId, { now });
+      summary.processed += 1;
+    } catch (err) {
+      console.error(`❌ Account deletion failed for user ${userId}:`, err);
+      summary.failed.push(userId);
+    }
+  }
+
+  if (userIds.length > 0) {
+    console.log(`🗑️ Account deletion job: ${summary.processed} anonymised, ${summary.failed.length} failed`);
+  }
+  return summary;
+};
+
+// Called once from app.js after Redis is connected.
+export const startAccountDeletionJob = () =>
+  scheduleJob({ name: 'account-deletion', intervalMs: INTERVAL_MS, task: () => runAccountDeletionJob() });
@@ -0,0 +1,30 @@
+import { scheduleJob } from './scheduler.js';
+import dataExportService from '../services/dataExportService.js';
+
+const INTERVAL_MS = parseInt(process.env.DATA_EXPORT_JOB_INTERVAL_MS || String(10 * 60 * 1000));
+
+// Exports are normally built right after the request (see
+// userService.requestDataExport). This sweep is the safety net: it
+// builds anything that was dropped — a restart, a crashed instance — and
+// deletes archives whose download link has expired. Pass a fake `now`
+// to run it against a chosen point in time.
+export const runDataExportJob = async ({ now = new Date() } = {}) => {
+  const exportIds = await dataExportService.findUnprocessed({ now });
+  const summary = { built: 0, failed: [], expired: 0 };
+
+  for (const exportId of exportIds) {
+    try {
+      if (await dataExportService.process(exportId, { now })) summary.built += 1;
+    } catch (err) {
+      console.error(`❌ Data export ${exportId} failed:`, err);
+      summary.failed.push(exportId);
+    }
+  }
+
+  summary.expired = await dataExportService.expire({ now });
+  return summary;
+};
+
+// Called once from app.js after Redis is connected.
+export const startDataExportJob = () =>
+  scheduleJob({ name: 'data-export', intervalMs: INTERVAL_MS, task: () => runDataExportJob() });
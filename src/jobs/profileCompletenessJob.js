@@ -0,0 +1,21 @@
+import { scheduleJob } from './scheduler.js';
+import profileCompletenessService from '../services/profileCompletenessService.js';
+
+const INTERVAL_MS = parseInt(process.env.PROFILE_COMPLETENESS_INTERVAL_MS || String(24 * 60 * 60 * 1000));
+
+// Recomputes every profile's completeness score (catching changes no
+// hook saw), then emails players whose profiles have stalled. Pass a
+// fake `now` to run it against a chosen point in time.
+export const runProfileCompletenessJob = async ({ now = new Date() } = {}) => {
+  const scores = await profileCompletenessService.refreshAll({ now });
+  const nudges = await profileCompletenessService.sendNudges({ now });
+
+  if (scores.changed > 0 || nudges.nudged > 0 || nudges.failed.length > 0) {
+    console.log(`📋 Profile completeness: ${scores.changed}/${scores.checked} scores changed, ${nudges.nudged} nudged, ${nudges.failed.length} failed`);
+  }
+  return { scores, nudges };
+};
+
+// Called once from app.js after Redis is connected.
+export const startProfileCompletenessJob = () =>
+  scheduleJob({ name: 'profile-completeness', intervalMs: INTERVAL_MS, task: () => runProfileCompletenessJob() });
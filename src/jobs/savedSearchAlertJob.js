@@ -0,0 +1,20 @@
+import { scheduleJob } from './scheduler.js';
+import savedSearchService from '../services/savedSearchService.js';
+
+const INTERVAL_MS = parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MS || String(24 * 60 * 60 * 1000));
+
+// Re-runs every saved search that has alerts on and emails scouts about
+// players who newly match. Pass a fake `now` to run it against a chosen
+// point in time.
+export const runSavedSearchAlertJob = async ({ now = new Date() } = {}) => {
+  const summary = await savedSearchService.sendAlerts({ now });
+
+  if (summary.alerted > 0 || summary.failed.length > 0) {
+    console.log(`🔎 Saved search alerts: ${summary.checked} checked, ${summary.alerted} alerted, ${summary.failed.length} failed`);
+  }
+  return summary;
+};
+
+// Called once from app.js after Redis is connected.
+export const startSavedSearchAlertJob = () =>
+  scheduleJob({ name: 'saved-search-alerts', intervalMs: INTERVAL_MS, task: () => runSavedSearchAlertJob() });
@@ -0,0 +1,27 @@
+import { redisClient } from '../config/redis.js';
+
+// Runs `task` now and then every `intervalMs`. Every app instance
+// schedules the same jobs; a Redis lock per job makes sure only one of
+// them runs it at a time. The lock TTL outlives a normal run and frees
+// the lock if an instance dies mid-run.
+export const scheduleJob = ({ name, intervalMs, lockTtlSec = 30 * 60, task }) => {
+  const lockKey = `jobs:${name}:lock`;
+
+  const tick = async () => {
+    const acquired = await redisClient.set(lockKey, String(process.pid), { NX: true, EX: lockTtlSec });
+    if (!acquired) return;
+
+    try {
+      await task();
+    } finally {
+      await redisClient.del(lockKey);
+    }
+  };
+
+  const run = () => tick().catch((err) => console.error(`❌ Job ${name} crashed:`, err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,5 +1,18 @@
 import { PrismaClient } from '@prisma/client';
 
-const prisma = new PrismaClient();
+// Profile coordinates are only for radius search (playerSearchService)
+// and must never reach an API response, so they're left out of every
+// query unless one asks for them by name. The completeness nudge
+// bookkeeping is internal to profileCompletenessService.
+//
+// Likewise a user's credentials and pending codes, so an `include: { user:
+// true }` can't leak them — the auth, two-factor and email-change paths
+// select them explicitly.
+const prisma = new PrismaClient({
+  omit: {
+    user: { password: true, otp: true, otpExpiry: true, twoFactorSecret: true, twoFactorLastStep: true, pendingEmail: true },
+    profile: { latitude: true, longitude: true, completenessNudgedAt: true, completenessNudgeCount: true },
+  },
+});
 
-export default prisma;
\ No newline at end of file
+export default prisma;
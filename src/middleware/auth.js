@@ -1,5 +1,32 @@
 import jwt from 'jsonwebtoken';
-import prisma from '../lib/prisma.js';
+import sessionService from '../services/sessionService.js';
+import scoutVerificationService from '../services/scoutVerificationService.js';
+import impersonationService from '../services/impersonationService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { redisClient } from '../config/redis.js';
+import {
+  VERIFICATION_GATE_ENABLED,
+  EMAIL_NOT_VERIFIED,
+  isAllowedWhileUnverified,
+} from '../config/verificationGate.js';
+import { IMPERSONATION_FORBIDDEN, isBlockedWhileImpersonating } from '../config/impersonationGuard.js';
+
+// Every request made with an impersonation token lands in the session's
+// audit trail once the response is out — status code included, so a
+// blocked attempt reads as BLOCKED/403.
+const auditImpersonatedRequest = (req, res, sessionId, blocked) => {
+  res.on('finish', () => {
+    impersonationService
+      .recordRequest(sessionId, {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null,
+        blocked,
+      })
+      .catch((err) => console.error(`impersonation: could not audit session ${sessionId}`, err));
+  });
+};
 
 export const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -13,12 +40,34 @@ export const verifyToken = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId }, // JWT signs userId, not id
-    });
+    // Tokens issued before sessions existed carry no sessionId and can't
+    // be revoked, so they're refused outright rather than honoured until
+    // their old 7-day expiry.
+    if (!decoded.sessionId) {
+      return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+    }
 
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    const session = await sessionService.getActive(decoded.sessionId);
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({ success: false, message: 'Session has been revoked' });
+    }
+
+    const user = session.user;
+
+    // Audited before any other check so the trail also shows requests the
+    // gate below turns away.
+    const impersonator = session.impersonator;
+    const blocked = Boolean(impersonator) && isBlockedWhileImpersonating(req);
+    if (impersonator) auditImpersonatedRequest(req, res, session.id, blocked);
+
+    // Checked against the DB row, not the token's isVerified claim, so a
+    // freshly verified account is let through without re-logging in.
+    if (VERIFICATION_GATE_ENABLED && !user.isVerified && !isAllowedWhileUnverified(req)) {
+      return res.status(403).json({
+        success: false,
+        code: EMAIL_NOT_VERIFIED,
+        message: 'Please verify your email address to continue',
+      });
     }
 
     // FIX — chatMessageController/chatRoomController (and possibly others)
@@ -29,19 +78,109 @@ export const verifyToken = async (req, res, next) => {
     // Setting both `id` and `userId` here means every controller works
     // regardless of which convention it was written against, without
     // needing to audit/change every controller individually.
+    //
+    // Everything at the top level is the *effective* user — the one the
+    // request acts as — so controllers need no changes to serve an
+    // impersonation session. `realUser` is whoever is actually holding
+    // the token: the admin while impersonating, otherwise the same user.
     req.user = {
       id: user.id,
       userId: user.id,
       role: user.role,
       email: user.email,
+      isVerified: user.isVerified,
+      sessionId: session.id,
+      impersonating: Boolean(impersonator),
+      realUser: impersonator
+        ? { id: impersonator.id, userId: impersonator.id, role: impersonator.role, email: impersonator.email }
+        : { id: user.id, userId: user.id, role: user.role, email: user.email },
     };
 
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        code: IMPERSONATION_FORBIDDEN,
+        message: 'This action is not available while impersonating a user',
+      });
+    }
+
     next();
   } catch (error) {
     res.status(401).json({ success: false, message: 'Invalid token' });
   }
 };
 
+// For public routes that behave differently for a signed-in caller.
+// With no Authorization header the request goes through as a guest
+// (`req.user` unset); a header that is sent is checked like verifyToken
+// does, so a bad or revoked token is still refused.
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return verifyToken(req, res, next);
+};
+
+// Fixed one-minute window per key. Like authThrottle, a Redis outage lets
+// the request through rather than taking integrations down with it.
+const apiKeyRateLimit = async (req, res, apiKey) => {
+  const windowStart = Math.floor(Date.now() / 60000);
+  const key = `apikey:rate:${apiKey.id}:${windowStart}`;
+
+  try {
+    const count = await redisClient.incr(key);
+    if (count === 1) await redisClient.expire(key, 60);
+
+    res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerMinute));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimitPerMinute - count)));
+
+    if (count > apiKey.rateLimitPerMinute) {
+      const retryAfter = Math.max(1, 60 - Math.floor((Date.now() / 1000) % 60));
+      res.set('Retry-After', String(retryAfter));
+      return false;
+    }
+  } catch (err) {
+    console.error(`apiKey: rate limit check failed for key ${apiKey.id}`, err);
+  }
+  return true;
+};
+
+// Auth path for club integrations, next to verifyToken. The key goes in
+// the `X-API-Key` header and must carry `scope`. It sets `req.apiKey`
+// (never `req.user`) — an API key acts for an organisation, not a person,
+// so routes that expect a user can't be reached with one by mistake.
+//
+// Usage: router.get('/reports', verifyApiKey('reports:read'), ...)
+export const verifyApiKey = (scope) => async (req, res, next) => {
+  const rawKey = req.headers['x-api-key'];
+  if (!rawKey) {
+    return res.status(401).json({ success: false, message: 'No API key provided' });
+  }
+
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.findActive(rawKey);
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+  if (!apiKey) {
+    return res.status(401).json({ success: false, message: 'Invalid or revoked API key' });
+  }
+
+  if (!(await apiKeyRateLimit(req, res, apiKey))) {
+    return res.status(429).json({ success: false, message: 'Rate limit exceeded for this API key' });
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ success: false, message: `This API key is missing the "${scope}" scope` });
+  }
+
+  apiKeyService
+    .recordUse(apiKey.id, { ipAddress: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || null })
+    .catch((err) => console.error(`apiKey: could not record use of key ${apiKey.id}`, err));
+
+  req.apiKey = { id: apiKey.id, organisationId: apiKey.organisationId, scopes: apiKey.scopes };
+  next();
+};
+
 export const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -62,4 +201,21 @@ export const authorizeRoles = (...roles) => {
   };
 };
 
+// Put after authorizeRoles on routes that only verified scouts may use
+// (filing reports, taking on players). Other roles pass straight through
+// — admins in particular act on scouts' behalf.
+export const requireVerifiedScout = async (req, res, next) => {
+  if (req.user?.role !== 'SCOUT') return next();
 
+  try {
+    if (await scoutVerificationService.isVerifiedScout(req.user.userId)) return next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+
+  return res.status(403).json({
+    success: false,
+    code: 'SCOUT_NOT_VERIFIED',
+    message: 'Only verified scouts can do this. Submit your licence for verification first.',
+  });
+};
@@ -0,0 +1,201 @@
+import jwt from 'jsonwebtoken';
+import { redisClient } from '../config/redis.js';
+
+// Brute-force protection for the auth routes in userRouters.js.
+//
+// Two kinds of policy:
+//
+// - `attempts` — counts attempts per email (`subjectMax`) and per IP
+//   (`ipMax`) inside a window of `windowSec` that starts with the first
+//   one. An attempt is counted before the handler runs, so parallel
+//   guesses can't all slip past the limit; once it's reached, that email
+//   (or IP) gets 429 until the window runs out. Attempts that don't end
+//   in a failure (`failOn`) are handed back, and a success clears the
+//   email's counter.
+//
+// - `backoff` — for routes that send an email (resend OTP, forgot
+//   password). Each successful send doubles the cooldown before the
+//   next one for that email, capped at `maxSec`, and resets once
+//   `windowSec` passes without a send.
+//
+// The IP is taken from x-forwarded-for like the rest of the app, which a
+// client can spoof — that's why every policy also keys on the email,
+// which can't be dodged by rotating headers. Routes without an email in
+// the body name their own `subject` (e.g. the user behind a 2FA
+// challenge token, or the signed-in user — those go after authenticate).
+//
+// Redis being down should not take login down with it, so every Redis
+// failure — or a call slower than REDIS_TIMEOUT_MS — is logged and the
+// request is let through.
+const POLICIES = {
+  register:       { type: 'attempts', ipMax: 10, windowSec: 60 * 60, failOn: [400] },
+  login:          { type: 'attempts', subjectMax: 5, ipMax: 20, windowSec: 15 * 60, failOn: [401] },
+  verifyOtp:      { type: 'attempts', subjectMax: 5, ipMax: 20, windowSec: 15 * 60, failOn: [400, 404] },
+  verifyResetOtp: { type: 'attempts', subjectMax: 5, ipMax: 20, windowSec: 15 * 60, failOn: [400, 404] },
+  resetPassword:  { type: 'attempts', ipMax: 10, windowSec: 15 * 60, failOn: [401] },
+  refreshToken:   { type: 'attempts', ipMax: 30, windowSec: 15 * 60, failOn: [401] },
+  twoFactor:      { type: 'attempts', subjectMax: 5, ipMax: 20, windowSec: 15 * 60, failOn: [400, 401], subject: (req) => challengeSubject(req) },
+  confirmEmail:   { type: 'attempts', subjectMax: 5, ipMax: 20, windowSec: 15 * 60, failOn: [400], subject: (req) => userSubject(req) },
+  revertEmail:    { type: 'attempts', ipMax: 20, windowSec: 15 * 60, failOn: [400, 401] },
+  resendOtp:      { type: 'backoff', baseSec: 30, maxSec: 60 * 60, windowSec: 24 * 60 * 60, ipMax: 30 },
+  forgotPassword: { type: 'backoff', baseSec: 30, maxSec: 60 * 60, windowSec: 24 * 60 * 60, ipMax: 30 },
+  changeEmail:    { type: 'backoff', baseSec: 30, maxSec: 60 * 60, windowSec: 24 * 60 * 60, ipMax: 30, subject: (req) => userSubject(req) },
+};
+
+const REDIS_TIMEOUT_MS = 500;
+
+// Counts an attempt on every key at once, starting its window on the
+// first. Returns [count, ttl] per key.
+const COUNT_ATTEMPT = `
+local out = {}
+for i, key in ipairs(KEYS) do
+  local count = redis.call('INCR', key)
+  if count == 1 then redis.call('EXPIRE', key, ARGV[1]) end
+  out[i] = { count, redis.call('TTL', key) }
+end
+return out
+`;
+
+// Hands an attempt back, unless its window has already run out.
+const HAND_BACK = `
+if redis.call('EXISTS', KEYS[1]) == 1 then redis.call('DECR', KEYS[1]) end
+`;
+
+const clientIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
+
+const normalizeEmail = (email) =>
+  typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+
+// Decoded without verifying — it's only a bucket name here; the service
+// still verifies the token properly.
+const challengeSubject = (req) => {
+  const decoded = jwt.decode(req.body?.challengeToken ?? '');
+  return decoded?.userId ? `user:${decoded.userId}` : null;
+};
+
+const userSubject = (req) => (req.user ? `user:${req.user.userId}` : null);
+
+const subjectOf = (req, policy) => {
+  if (policy.subject) return policy.subject(req);
+  const email = normalizeEmail(req.body?.email);
+  return email ? `email:${email}` : null;
+};
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
+
+// A Redis call that hasn't answered in REDIS_TIMEOUT_MS counts as failed.
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis did not answer within ${REDIS_TIMEOUT_MS}ms`)), REDIS_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const incrementWithin = async (key, windowSec) => {
+  const count = await withTimeout(redisClient.incr(key));
+  if (count === 1) await withTimeout(redisClient.expire(key, windowSec));
+  return count;
+};
+
+// =========================================================
+// Attempt counting + lockout
+// =========================================================
+const attemptsThrottle = (action, policy) => async (req, res, next) => {
+  const subject = subjectOf(req, policy);
+  const ip = clientIp(req);
+
+  const counters = [
+    subject && policy.subjectMax && { key: `auth:attempts:${action}:${subject}`, max: policy.subjectMax, subject: true },
+    policy.ipMax && { key: `auth:attempts:${action}:ip:${ip}`, max: policy.ipMax },
+  ].filter(Boolean);
+
+  try {
+    const counts = await withTimeout(redisClient.eval(COUNT_ATTEMPT, {
+      keys: counters.map((c) => c.key),
+      arguments: [String(policy.windowSec)],
+    }));
+    const over = counts.filter(([count], i) => count > counters[i].max);
+    if (over.length) {
+      const retryAfter = Math.max(1, ...over.map(([, ttl]) => ttl));
+      return tooManyRequests(res, retryAfter, 'Too many failed attempts. Please try again later.');
+    }
+  } catch (err) {
+    console.error(`authThrottle: attempt count failed [${action}]`, err);
+    return next();
+  }
+
+  // Only failures keep their place in the count. A success also wipes
+  // the email's earlier failures.
+  res.on('finish', () => {
+    if (policy.failOn.includes(res.statusCode)) return;
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+
+    Promise.all(counters.map((c) => withTimeout(
+      succeeded && c.subject ? redisClient.del(c.key) : redisClient.eval(HAND_BACK, { keys: [c.key] }),
+    ))).catch((err) => console.error(`authThrottle: recording failed [${action}]`, err));
+  });
+
+  next();
+};
+
+// =========================================================
+// Exponential backoff for email-sending routes
+// =========================================================
+const backoffThrottle = (action, policy) => async (req, res, next) => {
+  const subject = subjectOf(req, policy);
+  const ip = clientIp(req);
+
+  const keys = {
+    cooldown: subject && `auth:cooldown:${action}:${subject}`,
+    sends:    subject && `auth:sends:${action}:${subject}`,
+    ipSends:  `auth:sends:${action}:ip:${ip}`,
+  };
+
+  try {
+    const [cooldown, ipSends, ipTtl] = await withTimeout(Promise.all([
+      keys.cooldown ? redisClient.ttl(keys.cooldown) : -2,
+      redisClient.get(keys.ipSends),
+      redisClient.ttl(keys.ipSends),
+    ]));
+
+    if (cooldown > 0) {
+      return tooManyRequests(res, cooldown, 'Please wait before requesting another code.');
+    }
+    if (parseInt(ipSends ?? '0') >= policy.ipMax) {
+      return tooManyRequests(res, Math.max(ipTtl, 1), 'Too many requests. Please try again later.');
+    }
+  } catch (err) {
+    console.error(`authThrottle: cooldown check failed [${action}]`, err);
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+    (async () => {
+      await incrementWithin(keys.ipSends, policy.windowSec);
+      if (!subject) return;
+
+      const sends = await incrementWithin(keys.sends, policy.windowSec);
+      const cooldown = Math.min(policy.baseSec * 2 ** (sends - 1), policy.maxSec);
+      await withTimeout(redisClient.set(keys.cooldown, '1', { EX: cooldown }));
+    })().catch((err) => console.error(`authThrottle: recording failed [${action}]`, err));
+  });
+
+  next();
+};
+
+// Usage: router.post('/login', authThrottle('login'), userController.login);
+export const authThrottle = (action) => {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`authThrottle: unknown action "${action}"`);
+
+  return policy.type === 'backoff'
+    ? backoffThrottle(action, policy)
+    : attemptsThrottle(action, policy);
+};
@@ -430,6 +430,9 @@ const router = express.Router();
  *         statusCode:
  *           type: integer
  *           example: 403
+ *         code:
+ *           type: string
+ *           description: Machine-readable reason, when there is one (e.g. GUARDIAN_CONSENT_REQUIRED, SCOUT_NOT_VERIFIED)
  */
 /**
  * @swagger
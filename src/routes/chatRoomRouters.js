@@ -21,6 +21,9 @@ const router = express.Router();
  *         error:
  *           type: string
  *           example: Chat room not found
+ *         code:
+ *           type: string
+ *           description: Machine-readable reason, when there is one (e.g. GUARDIAN_CONSENT_REQUIRED, SCOUT_NOT_VERIFIED)
  *
  *     ChatRoom:
  *       type: object
@@ -282,6 +285,15 @@ const router = express.Router();
  *       401:
  *         description: Authentication required
  *
+ *       403:
+ *         description: |
+ *           A scout can't chat with an under-18 yet — `code` is
+ *           SCOUT_NOT_VERIFIED or GUARDIAN_CONSENT_REQUIRED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *
  *       500:
  *         description: Internal server error
  */
@@ -339,7 +351,10 @@ router.post('/', protect,chatRoomController.create);
  *         description: Authentication required
  *
  *       403:
- *         description: One of the users has blocked the other
+ *         description: |
+ *           One of the users has blocked the other, or a scout can't chat
+ *           with an under-18 yet (`code` SCOUT_NOT_VERIFIED or
+ *           GUARDIAN_CONSENT_REQUIRED)
  *         content:
  *           application/json:
  *             schema:
@@ -699,7 +714,10 @@ router.delete('/:id',protect,  chatRoomController.delete);
  *       400:
  *         description: Invalid request or room is not a group
  *       403:
- *         description: Only admins can add members
+ *         description: |
+ *           Only admins can add members, or the new member would put a scout
+ *           in a chat with an under-18 (`code` SCOUT_NOT_VERIFIED or
+ *           GUARDIAN_CONSENT_REQUIRED)
  *       404:
  *         description: Room or user not found
  *       409:
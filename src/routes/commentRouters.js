@@ -52,14 +52,12 @@ const router = express.Router();
  *         fullname:
  *           type: string
  *           example: "Vincent Williams"
- *         profile:
- *           type: object
+ *         avatarUrl:
+ *           type: string
  *           nullable: true
- *           properties:
- *             avatarUrl:
- *               type: string
- *               nullable: true
- *               example: "https://cdn.example.com/avatars/7.jpg"
+ *           example: "https://cdn.example.com/avatars/7.jpg"
+ *         avatar:
+ *           $ref: '#/components/schemas/Avatar'
  *
  *     ReelComment:
  *       type: object
@@ -0,0 +1,315 @@
+import express from 'express';
+import guardianController from '../controllers/guardianController.js';
+import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuardianLink:
+ *       type: object
+ *       properties:
+ *         id:            { type: integer }
+ *         guardianEmail: { type: string, format: email }
+ *         status:        { type: string, enum: [PENDING, CONSENTED, REVOKED] }
+ *         consentedAt:   { type: string, format: date-time, nullable: true }
+ *         revokedAt:     { type: string, format: date-time, nullable: true }
+ *         createdAt:     { type: string, format: date-time }
+ *         guardian:
+ *           type: object
+ *           nullable: true
+ *           description: Set once the guardian has confirmed from their account
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ *             email:    { type: string }
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guardians
+ *   description: |
+ *     Parental consent for players under 18. Until their guardian consents,
+ *     a minor can't publish reels or videos and scouts can't message them
+ *     (a player with no dob counts as a minor until they enter one). Guardians
+ *     sign in with a GUARDIAN account (or any account using the email the
+ *     player gave), can read the player's conversations with scouts, and
+ *     can withdraw consent at any time.
+ */
+
+/**
+ * @swagger
+ * /guardians/me:
+ *   get:
+ *     summary: Get own guardian and consent status (Player)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consent status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     consentRequired: { type: boolean, description: True unless the profile dob says 18 or over (no dob counts) }
+ *                     link:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/GuardianLink'
+ *                       nullable: true
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Name or replace own guardian (Player)
+ *     description: Emails the guardian a consent link valid for 7 days. Replacing a guardian withdraws any consent already given.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [guardianEmail]
+ *             properties:
+ *               guardianEmail: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Consent request sent to your guardian
+ *       400:
+ *         description: Invalid email, own email, or this guardian already consented
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authenticate, authorizeRoles('PLAYER'), guardianController.getMyGuardian);
+router.put('/me', authenticate, authorizeRoles('PLAYER'), guardianController.setMyGuardian);
+
+/**
+ * @swagger
+ * /guardians/consent:
+ *   post:
+ *     summary: Give consent from the emailed link (Guardian)
+ *     description: The signed-in account's email must be the one the player named.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, description: Token from the consent email link }
+ *     responses:
+ *       200:
+ *         description: Consent given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/GuardianLink' }
+ *       400:
+ *         description: Missing, invalid, expired or superseded link
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Signed in with a different email than the player named
+ *       500:
+ *         description: Server error
+ */
+router.post('/consent', authenticate, guardianController.confirmConsent);
+
+/**
+ * @swagger
+ * /guardians/wards:
+ *   get:
+ *     summary: List players you are guardian of
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wards with their consent status
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/wards', authenticate, guardianController.getWards);
+
+/**
+ * @swagger
+ * /guardians/wards/{playerId}/revoke:
+ *   post:
+ *     summary: Withdraw consent for a ward
+ *     description: Unpublishes the player's reels and stops scouts messaging them. Read access to their scout conversations stays.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Consent withdrawn (includes reelsUnpublished and videosUnpublished)
+ *       400:
+ *         description: Invalid ID, or consent not currently given
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not your ward
+ *       500:
+ *         description: Server error
+ */
+router.post('/wards/:playerId/revoke', authenticate, guardianController.revokeConsent);
+
+/**
+ * @swagger
+ * /guardians/wards/{playerId}/privacy:
+ *   get:
+ *     summary: Get who can see a ward's profile fields
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Visibility of every field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/ProfilePrivacy' }
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not your ward, consent withdrawn, or no profile
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Change who can see a ward's profile fields
+ *     description: Same settings as the player's own PUT /profiles/me/privacy.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfilePrivacyUpdate'
+ *     responses:
+ *       200:
+ *         description: Updated settings for every field
+ *       400:
+ *         description: Invalid ID, missing fields, unknown field or invalid visibility
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not your ward, consent withdrawn, or no profile
+ *       500:
+ *         description: Server error
+ */
+router.get('/wards/:playerId/privacy', authenticate, guardianController.getWardPrivacy);
+router.put('/wards/:playerId/privacy', authenticate, guardianController.setWardPrivacy);
+
+/**
+ * @swagger
+ * /guardians/wards/{playerId}/conversations:
+ *   get:
+ *     summary: List a ward's conversations with scouts (read-only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Rooms the player shares with at least one scout, most recent first
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not your ward
+ *       500:
+ *         description: Server error
+ */
+router.get('/wards/:playerId/conversations', authenticate, guardianController.getWardConversations);
+
+/**
+ * @swagger
+ * /guardians/wards/{playerId}/conversations/{roomId}/messages:
+ *   get:
+ *     summary: Read a ward's conversation with a scout
+ *     description: Oldest first. Reading here sends no read receipts.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 30 }
+ *     responses:
+ *       200:
+ *         description: Paginated messages
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not your ward, or not a scout conversation
+ *       500:
+ *         description: Server error
+ */
+router.get('/wards/:playerId/conversations/:roomId/messages', authenticate, guardianController.getWardConversationMessages);
+
+export default router;
@@ -0,0 +1,211 @@
+import express from 'express';
+import integrationController from '../controllers/integrationController.js';
+import { verifyApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Integrations
+ *   description: |
+ *     Read-only access for a club's own systems, authenticated with an
+ *     organisation API key in the `X-API-Key` header (not a user JWT).
+ *     Each route needs one scope on the key. Keys are rate limited per
+ *     minute; responses carry `X-RateLimit-Limit` and
+ *     `X-RateLimit-Remaining`, and a 429 carries `Retry-After`. Data is
+ *     limited to the organisation's shortlists, the players on them and
+ *     the reports filed into it.
+ */
+
+/**
+ * @swagger
+ * /integrations/shortlists:
+ *   get:
+ *     summary: List the organisation's shortlists (players:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Shortlists with entry counts
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the players:read scope
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/shortlists', verifyApiKey('players:read'), integrationController.getShortlists);
+
+/**
+ * @swagger
+ * /integrations/shortlists/{id}:
+ *   get:
+ *     summary: Get a shortlist with its players (players:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Shortlist with players and notes
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the players:read scope
+ *       404:
+ *         description: Shortlist not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/shortlists/:id', verifyApiKey('players:read'), integrationController.getShortlist);
+
+/**
+ * @swagger
+ * /integrations/players/{id}:
+ *   get:
+ *     summary: Get a shortlisted player's profile (players:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Player profile (no contact details)
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the players:read scope
+ *       404:
+ *         description: Player not on any of the organisation's shortlists
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/players/:id', verifyApiKey('players:read'), integrationController.getPlayer);
+
+/**
+ * @swagger
+ * /integrations/players/{id}/reels:
+ *   get:
+ *     summary: List a shortlisted player's published reels (reels:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Paginated reels, newest first
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the reels:read scope
+ *       404:
+ *         description: Player not on any of the organisation's shortlists
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/players/:id/reels', verifyApiKey('reels:read'), integrationController.getPlayerReels);
+
+/**
+ * @swagger
+ * /integrations/reports:
+ *   get:
+ *     summary: List reports filed into the organisation (reports:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: playerId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: since
+ *         schema: { type: string, format: date-time }
+ *         description: Only reports filed at or after this time
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Paginated reports, newest first
+ *       400:
+ *         description: Invalid playerId or since
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the reports:read scope
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports', verifyApiKey('reports:read'), integrationController.getReports);
+
+/**
+ * @swagger
+ * /integrations/reports/{id}:
+ *   get:
+ *     summary: Get a report filed into the organisation (reports:read)
+ *     tags: [Integrations]
+ *     security:
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Report
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Missing, invalid or revoked API key
+ *       403:
+ *         description: Key lacks the reports:read scope
+ *       404:
+ *         description: Report not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/:id', verifyApiKey('reports:read'), integrationController.getReport);
+
+export default router;
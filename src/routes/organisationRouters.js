@@ -0,0 +1,914 @@
+import express from 'express';
+import organisationController from '../controllers/organisationController.js';
+import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organisation:
+ *       type: object
+ *       properties:
+ *         id:        { type: integer }
+ *         name:      { type: string }
+ *         seatLimit: { type: integer, description: Members plus open invites can't exceed this }
+ *         createdAt: { type: string, format: date-time }
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:     { type: string, enum: [OWNER, MEMBER] }
+ *               joinedAt: { type: string, format: date-time }
+ *               user:
+ *                 type: object
+ *                 properties:
+ *                   id:       { type: integer }
+ *                   fullname: { type: string }
+ *                   email:    { type: string }
+ *     OrganisationInvite:
+ *       type: object
+ *       properties:
+ *         id:        { type: integer }
+ *         email:     { type: string, format: email }
+ *         role:      { type: string, enum: [OWNER, MEMBER] }
+ *         expiresAt: { type: string, format: date-time }
+ *         createdAt: { type: string, format: date-time }
+ *         invitedBy:
+ *           type: object
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:                 { type: integer }
+ *         name:               { type: string }
+ *         prefix:             { type: string, example: tsp_1a2b3c4d, description: Non-secret start of the key }
+ *         scopes:
+ *           type: array
+ *           items: { type: string, enum: ['reports:read', 'players:read', 'reels:read'] }
+ *         rateLimitPerMinute: { type: integer }
+ *         lastUsedAt:         { type: string, format: date-time, nullable: true }
+ *         lastUsedIp:         { type: string, nullable: true }
+ *         revokedAt:          { type: string, format: date-time, nullable: true }
+ *         createdAt:          { type: string, format: date-time }
+ *         createdBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ *     Shortlist:
+ *       type: object
+ *       properties:
+ *         id:          { type: integer }
+ *         name:        { type: string }
+ *         description: { type: string, nullable: true }
+ *         createdAt:   { type: string, format: date-time }
+ *         updatedAt:   { type: string, format: date-time }
+ *         createdBy:
+ *           type: object
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organisations
+ *   description: |
+ *     Clubs and academies with seats for several scouts. A scout belongs to
+ *     at most one organisation. Members share shortlists, can read each
+ *     other's reports and see every conversation between a member and a
+ *     player in a read-only shared inbox. Owners manage seats, invites and
+ *     roles and the organisation's API keys; admins set the seat limit
+ *     and can revoke any key.
+ */
+
+/**
+ * @swagger
+ * /organisations:
+ *   post:
+ *     summary: Create an organisation (Scout)
+ *     description: The creating scout becomes its first owner.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: Riverside Academy }
+ *     responses:
+ *       201:
+ *         description: Organisation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/Organisation' }
+ *       400:
+ *         description: Name missing
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Scouts only
+ *       409:
+ *         description: Already part of an organisation
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List all organisations (Admin)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Paginated organisations
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admins only
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, authorizeRoles('SCOUT'), organisationController.create);
+router.get('/', authenticate, authorizeRoles('ADMIN'), organisationController.getAll);
+
+/**
+ * @swagger
+ * /organisations/api-keys:
+ *   get:
+ *     summary: List API keys across all organisations (Admin)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organisationId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, revoked] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Paginated keys with their organisation (never the key itself)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admins only
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys', authenticate, authorizeRoles('ADMIN'), organisationController.getAllApiKeys);
+
+/**
+ * @swagger
+ * /organisations/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke any organisation's API key (Admin)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: Invalid ID, or already revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api-keys/:id', authenticate, authorizeRoles('ADMIN'), organisationController.adminRevokeApiKey);
+
+/**
+ * @swagger
+ * /organisations/invites/accept:
+ *   post:
+ *     summary: Accept an organisation invite (Scout)
+ *     description: The signed-in account's email must be the one that was invited.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, description: Token from the invite email link }
+ *     responses:
+ *       200:
+ *         description: Joined the organisation
+ *       400:
+ *         description: Missing, invalid, expired or revoked invite
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Signed in with a different email than the one invited
+ *       409:
+ *         description: Already part of an organisation, or no free seats
+ *       500:
+ *         description: Server error
+ */
+router.post('/invites/accept', authenticate, authorizeRoles('SCOUT'), organisationController.acceptInvite);
+
+/**
+ * @swagger
+ * /organisations/me:
+ *   get:
+ *     summary: Get own organisation
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organisation with its members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/Organisation' }
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Rename own organisation (Owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string }
+ *     responses:
+ *       200:
+ *         description: Organisation updated
+ *       400:
+ *         description: Name missing
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete own organisation (Owner)
+ *     description: Removes every membership, invite and shortlist. Reports stay with the scouts who filed them.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organisation deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authenticate, authorizeRoles('SCOUT'), organisationController.getMine);
+router.patch('/me', authenticate, authorizeRoles('SCOUT'), organisationController.update);
+router.delete('/me', authenticate, authorizeRoles('SCOUT'), organisationController.delete);
+
+/**
+ * @swagger
+ * /organisations/me/leave:
+ *   post:
+ *     summary: Leave own organisation
+ *     description: The last owner must promote someone else first. If nobody is left the organisation is deleted.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Left the organisation
+ *       400:
+ *         description: Last owner with other members still in the organisation
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/leave', authenticate, authorizeRoles('SCOUT'), organisationController.leave);
+
+/**
+ * @swagger
+ * /organisations/me/members/{userId}/role:
+ *   patch:
+ *     summary: Change a member's role (Owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [OWNER, MEMBER] }
+ *     responses:
+ *       200:
+ *         description: Member role updated
+ *       400:
+ *         description: Invalid role, or this would leave no owner
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/me/members/:userId/role', authenticate, authorizeRoles('SCOUT'), organisationController.updateMemberRole);
+
+/**
+ * @swagger
+ * /organisations/me/members/{userId}:
+ *   delete:
+ *     summary: Remove a member (Owner)
+ *     description: The seat is freed straight away. Reports they filed stay visible to the organisation.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Invalid ID, or this would leave no owner
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me/members/:userId', authenticate, authorizeRoles('SCOUT'), organisationController.removeMember);
+
+/**
+ * @swagger
+ * /organisations/me/invites:
+ *   get:
+ *     summary: List open invites (Owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invites not yet accepted, revoked or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/OrganisationInvite' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Invite a scout by email (Owner)
+ *     description: Emails a join link valid for 7 days. An open invite holds a seat until it is accepted, revoked or expires.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               role:  { type: string, enum: [OWNER, MEMBER], default: MEMBER }
+ *     responses:
+ *       201:
+ *         description: Invite sent
+ *       400:
+ *         description: Invalid email or role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       409:
+ *         description: Already a member, or no free seats
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/invites', authenticate, authorizeRoles('SCOUT'), organisationController.getInvites);
+router.post('/me/invites', authenticate, authorizeRoles('SCOUT'), organisationController.invite);
+
+/**
+ * @swagger
+ * /organisations/me/invites/{id}:
+ *   delete:
+ *     summary: Revoke an open invite (Owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Invite not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me/invites/:id', authenticate, authorizeRoles('SCOUT'), organisationController.revokeInvite);
+
+/**
+ * @swagger
+ * /organisations/me/api-keys:
+ *   get:
+ *     summary: List the organisation's API keys (Owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Keys, including revoked ones, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ApiKey' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create an API key for club integrations (Owner)
+ *     description: |
+ *       The key is returned once, in this response. Send it as the
+ *       `X-API-Key` header on the /integrations routes. At most 10 active
+ *       keys per organisation.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name: { type: string, example: Club CRM sync }
+ *               scopes:
+ *                 type: array
+ *                 items: { type: string, enum: ['reports:read', 'players:read', 'reels:read'] }
+ *               rateLimitPerMinute: { type: integer, default: 60, minimum: 1, maximum: 600 }
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key: { type: string, description: The full key — shown only here }
+ *       400:
+ *         description: Missing name, unknown scope or invalid rate limit
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       409:
+ *         description: Active key limit reached
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/api-keys', authenticate, authorizeRoles('SCOUT'), organisationController.getApiKeys);
+router.post('/me/api-keys', authenticate, authorizeRoles('SCOUT'), organisationController.createApiKey);
+
+/**
+ * @swagger
+ * /organisations/me/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (Owner)
+ *     description: Takes effect on the key's next request.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: Invalid ID, or already revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Owners only
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me/api-keys/:id', authenticate, authorizeRoles('SCOUT'), organisationController.revokeApiKey);
+
+/**
+ * @swagger
+ * /organisations/me/shortlists:
+ *   get:
+ *     summary: List the organisation's shortlists
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shared shortlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Shortlist' }
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a shared shortlist
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:        { type: string, example: U19 strikers }
+ *               description: { type: string }
+ *     responses:
+ *       201:
+ *         description: Shortlist created
+ *       400:
+ *         description: Name missing
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/shortlists', authenticate, authorizeRoles('SCOUT'), organisationController.getShortlists);
+router.post('/me/shortlists', authenticate, authorizeRoles('SCOUT'), organisationController.createShortlist);
+
+/**
+ * @swagger
+ * /organisations/me/shortlists/{id}:
+ *   get:
+ *     summary: Get a shortlist with its players
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Shortlist with entries
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Shortlist not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Rename or describe a shortlist
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:        { type: string }
+ *               description: { type: string }
+ *     responses:
+ *       200:
+ *         description: Shortlist updated
+ *       400:
+ *         description: Invalid ID or empty name
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Shortlist not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a shortlist (creator or owner)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Shortlist deleted
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the creator or an owner
+ *       404:
+ *         description: Shortlist not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/shortlists/:id', authenticate, authorizeRoles('SCOUT'), organisationController.getShortlist);
+router.patch('/me/shortlists/:id', authenticate, authorizeRoles('SCOUT'), organisationController.updateShortlist);
+router.delete('/me/shortlists/:id', authenticate, authorizeRoles('SCOUT'), organisationController.deleteShortlist);
+
+/**
+ * @swagger
+ * /organisations/me/shortlists/{id}/players:
+ *   post:
+ *     summary: Add a player to a shortlist
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [playerId]
+ *             properties:
+ *               playerId: { type: integer }
+ *               note:     { type: string }
+ *     responses:
+ *       201:
+ *         description: Player added
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Shortlist or player not found
+ *       409:
+ *         description: Player already on this shortlist
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/shortlists/:id/players', authenticate, authorizeRoles('SCOUT'), organisationController.addToShortlist);
+
+/**
+ * @swagger
+ * /organisations/me/shortlists/{id}/players/{playerId}:
+ *   delete:
+ *     summary: Remove a player from a shortlist
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: playerId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Player removed
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Shortlist not found, or player not on it
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me/shortlists/:id/players/:playerId', authenticate, authorizeRoles('SCOUT'), organisationController.removeFromShortlist);
+
+/**
+ * @swagger
+ * /organisations/me/inbox:
+ *   get:
+ *     summary: Shared inbox — every member's conversations with players (read-only)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Paginated conversations, most recent first
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/inbox', authenticate, authorizeRoles('SCOUT'), organisationController.getInbox);
+
+/**
+ * @swagger
+ * /organisations/me/inbox/{roomId}/messages:
+ *   get:
+ *     summary: Read a conversation from the shared inbox
+ *     description: Oldest first. Reading here sends no read receipts.
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 30 }
+ *     responses:
+ *       200:
+ *         description: Paginated messages
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Not part of an organisation, or not an inbox conversation
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/inbox/:roomId/messages', authenticate, authorizeRoles('SCOUT'), organisationController.getInboxMessages);
+
+/**
+ * @swagger
+ * /organisations/{id}/seats:
+ *   patch:
+ *     summary: Set an organisation's seat limit (Admin)
+ *     tags: [Organisations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [seatLimit]
+ *             properties:
+ *               seatLimit: { type: integer, minimum: 1 }
+ *     responses:
+ *       200:
+ *         description: Seat limit updated
+ *       400:
+ *         description: Invalid limit, or lower than the current member count
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Organisation not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id/seats', authenticate, authorizeRoles('ADMIN'), organisationController.setSeatLimit);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 const router = express.Router();
 import paymentController from '../controllers/paymentController.js';
+import { verifyToken as authenticate } from '../middleware/auth.js';
 
 /**
  * @swagger
@@ -100,7 +101,9 @@ import paymentController from '../controllers/paymentController.js';
  * @swagger
  * tags:
  *   name: Payments
- *   description: Payment management API
+ *   description: |
+ *     Payment management API. Signed-in users only; creating, updating and
+ *     deleting payments is refused while an admin is impersonating.
  */
 
 /**
@@ -109,6 +112,8 @@ import paymentController from '../controllers/paymentController.js';
  *   post:
  *     summary: Create a new payment
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -122,6 +127,8 @@ import paymentController from '../controllers/paymentController.js';
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Server error
  *         content:
@@ -129,7 +136,7 @@ import paymentController from '../controllers/paymentController.js';
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', paymentController.createPayment);
+router.post('/', authenticate, paymentController.createPayment);
 
 /**
  * @swagger
@@ -137,6 +144,8 @@ router.post('/', paymentController.createPayment);
  *   get:
  *     summary: Get all payments
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of all payments with user details
@@ -146,6 +155,8 @@ router.post('/', paymentController.createPayment);
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Server error
  *         content:
@@ -153,7 +164,7 @@ router.post('/', paymentController.createPayment);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', paymentController.getAllPayments);
+router.get('/', authenticate, paymentController.getAllPayments);
 
 /**
  * @swagger
@@ -161,6 +172,8 @@ router.get('/', paymentController.getAllPayments);
  *   get:
  *     summary: Get payment by ID
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -181,6 +194,8 @@ router.get('/', paymentController.getAllPayments);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Server error
  *         content:
@@ -188,7 +203,7 @@ router.get('/', paymentController.getAllPayments);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', paymentController.getPaymentById);
+router.get('/:id', authenticate, paymentController.getPaymentById);
 
 /**
  * @swagger
@@ -196,6 +211,8 @@ router.get('/:id', paymentController.getPaymentById);
  *   put:
  *     summary: Update payment by ID
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -238,6 +255,8 @@ router.get('/:id', paymentController.getPaymentById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Server error
  *         content:
@@ -245,7 +264,7 @@ router.get('/:id', paymentController.getPaymentById);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', paymentController.updatePayment);
+router.put('/:id', authenticate, paymentController.updatePayment);
 
 /**
  * @swagger
@@ -253,6 +272,8 @@ router.put('/:id', paymentController.updatePayment);
  *   delete:
  *     summary: Delete payment by ID
  *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -278,6 +299,8 @@ router.put('/:id', paymentController.updatePayment);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
  *       500:
  *         description: Server error
  *         content:
@@ -285,7 +308,7 @@ router.put('/:id', paymentController.updatePayment);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', paymentController.deletePayment);
+router.delete('/:id', authenticate, paymentController.deletePayment);
 
 // Optional extra routes if needed
 // router.get("/user/:userId", paymentController.getPaymentsByUser);
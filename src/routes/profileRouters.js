@@ -1,20 +1,120 @@
 import express from 'express';
 import { upload } from '../config/multer.js';
 import profileController from '../controllers/profileController.js';
-import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+import { verifyToken as authenticate, optionalAuth, authorizeRoles, requireVerifiedScout } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     DiscoverySearch:
+ *       in: query
+ *       name: search
+ *       schema: { type: string }
+ *       description: Search by player fullname
+ *     DiscoveryPosition:
+ *       in: query
+ *       name: position
+ *       schema: { type: string }
+ *     DiscoveryCountry:
+ *       in: query
+ *       name: country
+ *       schema: { type: string }
+ *     DiscoveryCity:
+ *       in: query
+ *       name: city
+ *       schema: { type: string }
+ *       description: Case-insensitive exact match
+ *     DiscoveryGender:
+ *       in: query
+ *       name: gender
+ *       schema: { type: string }
+ *     DiscoveryFavouriteFoot:
+ *       in: query
+ *       name: favouriteFoot
+ *       schema: { type: string, enum: [Left, Right, Both] }
+ *     DiscoveryMinAge:
+ *       in: query
+ *       name: minAge
+ *       schema: { type: integer }
+ *       description: Age from dob; players without a dob are left out of age filters
+ *     DiscoveryMaxAge:
+ *       in: query
+ *       name: maxAge
+ *       schema: { type: integer }
+ *     DiscoveryMinHeight:
+ *       in: query
+ *       name: minHeight
+ *       schema: { type: number }
+ *     DiscoveryMaxHeight:
+ *       in: query
+ *       name: maxHeight
+ *       schema: { type: number }
+ *     DiscoveryLat:
+ *       in: query
+ *       name: lat
+ *       schema: { type: number }
+ *       description: Centre of a radius search — give lat, lng and radiusKm together
+ *     DiscoveryLng:
+ *       in: query
+ *       name: lng
+ *       schema: { type: number }
+ *     DiscoveryRadiusKm:
+ *       in: query
+ *       name: radiusKm
+ *       schema: { type: number, minimum: 5, maximum: 500 }
+ *     DiscoveryMinReelRating:
+ *       in: query
+ *       name: minReelRating
+ *       schema: { type: number }
+ *       description: Minimum average rating across the player's published reels
+ *     DiscoveryMinReportScore:
+ *       in: query
+ *       name: minReportScore
+ *       schema: { type: number, minimum: 0, maximum: 10 }
+ *       description: Minimum average scout-report score (each report's weighted overall score, 0–10)
+ *     DiscoveryReelCategoryId:
+ *       in: query
+ *       name: reelCategoryId
+ *       schema: { type: integer }
+ *       description: Only players with a published reel in this category
+ *     DiscoveryMinGoalsPer90:
+ *       in: query
+ *       name: minGoalsPer90
+ *       schema: { type: number }
+ *       description: Only players whose career goals per 90 minutes are above this
+ *     DiscoveryMinAssistsPer90:
+ *       in: query
+ *       name: minAssistsPer90
+ *       schema: { type: number }
+ *       description: Only players whose career assists per 90 minutes are above this
+ *     DiscoveryMinMinutes:
+ *       in: query
+ *       name: minMinutes
+ *       schema: { type: integer }
+ *       description: Only players with at least this many career minutes (keeps per-90 filters meaningful)
+ *     DiscoveryVerifiedStatsOnly:
+ *       in: query
+ *       name: verifiedStatsOnly
+ *       schema: { type: boolean }
+ *       description: Apply the stat filters to scout-verified seasons only
+ *     DiscoveryMinCompleteness:
+ *       in: query
+ *       name: minCompleteness
+ *       schema: { type: integer, minimum: 0, maximum: 100 }
+ *       description: Only players whose profile completeness score is at least this
+ *
  *   schemas:
  *     Profile:
  *       type: object
  *       properties:
  *         id:             { type: integer }
  *         userId:         { type: integer }
- *         avatarUrl:      { type: string }
+ *         avatarUrl:      { type: string, description: The 1024px avatar }
+ *         avatarSizes:    { type: object, nullable: true, additionalProperties: { type: string }, description: Avatar URL per size (64, 256, 1024) }
+ *         avatarBlurhash: { type: string, nullable: true }
  *         position:       { type: string }
  *         height:         { type: number, format: float }
  *         favouriteFoot:  { type: string, enum: [Left, Right, Both] }
@@ -25,12 +125,17 @@ const router = express.Router();
  *         dob:            { type: string, format: date }
  *         bio:            { type: string }
  *         createdAt:      { type: string, format: date-time }
+ *         completenessScore: { type: integer, minimum: 0, maximum: 100 }
+ *         slug:           { type: string, description: 'Handle for the public page (GET /public/players/{slug})' }
  *         user:
  *           type: object
  *           properties:
  *             id:       { type: integer }
  *             fullname: { type: string }
  *             email:    { type: string }
+ *             careerEntries:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/CareerEntry' }
  *       example:
  *         id: 1
  *         userId: 5
@@ -44,6 +149,74 @@ const router = express.Router();
  *         dob: "1995-05-15"
  *         bio: Passionate footballer with 5 years of experience
  *
+ *     CareerEntry:
+ *       type: object
+ *       properties:
+ *         id:         { type: integer }
+ *         club:       { type: string }
+ *         league:     { type: string, nullable: true }
+ *         country:    { type: string, nullable: true }
+ *         startDate:  { type: string, format: date }
+ *         endDate:    { type: string, format: date, nullable: true, description: Null while the player is still at the club }
+ *         squadLevel: { type: string, nullable: true, enum: [U14, U15, U16, U17, U18, U19, U21, U23, RESERVE, SENIOR] }
+ *         position:   { type: string, nullable: true }
+ *         seasonStats:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/SeasonStat' }
+ *       example:
+ *         id: 3
+ *         club: Lagos City Academy
+ *         league: NNL Youth
+ *         country: Nigeria
+ *         startDate: "2019-08-01"
+ *         endDate: "2022-06-30"
+ *         squadLevel: U18
+ *         position: Winger
+ *
+ *     SeasonStat:
+ *       type: object
+ *       properties:
+ *         id:                 { type: integer }
+ *         season:             { type: string, example: 2023/24 }
+ *         appearances:        { type: integer }
+ *         minutes:            { type: integer }
+ *         goals:              { type: integer }
+ *         assists:            { type: integer }
+ *         verificationStatus: { type: string, enum: [SELF_REPORTED, VERIFIED] }
+ *         verifiedAt:         { type: string, format: date-time, nullable: true }
+ *         verifiedBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ *         verifiedByOrganisation:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:   { type: integer }
+ *             name: { type: string }
+ *
+ *     SeasonStatInput:
+ *       type: object
+ *       properties:
+ *         season:      { type: string, example: 2023/24, description: "2023/24 or 2024" }
+ *         appearances: { type: integer, minimum: 0 }
+ *         minutes:     { type: integer, minimum: 0 }
+ *         goals:       { type: integer, minimum: 0 }
+ *         assists:     { type: integer, minimum: 0 }
+ *
+ *     CareerEntryInput:
+ *       type: object
+ *       properties:
+ *         club:       { type: string }
+ *         league:     { type: string }
+ *         country:    { type: string }
+ *         startDate:  { type: string, format: date }
+ *         endDate:    { type: string, format: date, nullable: true }
+ *         squadLevel: { type: string, enum: [U14, U15, U16, U17, U18, U19, U21, U23, RESERVE, SENIOR] }
+ *         position:   { type: string }
+ *
  *     ProfileInput:
  *       type: object
  *       required: [userId]
@@ -71,6 +244,18 @@ const router = express.Router();
  *         city:           { type: string }
  *         dob:            { type: string, format: date }
  *         bio:            { type: string }
+ *         guardianEmail:
+ *           type: string
+ *           format: email
+ *           description: Required when dob makes the player under 18 and no guardian is listed yet — see /guardians/me
+ *         latitude:
+ *           type: number
+ *           nullable: true
+ *           description: Home location for scouts' radius search. Send with longitude; null clears both. Never shown to others.
+ *         longitude:      { type: number, nullable: true }
+ *         cvShowScoutReports:
+ *           type: boolean
+ *           description: Include averaged scout-report scores on the CV (GET /profiles/{id}/cv.pdf) — from reports filed outside an organisation only. Off by default.
  *
  *     Error:
  *       type: object
@@ -87,6 +272,55 @@ const router = express.Router();
  *   description: Player profile management
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Avatar:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         The avatar at each size, square WebP. Null when the user has no
+ *         avatar (or hides it). Avatars uploaded before sizes existed give
+ *         the same URL for every size.
+ *       properties:
+ *         sizes:
+ *           type: object
+ *           properties:
+ *             '64':   { type: string }
+ *             '256':  { type: string }
+ *             '1024': { type: string }
+ *         blurhash: { type: string, nullable: true, description: Placeholder to show while the image loads }
+ *       example:
+ *         sizes:
+ *           '64': https://storage.googleapis.com/bucket/avatars/7/9b1c-64.webp
+ *           '256': https://storage.googleapis.com/bucket/avatars/7/9b1c-256.webp
+ *           '1024': https://storage.googleapis.com/bucket/avatars/7/9b1c-1024.webp
+ *         blurhash: LEHV6nWB2yk8pyo0adR*.7kCMdnj
+ *     AvatarUpload:
+ *       type: object
+ *       required: [avatar]
+ *       description: |
+ *         A JPEG or PNG. The crop is in pixels of the image as displayed
+ *         (after EXIF rotation); give all four fields or none. Without a
+ *         crop the centred square is used, and a crop that isn't square is
+ *         trimmed to its centred square.
+ *       properties:
+ *         avatar:
+ *           type: string
+ *           format: binary
+ *         cropX:      { type: integer, minimum: 0 }
+ *         cropY:      { type: integer, minimum: 0 }
+ *         cropWidth:  { type: integer, minimum: 32 }
+ *         cropHeight: { type: integer, minimum: 32 }
+ *     AvatarUploadResult:
+ *       type: object
+ *       properties:
+ *         message:   { type: string }
+ *         avatarUrl: { type: string, description: The 1024px avatar }
+ *         avatar:    { $ref: '#/components/schemas/Avatar' }
+ */
+
 /**
  * @swagger
  * /profiles/avatar:
@@ -100,28 +334,16 @@ const router = express.Router();
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - avatar
- *             properties:
- *               avatar:
- *                 type: string
- *                 format: binary
- *                 description: Avatar image file
+ *             $ref: '#/components/schemas/AvatarUpload'
  *     responses:
  *       200:
  *         description: Avatar uploaded successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 avatarUrl:
- *                   type: string
+ *               $ref: '#/components/schemas/AvatarUploadResult'
  *       400:
- *         description: No image file provided or invalid image
+ *         description: No image file provided, not a JPEG or PNG, or an invalid crop
  *       401:
  *         description: Invalid or missing authentication token
  *       403:
@@ -139,7 +361,14 @@ router.post('/avatar', authenticate, authorizeRoles('PLAYER'),upload.single('ava
  * /api/profiles:
  *   get:
  *     summary: Get all profiles (paginated + filterable)
+ *     description: |
+ *       Public. Fields a player has hidden from the caller come back null,
+ *       and filters on them don't match that player. Send a bearer token
+ *       to see what followers or verified scouts can.
  *     tags: [Profiles]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -147,22 +376,105 @@ router.post('/avatar', authenticate, authorizeRoles('PLAYER'),upload.single('ava
  *       - in: query
  *         name: limit
  *         schema: { type: integer, default: 10 }
+ *       - $ref: '#/components/parameters/DiscoverySearch'
+ *       - $ref: '#/components/parameters/DiscoveryPosition'
+ *       - $ref: '#/components/parameters/DiscoveryCountry'
+ *       - $ref: '#/components/parameters/DiscoveryCity'
+ *       - $ref: '#/components/parameters/DiscoveryGender'
+ *       - $ref: '#/components/parameters/DiscoveryFavouriteFoot'
+ *       - $ref: '#/components/parameters/DiscoveryMinAge'
+ *       - $ref: '#/components/parameters/DiscoveryMaxAge'
+ *       - $ref: '#/components/parameters/DiscoveryMinHeight'
+ *       - $ref: '#/components/parameters/DiscoveryMaxHeight'
+ *       - $ref: '#/components/parameters/DiscoveryLat'
+ *       - $ref: '#/components/parameters/DiscoveryLng'
+ *       - $ref: '#/components/parameters/DiscoveryRadiusKm'
+ *       - $ref: '#/components/parameters/DiscoveryMinReelRating'
+ *       - $ref: '#/components/parameters/DiscoveryMinReportScore'
+ *       - $ref: '#/components/parameters/DiscoveryReelCategoryId'
+ *       - $ref: '#/components/parameters/DiscoveryMinGoalsPer90'
+ *       - $ref: '#/components/parameters/DiscoveryMinAssistsPer90'
+ *       - $ref: '#/components/parameters/DiscoveryMinMinutes'
+ *       - $ref: '#/components/parameters/DiscoveryVerifiedStatsOnly'
+ *       - $ref: '#/components/parameters/DiscoveryMinCompleteness'
+ *     responses:
+ *       200:
+ *         description: Paginated list of profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Profile'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:       { type: integer }
+ *                     page:        { type: integer }
+ *                     limit:       { type: integer }
+ *                     totalPages:  { type: integer }
+ *                     hasNextPage: { type: boolean }
+ *                     hasPrevPage: { type: boolean }
+ *       400:
+ *         description: Invalid filter value
+ *       500:
+ *         description: Server error
+ */
+router.get('/', optionalAuth, profileController.getProfiles);
+
+/**
+ * @swagger
+ * /api/profiles/search:
+ *   get:
+ *     summary: Discover players (Scout/Admin)
+ *     description: |
+ *       Combines the discovery filters with cursor pagination. Pass
+ *       `meta.nextCursor` back as `cursor` for the next page. `relevance`
+ *       ranks by name match, average reel rating, average scout-report
+ *       score and scout-verified stats, across every match;
+ *       `recent` lists newest profiles first. Defaults to `relevance` when
+ *       `search` is given, otherwise `recent`. Fields a player hides from
+ *       the caller come back null, and filters on them don't match.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: query
- *         name: position
- *         schema: { type: string }
- *       - in: query
- *         name: country
- *         schema: { type: string }
+ *         name: sort
+ *         schema: { type: string, enum: [relevance, recent] }
  *       - in: query
- *         name: gender
+ *         name: cursor
  *         schema: { type: string }
  *       - in: query
- *         name: search
- *         schema: { type: string }
- *         description: Search by player fullname
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *       - $ref: '#/components/parameters/DiscoverySearch'
+ *       - $ref: '#/components/parameters/DiscoveryPosition'
+ *       - $ref: '#/components/parameters/DiscoveryCountry'
+ *       - $ref: '#/components/parameters/DiscoveryCity'
+ *       - $ref: '#/components/parameters/DiscoveryGender'
+ *       - $ref: '#/components/parameters/DiscoveryFavouriteFoot'
+ *       - $ref: '#/components/parameters/DiscoveryMinAge'
+ *       - $ref: '#/components/parameters/DiscoveryMaxAge'
+ *       - $ref: '#/components/parameters/DiscoveryMinHeight'
+ *       - $ref: '#/components/parameters/DiscoveryMaxHeight'
+ *       - $ref: '#/components/parameters/DiscoveryLat'
+ *       - $ref: '#/components/parameters/DiscoveryLng'
+ *       - $ref: '#/components/parameters/DiscoveryRadiusKm'
+ *       - $ref: '#/components/parameters/DiscoveryMinReelRating'
+ *       - $ref: '#/components/parameters/DiscoveryMinReportScore'
+ *       - $ref: '#/components/parameters/DiscoveryReelCategoryId'
+ *       - $ref: '#/components/parameters/DiscoveryMinGoalsPer90'
+ *       - $ref: '#/components/parameters/DiscoveryMinAssistsPer90'
+ *       - $ref: '#/components/parameters/DiscoveryMinMinutes'
+ *       - $ref: '#/components/parameters/DiscoveryVerifiedStatsOnly'
+ *       - $ref: '#/components/parameters/DiscoveryMinCompleteness'
  *     responses:
  *       200:
- *         description: Paginated list of profiles
+ *         description: One page of players
  *         content:
  *           application/json:
  *             schema:
@@ -171,27 +483,728 @@ router.post('/avatar', authenticate, authorizeRoles('PLAYER'),upload.single('ava
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Profile'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Profile'
+ *                       - type: object
+ *                         properties:
+ *                           relevance: { type: number, description: Only with sort=relevance }
  *                 meta:
  *                   type: object
  *                   properties:
- *                     total:       { type: integer }
+ *                     sort:        { type: string }
+ *                     limit:       { type: integer }
+ *                     hasNextPage: { type: boolean }
+ *                     nextCursor:  { type: string, nullable: true }
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Scouts and admins only
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', authenticate, authorizeRoles('SCOUT', 'ADMIN'), profileController.searchPlayers);
+
+/**
+ * @swagger
+ * /api/profiles/me/career:
+ *   get:
+ *     summary: Get own career history (Player)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Career entries, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CareerEntry' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a club or academy to own career history (Player)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CareerEntryInput'
+ *               - type: object
+ *                 required: [club, startDate]
+ *     responses:
+ *       201:
+ *         description: Career entry added
+ *       400:
+ *         description: Missing club or startDate, invalid date or squad level, or endDate before startDate
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/career', authenticate, authorizeRoles('PLAYER'), profileController.getMyCareer);
+router.post('/me/career', authenticate, authorizeRoles('PLAYER'), profileController.addCareerEntry);
+
+/**
+ * @swagger
+ * /api/profiles/me/viewers:
+ *   get:
+ *     summary: See who has viewed own profile (Player)
+ *     description: |
+ *       Views of GET /profiles/{id} and GET /users/players/{id}. The same
+ *       viewer reading the profile again within 30 minutes counts once.
+ *       Scouts are listed by name unless they browse anonymously; other
+ *       members, signed-out visitors and anonymous scouts only show up in
+ *       the counts. Admin reads aren't counted.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: weeks
+ *         description: How far back to look, counting the current week (weeks start Monday, UTC)
+ *         schema: { type: integer, default: 8, minimum: 1, maximum: 26 }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Named scout viewers (paginated, most recent first), counts and a weekly breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     viewers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           scout:
+ *                             type: object
+ *                             properties:
+ *                               id:                 { type: integer }
+ *                               fullname:           { type: string }
+ *                               avatarUrl:          { type: string, nullable: true }
+ *                               avatar:             { $ref: '#/components/schemas/Avatar' }
+ *                               club:               { type: string, nullable: true }
+ *                               verificationStatus: { type: string, enum: [UNVERIFIED, PENDING, VERIFIED, REJECTED] }
+ *                               organisation:
+ *                                 type: object
+ *                                 nullable: true
+ *                                 properties:
+ *                                   id:   { type: integer }
+ *                                   name: { type: string }
+ *                           views:        { type: integer }
+ *                           lastViewedAt: { type: string, format: date-time }
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalViews:          { type: integer }
+ *                         namedScoutViews:     { type: integer }
+ *                         anonymousScoutViews: { type: integer }
+ *                         memberViews:         { type: integer, description: Signed-in players and guardians }
+ *                         guestViews:          { type: integer, description: Signed-out visitors }
+ *                         uniqueNamedScouts:   { type: integer }
+ *                     weekly:
+ *                       type: array
+ *                       description: One row per week, oldest first, including weeks with no views
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           weekStart:   { type: string, format: date-time }
+ *                           views:       { type: integer }
+ *                           scoutViews:  { type: integer, description: Named and anonymous }
+ *                           namedScouts: { type: integer, description: Distinct scouts who viewed by name }
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:       { type: integer, description: Named scout viewers in the window }
  *                     page:        { type: integer }
  *                     limit:       { type: integer }
  *                     totalPages:  { type: integer }
  *                     hasNextPage: { type: boolean }
  *                     hasPrevPage: { type: boolean }
+ *                     weeks:       { type: integer }
+ *                     since:       { type: string, format: date-time }
+ *       400:
+ *         description: Invalid weeks
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/viewers', authenticate, authorizeRoles('PLAYER'), profileController.getMyViewers);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CompletenessStep:
+ *       type: object
+ *       properties:
+ *         key:    { type: string, enum: [position, reel, avatar, favouriteFoot, height, dob, career, bio, location, club] }
+ *         label:  { type: string }
+ *         weight: { type: integer, description: Points the step adds to the score }
+ *         done:   { type: boolean }
+ *     ProfileCompleteness:
+ *       type: object
+ *       properties:
+ *         score:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         steps:
+ *           type: array
+ *           description: Every step, in recommended order
+ *           items: { $ref: '#/components/schemas/CompletenessStep' }
+ *         nextSteps:
+ *           type: array
+ *           description: The first few steps not yet done
+ *           items: { $ref: '#/components/schemas/CompletenessStep' }
+ *       example:
+ *         score: 55
+ *         steps:
+ *           - { key: position, label: Add your playing position, weight: 15, done: true }
+ *           - { key: reel, label: Publish a highlight reel, weight: 15, done: false }
+ *         nextSteps:
+ *           - { key: reel, label: Publish a highlight reel, weight: 15, done: false }
+ */
+
+/**
+ * @swagger
+ * /api/profiles/me/completeness:
+ *   get:
+ *     summary: Get own profile completeness and onboarding checklist (Player)
+ *     description: |
+ *       The score is out of 100, built from profile fields, the avatar,
+ *       career history and having a processed, published reel. Scouts can
+ *       filter discovery on it (minCompleteness). Players whose score
+ *       stops moving get an occasional reminder email.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Score, every step and the next ones to do
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/ProfileCompleteness' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Profile not found
  *       500:
  *         description: Server error
  */
-router.get('/', profileController.getProfiles);
+router.get('/me/completeness', authenticate, authorizeRoles('PLAYER'), profileController.getMyCompleteness);
+
+/**
+ * @swagger
+ * /api/profiles/me/slug:
+ *   put:
+ *     summary: Choose the address of own public page (Player)
+ *     description: |
+ *       Players get a slug from their name when they sign up. Changing it
+ *       retires the old address straight away.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slug]
+ *             properties:
+ *               slug:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 40
+ *                 pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$'
+ *                 example: marcus-rashford
+ *     responses:
+ *       200:
+ *         description: Slug and the shareable page URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     slug: { type: string }
+ *                     url:  { type: string, description: The server-rendered page to share }
+ *       400:
+ *         description: Invalid or reserved slug
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Profile not found
+ *       409:
+ *         description: Slug already taken
+ *       500:
+ *         description: Server error
+ */
+router.put('/me/slug', authenticate, authorizeRoles('PLAYER'), profileController.updateMySlug);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfilePrivacy:
+ *       type: object
+ *       description: |
+ *         Who can see each profile field. PUBLIC — everyone; FOLLOWERS —
+ *         users who follow the player; VERIFIED_SCOUTS — scouts with the
+ *         verified badge; PRIVATE — nobody else. The player, their guardian
+ *         and admins always see everything. Hidden fields come back null
+ *         wherever the profile is shown, and discovery filters on them
+ *         don't match the player.
+ *       properties:
+ *         avatarUrl:     { $ref: '#/components/schemas/FieldVisibility' }
+ *         position:      { $ref: '#/components/schemas/FieldVisibility' }
+ *         height:        { $ref: '#/components/schemas/FieldVisibility' }
+ *         favouriteFoot: { $ref: '#/components/schemas/FieldVisibility' }
+ *         strengths:     { $ref: '#/components/schemas/FieldVisibility' }
+ *         gender:        { $ref: '#/components/schemas/FieldVisibility' }
+ *         country:       { $ref: '#/components/schemas/FieldVisibility' }
+ *         city:          { $ref: '#/components/schemas/FieldVisibility', description: Also governs the radius filter }
+ *         club:          { $ref: '#/components/schemas/FieldVisibility' }
+ *         dob:           { $ref: '#/components/schemas/FieldVisibility', description: Also governs age shown on reels and the age filters }
+ *         bio:           { $ref: '#/components/schemas/FieldVisibility' }
+ *     FieldVisibility:
+ *       type: string
+ *       enum: [PUBLIC, FOLLOWERS, VERIFIED_SCOUTS, PRIVATE]
+ *       default: PUBLIC
+ *     ProfilePrivacyUpdate:
+ *       type: object
+ *       required: [fields]
+ *       properties:
+ *         fields:
+ *           type: object
+ *           description: Fields to change; the rest keep their visibility
+ *           additionalProperties: { $ref: '#/components/schemas/FieldVisibility' }
+ *       example:
+ *         fields: { dob: VERIFIED_SCOUTS, city: FOLLOWERS, height: PUBLIC }
+ */
+
+/**
+ * @swagger
+ * /api/profiles/me/privacy:
+ *   get:
+ *     summary: Get own field visibility settings (Player)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Visibility of every field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/ProfilePrivacy' }
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Change who can see profile fields (Player)
+ *     description: Guardians can do the same for a ward via PUT /guardians/wards/{playerId}/privacy.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfilePrivacyUpdate'
+ *     responses:
+ *       200:
+ *         description: Updated settings for every field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/ProfilePrivacy' }
+ *       400:
+ *         description: Missing fields, unknown field or invalid visibility
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/privacy', authenticate, authorizeRoles('PLAYER'), profileController.getMyPrivacy);
+router.put('/me/privacy', authenticate, authorizeRoles('PLAYER'), profileController.updateMyPrivacy);
+
+/**
+ * @swagger
+ * /api/profiles/me/career/{entryId}:
+ *   put:
+ *     summary: Update a career entry (Player)
+ *     description: Only the fields sent are changed. Send `endDate` as null to mark the spell as current.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CareerEntryInput'
+ *     responses:
+ *       200:
+ *         description: Career entry updated
+ *       400:
+ *         description: Invalid ID, date or squad level, or endDate before startDate
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Career entry not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a career entry (Player)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Career entry deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Career entry not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/me/career/:entryId', authenticate, authorizeRoles('PLAYER'), profileController.updateCareerEntry);
+router.delete('/me/career/:entryId', authenticate, authorizeRoles('PLAYER'), profileController.deleteCareerEntry);
+
+/**
+ * @swagger
+ * /api/profiles/me/career/{entryId}/stats:
+ *   post:
+ *     summary: Add a season's stats to a career entry (Player)
+ *     description: Stats start as SELF_REPORTED until a verified scout confirms them.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SeasonStatInput'
+ *               - type: object
+ *                 required: [season]
+ *     responses:
+ *       201:
+ *         description: Season stats added
+ *       400:
+ *         description: Invalid season or counts, or minutes without appearances
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Career entry not found
+ *       409:
+ *         description: This season already has stats at this club
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/career/:entryId/stats', authenticate, authorizeRoles('PLAYER'), profileController.addSeasonStats);
+
+/**
+ * @swagger
+ * /api/profiles/me/stats/{statId}:
+ *   put:
+ *     summary: Update own season stats (Player)
+ *     description: Any change puts verified stats back to SELF_REPORTED.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: statId
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SeasonStatInput'
+ *     responses:
+ *       200:
+ *         description: Season stats updated
+ *       400:
+ *         description: Invalid ID, season or counts
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Season stats not found
+ *       409:
+ *         description: This season already has stats at this club
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete own season stats (Player)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: statId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Season stats deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Players only
+ *       404:
+ *         description: Season stats not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/me/stats/:statId', authenticate, authorizeRoles('PLAYER'), profileController.updateSeasonStats);
+router.delete('/me/stats/:statId', authenticate, authorizeRoles('PLAYER'), profileController.deleteSeasonStats);
+
+/**
+ * @swagger
+ * /api/profiles/stats/{statId}/verify:
+ *   post:
+ *     summary: Verify a player's season stats (Verified scout)
+ *     description: A scout in an organisation verifies on its behalf; the organisation is shown with the stats.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: statId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Season stats verified
+ *       400:
+ *         description: Invalid ID, or already verified
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Verified scouts only
+ *       404:
+ *         description: Season stats not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/stats/:statId/verify', authenticate, authorizeRoles('SCOUT'), requireVerifiedScout, profileController.verifySeasonStats);
+
+/**
+ * @swagger
+ * /api/profiles/{id}/stats:
+ *   get:
+ *     summary: Get a player's season stats
+ *     tags: [Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *         description: The player's user ID
+ *     responses:
+ *       200:
+ *         description: Stat lines with their club, most recent season first
+ *       400:
+ *         description: Invalid user ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/stats', profileController.getPlayerStats);
+
+/**
+ * @swagger
+ * /api/profiles/{id}/stats/totals:
+ *   get:
+ *     summary: Get a player's career totals and per-90 rates
+ *     tags: [Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *         description: The player's user ID
+ *       - in: query
+ *         name: verifiedOnly
+ *         schema: { type: boolean }
+ *         description: Count scout-verified seasons only
+ *     responses:
+ *       200:
+ *         description: Totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     seasons:         { type: integer }
+ *                     verifiedSeasons: { type: integer }
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         appearances: { type: integer }
+ *                         minutes:     { type: integer }
+ *                         goals:       { type: integer }
+ *                         assists:     { type: integer }
+ *                     per90:
+ *                       type: object
+ *                       description: Null when there are no minutes
+ *                       properties:
+ *                         goals:             { type: number, nullable: true }
+ *                         assists:           { type: number, nullable: true }
+ *                         goalContributions: { type: number, nullable: true }
+ *       400:
+ *         description: Invalid user ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/stats/totals', profileController.getPlayerStatTotals);
+
+/**
+ * @swagger
+ * /api/profiles/{id}/cv.pdf:
+ *   get:
+ *     summary: Download a player's CV as a PDF
+ *     description: |
+ *       A branded one-to-two page CV: avatar, bio, physical attributes,
+ *       career timeline with season stats, career totals, and QR codes
+ *       linking to the player's top reels. Averaged scout-report scores
+ *       are included only if the player has turned `cvShowScoutReports`
+ *       on (PUT /profiles/{id}), and never from an organisation's reports.
+ *
+ *       Everyone gets the same document — built from the fields the player
+ *       keeps PUBLIC, with age rather than date of birth — so it can be
+ *       forwarded freely. It's cached and rebuilt whenever anything on it
+ *       changes. Under-18s' CVs are only available to others once their
+ *       guardian has consented.
+ *     tags: [Profiles]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The player's user ID
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The CV
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       304:
+ *         description: Unchanged since the ETag sent in If-None-Match
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: Player not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/cv.pdf', optionalAuth, profileController.getCv);
 
 /**
  * @swagger
  * /api/profiles/{id}:
  *   get:
  *     summary: Get a profile by ID
+ *     description: |
+ *       Public. With a bearer token the read is counted as a view the
+ *       player can see (GET /profiles/me/viewers). Fields the player has
+ *       hidden from the caller come back null (GET /profiles/me/privacy).
  *     tags: [Profiles]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -211,7 +1224,7 @@ router.get('/', profileController.getProfiles);
  *       500:
  *         description: Server error
  */
-router.get('/:id', profileController.getProfileById);
+router.get('/:id', optionalAuth, profileController.getProfileById);
 
 /**
  * @swagger
@@ -238,7 +1251,7 @@ router.get('/:id', profileController.getProfileById);
  *             schema:
  *               $ref: '#/components/schemas/Profile'
  *       400:
- *         description: Invalid profile ID
+ *         description: Invalid input, or a player under 18 without a guardian email
  *       404:
  *         description: Profile not found
  *       500:
@@ -0,0 +1,104 @@
+import express from 'express';
+import publicController from '../controllers/publicController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public
+ *   description: |
+ *     Pages anyone can open without an account, for sharing outside the
+ *     app. They show only what a player keeps PUBLIC (see
+ *     /api/profiles/me/privacy). Under-18s get a public page once their
+ *     guardian has consented.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicPlayer:
+ *       type: object
+ *       properties:
+ *         slug:     { type: string }
+ *         url:      { type: string, description: 'The URL to share — /public/players/{slug} on this server' }
+ *         appUrl:   { type: string, description: The player in the web app }
+ *         fullname: { type: string }
+ *         profile:
+ *           type: object
+ *           description: Fields the player hides from signed-out visitors are null
+ *           properties:
+ *             avatarUrl:     { type: string, nullable: true }
+ *             position:      { type: string, nullable: true }
+ *             height:        { type: number, nullable: true }
+ *             favouriteFoot: { type: string, nullable: true }
+ *             strengths:     { type: string, nullable: true }
+ *             gender:        { type: string, nullable: true }
+ *             country:       { type: string, nullable: true }
+ *             city:          { type: string, nullable: true }
+ *             club:          { type: string, nullable: true }
+ *             bio:           { type: string, nullable: true }
+ *             age:           { type: integer, nullable: true, description: The date of birth itself is never shown }
+ *         reels:
+ *           type: array
+ *           description: Up to 6 published reels, best rated first
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:            { type: integer }
+ *               title:         { type: string }
+ *               thumbnailUrl:  { type: string, nullable: true }
+ *               videoUrl:      { type: string }
+ *               durationSec:   { type: integer, nullable: true }
+ *               createdAt:     { type: string, format: date-time }
+ *               category:
+ *                 type: object
+ *                 properties:
+ *                   id:    { type: integer }
+ *                   title: { type: string }
+ *               averageRating: { type: number, nullable: true }
+ *               ratingsCount:  { type: integer }
+ */
+
+/**
+ * @swagger
+ * /public/players/{slug}:
+ *   servers:
+ *     - url: /
+ *       description: Public pages are served from the site root, not under /api
+ *   get:
+ *     summary: A player's public page — the URL to share
+ *     description: |
+ *       One URL for people and programs. Browsers and link-preview crawlers
+ *       (anything that accepts HTML, or any type) get a server-rendered page
+ *       with Open Graph and Twitter card tags, so shared links preview with
+ *       the player's name, position, club and a reel thumbnail (or their
+ *       avatar). Send `Accept: application/json` for the data instead.
+ *     tags: [Public]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string }
+ *         example: marcus-rashford
+ *     responses:
+ *       200:
+ *         description: The public profile and top reels
+ *         content:
+ *           text/html:
+ *             schema: { type: string }
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/PublicPlayer' }
+ *       404:
+ *         description: No such player, or they have no public page
+ *       500:
+ *         description: Server error
+ */
+router.get('/players/:slug', publicController.getPlayer);
+
+export default router;
@@ -53,6 +53,8 @@ const router = Router();
  *           type: string
  *           nullable: true
  *           example: https://storage.googleapis.com/bucket/avatars/7.jpg
+ *         avatar:
+ *           $ref: '#/components/schemas/Avatar'
  *         position:
  *           type: string
  *           nullable: true
@@ -93,14 +95,12 @@ const router = Router();
  *         fullname:
  *           type: string
  *           example: Jane Smith
- *         profile:
- *           type: object
+ *         avatarUrl:
+ *           type: string
  *           nullable: true
- *           properties:
- *             avatarUrl:
- *               type: string
- *               nullable: true
- *               example: https://storage.googleapis.com/bucket/avatars/3.jpg
+ *           example: https://storage.googleapis.com/bucket/avatars/3.jpg
+ *         avatar:
+ *           $ref: '#/components/schemas/Avatar'
  *
  *     ReelComment:
  *       type: object
@@ -282,6 +282,9 @@ const router = Router();
  *           example: false
  *         message:
  *           type: string
+ *         code:
+ *           type: string
+ *           description: Machine-readable reason, when there is one (e.g. GUARDIAN_CONSENT_REQUIRED)
  *
  *   responses:
  *     BadRequest:
@@ -431,14 +434,22 @@ const router = Router();
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
- *         description: Authenticated user is not a PLAYER.
+ *         description: |
+ *           Authenticated user is not a PLAYER, or an under-18 asked to
+ *           publish before their guardian consented (`code`
+ *           GUARDIAN_CONSENT_REQUIRED — upload as a draft instead).
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorEnvelope'
- *             example:
- *               success: false
- *               message: Only players can upload reels.
+ *             examples:
+ *               notPlayer:
+ *                 value: { success: false, message: Only players can upload reels. }
+ *               guardianConsent:
+ *                 value:
+ *                   success: false
+ *                   message: A guardian must give consent before you can publish reels
+ *                   code: GUARDIAN_CONSENT_REQUIRED
  *       500:
  *         description: Database or upload failure.
  *         content:
@@ -0,0 +1,270 @@
+import express from 'express';
+import reportTemplateController from '../controllers/reportTemplateController.js';
+import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *
+ *     ReportTemplateAttribute:
+ *       type: object
+ *       required: [key, label]
+ *       properties:
+ *         key:
+ *           type: string
+ *           pattern: '^[a-zA-Z][a-zA-Z0-9_]{0,39}$'
+ *           description: Unique across the template — report answers are keyed by it
+ *         label:    { type: string, maxLength: 80 }
+ *         type:     { type: string, enum: [rating, text], default: rating }
+ *         scale:
+ *           type: string
+ *           enum: ['1-5', '1-10', 'A-E']
+ *           description: Required for ratings. A is the best letter grade.
+ *         required: { type: boolean, default: false }
+ *
+ *     ReportTemplateSection:
+ *       type: object
+ *       required: [key, title, attributes]
+ *       properties:
+ *         key:   { type: string, pattern: '^[a-zA-Z][a-zA-Z0-9_]{0,39}$' }
+ *         title: { type: string, maxLength: 80 }
+ *         attributes:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ReportTemplateAttribute' }
+ *
+ *     ReportTemplateVersion:
+ *       type: object
+ *       properties:
+ *         id:        { type: integer }
+ *         version:   { type: integer }
+ *         createdAt: { type: string, format: date-time }
+ *         sections:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ReportTemplateSection' }
+ *
+ *     ReportTemplate:
+ *       type: object
+ *       properties:
+ *         id:             { type: integer }
+ *         name:           { type: string }
+ *         description:    { type: string, nullable: true }
+ *         isDefault:      { type: boolean, description: The standard report every scout can use }
+ *         organisationId: { type: integer, nullable: true }
+ *         archivedAt:     { type: string, format: date-time, nullable: true }
+ *         createdAt:      { type: string, format: date-time }
+ *         updatedAt:      { type: string, format: date-time }
+ *         createdBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ *         currentVersion: { $ref: '#/components/schemas/ReportTemplateVersion' }
+ *
+ *     ReportTemplateInput:
+ *       type: object
+ *       required: [name, sections]
+ *       properties:
+ *         name:        { type: string, maxLength: 100 }
+ *         description: { type: string, maxLength: 500 }
+ *         sections:
+ *           type: array
+ *           maxItems: 20
+ *           items: { $ref: '#/components/schemas/ReportTemplateSection' }
+ *       example:
+ *         name: Goalkeeper report
+ *         sections:
+ *           - key: shotStopping
+ *             title: Shot stopping
+ *             attributes:
+ *               - { key: reflexes, label: Reflexes, type: rating, scale: '1-5', required: true }
+ *               - { key: positioning, label: Positioning, type: rating, scale: '1-5' }
+ *           - key: distribution
+ *             title: Distribution
+ *             attributes:
+ *               - { key: kicking, label: Kicking, type: rating, scale: A-E }
+ *               - { key: distributionNotes, label: Notes, type: text }
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Report Templates
+ *   description: |
+ *     Layouts for scout reports. Organisation owners define their own;
+ *     members file reports with them, alongside the default template every
+ *     scout has. Changing a template's sections adds a new version —
+ *     reports keep the version they were filed against.
+ */
+
+/**
+ * @swagger
+ * /api/reportTemplates:
+ *   get:
+ *     summary: Templates you can file reports with (the default plus your organisation's)
+ *     tags: [Report Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Default template first, then by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ReportTemplate' }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied - scouts only }
+ *       500: { description: Server error }
+ */
+router.get('/', authenticate, authorizeRoles('SCOUT'), reportTemplateController.list);
+
+/**
+ * @swagger
+ * /api/reportTemplates:
+ *   post:
+ *     summary: Create a template for your organisation (owners only)
+ *     tags: [Report Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportTemplateInput'
+ *     responses:
+ *       201:
+ *         description: Template created as version 1
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/ReportTemplate' }
+ *       400: { description: Invalid name or sections }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not an organisation owner }
+ *       404: { description: You are not part of an organisation }
+ *       500: { description: Server error }
+ */
+router.post('/', authenticate, authorizeRoles('SCOUT'), reportTemplateController.create);
+
+/**
+ * @swagger
+ * /api/reportTemplates/{id}:
+ *   get:
+ *     summary: Get a template, at its current or an older version
+ *     tags: [Report Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: version
+ *         schema: { type: integer }
+ *         description: Returned as `currentVersion` in place of the latest
+ *     responses:
+ *       200:
+ *         description: Template found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/ReportTemplate' }
+ *       400: { description: Invalid template ID or version }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied - scouts only }
+ *       404: { description: Template or version not found }
+ *       500: { description: Server error }
+ */
+router.get('/:id', authenticate, authorizeRoles('SCOUT'), reportTemplateController.getById);
+
+/**
+ * @swagger
+ * /api/reportTemplates/{id}:
+ *   put:
+ *     summary: Update a template (owners only)
+ *     description: |
+ *       Name and description change in place. Sending `sections` that
+ *       differ from the current ones creates the next version; existing
+ *       reports keep theirs.
+ *     tags: [Report Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:        { type: string, maxLength: 100 }
+ *               description: { type: string, maxLength: 500, nullable: true }
+ *               sections:
+ *                 type: array
+ *                 items: { $ref: '#/components/schemas/ReportTemplateSection' }
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/ReportTemplate' }
+ *       400: { description: Invalid template ID, name or sections }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not an organisation owner }
+ *       404: { description: Template not found (or the default template, which can't be edited) }
+ *       409: { description: Template archived, or changed by someone else meanwhile }
+ *       500: { description: Server error }
+ */
+router.put('/:id', authenticate, authorizeRoles('SCOUT'), reportTemplateController.update);
+
+/**
+ * @swagger
+ * /api/reportTemplates/{id}:
+ *   delete:
+ *     summary: Archive a template (owners only)
+ *     description: It can no longer be picked for new reports. Reports already filed with it are unchanged.
+ *     tags: [Report Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Template archived }
+ *       400: { description: Invalid template ID }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not an organisation owner }
+ *       404: { description: Template not found }
+ *       500: { description: Server error }
+ */
+router.delete('/:id', authenticate, authorizeRoles('SCOUT'), reportTemplateController.archive);
+
+export default router;
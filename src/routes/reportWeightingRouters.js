@@ -0,0 +1,159 @@
+import express from 'express';
+import reportWeightingController from '../controllers/reportWeightingController.js';
+import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *
+ *     ReportWeights:
+ *       type: object
+ *       description: |
+ *         Weight per attribute key, from 0 to 10. Attributes not listed
+ *         weigh 1; 0 leaves an attribute out of the score.
+ *       additionalProperties: { type: number, minimum: 0, maximum: 10 }
+ *       example:
+ *         pace: 3
+ *         dribbling: 3
+ *         agilityBalance: 2
+ *         heading: 0.5
+ *
+ *     ReportWeighting:
+ *       type: object
+ *       properties:
+ *         id:        { type: integer }
+ *         position:  { type: string, description: Lower-cased, matched against player profile positions }
+ *         weights:   { $ref: '#/components/schemas/ReportWeights' }
+ *         createdAt: { type: string, format: date-time }
+ *         updatedAt: { type: string, format: date-time }
+ *         updatedBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:       { type: integer }
+ *             fullname: { type: string }
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Report Weightings
+ *   description: |
+ *     How much each attribute counts towards report scores, per player
+ *     position. Organisation owners set them; they apply to reports filed
+ *     into the organisation. Saving or removing a weighting re-scores the
+ *     organisation's reports for that position.
+ */
+
+/**
+ * @swagger
+ * /api/reportWeightings:
+ *   get:
+ *     summary: Your organisation's weightings
+ *     tags: [Report Weightings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: By position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ReportWeighting' }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied - scouts only }
+ *       404: { description: You are not part of an organisation }
+ *       500: { description: Server error }
+ */
+router.get('/', authenticate, authorizeRoles('SCOUT'), reportWeightingController.list);
+
+/**
+ * @swagger
+ * /api/reportWeightings/{position}:
+ *   put:
+ *     summary: Set the weighting for a position (owners only)
+ *     description: Replaces any existing weighting for the position, then re-scores the reports it covers.
+ *     tags: [Report Weightings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: position
+ *         required: true
+ *         schema: { type: string, maxLength: 50 }
+ *         description: Case-insensitive, e.g. Winger
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [weights]
+ *             properties:
+ *               weights: { $ref: '#/components/schemas/ReportWeights' }
+ *     responses:
+ *       200:
+ *         description: Weighting saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ReportWeighting'
+ *                     - type: object
+ *                       properties:
+ *                         rescored: { type: integer, description: Reports re-scored }
+ *       400: { description: Invalid position or weights }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not an organisation owner }
+ *       404: { description: You are not part of an organisation }
+ *       500: { description: Server error }
+ */
+router.put('/:position', authenticate, authorizeRoles('SCOUT'), reportWeightingController.set);
+
+/**
+ * @swagger
+ * /api/reportWeightings/{position}:
+ *   delete:
+ *     summary: Remove the weighting for a position (owners only)
+ *     description: Its reports are re-scored with equal weights.
+ *     tags: [Report Weightings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: position
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Weighting removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rescored: { type: integer }
+ *       400: { description: Invalid position }
+ *       401: { description: Not authenticated }
+ *       403: { description: Not an organisation owner }
+ *       404: { description: Not part of an organisation, or no weighting for that position }
+ *       500: { description: Server error }
+ */
+router.delete('/:position', authenticate, authorizeRoles('SCOUT'), reportWeightingController.remove);
+
+export default router;
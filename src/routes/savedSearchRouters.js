@@ -0,0 +1,253 @@
+import express from 'express';
+import savedSearchController from '../controllers/savedSearchController.js';
+import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         id:            { type: integer }
+ *         name:          { type: string }
+ *         filters:
+ *           type: object
+ *           description: Discovery filters, same keys as the /profiles/search query (search, position, minAge, radiusKm, minReelRating…)
+ *         alertsEnabled: { type: boolean }
+ *         lastCheckedAt: { type: string, format: date-time, nullable: true }
+ *         createdAt:     { type: string, format: date-time }
+ *         updatedAt:     { type: string, format: date-time }
+ *       example:
+ *         id: 4
+ *         name: Left-footed U19 wingers near Lagos
+ *         filters: { position: Winger, favouriteFoot: Left, maxAge: 19, lat: 6.52, lng: 3.38, radiusKm: 50 }
+ *         alertsEnabled: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Saved Searches
+ *   description: |
+ *     Scouts save player discovery filters and get an email when new
+ *     players match. Matches are checked once a day; the first alert only
+ *     covers players who turn up after the search was saved.
+ */
+
+/**
+ * @swagger
+ * /savedSearches:
+ *   get:
+ *     summary: List own saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches, newest first, with match counts
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Scouts only
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Save a search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, filters]
+ *             properties:
+ *               name:          { type: string }
+ *               filters:       { type: object }
+ *               alertsEnabled: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/SavedSearch' }
+ *       400:
+ *         description: Missing name or invalid filters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Scouts only
+ *       409:
+ *         description: Saved search limit (20) reached
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, authorizeRoles('SCOUT'), savedSearchController.getAll);
+router.post('/', authenticate, authorizeRoles('SCOUT'), savedSearchController.create);
+
+/**
+ * @swagger
+ * /savedSearches/{id}:
+ *   get:
+ *     summary: Get a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Saved search
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Rename, change filters or toggle alerts
+ *     description: New filters start from a fresh snapshot — players already matching aren't alerted.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:          { type: string }
+ *               filters:       { type: object }
+ *               alertsEnabled: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       400:
+ *         description: Invalid ID, empty name or invalid filters
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, authorizeRoles('SCOUT'), savedSearchController.getById);
+router.patch('/:id', authenticate, authorizeRoles('SCOUT'), savedSearchController.update);
+router.delete('/:id', authenticate, authorizeRoles('SCOUT'), savedSearchController.delete);
+
+/**
+ * @swagger
+ * /savedSearches/{id}/results:
+ *   get:
+ *     summary: Run a saved search
+ *     description: Same response and cursor pagination as /profiles/search.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [relevance, recent] }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200:
+ *         description: One page of players
+ *       400:
+ *         description: Invalid ID, sort or cursor
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/results', authenticate, authorizeRoles('SCOUT'), savedSearchController.run);
+
+/**
+ * @swagger
+ * /savedSearches/{id}/matches:
+ *   get:
+ *     summary: Players who newly matched since the search was saved
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: since
+ *         schema: { type: string, format: date-time }
+ *         description: Only players first matched after this time
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Paginated new matches, newest first
+ *       400:
+ *         description: Invalid ID or since
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Saved search not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/matches', authenticate, authorizeRoles('SCOUT'), savedSearchController.getNewMatches);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { upload } from '../config/multer.js';
+import { upload, handleDocumentUpload } from '../config/multer.js';
 import scoutProfileController from '../controllers/scoutProfileController.js';
 import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
 
@@ -14,12 +14,18 @@ const router = express.Router();
  *       properties:
  *         id:        { type: integer }
  *         userId:    { type: integer }
- *         avatarUrl: { type: string }
+ *         avatarUrl: { type: string, description: The 1024px avatar }
+ *         avatarSizes:    { type: object, nullable: true, additionalProperties: { type: string }, description: Avatar URL per size (64, 256, 1024) }
+ *         avatarBlurhash: { type: string, nullable: true }
  *         club:      { type: string }
  *         country:   { type: string }
  *         city:      { type: string }
  *         address:   { type: string }
  *         bio:       { type: string }
+ *         verificationStatus:
+ *           type: string
+ *           enum: [UNVERIFIED, PENDING, VERIFIED, REJECTED]
+ *         verifiedAt: { type: string, format: date-time, nullable: true }
  *         createdAt: { type: string, format: date-time }
  *         user:
  *           type: object
@@ -54,6 +60,43 @@ const router = express.Router();
  *         city:    { type: string }
  *         address: { type: string }
  *         bio:     { type: string }
+ *         browseAnonymously:
+ *           type: boolean
+ *           description: Players still see that a scout viewed their profile, but not who
+ *
+ *     VerificationRequest:
+ *       type: object
+ *       properties:
+ *         id:              { type: integer }
+ *         status:          { type: string, enum: [PENDING, APPROVED, REJECTED] }
+ *         licenceNumber:   { type: string, nullable: true }
+ *         issuingBody:     { type: string, nullable: true }
+ *         note:            { type: string, nullable: true }
+ *         rejectionReason: { type: string, nullable: true }
+ *         reviewedAt:      { type: string, format: date-time, nullable: true }
+ *         createdAt:       { type: string, format: date-time }
+ *         documents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:           { type: integer }
+ *               mimeType:     { type: string }
+ *               originalName: { type: string }
+ *               sizeKB:       { type: integer }
+ *               url:
+ *                 type: string
+ *                 description: Signed link valid for 15 minutes (admin review only)
+ *
+ *     VerificationStatus:
+ *       type: object
+ *       properties:
+ *         verificationStatus:
+ *           type: string
+ *           enum: [UNVERIFIED, PENDING, VERIFIED, REJECTED]
+ *         verifiedAt: { type: string, format: date-time, nullable: true }
+ *         latestRequest:
+ *           $ref: '#/components/schemas/VerificationRequest'
  *
  *     Error:
  *       type: object
@@ -66,8 +109,10 @@ const router = express.Router();
 /**
  * @swagger
  * tags:
- *   name: ScoutProfiles
- *   description: Scout profile management
+ *   - name: ScoutProfiles
+ *     description: Scout profile management
+ *   - name: Scout Verification
+ *     description: Licence / ID verification for scouts, reviewed by admins
  */
 
 /**
@@ -83,23 +128,15 @@ const router = express.Router();
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required: [avatar]
- *             properties:
- *               avatar:
- *                 type: string
- *                 format: binary
+ *             $ref: '#/components/schemas/AvatarUpload'
  *     responses:
  *       200:
  *         description: Avatar uploaded successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:   { type: string }
- *                 avatarUrl: { type: string }
- *       400: { description: No image file provided }
+ *               $ref: '#/components/schemas/AvatarUploadResult'
+ *       400: { description: No image file provided, not a JPEG or PNG, or an invalid crop }
  *       401: { description: Not authenticated }
  *       403: { description: Access denied }
  *       404: { description: Scout profile not found }
@@ -114,6 +151,218 @@ router.post(
   scoutProfileController.uploadAvatar
 );
 
+/**
+ * @swagger
+ * /api/scoutProfiles/me/verification:
+ *   post:
+ *     summary: Submit licence or ID documents for verification
+ *     description: |
+ *       Up to 5 files (PDF, JPEG, PNG or WEBP, 10MB each) in the `documents`
+ *       field. Files are stored privately and only admins reviewing the
+ *       request can open them. The profile moves to PENDING until reviewed.
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [documents]
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 items: { type: string, format: binary }
+ *               licenceNumber: { type: string }
+ *               issuingBody:   { type: string, example: FIFA }
+ *               note:          { type: string }
+ *     responses:
+ *       201:
+ *         description: Verification request submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/VerificationRequest' }
+ *       400: { description: No documents, unsupported file type, or already verified }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied }
+ *       404: { description: Scout profile not found }
+ *       409: { description: A request is already waiting for review }
+ *       500: { description: Server error }
+ *   get:
+ *     summary: Get own verification status
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification status and latest request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/VerificationStatus' }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied }
+ *       404: { description: Scout profile not found }
+ *       500: { description: Server error }
+ */
+// ⚠️ Must be declared BEFORE /:id
+router.post(
+  '/me/verification',
+  authenticate,
+  authorizeRoles('SCOUT'),
+  handleDocumentUpload,
+  scoutProfileController.submitVerification
+);
+router.get('/me/verification', authenticate, authorizeRoles('SCOUT'), scoutProfileController.getVerificationStatus);
+
+/**
+ * @swagger
+ * /api/scoutProfiles/verifications:
+ *   get:
+ *     summary: List verification requests (admin review queue, oldest first)
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [PENDING, APPROVED, REJECTED], default: PENDING }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: Paginated verification requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VerificationRequest'
+ *                 meta:
+ *                   type: object
+ *       401: { description: Not authenticated }
+ *       403: { description: Admins only }
+ *       500: { description: Server error }
+ */
+router.get('/verifications', authenticate, authorizeRoles('ADMIN'), scoutProfileController.getVerificationQueue);
+
+/**
+ * @swagger
+ * /api/scoutProfiles/verifications/{id}:
+ *   get:
+ *     summary: Get a verification request with signed document links
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Verification request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/VerificationRequest' }
+ *       400: { description: Invalid request ID }
+ *       401: { description: Not authenticated }
+ *       403: { description: Admins only }
+ *       404: { description: Verification request not found }
+ *       500: { description: Server error }
+ */
+router.get('/verifications/:id', authenticate, authorizeRoles('ADMIN'), scoutProfileController.getVerificationRequest);
+
+/**
+ * @swagger
+ * /api/scoutProfiles/verifications/{id}/approve:
+ *   post:
+ *     summary: Approve a verification request
+ *     description: Marks the scout as verified and emails them.
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Scout verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/VerificationStatus' }
+ *       400: { description: Invalid ID or request already reviewed }
+ *       401: { description: Not authenticated }
+ *       403: { description: Admins only }
+ *       404: { description: Verification request not found }
+ *       500: { description: Server error }
+ */
+router.post('/verifications/:id/approve', authenticate, authorizeRoles('ADMIN'), scoutProfileController.approveVerification);
+
+/**
+ * @swagger
+ * /api/scoutProfiles/verifications/{id}/reject:
+ *   post:
+ *     summary: Reject a verification request
+ *     description: The reason is emailed to the scout, who can submit again.
+ *     tags: [Scout Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: Licence number does not match the document }
+ *     responses:
+ *       200:
+ *         description: Verification request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/VerificationStatus' }
+ *       400: { description: Missing reason, invalid ID or request already reviewed }
+ *       401: { description: Not authenticated }
+ *       403: { description: Admins only }
+ *       404: { description: Verification request not found }
+ *       500: { description: Server error }
+ */
+router.post('/verifications/:id/reject', authenticate, authorizeRoles('ADMIN'), scoutProfileController.rejectVerification);
+
 /**
  * @swagger
  * /api/scoutProfiles:
@@ -134,6 +383,10 @@ router.post(
  *         name: search
  *         schema: { type: string }
  *         description: Search by scout fullname
+ *       - in: query
+ *         name: verified
+ *         schema: { type: boolean }
+ *         description: Only return verified scouts when true
  *     responses:
  *       200:
  *         description: Paginated list of scout profiles
@@ -207,6 +460,7 @@ router.get('/:id', scoutProfileController.getScoutProfileById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ScoutProfile'
+ *       400: { description: browseAnonymously is not a boolean }
  *       401: { description: Not authenticated }
  *       403: { description: Access denied }
  *       404: { description: Scout profile not found }
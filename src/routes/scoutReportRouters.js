@@ -1,6 +1,6 @@
 import express from 'express';
 import scoutReportController from '../controllers/scoutReportController.js';
-import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+import { verifyToken as authenticate, authorizeRoles, requireVerifiedScout } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -9,45 +9,37 @@ const router = express.Router();
  * components:
  *   schemas:
  *
- *     AttributeScores:
+ *     ReportAnswers:
  *       type: object
- *       description: All graded attributes (1–10 each)
- *       properties:
- *         firstTouch:              { type: integer, minimum: 1, maximum: 10 }
- *         ballControl:             { type: integer, minimum: 1, maximum: 10 }
- *         dribbling:               { type: integer, minimum: 1, maximum: 10 }
- *         passingShort:            { type: integer, minimum: 1, maximum: 10 }
- *         passingLong:             { type: integer, minimum: 1, maximum: 10 }
- *         throughBalls:            { type: integer, minimum: 1, maximum: 10 }
- *         smartPass:               { type: integer, minimum: 1, maximum: 10 }
- *         shooting:                { type: integer, minimum: 1, maximum: 10 }
- *         heading:                 { type: integer, minimum: 1, maximum: 10 }
- *         tackling:                { type: integer, minimum: 1, maximum: 10 }
- *         weakerFoot:              { type: integer, minimum: 1, maximum: 10 }
- *         positionalAwareness:     { type: integer, minimum: 1, maximum: 10 }
- *         decisionMaking:          { type: integer, minimum: 1, maximum: 10 }
- *         movementOffBall:         { type: integer, minimum: 1, maximum: 10 }
- *         gameIntelligence:        { type: integer, minimum: 1, maximum: 10 }
- *         transitions:             { type: integer, minimum: 1, maximum: 10 }
- *         pace:                    { type: integer, minimum: 1, maximum: 10 }
- *         agilityBalance:          { type: integer, minimum: 1, maximum: 10 }
- *         strength:                { type: integer, minimum: 1, maximum: 10 }
- *         staminaWorkRate:         { type: integer, minimum: 1, maximum: 10 }
- *         jumpingRate:             { type: integer, minimum: 1, maximum: 10 }
- *         composure:               { type: integer, minimum: 1, maximum: 10 }
- *         braveryCommitment:       { type: integer, minimum: 1, maximum: 10 }
- *         determination:           { type: integer, minimum: 1, maximum: 10 }
- *         leadershipCommunication: { type: integer, minimum: 1, maximum: 10 }
- *         coachability:            { type: integer, minimum: 1, maximum: 10 }
+ *       description: |
+ *         Answers keyed by attribute key, as laid out by the report's
+ *         template version — a number for 1–5 and 1–10 scales, a letter
+ *         for A–E, text for text attributes. Required attributes must be
+ *         answered.
+ *       additionalProperties:
+ *         oneOf:
+ *           - { type: integer }
+ *           - { type: string }
+ *       example:
+ *         firstTouch: 9
+ *         ballControl: 8
+ *         pace: 9
+ *         composure: 8
  *
  *     ScoutReportInput:
  *       type: object
+ *       description: |
+ *         Reports written for the original fixed report may still send the
+ *         default template's attributes (firstTouch, pace, …) as top-level
+ *         fields instead of `answers`.
  *       required:
  *         - playerId
- *       allOf:
- *         - $ref: '#/components/schemas/AttributeScores'
  *       properties:
  *         playerId:            { type: integer }
+ *         templateId:
+ *           type: integer
+ *           description: The template to file against (its current version). Defaults to the default template.
+ *         answers:             { $ref: '#/components/schemas/ReportAnswers' }
  *         matchScouted:        { type: string }
  *         ageGroup:            { type: string }
  *         timesSeen:           { type: integer }
@@ -69,20 +61,23 @@ const router = express.Router();
  *         timesSeen: 3
  *         currentClub: "Demo FC"
  *         overallAssessment: "Excellent agility and strategic thinking."
- *         firstTouch: 9
- *         ballControl: 8
- *         pace: 9
- *         composure: 8
+ *         answers:
+ *           firstTouch: 9
+ *           ballControl: 8
+ *           pace: 9
+ *           composure: 8
  *         keyStrengths: ["Great vision", "Strong in duels"]
  *         areasForDevelopment: ["Stamina under pressure"]
  *         recommendation: "RECOMMEND_FOR_TRIAL"
  *
  *     ScoutReportUpdate:
  *       type: object
- *       description: All fields optional — only send what changed.
- *       allOf:
- *         - $ref: '#/components/schemas/AttributeScores'
+ *       description: |
+ *         All fields optional — only send what changed. The report stays on
+ *         its template version. `answers` replaces every answer; top-level
+ *         attribute fields change only those attributes.
  *       properties:
+ *         answers:             { $ref: '#/components/schemas/ReportAnswers' }
  *         matchScouted:        { type: string }
  *         ageGroup:            { type: string }
  *         timesSeen:           { type: integer }
@@ -104,7 +99,46 @@ const router = express.Router();
  *       properties:
  *         id:        { type: integer }
  *         createdAt: { type: string, format: date-time }
- *         scout:
+ *         score:
+ *           type: number
+ *           nullable: true
+ *           description: |
+ *             Weighted mean of the rating answers, each scaled to 0–10, using
+ *             the organisation's weighting for `scoredPosition` (equal weights
+ *             without one). Null with no ratings.
+ *         sectionScores:
+ *           type: object
+ *           description: The same, per template section, keyed by section key
+ *           additionalProperties: { type: number }
+ *           example: { technical: 7.8, tactical: 6.5, physical: 8.4, psychological: 7 }
+ *         scoredPosition:
+ *           type: string
+ *           nullable: true
+ *           description: |
+ *             The player's position (lower-cased) when the report was filed,
+ *             which picks the weighting. Null if the player hides their position.
+ *         templateVersion:
+ *           type: object
+ *           description: The layout the answers were given against
+ *           properties:
+ *             id:       { type: integer }
+ *             version:  { type: integer }
+ *             sections:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ReportTemplateSection' }
+ *             template:
+ *               type: object
+ *               properties:
+ *                 id:   { type: integer }
+ *                 name: { type: string }
+ *         organisation:
+ *           type: object
+ *           nullable: true
+ *           description: The organisation the scout belonged to when filing — all its members can read the report
+ *           properties:
+ *             id:   { type: integer }
+ *             name: { type: string }
+ *         scouter:
  *           type: object
  *           properties:
  *             id:       { type: integer }
@@ -125,6 +159,104 @@ const router = express.Router();
  *                 country:  { type: string }
  *                 city:     { type: string }
  *
+ *     RadarAxis:
+ *       type: object
+ *       properties:
+ *         section:
+ *           type: string
+ *           description: The section an attribute axis belongs to (attribute axes only)
+ *         label:   { type: string }
+ *         values:
+ *           type: array
+ *           description: Average on 0–10 per player, in the order of `players`; null where the player has no rating
+ *           items: { type: number, nullable: true }
+ *         leaders:
+ *           type: array
+ *           description: ID(s) of the player(s) with the highest value — more than one on a tie, none if nobody was rated
+ *           items: { type: integer }
+ *
+ *     PlayerComparison:
+ *       type: object
+ *       properties:
+ *         players:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:        { type: integer }
+ *               fullname:  { type: string }
+ *               avatarUrl: { type: string, nullable: true }
+ *               avatar:    { $ref: '#/components/schemas/Avatar' }
+ *               physical:
+ *                 type: object
+ *                 description: Null where the player hides the field from you
+ *                 properties:
+ *                   position:      { type: string, nullable: true }
+ *                   height:        { type: number, nullable: true }
+ *                   favouriteFoot: { type: string, nullable: true }
+ *                   age:           { type: integer, nullable: true }
+ *               reports:
+ *                 type: object
+ *                 properties:
+ *                   count:        { type: integer }
+ *                   averageScore: { type: number, nullable: true, description: Mean of the reports' overall scores (0–10) }
+ *                   recommendations:
+ *                     type: object
+ *                     description: Reports per recommendation
+ *                     properties:
+ *                       RECOMMEND_FOR_TRIAL:       { type: integer }
+ *                       FILE_FOR_FUTURE_REFERENCE: { type: integer }
+ *                       NOT_SUITABLE:              { type: integer }
+ *               reels:
+ *                 type: object
+ *                 description: Published reels only
+ *                 properties:
+ *                   published:     { type: integer }
+ *                   views:         { type: integer }
+ *                   averageViews:  { type: number, nullable: true }
+ *                   averageRating: { type: number, nullable: true, description: 1–5 }
+ *         radar:
+ *           type: object
+ *           description: |
+ *             Averaged report ratings, one axis per section and per attribute.
+ *             Players scouted on different templates line up by section title
+ *             and attribute label.
+ *           properties:
+ *             sections:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/RadarAxis' }
+ *             attributes:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/RadarAxis' }
+ *       example:
+ *         players:
+ *           - id: 10
+ *             fullname: Sam Carter
+ *             avatarUrl: null
+ *             avatar: null
+ *             physical: { position: Winger, height: 176, favouriteFoot: Left, age: 19 }
+ *             reports:
+ *               count: 3
+ *               averageScore: 7.4
+ *               recommendations: { RECOMMEND_FOR_TRIAL: 2, FILE_FOR_FUTURE_REFERENCE: 1, NOT_SUITABLE: 0 }
+ *             reels: { published: 4, views: 1210, averageViews: 302.5, averageRating: 4.2 }
+ *           - id: 14
+ *             fullname: Alex Moreno
+ *             avatarUrl: null
+ *             avatar: null
+ *             physical: { position: Forward, height: 183, favouriteFoot: Right, age: null }
+ *             reports:
+ *               count: 1
+ *               averageScore: 6.8
+ *               recommendations: { RECOMMEND_FOR_TRIAL: 0, FILE_FOR_FUTURE_REFERENCE: 1, NOT_SUITABLE: 0 }
+ *             reels: { published: 0, views: 0, averageViews: null, averageRating: null }
+ *         radar:
+ *           sections:
+ *             - { label: Physical, values: [8.1, 7.2], leaders: [10] }
+ *           attributes:
+ *             - { section: Physical, label: Pace, values: [9, 7], leaders: [10] }
+ *             - { section: Physical, label: Strength, values: [6.5, 7.5], leaders: [14] }
+ *
  *     Error:
  *       type: object
  *       properties:
@@ -137,7 +269,10 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: Scout Reports
- *   description: Scouting report management — scouts only
+ *   description: |
+ *     Scouting report management — scouts only. A scout sees the reports
+ *     they filed plus every report filed into their organisation; reports
+ *     outside that answer 404.
  */
 
 /**
@@ -145,6 +280,7 @@ const router = express.Router();
  * /api/scoutReports:
  *   post:
  *     summary: Create a new scout report
+ *     description: Filed as the signed-in scout, into their organisation if they have one.
  *     tags: [Scout Reports]
  *     security:
  *       - bearerAuth: []
@@ -156,20 +292,20 @@ const router = express.Router();
  *             $ref: '#/components/schemas/ScoutReportInput'
  *     responses:
  *       201: { description: Report created successfully }
- *       400: { description: Missing required fields }
+ *       400: { description: Missing required fields, answers that don't fit the template, or an archived template }
  *       401: { description: Not authenticated }
- *       403: { description: Access denied - scouts only }
- *       404: { description: Player not found }
+ *       403: { description: Access denied - verified scouts only (code SCOUT_NOT_VERIFIED when unverified) }
+ *       404: { description: Player or template not found }
  *       500: { description: Server error }
  */
 // ✅ SCOUT only - create a report
-router.post('/', authenticate, authorizeRoles('SCOUT'), scoutReportController.create);
+router.post('/', authenticate, authorizeRoles('SCOUT'), requireVerifiedScout, scoutReportController.create);
 
 /**
  * @swagger
  * /api/scoutReports:
  *   get:
- *     summary: Get all scout reports
+ *     summary: Get scout reports visible to you (your own + your organisation's)
  *     tags: [Scout Reports]
  *     security:
  *       - bearerAuth: []
@@ -177,7 +313,7 @@ router.post('/', authenticate, authorizeRoles('SCOUT'), scoutReportController.cr
  *       - in: query
  *         name: scoutId
  *         schema: { type: integer }
- *         description: Filter by scout
+ *         description: Filter by the scout who filed it
  *       - in: query
  *         name: playerId
  *         schema: { type: integer }
@@ -188,6 +324,10 @@ router.post('/', authenticate, authorizeRoles('SCOUT'), scoutReportController.cr
  *           type: string
  *           enum: [RECOMMEND_FOR_TRIAL, FILE_FOR_FUTURE_REFERENCE, NOT_SUITABLE]
  *       - in: query
+ *         name: templateId
+ *         schema: { type: integer }
+ *         description: Filter by template (any version)
+ *       - in: query
  *         name: page
  *         schema: { type: integer, default: 1 }
  *       - in: query
@@ -202,11 +342,49 @@ router.post('/', authenticate, authorizeRoles('SCOUT'), scoutReportController.cr
 // ✅ SCOUT only - view all reports
 router.get('/', authenticate, authorizeRoles('SCOUT'), scoutReportController.getAll);
 
+/**
+ * @swagger
+ * /api/scoutReports/compare:
+ *   get:
+ *     summary: Compare 2–4 players side by side
+ *     description: |
+ *       Report averages, recommendations and scores come from the reports
+ *       you can read (your own and your organisation's). Reel figures and
+ *       physical profile fields are the player's own, as far as they let you
+ *       see them.
+ *     tags: [Scout Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: playerIds
+ *         required: true
+ *         schema: { type: string }
+ *         example: 10,14,22
+ *         description: 2–4 player IDs, separated by commas
+ *     responses:
+ *       200:
+ *         description: Players in the order asked for, with radar axes aligned to them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/PlayerComparison' }
+ *       400: { description: Fewer than 2 or more than 4 players, or an invalid ID }
+ *       401: { description: Not authenticated }
+ *       403: { description: Access denied - scouts only }
+ *       404: { description: A player wasn't found }
+ *       500: { description: Server error }
+ */
+// ✅ SCOUT only - compare players (before /:id so "compare" isn't taken as an ID)
+router.get('/compare', authenticate, authorizeRoles('SCOUT'), scoutReportController.compare);
+
 /**
  * @swagger
  * /api/scoutReports/{id}:
  *   get:
- *     summary: Get a scout report by ID
+ *     summary: Get a scout report by ID (yours or your organisation's)
  *     tags: [Scout Reports]
  *     security:
  *       - bearerAuth: []
@@ -247,20 +425,20 @@ router.get('/:id', authenticate, authorizeRoles('SCOUT'), scoutReportController.
  *             $ref: '#/components/schemas/ScoutReportUpdate'
  *     responses:
  *       200: { description: Report updated successfully }
- *       400: { description: Invalid report ID }
+ *       400: { description: Invalid report ID, or answers that don't fit the report's template }
  *       401: { description: Not authenticated }
- *       403: { description: Not the report owner }
+ *       403: { description: Not the report owner, or scout not verified }
  *       404: { description: Report not found }
  *       500: { description: Server error }
  */
 // ✅ SCOUT only - update their own report
-router.put('/:id', authenticate, authorizeRoles('SCOUT'), scoutReportController.update);
+router.put('/:id', authenticate, authorizeRoles('SCOUT'), requireVerifiedScout, scoutReportController.update);
 
 /**
  * @swagger
  * /api/scoutReports/{id}:
  *   delete:
- *     summary: Delete a scout report
+ *     summary: Delete a scout report (its author, or an owner of its organisation)
  *     tags: [Scout Reports]
  *     security:
  *       - bearerAuth: []
@@ -273,11 +451,11 @@ router.put('/:id', authenticate, authorizeRoles('SCOUT'), scoutReportController.
  *       200: { description: Report deleted successfully }
  *       400: { description: Invalid report ID }
  *       401: { description: Not authenticated }
- *       403: { description: Access denied - scouts only }
+ *       403: { description: Not the author or an organisation owner }
  *       404: { description: Report not found }
  *       500: { description: Server error }
  */
-// ✅ SCOUT only - delete their own report
+// ✅ SCOUT only - delete their own report (or, as owner, their organisation's)
 router.delete('/:id', authenticate, authorizeRoles('SCOUT'), scoutReportController.delete);
 
 export default router;
\ No newline at end of file
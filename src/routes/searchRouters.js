@@ -0,0 +1,137 @@
+import express from 'express';
+import searchController from '../controllers/searchController.js';
+import { verifyToken as authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: |
+ *     One search box across player and scout names, bios and clubs, reel
+ *     titles and descriptions, and post content. Every word matches as a
+ *     prefix, so it doubles as autocomplete; names, clubs and reel titles
+ *     also match on near-miss spellings.
+ */
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search players, scouts, reels and posts
+ *     description: |
+ *       Results are grouped by type, best match first. `highlight` is an
+ *       HTML-escaped snippet with the matched words wrapped in `<mark>`.
+ *       Deleted accounts, blocked users and unpublished reels are left out.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, maxLength: 100 }
+ *         example: marc rash
+ *       - in: query
+ *         name: types
+ *         description: Comma-separated subset of players, scouts, reels, posts (default all)
+ *         schema: { type: string }
+ *         example: players,reels
+ *       - in: query
+ *         name: limit
+ *         description: Results per type
+ *         schema: { type: integer, default: 5, minimum: 1, maximum: 20 }
+ *     responses:
+ *       200:
+ *         description: Results grouped by type (only the requested types are present)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     players:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:        { type: integer }
+ *                           fullname:  { type: string }
+ *                           avatarUrl: { type: string, nullable: true }
+ *                           avatar:    { $ref: '#/components/schemas/Avatar' }
+ *                           position:  { type: string, nullable: true }
+ *                           club:      { type: string, nullable: true }
+ *                           country:   { type: string, nullable: true }
+ *                           city:      { type: string, nullable: true }
+ *                           rank:      { type: number }
+ *                           highlight: { type: string, nullable: true }
+ *                     scouts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:        { type: integer }
+ *                           fullname:  { type: string }
+ *                           avatarUrl: { type: string, nullable: true }
+ *                           avatar:    { $ref: '#/components/schemas/Avatar' }
+ *                           club:      { type: string, nullable: true }
+ *                           country:   { type: string, nullable: true }
+ *                           city:      { type: string, nullable: true }
+ *                           verified:  { type: boolean }
+ *                           rank:      { type: number }
+ *                           highlight: { type: string, nullable: true }
+ *                     reels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:           { type: integer }
+ *                           title:        { type: string }
+ *                           thumbnailUrl: { type: string, nullable: true }
+ *                           createdAt:    { type: string, format: date-time }
+ *                           player:
+ *                             type: object
+ *                             properties:
+ *                               id:       { type: integer }
+ *                               fullname: { type: string }
+ *                           rank:         { type: number }
+ *                           highlight:    { type: string, nullable: true }
+ *                     posts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:        { type: integer }
+ *                           createdAt: { type: string, format: date-time }
+ *                           user:
+ *                             type: object
+ *                             properties:
+ *                               id:       { type: integer }
+ *                               fullname: { type: string }
+ *                           rank:      { type: number }
+ *                           highlight: { type: string, nullable: true }
+ *             example:
+ *               query: marc rash
+ *               data:
+ *                 players:
+ *                   - id: 12
+ *                     fullname: Marcus Rashford
+ *                     club: Kano Pillars Academy
+ *                     position: Forward
+ *                     rank: 0.61
+ *                     highlight: "<mark>Marcus</mark> <mark>Rashford</mark> · Kano Pillars Academy · Forward"
+ *                 reels: []
+ *       400:
+ *         description: Missing or too long q, unknown type, or invalid limit
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, searchController.search);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
-import { verifyToken as authenticate, authorizeRoles } from '../middleware/auth.js';
+import { verifyToken as authenticate, authorizeRoles, requireVerifiedScout } from '../middleware/auth.js';
+import { authThrottle } from '../middleware/authThrottle.js';
 
 const router = express.Router();
 
@@ -21,7 +22,8 @@ const router = express.Router();
  *         id:           { type: integer }
  *         email:        { type: string, format: email }
  *         fullname:     { type: string }
- *         role:         { type: string, enum: [PLAYER, SCOUT, ADMIN] }
+ *         role:         { type: string, enum: [PLAYER, SCOUT, ADMIN, GUARDIAN] }
+ *         isVerified:   { type: boolean }
  *         createdAt:    { type: string, format: date-time }
  *       example:
  *         id: 1
@@ -37,7 +39,7 @@ const router = express.Router();
  *         email:    { type: string, format: email }
  *         password: { type: string, format: password, minLength: 6 }
  *         fullname: { type: string }
- *         role:     { type: string, enum: [PLAYER, SCOUT, ADMIN], default: PLAYER }
+ *         role:     { type: string, enum: [PLAYER, SCOUT, ADMIN, GUARDIAN], default: PLAYER }
  *       example:
  *         email: player@example.com
  *         password: securePassword123
@@ -48,22 +50,93 @@ const router = express.Router();
  *       type: object
  *       required: [email, password]
  *       properties:
- *         email:    { type: string, format: email }
- *         password: { type: string, format: password }
+ *         email:      { type: string, format: email }
+ *         password:   { type: string, format: password }
+ *         deviceName: { type: string, description: Shown in the session list, e.g. "Pixel 8" }
  *       example:
  *         email: player@example.com
  *         password: securePassword123
+ *         deviceName: Pixel 8
  *
  *     AuthResponse:
  *       type: object
  *       properties:
  *         message: { type: string }
- *         user:    { $ref: '#/components/schemas/User' }
- *         token:   { type: string }
+ *         user:         { $ref: '#/components/schemas/User' }
+ *         token:        { type: string, description: "Short-lived access token (15 min). Claims: userId, email, role, isVerified, sessionId" }
+ *         refreshToken: { type: string, description: Rotating refresh token — exchange at /users/refresh-token }
  *       example:
  *         message: Login successful
  *         user: { id: 1, email: player@example.com, fullname: John Doe, role: PLAYER }
  *         token: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         refreshToken: 9f2c4e...
+ *
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Returned by /users/login instead of tokens when a second factor is needed
+ *       properties:
+ *         message:                { type: string }
+ *         twoFactorRequired:      { type: boolean, description: Account has 2FA — send a code to /users/login/2fa }
+ *         twoFactorSetupRequired: { type: boolean, description: Admin without 2FA — enroll via /users/login/2fa/setup first }
+ *         challengeToken:         { type: string, description: Limited 5-minute token; not accepted as a bearer token }
+ *       example:
+ *         message: Enter the code from your authenticator app
+ *         twoFactorRequired: true
+ *         challengeToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *
+ *     TwoFactorLoginInput:
+ *       type: object
+ *       required: [challengeToken]
+ *       properties:
+ *         challengeToken: { type: string }
+ *         code:           { type: string, description: 6-digit authenticator code }
+ *         recoveryCode:   { type: string, description: Single-use recovery code, instead of `code` }
+ *       example:
+ *         challengeToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         code: "492817"
+ *
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         message:    { type: string }
+ *         secret:     { type: string, description: Base32 secret for manual entry }
+ *         otpauthUrl: { type: string, description: Provisioning URI — render as a QR code }
+ *       example:
+ *         secret: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *         otpauthUrl: otpauth://totp/ScouterPro%3Ascout%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=ScouterPro&algorithm=SHA1&digits=6&period=30
+ *
+ *     TwoFactorCodeInput:
+ *       type: object
+ *       properties:
+ *         code:         { type: string, description: 6-digit authenticator code }
+ *         recoveryCode: { type: string, description: "Only accepted by DELETE /users/me/2fa" }
+ *
+ *     RecoveryCodes:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         recoveryCodes:
+ *           type: array
+ *           items: { type: string }
+ *           description: Shown once — each works a single time
+ *
+ *     RefreshTokenInput:
+ *       type: object
+ *       required: [refreshToken]
+ *       properties:
+ *         refreshToken: { type: string }
+ *
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:         { type: integer }
+ *         deviceName: { type: string }
+ *         userAgent:  { type: string }
+ *         ipAddress:  { type: string }
+ *         createdAt:  { type: string, format: date-time }
+ *         lastUsedAt: { type: string, format: date-time }
+ *         expiresAt:  { type: string, format: date-time }
+ *         current:    { type: boolean, description: True for the session making the request }
  *
  *     OtpInput:
  *       type: object
@@ -103,13 +176,35 @@ const router = express.Router();
  *         currentPassword: oldPassword123
  *         newPassword: newSecurePassword123
  *
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         id:          { type: integer }
+ *         status:      { type: string, enum: [PENDING, PROCESSING, READY, FAILED, EXPIRED] }
+ *         fileSize:    { type: integer, nullable: true, description: Bytes (gzipped) }
+ *         error:       { type: string, nullable: true }
+ *         createdAt:   { type: string, format: date-time }
+ *         completedAt: { type: string, format: date-time, nullable: true }
+ *         expiresAt:   { type: string, format: date-time, nullable: true }
+ *         downloadUrl: { type: string, description: "Signed URL — only when fetching a single READY export" }
+ *
+ *     ChangeEmailInput:
+ *       type: object
+ *       required: [newEmail, password]
+ *       properties:
+ *         newEmail: { type: string, format: email }
+ *         password: { type: string, format: password, description: Current password }
+ *       example:
+ *         newEmail: new.address@example.com
+ *         password: securePassword123
+ *
  *     UserUpdate:
  *       type: object
  *       properties:
  *         email:    { type: string, format: email }
  *         password: { type: string, format: password, minLength: 6 }
  *         fullname: { type: string }
- *         role:     { type: string, enum: [PLAYER, SCOUT, ADMIN] }
+ *         role:     { type: string, enum: [PLAYER, SCOUT, ADMIN, GUARDIAN] }
  *       example:
  *         email: newemail@example.com
  *         fullname: Jane Doe
@@ -120,257 +215,1010 @@ const router = express.Router();
  *         message: { type: string }
  *       example:
  *         message: Error description
+ *
+ *     EmailNotVerified:
+ *       type: object
+ *       description: Returned by any authenticated route outside the unverified allow-list (src/config/verificationGate.js)
+ *       properties:
+ *         success: { type: boolean }
+ *         code:    { type: string, enum: [EMAIL_NOT_VERIFIED] }
+ *         message: { type: string }
+ *       example:
+ *         success: false
+ *         code: EMAIL_NOT_VERIFIED
+ *         message: Please verify your email address to continue
+ *
+ *     TooManyRequests:
+ *       type: object
+ *       properties:
+ *         message:    { type: string }
+ *         retryAfter: { type: integer, description: Seconds until the next attempt is allowed }
+ *       example:
+ *         message: Too many failed attempts. Please try again later.
+ *         retryAfter: 840
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Authentication
+ *     description: Register, login, OTP verification
+ *   - name: Password
+ *     description: Forgot, reset, and update password flows
+ *   - name: Email
+ *     description: Self-service email change with confirmation and revert
+ *   - name: Sessions
+ *     description: Refresh tokens, device sessions and logout
+ *   - name: Two-Factor
+ *     description: TOTP two-factor authentication (optional for scouts, required for admins)
+ *   - name: Account Deletion
+ *     description: Self-service deletion with a grace period, and its audit trail
+ *   - name: Data Export
+ *     description: Download a copy of your personal data
+ *   - name: Impersonation
+ *     description: Admin support sessions that see the app as another user, with an audit trail
+ *   - name: Users
+ *     description: User management (Admin only for write operations)
+ */
+
+// ========================================
+// PUBLIC ROUTES
+// ========================================
+
+/**
+ * @swagger
+ * /users/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: Registration successful. OTP sent to email.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error or email already in use
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/register', authThrottle('register'), userController.register);
+
+/**
+ * @swagger
+ * /users/login:
+ *   post:
+ *     summary: Login user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge when the account has (or, for admins, must set up) 2FA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Missing fields
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', authThrottle('login'), userController.login);
+
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     summary: Complete a two-step login with an authenticator or recovery code
+ *     description: For an enroll challenge (admins setting up 2FA) the code confirms the new authenticator and the response also carries recoveryCodes.
+ *     tags: [Two-Factor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing challenge token or 2FA not set up
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/login/2fa', authThrottle('twoFactor'), userController.completeTwoFactorLogin);
+
+/**
+ * @swagger
+ * /users/login/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment during login (admins without 2FA)
+ *     tags: [Two-Factor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string, description: The enroll challenge from /users/login }
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: Not an enroll challenge
+ *       401:
+ *         description: Invalid or expired challenge
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/login/2fa/setup', authThrottle('twoFactor'), userController.setupTwoFactorFromChallenge);
+
+/**
+ * @swagger
+ * /users/refresh-token:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: The refresh token is rotated on every call. Replaying an already-rotated token revokes the whole session.
+ *     tags: [Sessions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:      { type: string }
+ *                 token:        { type: string }
+ *                 refreshToken: { type: string }
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired, revoked or replayed refresh token
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh-token', authThrottle('refreshToken'), userController.refreshToken);
+
+/**
+ * @swagger
+ * /users/verify-otp:
+ *   post:
+ *     summary: Verify account OTP
+ *     description: Lifts the email-verification gate immediately. Call /users/refresh-token afterwards to get an access token whose isVerified claim is true.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpInput'
+ *     responses:
+ *       200:
+ *         description: Account verified successfully
+ *       400:
+ *         description: Invalid or expired OTP
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-otp', authThrottle('verifyOtp'), userController.verifyOTP);
+
+/**
+ * @swagger
+ * /users/resend-otp:
+ *   post:
+ *     summary: Resend verification OTP
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *     responses:
+ *       200:
+ *         description: New OTP sent successfully
+ *       400:
+ *         description: Account already verified
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/resend-otp', authThrottle('resendOtp'), userController.resendOTP);
+
+/**
+ * @swagger
+ * /users/forgot-password:
+ *   post:
+ *     summary: Request a password reset OTP
+ *     tags: [Password]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *     responses:
+ *       200:
+ *         description: Reset OTP sent (same response whether email exists or not)
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', authThrottle('forgotPassword'), userController.forgotPassword);
+
+/**
+ * @swagger
+ * /users/verify-reset-otp:
+ *   post:
+ *     summary: Verify password reset OTP
+ *     tags: [Password]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OtpInput'
+ *     responses:
+ *       200:
+ *         description: OTP verified. Returns short-lived resetToken (15 min).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:    { type: string }
+ *                 resetToken: { type: string }
+ *       400:
+ *         description: Invalid or expired OTP
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-reset-otp', authThrottle('verifyResetOtp'), userController.verifyResetOTP);
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     summary: Reset password using reset token
+ *     description: Logs out every device signed in to the account.
+ *     tags: [Password]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordInput'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Missing fields or weak password
+ *       401:
+ *         description: Invalid or expired reset token
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', authThrottle('resetPassword'), userController.resetPassword);
+
+// ========================================
+// PROTECTED ROUTES
+// ========================================
+
+/**
+ * @swagger
+ * /users/me:
+ *   get:
+ *     summary: Get current logged-in user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authenticate, userController.getCurrentUser);
+
+/**
+ * @swagger
+ * /users/me:
+ *   delete:
+ *     summary: Delete my account (30-day grace period)
+ *     description: |
+ *       Schedules the account for deletion and logs out every device. Logging in again before the
+ *       scheduled date cancels it. Afterwards the profile, videos, reels and posts are removed, chat
+ *       messages and comments are anonymised, and scout reports about the player are kept with their
+ *       free text redacted.
+ *     tags: [Account Deletion]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:      { type: string }
+ *                 scheduledFor: { type: string, format: date-time }
+ *       400:
+ *         description: Password missing or deletion already scheduled
+ *       401:
+ *         description: Incorrect password or not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me', authenticate, userController.requestDeletion);
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   post:
+ *     summary: Request a copy of my personal data
+ *     description: |
+ *       Queues a gzipped JSON bundle of the account, profile, videos and reels (with URLs), posts,
+ *       comments, replies, likes, ratings, follows, sent chat messages, payments, challenge progress,
+ *       sessions and — for players — scout reports about them as allowed by the export policy.
+ *       The user is emailed a time-limited download link when it's ready. One export per day.
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 data:    { $ref: '#/components/schemas/DataExport' }
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: An export is already being prepared (returned in `data`)
+ *       429:
+ *         description: Already exported in the last 24 hours — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/export', authenticate, userController.requestDataExport);
+
+/**
+ * @swagger
+ * /users/me/exports:
+ *   get:
+ *     summary: My recent data exports
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Up to 10 most recent exports, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/DataExport' }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/exports', authenticate, userController.getDataExports);
+
+/**
+ * @swagger
+ * /users/me/exports/{id}:
+ *   get:
+ *     summary: Status of one export, with a fresh download link when ready
+ *     tags: [Data Export]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Export status; `downloadUrl` is present while a READY export hasn't expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data: { $ref: '#/components/schemas/DataExport' }
+ *       400:
+ *         description: Invalid export ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/exports/:id', authenticate, userController.getDataExport);
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked and its sockets disconnected
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authenticate, userController.logout);
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/sessions', authenticate, userController.getSessions);
+
+/**
+ * @swagger
+ * /users/me/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions (log out a device)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Session revoked and its sockets disconnected
+ *       400:
+ *         description: Invalid session ID
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/me/sessions/:id', authenticate, userController.revokeSession);
+
+/**
+ * @swagger
+ * /users/me/2fa:
+ *   get:
+ *     summary: Two-factor status for the current user
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:                { type: boolean }
+ *                     required:               { type: boolean }
+ *                     remainingRecoveryCodes: { type: integer }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
  */
+router.get('/me/2fa', authenticate, userController.getTwoFactorStatus);
 
 /**
  * @swagger
- * tags:
- *   - name: Authentication
- *     description: Register, login, OTP verification
- *   - name: Password
- *     description: Forgot, reset, and update password flows
- *   - name: Users
- *     description: User management (Admin only for write operations)
+ * /users/me/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment (scouts and admins)
+ *     description: Returns a new secret and provisioning URI. 2FA isn't active until confirmed at /users/me/2fa/enable.
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a scout or admin
+ *       500:
+ *         description: Server error
  */
-
-// ========================================
-// PUBLIC ROUTES
-// ========================================
+router.post('/me/2fa/setup', authenticate, authorizeRoles('SCOUT', 'ADMIN'), userController.setupTwoFactor);
 
 /**
  * @swagger
- * /users/register:
+ * /users/me/2fa/enable:
  *   post:
- *     summary: Register a new user
- *     tags: [Authentication]
+ *     summary: Confirm enrollment with a code and turn 2FA on
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/RegisterInput'
+ *             $ref: '#/components/schemas/TwoFactorCodeInput'
  *     responses:
- *       201:
- *         description: Registration successful. OTP sent to email.
+ *       200:
+ *         description: 2FA enabled; recovery codes returned once
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               $ref: '#/components/schemas/RecoveryCodes'
  *       400:
- *         description: Validation error or email already in use
+ *         description: Setup not started or already enabled
+ *       401:
+ *         description: Invalid code or not authenticated
  *       500:
  *         description: Server error
  */
-router.post('/register', userController.register);
+router.post('/me/2fa/enable', authenticate, authorizeRoles('SCOUT', 'ADMIN'), userController.enableTwoFactor);
 
 /**
  * @swagger
- * /users/login:
+ * /users/me/2fa/recovery-codes:
  *   post:
- *     summary: Login user
- *     tags: [Authentication]
+ *     summary: Replace all recovery codes (requires a current authenticator code)
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LoginInput'
+ *             $ref: '#/components/schemas/TwoFactorCodeInput'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: New recovery codes
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               $ref: '#/components/schemas/RecoveryCodes'
  *       400:
- *         description: Missing fields
+ *         description: 2FA not enabled
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid code or not authenticated
  *       500:
  *         description: Server error
  */
-router.post('/login', userController.login);
+router.post('/me/2fa/recovery-codes', authenticate, authorizeRoles('SCOUT', 'ADMIN'), userController.regenerateRecoveryCodes);
 
 /**
  * @swagger
- * /users/verify-otp:
- *   post:
- *     summary: Verify account OTP
- *     tags: [Authentication]
+ * /users/me/2fa:
+ *   delete:
+ *     summary: Disable 2FA (scouts only — mandatory for admins)
+ *     description: Accepts a current authenticator code or an unused recovery code.
+ *     tags: [Two-Factor]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/OtpInput'
+ *             $ref: '#/components/schemas/TwoFactorCodeInput'
  *     responses:
  *       200:
- *         description: Account verified successfully
+ *         description: 2FA disabled
  *       400:
- *         description: Invalid or expired OTP
- *       404:
- *         description: User not found
+ *         description: 2FA not enabled
+ *       401:
+ *         description: Invalid code or not authenticated
+ *       403:
+ *         description: 2FA is required for this account
  *       500:
  *         description: Server error
  */
-router.post('/verify-otp', userController.verifyOTP);
+router.delete('/me/2fa', authenticate, authorizeRoles('SCOUT'), userController.disableTwoFactor);
 
 /**
  * @swagger
- * /users/resend-otp:
- *   post:
- *     summary: Resend verification OTP
- *     tags: [Authentication]
+ * /users/update-password:
+ *   put:
+ *     summary: Update password (logged-in user)
+ *     description: Logs out every other device; the session making the request stays signed in.
+ *     tags: [Password]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *             $ref: '#/components/schemas/UpdatePasswordInput'
  *     responses:
  *       200:
- *         description: New OTP sent successfully
+ *         description: Password updated successfully
  *       400:
- *         description: Account already verified
+ *         description: Missing fields, weak password, or same as current
+ *       401:
+ *         description: Incorrect current password or not authenticated
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.post('/resend-otp', userController.resendOTP);
+router.put('/update-password', authenticate, userController.updatePassword);
 
 /**
  * @swagger
- * /users/forgot-password:
- *   post:
- *     summary: Request a password reset OTP
- *     tags: [Password]
+ * /users/me/email:
+ *   patch:
+ *     summary: Request an email change (logged-in user)
+ *     description: Sends an OTP to the new address and a revert link to the current one. The email isn't changed until POST /users/me/email/confirm.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ForgotPasswordInput'
+ *             $ref: '#/components/schemas/ChangeEmailInput'
  *     responses:
  *       200:
- *         description: Reset OTP sent (same response whether email exists or not)
+ *         description: Verification code sent to the new address
+ *       400:
+ *         description: Missing fields, invalid format, unchanged, or already in use
+ *       401:
+ *         description: Incorrect password or not authenticated
+ *       429:
+ *         description: Code requested too recently — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
  *       500:
  *         description: Server error
  */
-router.post('/forgot-password', userController.forgotPassword);
+router.patch('/me/email', authenticate, authThrottle('changeEmail'), userController.requestEmailChange);
 
 /**
  * @swagger
- * /users/verify-reset-otp:
+ * /users/me/email/confirm:
  *   post:
- *     summary: Verify password reset OTP
- *     tags: [Password]
+ *     summary: Confirm the new email with the OTP sent to it
+ *     description: Swaps the email, logs out every existing session and returns a new token pair for this device.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/OtpInput'
+ *             type: object
+ *             required: [otp]
+ *             properties:
+ *               otp: { type: string, example: "482910" }
  *     responses:
  *       200:
- *         description: OTP verified. Returns short-lived resetToken (15 min).
+ *         description: Email updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:    { type: string }
- *                 resetToken: { type: string }
+ *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Invalid or expired OTP
- *       404:
- *         description: User not found
+ *         description: No change pending, invalid/expired OTP, or address taken meanwhile
+ *       401:
+ *         description: Not authenticated
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
  *       500:
  *         description: Server error
  */
-router.post('/verify-reset-otp', userController.verifyResetOTP);
+router.post('/me/email/confirm', authenticate, authThrottle('confirmEmail'), userController.confirmEmailChange);
 
 /**
  * @swagger
- * /users/reset-password:
+ * /users/email/revert:
  *   post:
- *     summary: Reset password using reset token
- *     tags: [Password]
+ *     summary: Undo an email change from the link sent to the old address
+ *     description: Cancels a pending change or restores the old address, and logs out every device.
+ *     tags: [Email]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ResetPasswordInput'
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, description: Token from the revert link }
  *     responses:
  *       200:
- *         description: Password reset successfully
+ *         description: Email change reverted
  *       400:
- *         description: Missing fields or weak password
+ *         description: Missing token, or the change can no longer be reverted
  *       401:
- *         description: Invalid or expired reset token
- *       404:
- *         description: User not found
+ *         description: Invalid or expired link
+ *       409:
+ *         description: The old address now belongs to another account
+ *       429:
+ *         description: Too many attempts — see Retry-After header / retryAfter (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyRequests'
  *       500:
  *         description: Server error
  */
-router.post('/reset-password', userController.resetPassword);
+router.post('/email/revert', authThrottle('revertEmail'), userController.revertEmailChange);
 
-// ========================================
-// PROTECTED ROUTES
-// ========================================
+/**
+ * @swagger
+ * /users/impersonations:
+ *   get:
+ *     summary: List impersonation sessions (Admin only)
+ *     description: Newest first, with the number of audited requests in each.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema: { type: integer }
+ *         description: Only sessions opened by this admin
+ *       - in: query
+ *         name: userId
+ *         schema: { type: integer }
+ *         description: Only sessions impersonating this user
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: Paginated impersonation sessions
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/impersonations', authenticate, authorizeRoles('ADMIN'), userController.getImpersonations);
 
 /**
  * @swagger
- * /users/me:
+ * /users/impersonations/{sessionId}:
  *   get:
- *     summary: Get current logged-in user
- *     tags: [Users]
+ *     summary: Impersonation session with its full audit trail (Admin only)
+ *     description: STARTED, every REQUEST / BLOCKED request (method, path, status code, IP) and ENDED, oldest first.
+ *     tags: [Impersonation]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: integer }
  *     responses:
  *       200:
- *         description: Current user profile
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
+ *         description: Session and audit entries
+ *       400:
+ *         description: Invalid session ID
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
  *       404:
- *         description: User not found
+ *         description: Impersonation session not found
  *       500:
  *         description: Server error
  */
-router.get('/me', authenticate, userController.getCurrentUser);
+router.get('/impersonations/:sessionId', authenticate, authorizeRoles('ADMIN'), userController.getImpersonation);
 
 /**
  * @swagger
- * /users/update-password:
- *   put:
- *     summary: Update password (logged-in user)
- *     tags: [Password]
+ * /users/impersonations/{sessionId}/end:
+ *   post:
+ *     summary: End an impersonation session early (Admin only)
+ *     description: Sessions also end on their own after IMPERSONATION_TTL_MINUTES (default 30), or via /users/logout with the impersonation token.
+ *     tags: [Impersonation]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/UpdatePasswordInput'
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema: { type: integer }
  *     responses:
  *       200:
- *         description: Password updated successfully
+ *         description: Impersonation session ended
  *       400:
- *         description: Missing fields, weak password, or same as current
+ *         description: Invalid session ID
  *       401:
- *         description: Incorrect current password or not authenticated
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
  *       404:
- *         description: User not found
+ *         description: Impersonation session not found
  *       500:
  *         description: Server error
  */
-router.put('/update-password', authenticate, userController.updatePassword);
+router.post('/impersonations/:sessionId/end', authenticate, authorizeRoles('ADMIN'), userController.endImpersonation);
 
 /**
  * @swagger
@@ -444,6 +1292,7 @@ router.get('/:id', authenticate, userController.getUserById );
  * /users/players/{id}:
  *   get:
  *     summary: Get a player with their assigned scouter
+ *     description: Includes the player's career history (`careerEntries`), most recent spell first.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -552,13 +1401,13 @@ router.get( '/scouters/:id', authenticate, userController.getScouterById  );
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions, or scout not verified (code SCOUT_NOT_VERIFIED)
  *       404:
  *         description: Player or scouter not found
  *       500:
  *         description: Server error
  */
-router.patch('/players/assign-scouter',  authenticate,  authorizeRoles('ADMIN', 'SCOUT'),  userController.assignPlayerToScouter  );
+router.patch('/players/assign-scouter',  authenticate,  authorizeRoles('ADMIN', 'SCOUT'), requireVerifiedScout, userController.assignPlayerToScouter  );
 
   /**
  * @swagger
@@ -703,6 +1552,7 @@ router.put('/:id', authenticate, authorizeRoles('ADMIN'), userController.updateU
  * /users/{id}:
  *   delete:
  *     summary: Delete a user (Admin only)
+ *     description: Anonymises the account immediately — same cleanup as the end of a self-service grace period, recorded in the deletion audit trail.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -713,9 +1563,9 @@ router.put('/:id', authenticate, authorizeRoles('ADMIN'), userController.updateU
  *         schema: { type: integer }
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User deleted successfully (mediaFailures lists GCS objects that could not be removed)
  *       400:
- *         description: Invalid user ID
+ *         description: Invalid user ID or account already deleted
  *       401:
  *         description: Not authenticated
  *       403:
@@ -727,5 +1577,95 @@ router.put('/:id', authenticate, authorizeRoles('ADMIN'), userController.updateU
  */
 router.delete('/:id', authenticate, authorizeRoles('ADMIN'), userController.deleteUser);
 
+/**
+ * @swagger
+ * /users/{id}/deletion-audit:
+ *   get:
+ *     summary: Account deletion audit trail (Admin only)
+ *     description: Every REQUESTED / CANCELLED / COMPLETED / FAILED event for the account, oldest first.
+ *     tags: [Account Deletion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/deletion-audit', authenticate, authorizeRoles('ADMIN'), userController.getDeletionAudit);
+
+/**
+ * @swagger
+ * /users/{id}/impersonate:
+ *   post:
+ *     summary: Start an impersonation session for a user (Admin only)
+ *     description: |
+ *       Returns an access token that acts as the target user for
+ *       IMPERSONATION_TTL_MINUTES (default 30). There is no refresh token.
+ *
+ *       While impersonating:
+ *       - every request is recorded in the session's audit trail
+ *       - every DELETE, payment writes, password / email / 2FA changes,
+ *         data exports, message edits and read receipts answer 403
+ *         `code: IMPERSONATION_FORBIDDEN`
+ *       - socket connections are refused
+ *
+ *       Admin accounts cannot be impersonated.
+ *     tags: [Impersonation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason: { type: string, example: "Ticket #4821 — reel feed shows no videos" }
+ *     responses:
+ *       201:
+ *         description: Impersonation session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:   { type: string }
+ *                 token:     { type: string, description: "Access token for the target user; claims also carry impersonatorId" }
+ *                 sessionId: { type: integer }
+ *                 expiresAt: { type: string, format: date-time }
+ *                 user:      { $ref: '#/components/schemas/User' }
+ *       400:
+ *         description: Missing reason, invalid ID, or impersonating yourself
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions, or target is an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/impersonate', authenticate, authorizeRoles('ADMIN'), userController.startImpersonation);
+
 export default router;
 
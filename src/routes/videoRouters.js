@@ -61,7 +61,7 @@ const router = Router();
  *                 type: string
  *                 enum: ['true', 'false']
  *                 default: 'false'
- *                 description: Pass "true" to publish immediately.
+ *                 description: Pass "true" to publish immediately. Under-18s need their guardian's consent first.
  *               categoryId:
  *                 type: integer
  *                 nullable: true
@@ -97,6 +97,23 @@ const router = Router();
  *         $ref: '#/components/responses/BadRequest'
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: |
+ *           Authenticated user is not a PLAYER, or an under-18 asked to
+ *           publish before their guardian consented (`code`
+ *           GUARDIAN_CONSENT_REQUIRED — upload as a draft instead).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorEnvelope'
+ *             examples:
+ *               notPlayer:
+ *                 value: { success: false, message: Only players can upload videos. }
+ *               guardianConsent:
+ *                 value:
+ *                   success: false
+ *                   message: A guardian must give consent before you can publish videos
+ *                   code: GUARDIAN_CONSENT_REQUIRED
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -110,9 +127,10 @@ router.post('/upload', protect, handleUploadFields, handleVideoUpload);
  *   post:
  *     summary: Upload or replace profile avatar
  *     description: |
- *       Accepts a **JPEG or PNG** image (max 15 MB). The image is resized to a
- *       maximum width of 1024 px and compressed before being stored on GCS.
- *       Calling this endpoint again replaces the previous avatar URL.
+ *       Accepts a **JPEG or PNG** image (max 15 MB), optionally with a crop.
+ *       The image is stored as square WebP files at 64, 256 and 1024 px
+ *       with a blurhash. Calling this endpoint again replaces the previous
+ *       avatar and deletes its files.
  *     tags:
  *       - Profile
  *     security:
@@ -122,14 +140,7 @@ router.post('/upload', protect, handleUploadFields, handleVideoUpload);
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - avatar
- *             properties:
- *               avatar:
- *                 type: string
- *                 format: binary
- *                 description: JPEG or PNG image. Max 15 MB.
+ *             $ref: '#/components/schemas/AvatarUpload'
  *     responses:
  *       200:
  *         description: Avatar updated successfully.
@@ -386,6 +397,8 @@ export default router;
  *                     avatarUrl:
  *                       type: string
  *                       nullable: true
+ *                     avatar:
+ *                       $ref: '#/components/schemas/Avatar'
  *                     position:
  *                       type: string
  *                       nullable: true
@@ -419,6 +432,8 @@ export default router;
  *                           avatarUrl:
  *                             type: string
  *                             nullable: true
+ *                           avatar:
+ *                             $ref: '#/components/schemas/Avatar'
  *             ratings:
  *               type: array
  *               items:
@@ -0,0 +1,375 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import sessionService from './sessionService.js';
+import dataExportService from './dataExportService.js';
+import scoutVerificationService from './scoutVerificationService.js';
+import playerCvService from './playerCvService.js';
+import reportTemplateService from './reportTemplateService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+import { sendEmail } from '../config/nodemailer.js';
+import { deleteMediaFromGCS } from '../config/multer.js';
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+// What anonymised comments, replies and chat messages read as afterwards.
+const DELETED_TEXT = '[deleted]';
+const DELETED_MESSAGE_PREVIEW = 'This message was deleted';
+
+// Every method that depends on the time takes `{ now }` so the grace
+// period and the job can be exercised with a fake clock.
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const audit = (client, userId, event, { actorId = null, detail = null } = {}) =>
+  client.accountDeletionAudit.create({
+    data: { userId, event, actorId, detail: detail ?? Prisma.JsonNull },
+  });
+
+// Everything in GCS that belongs to the user, gathered before the rows
+// pointing at it go away.
+const collectMedia = async (userId) => {
+  const [user, videos, reels, messages] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        profile: { select: AVATAR_SELECT },
+        scoutProfile: { select: AVATAR_SELECT },
+      },
+    }),
+    prisma.video.findMany({ where: { playerId: userId }, select: { videoUrl: true, thumbnailUrl: true } }),
+    prisma.reel.findMany({ where: { playerId: userId }, select: { videoUrl: true, thumbnailUrl: true } }),
+    prisma.chatMessage.findMany({
+      where: { userId, OR: [{ mediaUrl: { not: null } }, { thumbnailUrl: { not: null } }] },
+      select: { mediaUrl: true, thumbnailUrl: true },
+    }),
+  ]);
+
+  const urls = [
+    ...avatarService.fileUrls(user?.profile),
+    ...avatarService.fileUrls(user?.scoutProfile),
+    ...videos.flatMap((v) => [v.videoUrl, v.thumbnailUrl]),
+    ...reels.flatMap((r) => [r.videoUrl, r.thumbnailUrl]),
+    ...messages.flatMap((m) => [m.mediaUrl, m.thumbnailUrl]),
+  ];
+
+  return [...new Set(urls.filter(Boolean))];
+};
+
+// The database half of the deletion, in one transaction. Returns how many
+// rows each step touched, which ends up in the COMPLETED audit entry.
+const scrubUserData = (userId, now) =>
+  prisma.$transaction(async (tx) => {
+    const counts = {};
+
+    // Own media — videos and reels go, along with everything hanging off
+    // them (replies and likes cascade from comments).
+    const videoIds = (await tx.video.findMany({ where: { playerId: userId }, select: { id: true } })).map((v) => v.id);
+    const reelIds = (await tx.reel.findMany({ where: { playerId: userId }, select: { id: true } })).map((r) => r.id);
+    const postIds = (await tx.post.findMany({ where: { userId }, select: { id: true } })).map((p) => p.id);
+
+    await tx.videoView.deleteMany({ where: { videoId: { in: videoIds } } });
+    await tx.rating.deleteMany({ where: { videoId: { in: videoIds } } });
+    await tx.comment.deleteMany({ where: { videoId: { in: videoIds } } });
+    counts.videos = (await tx.video.deleteMany({ where: { playerId: userId } })).count;
+
+    await tx.reelView.deleteMany({ where: { reelId: { in: reelIds } } });
+    await tx.rating.deleteMany({ where: { reelId: { in: reelIds } } });
+    await tx.comment.deleteMany({ where: { reelId: { in: reelIds } } });
+    counts.reels = (await tx.reel.deleteMany({ where: { playerId: userId } })).count;
+
+    await tx.comment.deleteMany({ where: { postId: { in: postIds } } });
+    counts.posts = (await tx.post.deleteMany({ where: { userId } })).count;
+
+    // Contributions to other people's content stay in place so threads
+    // keep making sense, but say nothing any more.
+    counts.comments = (await tx.comment.updateMany({ where: { userId }, data: { text: DELETED_TEXT } })).count;
+    counts.replies = (await tx.reply.updateMany({ where: { userId }, data: { text: DELETED_TEXT } })).count;
+
+    // Chat — same shape as a delete-for-everyone in chatMessageService.
+    counts.chatMessages = (await tx.chatMessage.updateMany({
+      where: { userId, deletedAt: null },
+      data: {
+        deletedAt: now,
+        text: null,
+        mediaUrl: null,
+        thumbnailUrl: null,
+        blurhash: null,
+        fileName: null,
+        mediaMeta: Prisma.DbNull,
+      },
+    })).count;
+    await tx.chatLastMessage.updateMany({ where: { senderId: userId }, data: { preview: DELETED_MESSAGE_PREVIEW } });
+    await tx.chatMessage.updateMany({ where: { replyToSenderId: userId }, data: { replyToPreview: null } });
+
+    // Scout reports about the player are kept for the scouts' records,
+    // minus the free text — text answers included, so each report is
+    // rewritten against its own template. Reports the user filed as a
+    // scout are about someone else and stay as they are.
+    const reports = await tx.scouterReport.findMany({
+      where: { playerId: userId, redactedAt: null },
+      select: { id: true, answers: true, templateVersion: { select: { sections: true } } },
+    });
+    for (const report of reports) {
+      await tx.scouterReport.update({
+        where: { id: report.id },
+        data: {
+          matchScouted: null,
+          currentClub: null,
+          overallAssessment: null,
+          keyStrengths: [],
+          areasForDevelopment: [],
+          answers: reportTemplateService.ratingsOnly(report.templateVersion.sections, report.answers),
+          redactedAt: now,
+        },
+      });
+    }
+    counts.reportsRedacted = reports.length;
+
+    // Social graph and activity.
+    await tx.follower.deleteMany({ where: { OR: [{ followerId: userId }, { followedId: userId }] } });
+    await tx.block.deleteMany({ where: { OR: [{ blockerId: userId }, { blockedId: userId }] } });
+    await tx.rating.deleteMany({ where: { userId } });
+    await tx.commentLike.deleteMany({ where: { userId } });
+    await tx.replyLike.deleteMany({ where: { userId } });
+    await tx.reelLike.deleteMany({ where: { userId } });
+    await tx.videoView.updateMany({ where: { userId }, data: { userId: null } });
+    await tx.reelView.updateMany({ where: { userId }, data: { userId: null } });
+    // Views of their profile go; views they made stay in other players'
+    // counts, as anonymous.
+    await tx.profileView.deleteMany({ where: { playerId: userId } });
+    await tx.profileView.updateMany({ where: { viewerId: userId }, data: { viewerId: null, anonymous: true } });
+    await tx.ranking.deleteMany({ where: { userId } });
+    await tx.challengeParticipant.deleteMany({ where: { userId } });
+    await tx.user.updateMany({ where: { scouterId: userId }, data: { scouterId: null } });
+
+    // Guardian consent — the player's own link goes; as a guardian, their
+    // wards lose consent the same way a revoke would (guardianService).
+    await tx.guardianLink.deleteMany({ where: { playerId: userId } });
+    const wardIds = (await tx.guardianLink.findMany({
+      where: { guardianId: userId, status: 'CONSENTED' },
+      select: { playerId: true },
+    })).map((l) => l.playerId);
+    await tx.reel.updateMany({ where: { playerId: { in: wardIds }, published: true }, data: { published: false } });
+    await tx.guardianLink.updateMany({
+      where: { guardianId: userId },
+      data: { guardianId: null, status: 'REVOKED', revokedAt: now },
+    });
+
+    // Organisations — the seat is freed. A last owner hands over to the
+    // longest-serving member; an organisation left empty goes. Shortlists
+    // they created stay with the organisation.
+    await tx.shortlistEntry.deleteMany({ where: { playerId: userId } });
+    const membership = await tx.organisationMember.findUnique({ where: { userId } });
+    if (membership) {
+      const { organisationId } = membership;
+      await tx.organisationMember.delete({ where: { userId } });
+      const remaining = await tx.organisationMember.findMany({ where: { organisationId }, orderBy: { joinedAt: 'asc' } });
+      if (remaining.length === 0) {
+        await tx.organisation.delete({ where: { id: organisationId } });
+      } else if (!remaining.some((m) => m.role === 'OWNER')) {
+        await tx.organisationMember.update({ where: { id: remaining[0].id }, data: { role: 'OWNER' } });
+      }
+    }
+
+    // Saved searches they own, and their place in other scouts' ones.
+    await tx.savedSearchMatch.deleteMany({ where: { playerId: userId } });
+    await tx.savedSearch.deleteMany({ where: { userId } });
+
+    // Profiles.
+    await tx.seasonStat.deleteMany({ where: { userId } });
+    await tx.careerEntry.deleteMany({ where: { userId } });
+    counts.profiles =
+      (await tx.profile.deleteMany({ where: { userId } })).count +
+      (await tx.scoutProfile.deleteMany({ where: { userId } })).count;
+
+    // Credentials.
+    await tx.session.deleteMany({ where: { userId } });
+    await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+
+    // The tombstone. The password is a hash of random bytes nobody has
+    // seen, and the email can never be delivered to or registered again.
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        email: `deleted-${userId}@deleted.invalid`,
+        fullname: 'Deleted user',
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        otp: null,
+        otpExpiry: null,
+        pendingEmail: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        pushToken: null,
+        isOnline: false,
+        scouterId: null,
+        deletionScheduledFor: null,
+        deletedAt: now,
+      },
+    });
+
+    return counts;
+  }, { timeout: 60000 });
+
+const accountDeletionService = {
+
+  // ===========================
+  // REQUEST
+  // ===========================
+  // Starts the grace period and signs the user out everywhere, so the
+  // next login is a deliberate choice to keep the account.
+  async requestDeletion(userId, { password }, { now = new Date() } = {}) {
+    if (!password) throw { status: 400, message: 'Password is required to delete your account' };
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, fullname: true, password: true, deletionScheduledFor: true, deletedAt: true },
+    });
+    if (!user || user.deletedAt) throw { status: 404, message: 'User not found' };
+    if (user.deletionScheduledFor) throw { status: 400, message: 'Account deletion is already scheduled' };
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) throw { status: 401, message: 'Password is incorrect' };
+
+    const scheduledFor = addDays(now, GRACE_PERIOD_DAYS);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { deletionRequestedAt: now, deletionScheduledFor: scheduledFor },
+      }),
+      audit(prisma, userId, 'REQUESTED', { detail: { scheduledFor: scheduledFor.toISOString() } }),
+    ]);
+
+    const revokedSessionIds = await sessionService.revokeAll(userId);
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Your Account Will Be Deleted',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Hi ${user.fullname},</h2>
+          <p style="color: #555;">Your account is scheduled for deletion on <strong>${scheduledFor.toDateString()}</strong>. You've been signed out of every device.</p>
+          <p style="color: #555;">Changed your mind? Just log in before then and the deletion is cancelled.</p>
+          <p style="color: #999; font-size: 12px;">After that date your profile, videos and reels are removed and your messages and comments are anonymised. This can't be undone.</p>
+        </div>
+      `,
+    });
+
+    return { scheduledFor, revokedSessionIds };
+  },
+
+  // Called from every successful login (password, and the 2FA second
+  // step). Returns true when a scheduled deletion was cancelled.
+  async cancelOnLogin(user, { now = new Date() } = {}) {
+    if (!user.deletionScheduledFor) return false;
+
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, deletedAt: null, deletionScheduledFor: { not: null } },
+      data: { deletionRequestedAt: null, deletionScheduledFor: null },
+    });
+    if (count === 0) return false;
+
+    await audit(prisma, user.id, 'CANCELLED', { detail: { via: 'login', at: now.toISOString() } });
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Account Deletion Cancelled',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Welcome back, ${user.fullname}!</h2>
+          <p style="color: #555;">You logged in, so your account is no longer scheduled for deletion.</p>
+        </div>
+      `,
+    });
+
+    return true;
+  },
+
+  // ===========================
+  // EXECUTE
+  // ===========================
+  async findDue({ now = new Date() } = {}) {
+    const users = await prisma.user.findMany({
+      where: { deletedAt: null, deletionScheduledFor: { lte: now } },
+      select: { id: true },
+      orderBy: { deletionScheduledFor: 'asc' },
+    });
+    return users.map((u) => u.id);
+  },
+
+  // Anonymises the account now. Used by the deletion job once the grace
+  // period is over, and by admins (no grace period, `actorId` recorded).
+  // GCS cleanup runs after the transaction commits; objects that fail to
+  // delete are listed in the audit entry instead of failing the run.
+  async anonymise(userId, { now = new Date(), actorId = null, reason = 'grace-period-ended' } = {}) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, deletedAt: true } });
+    if (!user) throw { status: 404, message: 'User not found' };
+    if (user.deletedAt) throw { status: 400, message: 'Account has already been deleted' };
+
+    const mediaUrls = await collectMedia(userId);
+    const revokedSessionIds = await sessionService.revokeAll(userId);
+
+    let counts;
+    try {
+      counts = await scrubUserData(userId, now);
+    } catch (err) {
+      await audit(prisma, userId, 'FAILED', { actorId, detail: { reason, error: err.message } })
+        .catch((auditErr) => console.error('accountDeletion: could not record failure', auditErr));
+      throw err;
+    }
+
+    const results = await Promise.allSettled(mediaUrls.map((url) => deleteMediaFromGCS(url)));
+    const mediaFailures = mediaUrls.filter((_, i) => results[i].status === 'rejected');
+
+    // Data export archives are a full copy of what was just scrubbed,
+    // verification documents are ID scans, and the CV prints the profile —
+    // all go entirely.
+    const exportsRemoved = await dataExportService.removeAllForUser(userId).then(
+      () => true,
+      (err) => {
+        console.error(`accountDeletion: could not remove data exports for user ${userId}`, err);
+        return false;
+      }
+    );
+    const verificationDocumentsRemoved = await scoutVerificationService.removeAllForUser(userId).then(
+      () => true,
+      (err) => {
+        console.error(`accountDeletion: could not remove verification documents for user ${userId}`, err);
+        return false;
+      }
+    );
+    const cvRemoved = await playerCvService.removeAllForUser(userId).then(
+      () => true,
+      (err) => {
+        console.error(`accountDeletion: could not remove the CV for user ${userId}`, err);
+        return false;
+      }
+    );
+
+    await audit(prisma, userId, 'COMPLETED', {
+      actorId,
+      detail: {
+        reason,
+        ...counts,
+        mediaDeleted: mediaUrls.length - mediaFailures.length,
+        exportsRemoved,
+        verificationDocumentsRemoved,
+        cvRemoved,
+        ...(mediaFailures.length > 0 && { mediaFailures }),
+      },
+    });
+
+    return { counts, revokedSessionIds, mediaFailures };
+  },
+
+  async getAuditTrail(userId) {
+    return prisma.accountDeletionAudit.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+};
+
+export default accountDeletionService;
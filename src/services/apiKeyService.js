@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+
+// What a key can be granted. Each integration route names the one it needs.
+export const API_KEY_SCOPES = ['reports:read', 'players:read', 'reels:read'];
+
+const KEY_PREFIX = 'tsp_';
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 600;
+const MAX_ACTIVE_KEYS = 10;
+
+// Only the hash is stored, so a leaked database doesn't leak working keys.
+// SHA-256 rather than bcrypt: keys are long random strings, and the hash
+// has to be looked up directly on every request.
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// tsp_<8 hex>_<64 hex>. The first part is the stored `prefix`.
+const generateKey = () => {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  return { key: `${prefix}_${crypto.randomBytes(32).toString('hex')}`, prefix };
+};
+
+const KEY_SELECT = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  rateLimitPerMinute: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+  createdBy: { select: { id: true, fullname: true } },
+};
+
+const paginate = (page, limit) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+  return { skip, take };
+};
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid key ID' };
+  return id;
+};
+
+const requireOwner = async (userId) => {
+  const membership = await prisma.organisationMember.findUnique({ where: { userId } });
+  if (!membership) throw { status: 404, message: 'You are not part of an organisation' };
+  if (membership.role !== 'OWNER') throw { status: 403, message: 'Only organisation owners can manage API keys' };
+  return membership;
+};
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw { status: 400, message: `scopes must list at least one of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) throw { status: 400, message: `Unknown scope(s): ${unknown.join(', ')}` };
+  return [...new Set(scopes)];
+};
+
+const validateRateLimit = (value) => {
+  if (value === undefined || value === null) return DEFAULT_RATE_LIMIT;
+  const limit = parseInt(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+    throw { status: 400, message: `rateLimitPerMinute must be between 1 and ${MAX_RATE_LIMIT}` };
+  }
+  return limit;
+};
+
+const apiKeyService = {
+
+  // ===========================
+  // ORGANISATION OWNERS
+  // ===========================
+  // The plain key is in this response and nowhere else — it can't be
+  // shown again.
+  async create(userId, { name, scopes, rateLimitPerMinute } = {}) {
+    const { organisationId } = await requireOwner(userId);
+    if (!name?.trim()) throw { status: 400, message: 'Key name is required' };
+    const grantedScopes = validateScopes(scopes);
+    const limit = validateRateLimit(rateLimitPerMinute);
+
+    const active = await prisma.apiKey.count({ where: { organisationId, revokedAt: null } });
+    if (active >= MAX_ACTIVE_KEYS) {
+      throw { status: 409, message: `An organisation can have at most ${MAX_ACTIVE_KEYS} active keys` };
+    }
+
+    const { key, prefix } = generateKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        organisationId,
+        name: name.trim(),
+        prefix,
+        keyHash: hashKey(key),
+        scopes: grantedScopes,
+        rateLimitPerMinute: limit,
+        createdById: userId,
+      },
+      select: KEY_SELECT,
+    });
+
+    return { ...apiKey, key };
+  },
+
+  async listForOrganisation(userId) {
+    const { organisationId } = await requireOwner(userId);
+    return prisma.apiKey.findMany({
+      where: { organisationId },
+      orderBy: { createdAt: 'desc' },
+      select: KEY_SELECT,
+    });
+  },
+
+  async revoke(userId, keyId, { now = new Date() } = {}) {
+    const { organisationId } = await requireOwner(userId);
+    const id = parseId(keyId);
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { id } });
+    if (!apiKey || apiKey.organisationId !== organisationId) throw { status: 404, message: 'API key not found' };
+    if (apiKey.revokedAt) throw { status: 400, message: 'This key is already revoked' };
+
+    return prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: now, revokedById: userId },
+      select: KEY_SELECT,
+    });
+  },
+
+  // ===========================
+  // ADMIN
+  // ===========================
+  async getAll({ page = 1, limit = 20, organisationId, status }) {
+    const { skip, take } = paginate(page, limit);
+    const where = {};
+    if (organisationId) where.organisationId = parseInt(organisationId);
+    if (status === 'active') where.revokedAt = null;
+    if (status === 'revoked') where.revokedAt = { not: null };
+
+    const [keys, total] = await Promise.all([
+      prisma.apiKey.findMany({
+        where, skip, take,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          ...KEY_SELECT,
+          organisation: { select: { id: true, name: true } },
+          revokedBy: { select: { id: true, fullname: true } },
+        },
+      }),
+      prisma.apiKey.count({ where }),
+    ]);
+
+    return {
+      data: keys,
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    };
+  },
+
+  async adminRevoke(adminId, keyId, { now = new Date() } = {}) {
+    const id = parseId(keyId);
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { id } });
+    if (!apiKey) throw { status: 404, message: 'API key not found' };
+    if (apiKey.revokedAt) throw { status: 400, message: 'This key is already revoked' };
+
+    return prisma.apiKey.update({
+      where: { id },
+      data: { revokedAt: now, revokedById: adminId },
+      select: KEY_SELECT,
+    });
+  },
+
+  // ===========================
+  // REQUEST AUTH (middleware/auth.js)
+  // ===========================
+  // The live key behind a raw key string, or null. A key dies with its
+  // organisation (cascade), so no organisation check is needed here.
+  async findActive(rawKey) {
+    if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) return null;
+    const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(rawKey) } });
+    if (!apiKey || apiKey.revokedAt) return null;
+    return apiKey;
+  },
+
+  async recordUse(keyId, { ipAddress, now = new Date() } = {}) {
+    await prisma.apiKey.update({
+      where: { id: keyId },
+      data: { lastUsedAt: now, lastUsedIp: ipAddress ?? null },
+    });
+  },
+};
+
+export default apiKeyService;
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { fileTypeFromBuffer } from 'file-type';
+import prisma from '../lib/prisma.js';
+import { bucket } from '../config/gcs-config.js';
+import {
+  compressImage, generateBlurHash, uploadBufferToGCS, deleteMediaFromGCS,
+} from '../config/multer.js';
+
+// Every avatar upload — player, scout, or the legacy /users/avatar route —
+// goes through here. The image is turned upright, cropped to the
+// rectangle the client picked (or a centred square), and stored as square
+// WebP files at each of AVATAR_SIZES plus a blurhash placeholder. The
+// files it replaces are deleted once the new ones are saved.
+
+export const AVATAR_SIZES = [64, 256, 1024];
+const ACCEPTED_MIME = ['image/jpeg', 'image/png'];
+const CROP_FIELDS = ['cropX', 'cropY', 'cropWidth', 'cropHeight'];
+const MIN_CROP = 32;
+
+// What serializers select to build `avatarService.fields`.
+export const AVATAR_SELECT = { avatarUrl: true, avatarSizes: true, avatarBlurhash: true };
+
+const TARGETS = {
+  profile: 'Player profile not found',
+  scoutProfile: 'Scout profile not found',
+};
+
+const publicUrl = (blobPath) => `https://storage.googleapis.com/${bucket.name}/${blobPath}`;
+
+// The crop arrives as multipart fields, so as strings. All four or none.
+const parseCrop = (input = {}) => {
+  const given = CROP_FIELDS.filter((key) => input[key] !== undefined && input[key] !== '');
+  if (!given.length) return null;
+  if (given.length < CROP_FIELDS.length) {
+    throw { status: 400, message: `${CROP_FIELDS.join(', ')} must be given together` };
+  }
+
+  const [left, top, width, height] = CROP_FIELDS.map((key) => Number(input[key]));
+  if (![left, top, width, height].every(Number.isInteger) || left < 0 || top < 0) {
+    throw { status: 400, message: 'Crop values must be non-negative whole numbers of pixels' };
+  }
+  if (width < MIN_CROP || height < MIN_CROP) {
+    throw { status: 400, message: `The crop must be at least ${MIN_CROP}×${MIN_CROP} pixels` };
+  }
+  return { left, top, width, height };
+};
+
+const centredSquare = (width, height) => {
+  const side = Math.min(width, height);
+  return {
+    left: Math.floor((width - side) / 2),
+    top: Math.floor((height - side) / 2),
+    width: side,
+    height: side,
+  };
+};
+
+// Crop coordinates are in the upright image, as the user saw it, so the
+// EXIF rotation is applied before cutting. A crop that isn't square is
+// trimmed to a centred square; a small one isn't scaled up, so the
+// larger sizes may come out smaller than their name.
+const renderVariants = async (buffer, crop, directory) => {
+  const { data, info } = await sharp(buffer).rotate().raw().toBuffer({ resolveWithObject: true });
+  const region = crop ?? centredSquare(info.width, info.height);
+  if (region.left + region.width > info.width || region.top + region.height > info.height) {
+    throw { status: 400, message: `The crop falls outside the ${info.width}×${info.height} image` };
+  }
+
+  const side = Math.min(region.width, region.height);
+  const cropped = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .extract(region)
+    .resize({ width: side, height: side, fit: 'cover' })
+    .png()
+    .toBuffer();
+
+  const id = uuidv4();
+  const sizes = {};
+  try {
+    for (const size of AVATAR_SIZES) {
+      const variant = await compressImage(cropped, 'image/webp', { width: size, height: size });
+      const blobPath = `${directory}/${id}-${size}.${variant.extension}`;
+      await uploadBufferToGCS(variant.buffer, blobPath, variant.mimeType);
+      sizes[size] = publicUrl(blobPath);
+    }
+  } catch (err) {
+    await removeFiles(Object.values(sizes));
+    throw err;
+  }
+
+  return { sizes, blurhash: await generateBlurHash(cropped) };
+};
+
+const avatarFileUrls = (row) =>
+  [...new Set([row?.avatarUrl, ...Object.values(row?.avatarSizes ?? {})].filter(Boolean))];
+
+// Best effort: a file left behind costs storage, not correctness.
+const removeFiles = async (urls) => {
+  const results = await Promise.allSettled(urls.map((url) => deleteMediaFromGCS(url)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') console.error(`❌ Could not delete avatar file ${urls[i]}:`, result.reason);
+  });
+};
+
+const avatarService = {
+
+  // Saves a new avatar on the user's `target` profile ("profile" or
+  // "scoutProfile") and returns the updated row. With `create`, a missing
+  // profile is created instead of answering 404. Always removes the
+  // uploaded temp file.
+  async replace(userId, file, { target = 'profile', crop, create = false } = {}) {
+    if (!file) throw { status: 400, message: 'No image file provided' };
+
+    try {
+      const region = parseCrop(crop);
+      const existing = await prisma[target].findUnique({ where: { userId }, select: AVATAR_SELECT });
+      if (!existing && !create) throw { status: 404, message: TARGETS[target] };
+
+      const buffer = await fs.promises.readFile(file.path);
+      const type = await fileTypeFromBuffer(buffer);
+      if (!ACCEPTED_MIME.includes(type?.mime)) {
+        throw { status: 400, message: 'Avatar must be a JPEG or PNG image' };
+      }
+
+      const { sizes, blurhash } = await renderVariants(buffer, region, `avatars/${userId}`);
+      const data = { avatarUrl: sizes[1024], avatarSizes: sizes, avatarBlurhash: blurhash };
+
+      let updated;
+      try {
+        updated = await prisma[target].upsert({
+          where: { userId },
+          update: data,
+          create: { userId, ...data },
+        });
+      } catch (err) {
+        await removeFiles(Object.values(sizes));
+        throw err;
+      }
+
+      await removeFiles(avatarFileUrls(existing));
+      return updated;
+    } finally {
+      await fs.promises.unlink(file.path).catch(() => {});
+    }
+  },
+
+  // Every URL an avatar row points at, for account deletion.
+  fileUrls: avatarFileUrls,
+
+  // How every API response carries a user's avatar: `avatarUrl` as it
+  // always has, plus `avatar` with a URL per size and the blurhash (null
+  // with no avatar). Avatars from before variants existed serve their one
+  // file at every size.
+  fields(source) {
+    const avatarUrl = source?.avatarUrl ?? null;
+    if (!avatarUrl) return { avatarUrl: null, avatar: null };
+    return {
+      avatarUrl,
+      avatar: {
+        sizes: source.avatarSizes ?? Object.fromEntries(AVATAR_SIZES.map((size) => [size, avatarUrl])),
+        blurhash: source.avatarBlurhash ?? null,
+      },
+    };
+  },
+
+  // A row selected with AVATAR_SELECT (usually a nested profile) as
+  // responses carry it: its other fields plus `fields`, without the raw
+  // avatar columns.
+  withFields(profile) {
+    if (!profile) return profile;
+    const { avatarSizes: _, avatarBlurhash: __, ...rest } = profile;
+    return { ...rest, ...this.fields(profile) };
+  },
+};
+
+export default avatarService;
@@ -1,5 +1,6 @@
 import prisma from '../lib/prisma.js';
 import { uploadMediaToGCS } from '../config/multer.js';
+import guardianService from './guardianService.js';
 
 const EDIT_WINDOW_MS = 15 * 60 * 1000;
 const DELETE_FOR_EVERYONE_WINDOW_MS = 6 * 60 * 60 * 1000;
@@ -349,6 +350,17 @@ const ChatMessageService = {
         throw error;
       }
     }
+
+    /*
+     * A guardian can withdraw consent after the
+     * room was opened — that has to stop the
+     * scout conversation, not just new rooms.
+     */
+    await guardianService.assertScoutContactAllowed(
+      room.members.map(
+        (member) => member.userId
+      )
+    );
   
     let validReplyToId = null;
     let replyToPreview = null;
@@ -1,4 +1,21 @@
 import prisma from '../lib/prisma.js';
+import scoutVerificationService from './scoutVerificationService.js';
+import guardianService from './guardianService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+
+// NEW — safeguarding: a room can't bring an unverified scout together
+// with a minor, nor any scout together with a minor whose guardian
+// hasn't consented. Checked whenever a room is opened or gains a member.
+async function assertSafeForMinors(userIds) {
+  if (await scoutVerificationService.mixesUnverifiedScoutsWithMinors(userIds)) {
+    const error = new Error('Only verified scouts can chat with players under 18');
+    error.statusCode = 403;
+    error.code = 'SCOUT_NOT_VERIFIED';
+    throw error;
+  }
+  await guardianService.assertScoutContactAllowed(userIds);
+}
 
 const chatRoomService = {
 
@@ -15,6 +32,8 @@ const chatRoomService = {
       ...userIds.map(id => parseInt(id)),
     ]));
 
+    await assertSafeForMinors(memberIds);
+
     return prisma.chatRoom.create({
       data: {
         type: 'GROUP',
@@ -70,6 +89,8 @@ const chatRoomService = {
       throw error;
     }
 
+    await assertSafeForMinors([userId, otherUserId]);
+
     // Deterministic key regardless of who calls it first.
     const [a, b] = [userId, otherUserId].sort((x, y) => x - y);
     const directKey = `${a}_${b}`;
@@ -210,8 +231,8 @@ const chatRoomService = {
                 isOnline: true,
                 lastSeenAt: true,
                 role: true,
-                profile: { select: { avatarUrl: true } },
-                scoutProfile: { select: { avatarUrl: true } },
+                profile: { select: AVATAR_SELECT },
+                scoutProfile: { select: AVATAR_SELECT },
               },
             },
           },
@@ -228,23 +249,32 @@ const chatRoomService = {
             id: true,
             fullname: true,
             role: true,
-            profile: { select: { avatarUrl: true } },
-            scoutProfile: { select: { avatarUrl: true } },
+            profile: { select: AVATAR_SELECT },
+            scoutProfile: { select: AVATAR_SELECT },
           },
         })
       : [];
     const senderById = new Map(senders.map(s => [s.id, s]));
 
-    // NEW — flattens the nested profile/scoutProfile shape into a
-    // single `avatarUrl` field on the user object the client actually
-    // consumes, and drops the now-redundant nested objects + role so
-    // the response shape doesn't change for the frontend.
+    // A player's avatar follows their profile field visibility, seen
+    // from the inbox owner's side.
+    const playerIds = [
+      ...rooms.flatMap(r => r.members.map(mem => mem.user)),
+      ...senders,
+    ].filter(u => u.role === 'PLAYER').map(u => u.id);
+    const hidden = await profilePrivacyService.hiddenFields(userId, playerIds);
+
+    // NEW — flattens the nested profile/scoutProfile shape into
+    // `avatarUrl` (plus the `avatar` size map) on the user object the
+    // client actually consumes, and drops the now-redundant nested
+    // objects + role so the response shape doesn't change for the frontend.
     const flattenAvatar = (user) => {
       if (!user) return user;
       const { profile, scoutProfile, role, ...rest } = user;
+      const playerAvatar = hidden.get(user.id)?.has('avatarUrl') ? null : profile;
       return {
         ...rest,
-        avatarUrl: role === 'SCOUT' ? (scoutProfile?.avatarUrl ?? null) : (profile?.avatarUrl ?? null),
+        ...avatarService.fields(role === 'SCOUT' ? scoutProfile : playerAvatar),
       };
     };
 
@@ -394,6 +424,12 @@ const chatRoomService = {
       throw error;
     }
 
+    const currentMembers = await prisma.chatRoomMember.findMany({
+      where: { roomId },
+      select: { userId: true },
+    });
+    await assertSafeForMinors([...currentMembers.map((m) => m.userId), userId]);
+
     try {
       return await prisma.chatRoomMember.create({
         data: { roomId, userId, role },
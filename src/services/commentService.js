@@ -1,5 +1,6 @@
 // src/services/commentService.js
 import prisma from '../lib/prisma.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
 
 // ─── Shared select shape for a comment returned to the client ─────────────────
 const COMMENT_SELECT = {
@@ -10,7 +11,7 @@ const COMMENT_SELECT = {
     select: {
       id:           true,
       fullname:     true,
-      scoutProfile: { select: { avatarUrl: true } }, // ✅ fixed: was profile
+      scoutProfile: { select: AVATAR_SELECT }, // ✅ fixed: was profile
     },
   },
   _count: {
@@ -27,13 +28,13 @@ const COMMENT_SELECT = {
 //    - hasReplied: viewer posted at least one reply on this comment
 // =========================================================
 const attachViewerCommentInteractions = async (comments, viewerId) => {
-  // ── flatten scoutProfile.avatarUrl onto user for every comment ─────────────
+  // ── flatten the scoutProfile avatar onto user for every comment ────────────
   const flatten = (c) => ({
     ...c,
     user: {
       id:        c.user.id,
       fullname:  c.user.fullname,
-      avatarUrl: c.user.scoutProfile?.avatarUrl ?? null, // ✅ fixed: was profile
+      ...avatarService.fields(c.user.scoutProfile), // ✅ fixed: was profile
     },
   });
 
@@ -0,0 +1,420 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import prisma from '../lib/prisma.js';
+import { bucket } from '../config/gcs-config.js';
+import { sendEmail } from '../config/nodemailer.js';
+import reportTemplateService from './reportTemplateService.js';
+
+const gzip = promisify(zlib.gzip);
+
+// How long the download stays available (signed URLs cap out at 7 days).
+const LINK_TTL_HOURS = parseInt(process.env.DATA_EXPORT_LINK_HOURS || '48');
+// One export per user per this window.
+const COOLDOWN_HOURS = 24;
+// A PROCESSING export older than this is assumed to belong to a crashed
+// instance and is picked up again by the export job.
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// What a player's export includes from scout reports written about them:
+//   'full'   — every field, including the scout's free-text notes
+//   'scores' — date, recommendation, scores and the rating answers only
+//   'none'   — left out entirely
+// The scout's identity is never included.
+const SCOUT_REPORT_POLICY = process.env.DATA_EXPORT_SCOUT_REPORTS || 'scores';
+
+const REPORT_TEXT_FIELDS = [
+  'matchScouted', 'ageGroup', 'timesSeen', 'currentClub',
+  'overallAssessment', 'keyStrengths', 'areasForDevelopment',
+];
+
+const EXPORT_SELECT = {
+  id: true,
+  status: true,
+  fileSize: true,
+  error: true,
+  createdAt: true,
+  completedAt: true,
+  expiresAt: true,
+};
+
+const reportSelect = () => {
+  const fields = ['id', 'createdAt', 'recommendation', 'redactedAt', 'score', 'sectionScores', 'answers'];
+  if (SCOUT_REPORT_POLICY === 'full') fields.push(...REPORT_TEXT_FIELDS);
+  return {
+    ...Object.fromEntries(fields.map((f) => [f, true])),
+    templateVersion: { select: { version: true, sections: true, template: { select: { name: true } } } },
+  };
+};
+
+// Each report with the layout it was filed against. Text answers count as
+// free text, so they only go out under 'full'.
+const exportedReport = ({ templateVersion, answers, ...report }) => ({
+  ...report,
+  template: { name: templateVersion.template.name, version: templateVersion.version, sections: templateVersion.sections },
+  answers: SCOUT_REPORT_POLICY === 'full' ? answers : reportTemplateService.ratingsOnly(templateVersion.sections, answers),
+});
+
+const signedDownloadUrl = async (filePath, expiresAt) => {
+  const [url] = await bucket.file(filePath).getSignedUrl({
+    version: 'v4',
+    action: 'read',
+    expires: expiresAt,
+  });
+  return url;
+};
+
+// Everything we hold about the user, grouped by section. Secrets
+// (password, OTPs, 2FA secret, token hashes) are never selected.
+const collectUserData = async (userId) => {
+  const account = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      fullname: true,
+      role: true,
+      createdAt: true,
+      isVerified: true,
+      twoFactorEnabled: true,
+      lastSeenAt: true,
+      scouterId: true,
+    },
+  });
+
+  const [
+    profile, careerEntries, scoutProfile, videos, reels, posts, comments, replies,
+    commentLikes, replyLikes, reelLikes, ratings, following, followers,
+    chatMessages, payments, challenges, sessions, scoutReports, savedSearches,
+    profileViews,
+  ] = await Promise.all([
+    // Their own coordinates included — src/lib/prisma.js hides them elsewhere.
+    prisma.profile.findUnique({
+      where: { userId },
+      omit: { latitude: false, longitude: false },
+      include: { fieldVisibility: { select: { field: true, visibility: true } } },
+    }),
+    prisma.careerEntry.findMany({
+      where: { userId },
+      include: { seasonStats: { orderBy: { season: 'asc' } } },
+      orderBy: { startDate: 'asc' },
+    }),
+    prisma.scoutProfile.findUnique({ where: { userId } }),
+    prisma.video.findMany({
+      where: { playerId: userId },
+      select: {
+        id: true, title: true, description: true, videoUrl: true, thumbnailUrl: true,
+        published: true, durationSec: true, status: true, createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.reel.findMany({
+      where: { playerId: userId },
+      select: {
+        id: true, title: true, description: true, videoUrl: true, thumbnailUrl: true,
+        published: true, durationSec: true, status: true, createdAt: true,
+        category: { select: { id: true, title: true } },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.post.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+    prisma.comment.findMany({
+      where: { userId },
+      select: { id: true, text: true, createdAt: true, videoId: true, reelId: true, postId: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.reply.findMany({
+      where: { userId },
+      select: { id: true, text: true, createdAt: true, commentId: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.commentLike.findMany({ where: { userId }, select: { commentId: true } }),
+    prisma.replyLike.findMany({ where: { userId }, select: { replyId: true } }),
+    prisma.reelLike.findMany({ where: { userId }, select: { reelId: true } }),
+    prisma.rating.findMany({
+      where: { userId },
+      select: { id: true, score: true, videoId: true, reelId: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.follower.findMany({
+      where: { followerId: userId },
+      select: { followedAt: true, followed: { select: { id: true, fullname: true } } },
+    }),
+    prisma.follower.findMany({
+      where: { followedId: userId },
+      select: { followedAt: true, follower: { select: { id: true, fullname: true } } },
+    }),
+    prisma.chatMessage.findMany({
+      where: { userId },
+      select: {
+        id: true, roomId: true, type: true, text: true, mediaUrl: true, fileName: true,
+        durationSec: true, sentAt: true, editedAt: true, deletedAt: true,
+      },
+      orderBy: { sentAt: 'asc' },
+    }),
+    prisma.payment.findMany({
+      where: { userId },
+      select: { id: true, amount: true, currency: true, status: true, providerRef: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.challengeParticipant.findMany({
+      where: { userId },
+      select: {
+        joinedAt: true, completedAt: true, progress: true, status: true,
+        challenge: { select: { id: true, title: true } },
+        progressLogs: {
+          select: { description: true, progressDelta: true, taskId: true, createdAt: true },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      select: {
+        deviceName: true, userAgent: true, ipAddress: true,
+        createdAt: true, lastUsedAt: true, revokedAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    account?.role === 'PLAYER' && SCOUT_REPORT_POLICY !== 'none'
+      ? prisma.scouterReport.findMany({
+        where: { playerId: userId },
+        select: reportSelect(),
+        orderBy: { createdAt: 'asc' },
+      })
+      : null,
+    prisma.savedSearch.findMany({
+      where: { userId },
+      select: { name: true, filters: true, alertsEnabled: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    // Profiles they looked at by name. Who viewed them isn't theirs to
+    // export; GET /profiles/me/viewers shows it.
+    prisma.profileView.findMany({
+      where: { viewerId: userId },
+      select: { playerId: true, viewedAt: true },
+      orderBy: { viewedAt: 'asc' },
+    }),
+  ]);
+
+  return {
+    account,
+    ...(profile && { profile }),
+    ...(careerEntries.length && { careerEntries }),
+    ...(scoutProfile && { scoutProfile }),
+    videos,
+    reels,
+    posts,
+    comments,
+    replies,
+    likes: { comments: commentLikes, replies: replyLikes, reels: reelLikes },
+    ratings,
+    follows: {
+      following: following.map((f) => ({ ...f.followed, since: f.followedAt })),
+      followers: followers.map((f) => ({ ...f.follower, since: f.followedAt })),
+    },
+    chatMessages,
+    payments,
+    challenges,
+    sessions,
+    ...(scoutReports && { scoutReports: scoutReports.map(exportedReport) }),
+    ...(savedSearches.length && { savedSearches }),
+    ...(profileViews.length && { profileViews }),
+  };
+};
+
+const dataExportService = {
+
+  // ===========================
+  // REQUEST
+  // ===========================
+  // Queues an export and returns straight away; the caller kicks off
+  // `process` in the background (the export job picks up anything that
+  // gets dropped, e.g. by a restart).
+  async request(userId, { now = new Date() } = {}) {
+    const inFlight = await prisma.dataExport.findFirst({
+      where: { userId, status: { in: ['PENDING', 'PROCESSING'] } },
+      select: EXPORT_SELECT,
+    });
+    if (inFlight) throw { status: 409, message: 'An export is already being prepared', export: inFlight };
+
+    const recent = await prisma.dataExport.findFirst({
+      where: {
+        userId,
+        status: 'READY',
+        createdAt: { gt: new Date(now.getTime() - COOLDOWN_HOURS * 60 * 60 * 1000) },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (recent) {
+      const retryAfter = Math.ceil(
+        (recent.createdAt.getTime() + COOLDOWN_HOURS * 60 * 60 * 1000 - now.getTime()) / 1000
+      );
+      throw { status: 429, message: 'You can request one export per day', retryAfter };
+    }
+
+    try {
+      return await prisma.dataExport.create({ data: { userId }, select: EXPORT_SELECT });
+    } catch (err) {
+      // A concurrent request got its export queued first
+      // (DataExport_userId_in_flight_key).
+      if (err.code !== 'P2002') throw err;
+      const queued = await prisma.dataExport.findFirst({
+        where: { userId, status: { in: ['PENDING', 'PROCESSING'] } },
+        select: EXPORT_SELECT,
+      });
+      throw { status: 409, message: 'An export is already being prepared', export: queued };
+    }
+  },
+
+  // ===========================
+  // BUILD
+  // ===========================
+  // Claims the export (so two instances can't both build it), writes the
+  // gzipped JSON bundle to GCS and emails a signed download link.
+  async process(exportId, { now = new Date() } = {}) {
+    const { count } = await prisma.dataExport.updateMany({
+      where: {
+        id: exportId,
+        OR: [
+          { status: 'PENDING' },
+          { status: 'PROCESSING', startedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        ],
+      },
+      data: { status: 'PROCESSING', startedAt: now },
+    });
+    if (count === 0) return null;
+
+    const record = await prisma.dataExport.findUnique({
+      where: { id: exportId },
+      include: { user: { select: { id: true, email: true, fullname: true } } },
+    });
+
+    try {
+      const data = await collectUserData(record.userId);
+      const bundle = {
+        exportedAt: now.toISOString(),
+        format: 'scouterpro-data-export/v1',
+        ...(data.scoutReports && { scoutReportPolicy: SCOUT_REPORT_POLICY }),
+        ...data,
+      };
+
+      const buffer = await gzip(Buffer.from(JSON.stringify(bundle, null, 2)));
+      const filePath = `exports/${record.userId}/${uuidv4()}.json.gz`;
+
+      await bucket.file(filePath).save(buffer, {
+        resumable: false,
+        contentType: 'application/gzip',
+        metadata: {
+          contentDisposition: `attachment; filename="scouterpro-data-${record.userId}.json.gz"`,
+          cacheControl: 'private, no-store',
+        },
+      });
+
+      const expiresAt = new Date(now.getTime() + LINK_TTL_HOURS * 60 * 60 * 1000);
+      const downloadUrl = await signedDownloadUrl(filePath, expiresAt);
+
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: { status: 'READY', filePath, fileSize: buffer.length, completedAt: new Date(), expiresAt },
+      });
+
+      await sendEmail({
+        to: record.user.email,
+        subject: 'Your Data Export Is Ready',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+            <h2 style="color: #333;">Hi ${record.user.fullname},</h2>
+            <p style="color: #555;">A copy of your ScouterPro data is ready to download. The link works for <strong>${LINK_TTL_HOURS} hours</strong>.</p>
+            <p style="text-align: center; padding: 16px 0;"><a href="${downloadUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Download my data</a></p>
+            <p style="color: #999; font-size: 12px;">If you didn't request this, please change your password — someone else may be signed in to your account.</p>
+          </div>
+        `,
+      });
+
+      return exportId;
+    } catch (err) {
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: { status: 'FAILED', error: err.message?.slice(0, 500) ?? 'Unknown error', completedAt: new Date() },
+      });
+      throw err;
+    }
+  },
+
+  // ===========================
+  // READ
+  // ===========================
+  async listForUser(userId) {
+    return prisma.dataExport.findMany({
+      where: { userId },
+      select: EXPORT_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take: 10,
+    });
+  },
+
+  // A ready export comes back with a fresh signed URL (expiring with the
+  // export itself), so a lost email isn't a dead end.
+  async getForUser(userId, exportId, { now = new Date() } = {}) {
+    const id = parseInt(exportId);
+    if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid export ID' };
+
+    const record = await prisma.dataExport.findFirst({
+      where: { id, userId },
+      select: { ...EXPORT_SELECT, filePath: true },
+    });
+    if (!record) throw { status: 404, message: 'Export not found' };
+
+    const { filePath, ...rest } = record;
+    if (record.status !== 'READY' || !filePath || record.expiresAt <= now) return rest;
+
+    return { ...rest, downloadUrl: await signedDownloadUrl(filePath, record.expiresAt) };
+  },
+
+  // ===========================
+  // HOUSEKEEPING
+  // ===========================
+  async findUnprocessed({ now = new Date(), olderThanMs = 5 * 60 * 1000 } = {}) {
+    const rows = await prisma.dataExport.findMany({
+      where: {
+        OR: [
+          { status: 'PENDING', createdAt: { lt: new Date(now.getTime() - olderThanMs) } },
+          { status: 'PROCESSING', startedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        ],
+      },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    return rows.map((r) => r.id);
+  },
+
+  // Deletes archive files whose link has expired. Returns how many.
+  async expire({ now = new Date() } = {}) {
+    const expired = await prisma.dataExport.findMany({
+      where: { status: 'READY', expiresAt: { lte: now } },
+      select: { id: true, filePath: true },
+    });
+
+    for (const record of expired) {
+      await bucket.file(record.filePath).delete({ ignoreNotFound: true });
+      await prisma.dataExport.update({
+        where: { id: record.id },
+        data: { status: 'EXPIRED', filePath: null },
+      });
+    }
+    return expired.length;
+  },
+
+  // Used by account deletion — archives must not outlive the account.
+  async removeAllForUser(userId) {
+    const records = await prisma.dataExport.findMany({
+      where: { userId, filePath: { not: null } },
+      select: { filePath: true },
+    });
+    await Promise.all(records.map((r) => bucket.file(r.filePath).delete({ ignoreNotFound: true })));
+    await prisma.dataExport.deleteMany({ where: { userId } });
+  },
+};
+
+export default dataExportService;
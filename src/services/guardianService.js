@@ -0,0 +1,382 @@
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../config/nodemailer.js';
+import { isMinor } from '../utils/age.js';
+import { escapeHtml } from '../utils/html.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+import profileCompletenessService from './profileCompletenessService.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+
+// How long the guardian's consent link stays valid.
+const CONSENT_LINK_TTL = '7d';
+
+export const GUARDIAN_CONSENT_REQUIRED = 'GUARDIAN_CONSENT_REQUIRED';
+
+const LINK_SELECT = {
+  id: true,
+  guardianEmail: true,
+  status: true,
+  consentedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  guardian: { select: { id: true, fullname: true, email: true } },
+};
+
+const emailTemplate = (name, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+    <h2 style="color: #333;">Hi ${escapeHtml(name)},</h2>
+    ${body}
+  </div>
+`;
+
+// Consent is needed unless the player's date of birth says they're 18 or
+// over — like isMinor, an unknown dob fails closed, so a player who hasn't
+// entered one can't publish or be messaged by scouts until they do.
+// Naming a guardian is only demanded once a dob says they're under 18
+// (assertGuardianListed); an adult just enters theirs.
+const needsConsent = (dob, now) => isMinor(dob, now);
+
+const consentError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  error.code = GUARDIAN_CONSENT_REQUIRED;
+  return error;
+};
+
+const sendConsentRequest = async (link, player) => {
+  const token = jwt.sign(
+    { linkId: link.id, playerId: player.id, guardianEmail: link.guardianEmail, purpose: 'guardian-consent' },
+    JWT_SECRET,
+    { expiresIn: CONSENT_LINK_TTL }
+  );
+  // Opens the web app, which signs the guardian in (or up) and POSTs the
+  // token to /guardians/consent.
+  const consentUrl = `${APP_URL}/guardian-consent?token=${encodeURIComponent(token)}`;
+
+  await sendEmail({
+    to: link.guardianEmail,
+    subject: 'A player needs your consent on The Scouter',
+    html: emailTemplate('there', `
+      <p style="color: #555;"><strong>${escapeHtml(player.fullname)}</strong> listed you as their parent or guardian.</p>
+      <p style="color: #555;">Players under 18 need a guardian's consent before they can publish reels and videos or message scouts. Once you consent you can read their conversations with scouts, and withdraw consent at any time.</p>
+      <p style="text-align: center; padding: 16px 0;"><a href="${consentUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Review and consent</a></p>
+      <p style="color: #999; font-size: 12px;">You'll need to sign in, or create a guardian account, with this email address. The link works for 7 days. If you don't know this player, ignore this email.</p>
+    `),
+  });
+};
+
+// The ward's link, checked against the guardian asking for it.
+const findWardLink = async (guardianId, playerId) => {
+  const id = parseInt(playerId);
+  if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid player ID' };
+
+  const link = await prisma.guardianLink.findUnique({ where: { playerId: id } });
+  if (!link || link.guardianId !== guardianId) throw { status: 404, message: 'Player not found' };
+  return link;
+};
+
+// Rooms the ward shares with at least one scout — the conversations a
+// guardian may read.
+const scoutConversationWhere = (playerId) => ({
+  AND: [
+    { members: { some: { userId: playerId } } },
+    { members: { some: { user: { role: 'SCOUT' } } } },
+  ],
+});
+
+const guardianService = {
+
+  // ===========================
+  // PLAYER
+  // ===========================
+  async getForPlayer(playerId) {
+    const player = await prisma.user.findUnique({
+      where: { id: playerId },
+      select: { profile: { select: { dob: true } }, guardianLink: { select: LINK_SELECT } },
+    });
+    if (!player) throw { status: 404, message: 'User not found' };
+
+    return {
+      consentRequired: needsConsent(player.profile?.dob),
+      link: player.guardianLink,
+    };
+  },
+
+  // Names (or replaces) the player's guardian and emails them a consent
+  // link. Replacing a guardian drops any consent already given — the new
+  // guardian has to confirm for themselves.
+  async setGuardian(playerId, { guardianEmail } = {}) {
+    const email = guardianEmail?.trim().toLowerCase();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) throw { status: 400, message: 'A valid guardian email is required' };
+
+    const player = await prisma.user.findUnique({
+      where: { id: playerId },
+      select: {
+        id: true, email: true, fullname: true, role: true,
+        guardianLink: { include: { guardian: { select: { email: true, fullname: true } } } },
+      },
+    });
+    if (!player) throw { status: 404, message: 'User not found' };
+    if (player.role !== 'PLAYER') throw { status: 400, message: 'Only players can name a guardian' };
+    if (email === player.email.toLowerCase()) throw { status: 400, message: "You can't be your own guardian" };
+
+    const previous = player.guardianLink;
+    if (previous?.guardianEmail === email && previous.status === 'CONSENTED') {
+      throw { status: 400, message: 'This guardian has already given consent' };
+    }
+
+    const link = await prisma.guardianLink.upsert({
+      where: { playerId },
+      create: { playerId, guardianEmail: email },
+      update: { guardianEmail: email, guardianId: null, status: 'PENDING', consentedAt: null, revokedAt: null },
+    });
+
+    await sendConsentRequest(link, player);
+
+    if (previous?.guardian && previous.guardianEmail !== email) {
+      await sendEmail({
+        to: previous.guardian.email,
+        subject: 'You are no longer listed as a guardian',
+        html: emailTemplate(previous.guardian.fullname, `
+          <p style="color: #555;"><strong>${escapeHtml(player.fullname)}</strong> has named a different guardian. You no longer have access to their conversations.</p>
+        `),
+      });
+    }
+
+    return this.getForPlayer(playerId);
+  },
+
+  // Called from profileService.update: a player whose dob puts them under
+  // 18 must have named a guardian (or be naming one in the same request).
+  async assertGuardianListed(playerId, dob, guardianEmail) {
+    if (!dob || !needsConsent(dob) || guardianEmail) return;
+
+    const link = await prisma.guardianLink.findUnique({ where: { playerId }, select: { id: true } });
+    if (!link) throw { status: 400, message: 'Players under 18 must provide a guardian email' };
+  },
+
+  // ===========================
+  // GUARDIAN
+  // ===========================
+  // `guardian` is req.user. The account's email must be the one the
+  // player named — that, plus holding the emailed token, is the proof.
+  async confirmConsent(guardian, { token } = {}) {
+    if (!token) throw { status: 400, message: 'Consent token is required' };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch {
+      throw { status: 400, message: 'This consent link is invalid or has expired' };
+    }
+    if (decoded.purpose !== 'guardian-consent') throw { status: 400, message: 'This consent link is invalid or has expired' };
+
+    const link = await prisma.guardianLink.findUnique({
+      where: { id: decoded.linkId },
+      include: { player: { select: { id: true, email: true, fullname: true } } },
+    });
+    // The player changing guardian since the email went out voids it.
+    if (!link || link.playerId !== decoded.playerId || link.guardianEmail !== decoded.guardianEmail || link.status !== 'PENDING') {
+      throw { status: 400, message: 'This consent link is invalid or has expired' };
+    }
+    if (guardian.email.toLowerCase() !== link.guardianEmail) {
+      throw { status: 403, message: `Sign in as ${link.guardianEmail} to give consent` };
+    }
+    if (guardian.userId === link.playerId) throw { status: 400, message: "You can't be your own guardian" };
+
+    const updated = await prisma.guardianLink.update({
+      where: { id: link.id },
+      data: { guardianId: guardian.userId, status: 'CONSENTED', consentedAt: new Date(), revokedAt: null },
+      select: { ...LINK_SELECT, player: { select: { id: true, fullname: true } } },
+    });
+
+    await sendEmail({
+      to: link.player.email,
+      subject: 'Your Guardian Gave Consent',
+      html: emailTemplate(link.player.fullname, `
+        <p style="color: #555;">Your guardian has given consent. You can now publish reels and videos and message scouts.</p>
+      `),
+    });
+
+    return updated;
+  },
+
+  // Withdrawing consent also takes the player's published reels and
+  // videos down — they were published on the strength of it.
+  async revokeConsent(guardianId, playerId) {
+    const link = await findWardLink(guardianId, playerId);
+    if (link.status !== 'CONSENTED') throw { status: 400, message: 'Consent is not currently given' };
+
+    const [updated, reels, videos] = await prisma.$transaction([
+      prisma.guardianLink.update({
+        where: { id: link.id },
+        data: { status: 'REVOKED', revokedAt: new Date() },
+        select: { ...LINK_SELECT, player: { select: { id: true, fullname: true, email: true } } },
+      }),
+      prisma.reel.updateMany({
+        where: { playerId: link.playerId, published: true },
+        data: { published: false },
+      }),
+      prisma.video.updateMany({
+        where: { playerId: link.playerId, published: true },
+        data: { published: false },
+      }),
+    ]);
+    await profileCompletenessService.refresh(link.playerId);
+
+    const { player, ...rest } = updated;
+    await sendEmail({
+      to: player.email,
+      subject: 'Guardian Consent Withdrawn',
+      html: emailTemplate(player.fullname, `
+        <p style="color: #555;">Your guardian has withdrawn their consent. Your reels and videos have been unpublished and you can't message scouts until consent is given again.</p>
+      `),
+    });
+
+    return {
+      ...rest,
+      player: { id: player.id, fullname: player.fullname },
+      reelsUnpublished: reels.count,
+      videosUnpublished: videos.count,
+    };
+  },
+
+  async listWards(guardianId) {
+    const links = await prisma.guardianLink.findMany({
+      where: { guardianId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true, status: true, consentedAt: true, revokedAt: true, createdAt: true,
+        player: {
+          select: {
+            id: true, fullname: true,
+            profile: { select: { dob: true, ...AVATAR_SELECT, club: true } },
+          },
+        },
+      },
+    });
+    return links.map((link) => ({
+      ...link,
+      player: { ...link.player, profile: avatarService.withFields(link.player.profile) },
+    }));
+  },
+
+  // Field visibility on the ward's profile. Unlike conversations, this
+  // goes with the consent — a guardian who revoked can't change it.
+  async getWardPrivacy(guardianId, playerId) {
+    const link = await findWardLink(guardianId, playerId);
+    if (link.status === 'REVOKED') throw { status: 404, message: 'Player not found' };
+    return profilePrivacyService.getSettings(link.playerId);
+  },
+
+  async setWardPrivacy(guardianId, playerId, body) {
+    const link = await findWardLink(guardianId, playerId);
+    if (link.status === 'REVOKED') throw { status: 404, message: 'Player not found' };
+    return profilePrivacyService.updateSettings(link.playerId, body);
+  },
+
+  // Read-only view of the ward's scout conversations. Guardians keep it
+  // after revoking, so they can still see what was said.
+  async listWardConversations(guardianId, playerId) {
+    const link = await findWardLink(guardianId, playerId);
+
+    return prisma.chatRoom.findMany({
+      where: scoutConversationWhere(link.playerId),
+      orderBy: { updatedAt: 'desc' },
+      select: {
+        id: true, type: true, name: true, createdAt: true, updatedAt: true,
+        members: { select: { user: { select: { id: true, fullname: true, role: true } } } },
+        lastMessage: { select: { preview: true, senderId: true, updatedAt: true } },
+      },
+    });
+  },
+
+  async getWardConversationMessages(guardianId, playerId, roomId, { page = 1, limit = 30 } = {}) {
+    const link = await findWardLink(guardianId, playerId);
+
+    const id = parseInt(roomId);
+    if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid room ID' };
+
+    const room = await prisma.chatRoom.findFirst({
+      where: { id, ...scoutConversationWhere(link.playerId) },
+      select: { id: true },
+    });
+    if (!room) throw { status: 404, message: 'Conversation not found' };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+    const where = { roomId: id, deletedAt: null };
+
+    const [messages, total] = await Promise.all([
+      prisma.chatMessage.findMany({
+        where, skip, take,
+        orderBy: { seq: 'asc' },
+        select: {
+          id: true, seq: true, type: true, text: true, mediaUrl: true, thumbnailUrl: true,
+          fileName: true, sentAt: true, editedAt: true,
+          user: { select: { id: true, fullname: true, role: true } },
+        },
+      }),
+      prisma.chatMessage.count({ where }),
+    ]);
+
+    return {
+      data: messages,
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    };
+  },
+
+  // ===========================
+  // RESTRICTIONS
+  // ===========================
+  async hasConsent(playerId) {
+    const player = await prisma.user.findUnique({
+      where: { id: playerId },
+      select: { profile: { select: { dob: true } }, guardianLink: { select: { status: true } } },
+    });
+    return !needsConsent(player?.profile?.dob) || player?.guardianLink?.status === 'CONSENTED';
+  },
+
+  // Used by reelService and videoService before a reel or video goes out
+  // published.
+  async assertCanPublish(playerId, what = 'reels') {
+    if (!(await this.hasConsent(playerId))) {
+      throw consentError(`A guardian must give consent before you can publish ${what}`);
+    }
+  },
+
+  // Used by chatRoomService and chatMessageService: a scout can't open,
+  // join or write in a room with a minor whose guardian hasn't consented.
+  async assertScoutContactAllowed(userIds) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds.map((id) => parseInt(id)) } },
+      select: {
+        role: true,
+        profile: { select: { dob: true } },
+        guardianLink: { select: { status: true } },
+      },
+    });
+
+    const hasScout = users.some((u) => u.role === 'SCOUT');
+    const hasMinorWithoutConsent = users.some(
+      (u) => u.role === 'PLAYER' && needsConsent(u.profile?.dob) && u.guardianLink?.status !== 'CONSENTED'
+    );
+
+    if (hasScout && hasMinorWithoutConsent) {
+      throw consentError("Scouts can only message players under 18 once the player's guardian has given consent");
+    }
+  },
+};
+
+export default guardianService;
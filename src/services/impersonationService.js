@@ -0,0 +1,129 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import sessionService from './sessionService.js';
+
+const SESSION_SELECT = {
+  id: true,
+  impersonationReason: true,
+  createdAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  user: { select: { id: true, fullname: true, email: true, role: true } },
+  impersonator: { select: { id: true, fullname: true, email: true } },
+};
+
+const audit = (sessionId, event, { method = null, path = null, statusCode = null, ipAddress = null, detail = null } = {}) =>
+  prisma.impersonationAuditEntry.create({
+    data: { sessionId, event, method, path, statusCode, ipAddress, detail: detail ?? Prisma.JsonNull },
+  });
+
+const parseId = (value, label) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: `Invalid ${label}` };
+  return id;
+};
+
+const impersonationService = {
+
+  // ===========================
+  // START / END
+  // ===========================
+  // `admin` is req.user of a normal (non-impersonated) admin session.
+  async start(admin, targetUserId, { reason } = {}, { userAgent, ipAddress } = {}) {
+    if (!reason?.trim()) throw { status: 400, message: 'A reason is required to impersonate a user' };
+
+    const targetId = parseId(targetUserId, 'user ID');
+    if (targetId === admin.userId) throw { status: 400, message: 'You cannot impersonate yourself' };
+
+    const target = await prisma.user.findUnique({
+      where: { id: targetId },
+      select: { id: true, email: true, fullname: true, role: true, isVerified: true, deletedAt: true },
+    });
+    if (!target || target.deletedAt) throw { status: 404, message: 'User not found' };
+    // Admin → admin would be privilege sharing, not support.
+    if (target.role === 'ADMIN') throw { status: 403, message: 'Admin accounts cannot be impersonated' };
+
+    const { token, sessionId, expiresAt } = await sessionService.createImpersonation(
+      target,
+      { id: admin.userId, email: admin.email },
+      { reason: reason.trim(), userAgent, ipAddress }
+    );
+    await audit(sessionId, 'STARTED', { ipAddress, detail: { reason: reason.trim() } });
+
+    const { deletedAt, ...user } = target;
+    return { token, sessionId, expiresAt, user };
+  },
+
+  async end(sessionId, adminId) {
+    const id = parseId(sessionId, 'session ID');
+
+    const session = await prisma.session.findUnique({ where: { id } });
+    if (!session?.impersonatorId) throw { status: 404, message: 'Impersonation session not found' };
+
+    if (!session.revokedAt) {
+      await prisma.session.update({ where: { id }, data: { revokedAt: new Date() } });
+      await audit(id, 'ENDED', { detail: { endedBy: adminId } });
+    }
+
+    return id;
+  },
+
+  // ===========================
+  // AUDIT
+  // ===========================
+  // Called by verifyToken once the response has gone out, for every
+  // request made with an impersonation token (blocked ones included).
+  async recordRequest(sessionId, { method, path, statusCode, ipAddress, blocked = false }) {
+    return audit(sessionId, blocked ? 'BLOCKED' : 'REQUEST', { method, path, statusCode, ipAddress });
+  },
+
+  async listSessions({ adminId, userId, page = 1, limit = 20 }) {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {
+      impersonatorId: adminId ? parseId(adminId, 'admin ID') : { not: null },
+      ...(userId && { userId: parseId(userId, 'user ID') }),
+    };
+
+    const [sessions, total] = await Promise.all([
+      prisma.session.findMany({
+        where, skip, take,
+        orderBy: { createdAt: 'desc' },
+        select: { ...SESSION_SELECT, _count: { select: { auditEntries: true } } },
+      }),
+      prisma.session.count({ where }),
+    ]);
+
+    return {
+      data: sessions,
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    };
+  },
+
+  async getSession(sessionId) {
+    const id = parseId(sessionId, 'session ID');
+
+    const session = await prisma.session.findUnique({
+      where: { id },
+      select: {
+        ...SESSION_SELECT,
+        impersonatorId: true,
+        auditEntries: { orderBy: { createdAt: 'asc' } },
+      },
+    });
+    if (!session?.impersonatorId) throw { status: 404, message: 'Impersonation session not found' };
+
+    const { impersonatorId, ...rest } = session;
+    return rest;
+  },
+};
+
+export default impersonationService;
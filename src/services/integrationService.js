@@ -0,0 +1,179 @@
+import prisma from '../lib/prisma.js';
+import { CAREER_HISTORY } from './profileService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+
+// Read-only data for club integrations (API-key routes). Everything is
+// scoped to the key's organisation: its shortlists, the players on them
+// and the reports filed into it. Contact details are never included.
+//
+// A key acts for an organisation, not a person, so player profiles show
+// only the fields the player has left PUBLIC.
+
+const PLAYER_SELECT = {
+  id: true,
+  fullname: true,
+  profile: {
+    select: {
+      position: true, height: true, favouriteFoot: true, dob: true,
+      country: true, city: true, club: true, avatarUrl: true,
+    },
+  },
+};
+
+// Answers only make sense next to the layout they were given against.
+const REPORT_TEMPLATE_SELECT = {
+  id: true, version: true, sections: true,
+  template: { select: { id: true, name: true } },
+};
+
+const publicPlayers = (players) => profilePrivacyService.redactUsers(null, players);
+
+// The position a report was scored for is the player's position, which
+// the player may not have made public — so it isn't sent.
+const publicReport = ({ scoredPosition, ...report }) => report;
+
+// Swaps each item's `player` for its public view.
+const withPublicPlayers = async (items) => {
+  const players = await publicPlayers(items.map((i) => i.player));
+  return items.map((item, i) => ({ ...item, player: players[i] }));
+};
+
+const paginate = (page, limit) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = Math.min(parseInt(limit), 100);
+  return { skip, take };
+};
+
+const pageMeta = (total, page, skip, take) => ({
+  total,
+  page: parseInt(page),
+  limit: take,
+  totalPages: Math.ceil(total / take),
+  hasNextPage: skip + take < total,
+  hasPrevPage: parseInt(page) > 1,
+});
+
+const parseId = (value, label) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: `Invalid ${label}` };
+  return id;
+};
+
+// A player is visible to an organisation while they're on one of its
+// shortlists.
+const requireShortlisted = async (organisationId, playerId) => {
+  const id = parseId(playerId, 'player ID');
+  const entry = await prisma.shortlistEntry.findFirst({
+    where: { playerId: id, shortlist: { organisationId }, player: { deletedAt: null } },
+  });
+  if (!entry) throw { status: 404, message: 'Player not found' };
+  return id;
+};
+
+const integrationService = {
+
+  // ===========================
+  // players:read
+  // ===========================
+  async listShortlists(organisationId) {
+    return prisma.shortlist.findMany({
+      where: { organisationId },
+      orderBy: { updatedAt: 'desc' },
+      select: { id: true, name: true, description: true, createdAt: true, updatedAt: true, _count: { select: { entries: true } } },
+    });
+  },
+
+  async getShortlist(organisationId, shortlistId) {
+    const id = parseId(shortlistId, 'shortlist ID');
+    const shortlist = await prisma.shortlist.findFirst({
+      where: { id, organisationId },
+      select: {
+        id: true, name: true, description: true, createdAt: true, updatedAt: true,
+        entries: {
+          where: { player: { deletedAt: null } },
+          orderBy: { createdAt: 'asc' },
+          select: { note: true, createdAt: true, player: { select: PLAYER_SELECT } },
+        },
+      },
+    });
+    if (!shortlist) throw { status: 404, message: 'Shortlist not found' };
+    return { ...shortlist, entries: await withPublicPlayers(shortlist.entries) };
+  },
+
+  async getPlayer(organisationId, playerId) {
+    const id = await requireShortlisted(organisationId, playerId);
+    const player = await prisma.user.findUnique({ where: { id }, select: { ...PLAYER_SELECT, careerEntries: CAREER_HISTORY } });
+    const [visible] = await publicPlayers([player]);
+    return visible;
+  },
+
+  // ===========================
+  // reels:read
+  // ===========================
+  async listPlayerReels(organisationId, playerId, { page = 1, limit = 20 } = {}) {
+    const id = await requireShortlisted(organisationId, playerId);
+    const { skip, take } = paginate(page, limit);
+    const where = { playerId: id, published: true };
+
+    const [reels, total] = await Promise.all([
+      prisma.reel.findMany({
+        where, skip, take,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true, title: true, description: true, videoUrl: true, thumbnailUrl: true,
+          durationSec: true, createdAt: true, category: { select: { id: true, title: true } },
+        },
+      }),
+      prisma.reel.count({ where }),
+    ]);
+
+    return { data: reels, meta: pageMeta(total, page, skip, take) };
+  },
+
+  // ===========================
+  // reports:read
+  // ===========================
+  // `since` lets a sync job fetch only what's new since its last run.
+  async listReports(organisationId, { playerId, since, page = 1, limit = 20 } = {}) {
+    const { skip, take } = paginate(page, limit);
+    const where = { organisationId };
+    if (playerId) where.playerId = parseId(playerId, 'player ID');
+    if (since) {
+      const date = new Date(since);
+      if (isNaN(date.getTime())) throw { status: 400, message: 'since must be an ISO date' };
+      where.createdAt = { gte: date };
+    }
+
+    const [reports, total] = await Promise.all([
+      prisma.scouterReport.findMany({
+        where, skip, take,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          scouter: { select: { id: true, fullname: true } },
+          player: { select: PLAYER_SELECT },
+          templateVersion: { select: REPORT_TEMPLATE_SELECT },
+        },
+      }),
+      prisma.scouterReport.count({ where }),
+    ]);
+
+    return { data: (await withPublicPlayers(reports)).map(publicReport), meta: pageMeta(total, page, skip, take) };
+  },
+
+  async getReport(organisationId, reportId) {
+    const id = parseId(reportId, 'report ID');
+    const report = await prisma.scouterReport.findFirst({
+      where: { id, organisationId },
+      include: {
+        scouter: { select: { id: true, fullname: true } },
+        player: { select: PLAYER_SELECT },
+        templateVersion: { select: REPORT_TEMPLATE_SELECT },
+      },
+    });
+    if (!report) throw { status: 404, message: 'Report not found' };
+    const [visible] = await withPublicPlayers([report]);
+    return publicReport(visible);
+  },
+};
+
+export default integrationService;
@@ -0,0 +1,578 @@
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../config/nodemailer.js';
+import { escapeHtml } from '../utils/html.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+
+const INVITE_TTL_DAYS = 7;
+const VALID_ROLES = ['OWNER', 'MEMBER'];
+
+const MEMBER_SELECT = {
+  role: true,
+  joinedAt: true,
+  user: { select: { id: true, fullname: true, email: true, scoutProfile: { select: AVATAR_SELECT } } },
+};
+
+const ORGANISATION_SELECT = {
+  id: true,
+  name: true,
+  seatLimit: true,
+  createdAt: true,
+  members: { select: MEMBER_SELECT, orderBy: { joinedAt: 'asc' } },
+};
+
+const formatMember = (member) => ({
+  ...member,
+  user: { ...member.user, scoutProfile: avatarService.withFields(member.user.scoutProfile) },
+});
+
+const formatOrganisation = (organisation) => ({
+  ...organisation,
+  members: organisation.members.map(formatMember),
+});
+
+const INVITE_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: { select: { id: true, fullname: true } },
+};
+
+const SHORTLIST_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  createdAt: true,
+  updatedAt: true,
+  createdBy: { select: { id: true, fullname: true } },
+};
+
+const paginate = (page, limit) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+  return { skip, take };
+};
+
+const pageMeta = (total, page, skip, take) => ({
+  total,
+  page: parseInt(page),
+  limit: take,
+  totalPages: Math.ceil(total / take),
+  hasNextPage: skip + take < total,
+  hasPrevPage: parseInt(page) > 1,
+});
+
+const parseId = (value, label) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: `Invalid ${label}` };
+  return id;
+};
+
+// The caller's seat. Every /organisations/me route goes through this —
+// a scout belongs to at most one organisation, so "me" is unambiguous.
+const requireMembership = async (userId, { owner = false } = {}) => {
+  const membership = await prisma.organisationMember.findUnique({ where: { userId } });
+  if (!membership) throw { status: 404, message: 'You are not part of an organisation' };
+  if (owner && membership.role !== 'OWNER') throw { status: 403, message: 'Only organisation owners can do this' };
+  return membership;
+};
+
+// Members plus invites still waiting to be accepted.
+const seatsTaken = async (organisationId, { now = new Date(), exceptInviteId } = {}) => {
+  const [members, invites] = await Promise.all([
+    prisma.organisationMember.count({ where: { organisationId } }),
+    prisma.organisationInvite.count({
+      where: {
+        organisationId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: now },
+        ...(exceptInviteId && { id: { not: exceptInviteId } }),
+      },
+    }),
+  ]);
+  return members + invites;
+};
+
+const findShortlist = async (organisationId, shortlistId) => {
+  const id = parseId(shortlistId, 'shortlist ID');
+  const shortlist = await prisma.shortlist.findUnique({ where: { id } });
+  if (!shortlist || shortlist.organisationId !== organisationId) throw { status: 404, message: 'Shortlist not found' };
+  return shortlist;
+};
+
+// Direct conversations between any member of the organisation and a
+// player — the shared inbox.
+const inboxWhere = (organisationId) => ({
+  type: 'DIRECT',
+  AND: [
+    { members: { some: { user: { organisationMembership: { organisationId } } } } },
+    { members: { some: { user: { role: 'PLAYER' } } } },
+  ],
+});
+
+const organisationService = {
+
+  // ===========================
+  // ORGANISATION
+  // ===========================
+  // The creating scout becomes the first OWNER.
+  async create(userId, { name } = {}) {
+    if (!name?.trim()) throw { status: 400, message: 'Organisation name is required' };
+
+    const existing = await prisma.organisationMember.findUnique({ where: { userId } });
+    if (existing) throw { status: 409, message: 'Leave your current organisation first' };
+
+    const organisation = await prisma.organisation.create({
+      data: {
+        name: name.trim(),
+        members: { create: { userId, role: 'OWNER' } },
+      },
+      select: ORGANISATION_SELECT,
+    });
+    return formatOrganisation(organisation);
+  },
+
+  async getMine(userId) {
+    const { organisationId } = await requireMembership(userId);
+
+    const organisation = await prisma.organisation.findUnique({
+      where: { id: organisationId },
+      select: { ...ORGANISATION_SELECT, _count: { select: { reports: true, shortlists: true } } },
+    });
+    return { ...formatOrganisation(organisation), seatsTaken: await seatsTaken(organisationId) };
+  },
+
+  async update(userId, { name } = {}) {
+    const { organisationId } = await requireMembership(userId, { owner: true });
+    if (!name?.trim()) throw { status: 400, message: 'Organisation name is required' };
+
+    const organisation = await prisma.organisation.update({
+      where: { id: organisationId },
+      data: { name: name.trim() },
+      select: ORGANISATION_SELECT,
+    });
+    return formatOrganisation(organisation);
+  },
+
+  // Shortlists and invites go with it; reports stay with their authors.
+  async delete(userId) {
+    const { organisationId } = await requireMembership(userId, { owner: true });
+    await prisma.organisation.delete({ where: { id: organisationId } });
+  },
+
+  // ===========================
+  // ADMIN
+  // ===========================
+  async getAll({ page = 1, limit = 10, search }) {
+    const { skip, take } = paginate(page, limit);
+    const where = search ? { name: { contains: search, mode: 'insensitive' } } : {};
+
+    const [organisations, total] = await Promise.all([
+      prisma.organisation.findMany({
+        where, skip, take,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true, name: true, seatLimit: true, createdAt: true,
+          _count: { select: { members: true, reports: true } },
+        },
+      }),
+      prisma.organisation.count({ where }),
+    ]);
+
+    return { data: organisations, meta: pageMeta(total, page, skip, take) };
+  },
+
+  async setSeatLimit(organisationId, { seatLimit } = {}) {
+    const id = parseId(organisationId, 'organisation ID');
+    const limit = parseInt(seatLimit);
+    if (!Number.isInteger(limit) || limit < 1) throw { status: 400, message: 'seatLimit must be a positive integer' };
+
+    const organisation = await prisma.organisation.findUnique({ where: { id } });
+    if (!organisation) throw { status: 404, message: 'Organisation not found' };
+
+    const members = await prisma.organisationMember.count({ where: { organisationId: id } });
+    if (limit < members) throw { status: 400, message: `The organisation already has ${members} members` };
+
+    return prisma.organisation.update({
+      where: { id },
+      data: { seatLimit: limit },
+      select: { id: true, name: true, seatLimit: true },
+    });
+  },
+
+  // ===========================
+  // MEMBERS
+  // ===========================
+  // Owners remove anyone; a member can only remove themself (leave). The
+  // last owner can't leave while anyone else is still in the team.
+  async removeMember(requesterId, targetUserId) {
+    const requester = await requireMembership(requesterId);
+    const targetId = parseId(targetUserId, 'user ID');
+    const isSelfRemoval = targetId === requesterId;
+
+    if (!isSelfRemoval && requester.role !== 'OWNER') {
+      throw { status: 403, message: 'Only organisation owners can remove other members' };
+    }
+
+    const target = await prisma.organisationMember.findUnique({ where: { userId: targetId } });
+    if (!target || target.organisationId !== requester.organisationId) throw { status: 404, message: 'Member not found' };
+
+    if (target.role === 'OWNER') {
+      const [owners, members] = await Promise.all([
+        prisma.organisationMember.count({ where: { organisationId: requester.organisationId, role: 'OWNER' } }),
+        prisma.organisationMember.count({ where: { organisationId: requester.organisationId } }),
+      ]);
+      if (owners <= 1 && members > 1) {
+        throw { status: 400, message: 'Make another member an owner first' };
+      }
+    }
+
+    await prisma.organisationMember.delete({ where: { userId: targetId } });
+
+    // The last person out closes the organisation.
+    const remaining = await prisma.organisationMember.count({ where: { organisationId: requester.organisationId } });
+    if (remaining === 0) await prisma.organisation.delete({ where: { id: requester.organisationId } });
+  },
+
+  async updateMemberRole(requesterId, targetUserId, { role } = {}) {
+    const requester = await requireMembership(requesterId, { owner: true });
+    if (!VALID_ROLES.includes(role)) throw { status: 400, message: `Role must be one of: ${VALID_ROLES.join(', ')}` };
+
+    const targetId = parseId(targetUserId, 'user ID');
+    const target = await prisma.organisationMember.findUnique({ where: { userId: targetId } });
+    if (!target || target.organisationId !== requester.organisationId) throw { status: 404, message: 'Member not found' };
+
+    if (target.role === 'OWNER' && role !== 'OWNER') {
+      const owners = await prisma.organisationMember.count({
+        where: { organisationId: requester.organisationId, role: 'OWNER' },
+      });
+      if (owners <= 1) throw { status: 400, message: 'An organisation needs at least one owner' };
+    }
+
+    const member = await prisma.organisationMember.update({
+      where: { userId: targetId },
+      data: { role },
+      select: MEMBER_SELECT,
+    });
+    return formatMember(member);
+  },
+
+  // ===========================
+  // INVITES
+  // ===========================
+  // Inviting the same address again replaces the earlier invite, so a
+  // lost email can simply be re-sent.
+  async invite(requesterId, { email, role = 'MEMBER' } = {}, { now = new Date() } = {}) {
+    const { organisationId } = await requireMembership(requesterId, { owner: true });
+
+    const address = email?.trim().toLowerCase();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!address || !emailRegex.test(address)) throw { status: 400, message: 'A valid email is required' };
+    if (!VALID_ROLES.includes(role)) throw { status: 400, message: `Role must be one of: ${VALID_ROLES.join(', ')}` };
+
+    const alreadyMember = await prisma.organisationMember.findFirst({
+      where: { organisationId, user: { email: { equals: address, mode: 'insensitive' } } },
+    });
+    if (alreadyMember) throw { status: 409, message: 'This person is already a member' };
+
+    await prisma.organisationInvite.updateMany({
+      where: { organisationId, email: address, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: now },
+    });
+
+    const organisation = await prisma.organisation.findUnique({
+      where: { id: organisationId },
+      select: { name: true, seatLimit: true },
+    });
+    if ((await seatsTaken(organisationId, { now })) >= organisation.seatLimit) {
+      throw { status: 409, message: `All ${organisation.seatLimit} seats are taken or have open invites` };
+    }
+
+    const invite = await prisma.organisationInvite.create({
+      data: {
+        organisationId,
+        email: address,
+        role,
+        invitedById: requesterId,
+        expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+      select: INVITE_SELECT,
+    });
+
+    const token = jwt.sign(
+      { inviteId: invite.id, email: address, purpose: 'organisation-invite' },
+      JWT_SECRET,
+      { expiresIn: `${INVITE_TTL_DAYS}d` }
+    );
+    // Opens the web app, which signs the scout in and POSTs the token to
+    // /organisations/invites/accept.
+    const inviteUrl = `${APP_URL}/organisation-invite?token=${encodeURIComponent(token)}`;
+
+    await sendEmail({
+      to: address,
+      subject: `Join ${organisation.name} on The Scouter`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">You're invited 👋</h2>
+          <p style="color: #555;"><strong>${escapeHtml(invite.invitedBy.fullname)}</strong> invited you to join <strong>${escapeHtml(organisation.name)}</strong>'s scouting team. Members share scout reports, shortlists and a team inbox.</p>
+          <p style="text-align: center; padding: 16px 0;"><a href="${inviteUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Accept invite</a></p>
+          <p style="color: #999; font-size: 12px;">Sign in with a scout account using this email address. The invite expires in ${INVITE_TTL_DAYS} days.</p>
+        </div>
+      `,
+    });
+
+    return invite;
+  },
+
+  async listInvites(requesterId, { now = new Date() } = {}) {
+    const { organisationId } = await requireMembership(requesterId, { owner: true });
+    return prisma.organisationInvite.findMany({
+      where: { organisationId, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+      orderBy: { createdAt: 'desc' },
+      select: INVITE_SELECT,
+    });
+  },
+
+  async revokeInvite(requesterId, inviteId) {
+    const { organisationId } = await requireMembership(requesterId, { owner: true });
+    const id = parseId(inviteId, 'invite ID');
+
+    const invite = await prisma.organisationInvite.findUnique({ where: { id } });
+    if (!invite || invite.organisationId !== organisationId || invite.acceptedAt || invite.revokedAt) {
+      throw { status: 404, message: 'Invite not found' };
+    }
+
+    await prisma.organisationInvite.update({ where: { id }, data: { revokedAt: new Date() } });
+  },
+
+  // `user` is req.user — the signed-in scout's email must be the invited
+  // one.
+  async acceptInvite(user, { token } = {}, { now = new Date() } = {}) {
+    if (!token) throw { status: 400, message: 'Invite token is required' };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch {
+      throw { status: 400, message: 'This invite is invalid or has expired' };
+    }
+    if (decoded.purpose !== 'organisation-invite') throw { status: 400, message: 'This invite is invalid or has expired' };
+
+    const invite = await prisma.organisationInvite.findUnique({
+      where: { id: decoded.inviteId },
+      include: { organisation: { select: { seatLimit: true } } },
+    });
+    if (!invite || invite.acceptedAt || invite.revokedAt || invite.expiresAt <= now) {
+      throw { status: 400, message: 'This invite is invalid or has expired' };
+    }
+    if (user.email.toLowerCase() !== invite.email) {
+      throw { status: 403, message: `Sign in as ${invite.email} to accept this invite` };
+    }
+
+    const existing = await prisma.organisationMember.findUnique({ where: { userId: user.userId } });
+    if (existing) throw { status: 409, message: 'Leave your current organisation first' };
+
+    // Seats may have been taken by direct changes since the invite went
+    // out (e.g. an admin lowered the limit).
+    if ((await seatsTaken(invite.organisationId, { now, exceptInviteId: invite.id })) >= invite.organisation.seatLimit) {
+      throw { status: 409, message: 'This organisation has no free seats' };
+    }
+
+    await prisma.$transaction([
+      prisma.organisationMember.create({
+        data: { organisationId: invite.organisationId, userId: user.userId, role: invite.role },
+      }),
+      prisma.organisationInvite.update({ where: { id: invite.id }, data: { acceptedAt: now } }),
+    ]);
+
+    return this.getMine(user.userId);
+  },
+
+  // ===========================
+  // SHARED SHORTLISTS
+  // ===========================
+  async listShortlists(userId) {
+    const { organisationId } = await requireMembership(userId);
+    return prisma.shortlist.findMany({
+      where: { organisationId },
+      orderBy: { updatedAt: 'desc' },
+      select: { ...SHORTLIST_SELECT, _count: { select: { entries: true } } },
+    });
+  },
+
+  async createShortlist(userId, { name, description } = {}) {
+    const { organisationId } = await requireMembership(userId);
+    if (!name?.trim()) throw { status: 400, message: 'Shortlist name is required' };
+
+    return prisma.shortlist.create({
+      data: { organisationId, name: name.trim(), description: description || null, createdById: userId },
+      select: SHORTLIST_SELECT,
+    });
+  },
+
+  async getShortlist(userId, shortlistId) {
+    const { organisationId } = await requireMembership(userId);
+    const { id } = await findShortlist(organisationId, shortlistId);
+
+    const shortlist = await prisma.shortlist.findUnique({
+      where: { id },
+      select: {
+        ...SHORTLIST_SELECT,
+        entries: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true, note: true, createdAt: true,
+            addedBy: { select: { id: true, fullname: true } },
+            player: {
+              select: {
+                id: true, fullname: true,
+                profile: { select: { position: true, dob: true, country: true, city: true, club: true, ...AVATAR_SELECT } },
+              },
+            },
+          },
+        },
+      },
+    });
+
+    const players = await profilePrivacyService.redactUsers(userId, shortlist.entries.map((e) => e.player));
+    return {
+      ...shortlist,
+      entries: shortlist.entries.map((e, i) => ({
+        ...e,
+        player: { ...players[i], profile: avatarService.withFields(players[i].profile) },
+      })),
+    };
+  },
+
+  async updateShortlist(userId, shortlistId, { name, description } = {}) {
+    const { organisationId } = await requireMembership(userId);
+    const { id } = await findShortlist(organisationId, shortlistId);
+    if (name !== undefined && !name?.trim()) throw { status: 400, message: 'Shortlist name cannot be empty' };
+
+    return prisma.shortlist.update({
+      where: { id },
+      data: { name: name?.trim(), description },
+      select: SHORTLIST_SELECT,
+    });
+  },
+
+  // The scout who made it, or an owner.
+  async deleteShortlist(userId, shortlistId) {
+    const membership = await requireMembership(userId);
+    const shortlist = await findShortlist(membership.organisationId, shortlistId);
+    if (shortlist.createdById !== userId && membership.role !== 'OWNER') {
+      throw { status: 403, message: 'Only the shortlist creator or an owner can delete it' };
+    }
+    await prisma.shortlist.delete({ where: { id: shortlist.id } });
+  },
+
+  async addToShortlist(userId, shortlistId, { playerId, note } = {}) {
+    const { organisationId } = await requireMembership(userId);
+    const { id } = await findShortlist(organisationId, shortlistId);
+
+    const player = await prisma.user.findUnique({
+      where: { id: parseId(playerId, 'player ID') },
+      select: { id: true, role: true, deletedAt: true },
+    });
+    if (!player || player.role !== 'PLAYER' || player.deletedAt) throw { status: 404, message: 'Player not found' };
+
+    try {
+      const entry = await prisma.shortlistEntry.create({
+        data: { shortlistId: id, playerId: player.id, addedById: userId, note: note || null },
+        select: { id: true, playerId: true, note: true, createdAt: true },
+      });
+      await prisma.shortlist.update({ where: { id }, data: { updatedAt: new Date() } });
+      return entry;
+    } catch (err) {
+      if (err.code === 'P2002') throw { status: 409, message: 'Player is already on this shortlist' };
+      throw err;
+    }
+  },
+
+  async removeFromShortlist(userId, shortlistId, playerId) {
+    const { organisationId } = await requireMembership(userId);
+    const { id } = await findShortlist(organisationId, shortlistId);
+
+    const { count } = await prisma.shortlistEntry.deleteMany({
+      where: { shortlistId: id, playerId: parseId(playerId, 'player ID') },
+    });
+    if (count === 0) throw { status: 404, message: 'Player is not on this shortlist' };
+  },
+
+  // ===========================
+  // SHARED INBOX
+  // ===========================
+  // Read-only: members see each other's player conversations but only
+  // ever write in their own (through the normal chat routes).
+  async getInbox(userId, { page = 1, limit = 20 } = {}) {
+    const { organisationId } = await requireMembership(userId);
+    const { skip, take } = paginate(page, limit);
+    const where = inboxWhere(organisationId);
+
+    const [rooms, total] = await Promise.all([
+      prisma.chatRoom.findMany({
+        where, skip, take,
+        orderBy: { updatedAt: 'desc' },
+        select: {
+          id: true, createdAt: true, updatedAt: true,
+          members: { select: { user: { select: { id: true, fullname: true, role: true } } } },
+          lastMessage: { select: { preview: true, senderId: true, updatedAt: true } },
+        },
+      }),
+      prisma.chatRoom.count({ where }),
+    ]);
+
+    return { data: rooms, meta: pageMeta(total, page, skip, take) };
+  },
+
+  async getInboxMessages(userId, roomId, { page = 1, limit = 30 } = {}) {
+    const { organisationId } = await requireMembership(userId);
+    const id = parseId(roomId, 'room ID');
+
+    const room = await prisma.chatRoom.findFirst({ where: { id, ...inboxWhere(organisationId) }, select: { id: true } });
+    if (!room) throw { status: 404, message: 'Conversation not found' };
+
+    const { skip, take } = paginate(page, limit);
+    const where = { roomId: id, deletedAt: null };
+
+    const [messages, total] = await Promise.all([
+      prisma.chatMessage.findMany({
+        where, skip, take,
+        orderBy: { seq: 'asc' },
+        select: {
+          id: true, seq: true, type: true, text: true, mediaUrl: true, thumbnailUrl: true,
+          fileName: true, sentAt: true, editedAt: true,
+          user: { select: { id: true, fullname: true, role: true } },
+        },
+      }),
+      prisma.chatMessage.count({ where }),
+    ]);
+
+    return { data: messages, meta: pageMeta(total, page, skip, take) };
+  },
+
+  // ===========================
+  // REPORT ACCESS
+  // ===========================
+  // Used by scoutReportService: a scout sees their own reports plus every
+  // report filed into their organisation.
+  async reportAccessWhere(userId) {
+    const membership = await prisma.organisationMember.findUnique({ where: { userId } });
+    return membership
+      ? { OR: [{ scouterId: userId }, { organisationId: membership.organisationId }] }
+      : { scouterId: userId };
+  },
+
+  async getMembership(userId) {
+    return prisma.organisationMember.findUnique({ where: { userId } });
+  },
+};
+
+export default organisationService;
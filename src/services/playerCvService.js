@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import prisma from '../lib/prisma.js';
+import { bucket } from '../config/gcs-config.js';
+import { computeAge } from '../utils/age.js';
+import { CAREER_HISTORY } from './profileService.js';
+import seasonStatService from './seasonStatService.js';
+import guardianService from './guardianService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import publicProfileService from './publicProfileService.js';
+import reportTemplateService from './reportTemplateService.js';
+
+// The player's "football CV" as a PDF. There's one CV per player, built
+// from what a signed-out visitor could see — fields the player keeps
+// PUBLIC, never the date of birth itself — so the same file can be
+// handed to anyone and forwarded on. Scout-report scores only appear if
+// the player turns `cvShowScoutReports` on.
+//
+// Rendered files are cached in GCS. Every request hashes the content that
+// would go on the page; a different hash from the cached one (the profile,
+// career, stats or reels changed) means a rebuild.
+
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+
+// Bump when the layout changes, so cached CVs are rebuilt.
+const CV_VERSION = 1;
+const CV_REELS = 4;
+const AVATAR_TIMEOUT_MS = 5000;
+
+const BRAND = '#4F46E5';
+const TEXT = '#333333';
+const MUTED = '#777777';
+
+const round = (value, places = 1) => (value === null ? null : Number(value.toFixed(places)));
+
+const monthYear = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// Ratings averaged over the reports filed on the player, per attribute
+// and per template section, scaled to 0–10 whatever the template's
+// scales. Which scouts filed them is never shown. Reports filed within an
+// organisation stay with the organisation, so only independent scouts'
+// reports count.
+const reportSummary = async (playerId) => {
+  const reports = await prisma.scouterReport.findMany({
+    where: { playerId, organisationId: null },
+    select: { answers: true, templateVersion: { select: { sections: true } } },
+  });
+  const groups = reportTemplateService.summarise(reports);
+  if (!groups.length) return null;
+
+  return {
+    reports: reports.length,
+    groups: groups.map(({ title, average, attributes }) => ({
+      label: title,
+      average: round(average),
+      attributes: attributes.map((a) => ({ label: a.label, average: round(a.average) })),
+    })),
+  };
+};
+
+// Everything printed on the CV. The hash of this decides whether the
+// cached file is still good.
+const collect = async (playerId, now) => {
+  const found = await prisma.profile.findUnique({
+    where: { userId: playerId },
+    select: {
+      userId: true, slug: true, avatarUrl: true, position: true, height: true,
+      favouriteFoot: true, strengths: true, gender: true, country: true,
+      city: true, club: true, dob: true, bio: true, cvShowScoutReports: true,
+      user: { select: { fullname: true, role: true, deletedAt: true, careerEntries: CAREER_HISTORY } },
+    },
+  });
+  if (!found || found.user.role !== 'PLAYER' || found.user.deletedAt) {
+    throw { status: 404, message: 'Player not found' };
+  }
+
+  const [profile] = await profilePrivacyService.redactProfiles(null, [found]);
+  const { user, dob, slug, cvShowScoutReports, userId: _, ...fields } = profile;
+
+  const [totals, reels, reports] = await Promise.all([
+    seasonStatService.totals(playerId),
+    publicProfileService.topReels(playerId, CV_REELS),
+    cvShowScoutReports ? reportSummary(playerId) : null,
+  ]);
+
+  return {
+    fullname: user.fullname,
+    slug,
+    // Age moves on with the calendar, so a birthday rebuilds the CV too.
+    profile: { ...fields, age: computeAge(dob, now) },
+    career: user.careerEntries,
+    totals,
+    reels: reels.map((r) => ({ id: r.id, title: r.title, url: `${APP_URL}/reels/${r.id}` })),
+    reports,
+    pageUrl: slug ? publicProfileService.pageUrl(slug) : null,
+  };
+};
+
+// The player, their guardian and admins can always get the CV; anyone
+// else only once an under-18's guardian has consented, as with the
+// public page.
+const canRead = async (playerId, viewer) => {
+  if (viewer?.userId === playerId || viewer?.role === 'ADMIN') return true;
+  if (await guardianService.hasConsent(playerId)) return true;
+  if (!viewer) return false;
+  const links = await prisma.guardianLink.count({
+    where: { playerId, guardianId: viewer.userId, status: { not: 'REVOKED' } },
+  });
+  return links > 0;
+};
+
+const contentHash = (data) =>
+  crypto.createHash('sha256').update(JSON.stringify({ version: CV_VERSION, data })).digest('hex');
+
+// A missing or unreadable avatar just leaves the space empty.
+const loadAvatar = async (url) => {
+  if (!url) return null;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS) });
+    if (!res.ok) return null;
+    return await sharp(Buffer.from(await res.arrayBuffer())).resize(240, 240, { fit: 'cover' }).png().toBuffer();
+  } catch (err) {
+    console.error(`playerCv: could not load avatar ${url}`, err.message);
+    return null;
+  }
+};
+
+const heading = (doc, text) => {
+  if (doc.y > doc.page.height - 140) doc.addPage();
+  doc.moveDown(0.8);
+  doc.fillColor(BRAND).font('Helvetica-Bold').fontSize(13).text(text.toUpperCase(), { characterSpacing: 0.5 });
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(1).strokeColor(BRAND).stroke();
+  doc.moveDown(0.6);
+  doc.fillColor(TEXT).font('Helvetica').fontSize(10);
+};
+
+const render = async (data, now) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 48, bufferPages: true, info: { Title: `${data.fullname} — Football CV`, Author: 'The Scouter' } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const { profile } = data;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header band: name, position and club, avatar on the right.
+  doc.rect(0, 0, doc.page.width, 130).fill(BRAND);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(9).text('THE SCOUTER · FOOTBALL CV', left, 32, { characterSpacing: 1 });
+  doc.font('Helvetica-Bold').fontSize(26).text(data.fullname, left, 50, { width: width - 110 });
+  const headline = [profile.position, profile.club].filter(Boolean).join(' · ');
+  if (headline) doc.font('Helvetica').fontSize(13).text(headline, { width: width - 110 });
+
+  const avatar = await loadAvatar(profile.avatarUrl);
+  if (avatar) {
+    const size = 90;
+    const x = doc.page.width - doc.page.margins.right - size;
+    doc.save().circle(x + size / 2, 20 + size / 2, size / 2).clip().image(avatar, x, 20, { width: size, height: size }).restore();
+  }
+  doc.x = left;
+  doc.y = 150;
+
+  // Physical attributes and basics, two columns.
+  const facts = [
+    ['Age', profile.age],
+    ['Position', profile.position],
+    ['Preferred foot', profile.favouriteFoot],
+    ['Height', profile.height],
+    ['Gender', profile.gender],
+    ['Based in', [profile.city, profile.country].filter(Boolean).join(', ')],
+    ['Current club', profile.club],
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  if (facts.length) {
+    heading(doc, 'Profile');
+    const top = doc.y;
+    const rows = Math.ceil(facts.length / 2);
+    facts.forEach(([label, value], i) => {
+      const x = left + (i < rows ? 0 : width / 2);
+      const y = top + (i % rows) * 18;
+      doc.font('Helvetica-Bold').fillColor(MUTED).text(label, x, y, { width: 95 });
+      doc.font('Helvetica').fillColor(TEXT).text(String(value), x + 95, y, { width: width / 2 - 100 });
+    });
+    doc.x = left;
+    doc.y = top + rows * 18;
+  }
+
+  if (profile.strengths) {
+    heading(doc, 'Strengths');
+    doc.text(profile.strengths, { width });
+  }
+
+  if (profile.bio) {
+    heading(doc, 'About');
+    doc.text(profile.bio, { width });
+  }
+
+  if (data.career.length) {
+    heading(doc, 'Career');
+    for (const entry of data.career) {
+      if (doc.y > doc.page.height - 110) doc.addPage();
+      const dates = `${monthYear(entry.startDate)} – ${entry.endDate ? monthYear(entry.endDate) : 'present'}`;
+      const where = [entry.league, entry.country].filter(Boolean).join(', ');
+      doc.font('Helvetica-Bold').fillColor(TEXT).text(entry.club, { continued: Boolean(where) });
+      if (where) doc.font('Helvetica').fillColor(MUTED).text(`  ${where}`);
+      doc.font('Helvetica').fillColor(MUTED)
+        .text([dates, entry.squadLevel, entry.position].filter(Boolean).join(' · '));
+      for (const stat of entry.seasonStats) {
+        const line = `${stat.season}: ${stat.appearances} apps · ${stat.minutes} min · ${stat.goals} goals · ${stat.assists} assists`;
+        doc.fillColor(TEXT).text(stat.verificationStatus === 'VERIFIED' ? `${line} · verified by a scout` : line, { indent: 12 });
+      }
+      doc.moveDown(0.5);
+    }
+  }
+
+  if (data.totals.seasons) {
+    const { totals, per90, seasons, verifiedSeasons } = data.totals;
+    heading(doc, 'Career totals');
+    doc.fillColor(TEXT).text(
+      `${totals.appearances} appearances · ${totals.minutes} minutes · ${totals.goals} goals · ${totals.assists} assists`
+    );
+    if (per90.goals !== null) {
+      doc.text(`Per 90: ${per90.goals} goals · ${per90.assists} assists · ${per90.goalContributions} goal contributions`);
+    }
+    doc.fillColor(MUTED).text(`${verifiedSeasons} of ${seasons} season${seasons === 1 ? '' : 's'} verified by scouts`);
+  }
+
+  if (data.reports) {
+    heading(doc, 'Scout assessments');
+    doc.fillColor(MUTED).text(`Average scores out of 10 across ${data.reports.reports} scout report${data.reports.reports === 1 ? '' : 's'}`);
+    doc.moveDown(0.4);
+    for (const group of data.reports.groups) {
+      if (doc.y > doc.page.height - 120) doc.addPage();
+      doc.font('Helvetica-Bold').fillColor(TEXT).text(`${group.label} — ${group.average}`);
+      doc.font('Helvetica');
+      for (const attr of group.attributes) {
+        const y = doc.y;
+        doc.fillColor(TEXT).text(attr.label, left + 12, y, { width: 160 });
+        doc.rect(left + 180, y + 2, 150, 7).fill('#E5E7EB');
+        doc.rect(left + 180, y + 2, 15 * attr.average, 7).fill(BRAND);
+        doc.fillColor(MUTED).text(String(attr.average), left + 340, y);
+        doc.x = left;
+        doc.y = y + 14;
+      }
+      doc.moveDown(0.4);
+    }
+  }
+
+  if (data.reels.length) {
+    const size = 96;
+    heading(doc, 'Highlight reels');
+    if (doc.y > doc.page.height - size - 80) doc.addPage();
+    const top = doc.y;
+    const slot = width / CV_REELS;
+    for (const [i, reel] of data.reels.entries()) {
+      const qr = await QRCode.toBuffer(reel.url, { type: 'png', margin: 1, width: size * 2, color: { dark: '#111111' } });
+      const x = left + i * slot;
+      doc.image(qr, x, top, { width: size, height: size });
+      doc.fillColor(TEXT).fontSize(9).text(reel.title, x, top + size + 4, { width: slot - 10, height: 24, ellipsis: true });
+    }
+    doc.fontSize(10);
+    doc.x = left;
+    doc.y = top + size + 32;
+  }
+
+  // Footer on every page.
+  const generated = `Generated ${now.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - 30;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(MUTED).fontSize(8)
+      .text([generated, data.pageUrl].filter(Boolean).join(' · '), left, bottom, { width, align: 'center', lineBreak: false });
+  }
+
+  doc.end();
+  return done;
+};
+
+const playerCvService = {
+
+  // The player's CV as a PDF buffer — the cached one if nothing on it has
+  // changed, otherwise freshly rendered and cached. `viewer` is req.user,
+  // or undefined when signed out.
+  async get(id, { viewer = null, now = new Date() } = {}) {
+    if (!(await canRead(id, viewer))) throw { status: 404, message: 'Player not found' };
+    const data = await collect(id, now);
+
+    const hash = contentHash(data);
+    const filename = `${data.slug ?? `player-${id}`}-cv.pdf`;
+
+    const cached = await prisma.playerCv.findUnique({ where: { userId: id } });
+    if (cached?.contentHash === hash) {
+      try {
+        const [buffer] = await bucket.file(cached.filePath).download();
+        return { buffer, hash, filename, generatedAt: cached.generatedAt };
+      } catch (err) {
+        console.error(`playerCv: cached CV for player ${id} unreadable, rebuilding`, err.message);
+      }
+    }
+
+    const buffer = await render(data, now);
+    const filePath = `cvs/${id}/${hash.slice(0, 16)}.pdf`;
+    await bucket.file(filePath).save(buffer, {
+      resumable: false,
+      contentType: 'application/pdf',
+      metadata: { cacheControl: 'private, no-store' },
+    });
+
+    await prisma.playerCv.upsert({
+      where: { userId: id },
+      create: { userId: id, filePath, contentHash: hash, fileSize: buffer.length, generatedAt: now },
+      update: { filePath, contentHash: hash, fileSize: buffer.length, generatedAt: now },
+    });
+    if (cached && cached.filePath !== filePath) {
+      await bucket.file(cached.filePath).delete({ ignoreNotFound: true }).catch(() => {});
+    }
+
+    return { buffer, hash, filename, generatedAt: now };
+  },
+
+  // Used by accountDeletionService.
+  async removeAllForUser(userId) {
+    await bucket.deleteFiles({ prefix: `cvs/${userId}/` });
+    await prisma.playerCv.deleteMany({ where: { userId } });
+  },
+};
+
+export default playerCvService;
@@ -0,0 +1,345 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import seasonStatService from './seasonStatService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import { AVATAR_SELECT } from './avatarService.js';
+
+// Every query key player discovery understands. Saved searches store
+// exactly these (savedSearchService).
+export const DISCOVERY_FILTERS = [
+  'search', 'position', 'country', 'city', 'gender', 'favouriteFoot',
+  'minAge', 'maxAge', 'minHeight', 'maxHeight',
+  'lat', 'lng', 'radiusKm',
+  'minReelRating', 'minReportScore', 'reelCategoryId',
+  'minGoalsPer90', 'minAssistsPer90', 'minMinutes', 'verifiedStatsOnly',
+  'minCompleteness',
+];
+
+const SORTS = ['relevance', 'recent'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// The lower bound stops a tiny radius being used to pin down where a
+// player lives.
+const MIN_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+
+// Coordinates are deliberately left out — they only drive the radius filter.
+const PROFILE_SELECT = {
+  id: true, position: true, height: true, favouriteFoot: true,
+  strengths: true, gender: true, country: true, city: true,
+  dob: true, bio: true, ...AVATAR_SELECT, createdAt: true, completenessScore: true,
+  user: { select: { id: true, fullname: true } },
+};
+
+const numberParam = (query, name, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const raw = query[name];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const value = integer ? Number(raw) : parseFloat(raw);
+  if (Number.isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw { status: 400, message: `Invalid ${name}` };
+  }
+  return value;
+};
+
+const yearsBefore = (date, years) => {
+  const d = new Date(date);
+  d.setFullYear(d.getFullYear() - years);
+  return d;
+};
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Bounding box in the query, exact distance in memory. Near the poles or
+// across the antimeridian the longitude bound is dropped rather than
+// wrapped.
+const playersWithinRadius = async (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.cos(toRad(lat)));
+  const boundLng = Number.isFinite(lngDelta) && lng - lngDelta >= -180 && lng + lngDelta <= 180;
+
+  const profiles = await prisma.profile.findMany({
+    where: {
+      latitude: { gte: lat - latDelta, lte: lat + latDelta },
+      longitude: boundLng ? { gte: lng - lngDelta, lte: lng + lngDelta } : { not: null },
+    },
+    select: { userId: true, latitude: true, longitude: true },
+  });
+
+  return profiles
+    .filter((p) => distanceKm(lat, lng, p.latitude, p.longitude) <= radiusKm)
+    .map((p) => p.userId);
+};
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw { status: 400, message: 'Invalid cursor' };
+  }
+};
+
+const intersect = (sets) =>
+  sets.reduce((acc, ids) => {
+    if (acc === null) return ids;
+    const keep = new Set(ids);
+    return acc.filter((id) => keep.has(id));
+  }, null);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// How well a player fits, highest first: the name match when there's a
+// search term, then average reel rating (out of 5), average report score
+// (out of 10) and a nudge for scout-verified stats. Rounded so the value
+// handed out in a cursor compares exactly.
+const relevanceSql = (term) => {
+  const name = term
+    ? Prisma.sql`CASE
+        WHEN lower(u.fullname) = ${term} THEN 3
+        WHEN lower(u.fullname) LIKE ${`${escapeLike(term)}%`} THEN 2
+        WHEN regexp_replace(lower(u.fullname), '\\s+', ' ', 'g') LIKE ${`% ${escapeLike(term)}%`} THEN 1.5
+        ELSE 1
+      END`
+    : Prisma.sql`0`;
+
+  return Prisma.sql`round((
+    ${name}
+    + least(coalesce(reel.average, 0)::numeric / 5, 1)
+    + least(coalesce(report.average, 0)::numeric / 10, 1)
+    + CASE WHEN EXISTS (
+        SELECT 1 FROM "SeasonStat" st WHERE st."userId" = p."userId" AND st."verificationStatus" = 'VERIFIED'
+      ) THEN 0.5 ELSE 0 END
+  )::numeric, 4)`;
+};
+
+// One page of `profileIds` by relevance, after `cursor` if given.
+const rankedPage = (profileIds, term, cursor, take) => prisma.$queryRaw`
+  WITH ranked AS (
+    SELECT p.id, ${relevanceSql(term)} AS relevance
+    FROM "Profile" p
+    JOIN "User" u ON u.id = p."userId"
+    LEFT JOIN LATERAL (
+      SELECT avg(r.score) AS average
+      FROM "Rating" r JOIN "Reel" re ON re.id = r."reelId"
+      WHERE re."playerId" = p."userId" AND re.published
+    ) reel ON true
+    LEFT JOIN LATERAL (
+      SELECT avg(s.score) AS average
+      FROM "ScouterReport" s
+      WHERE s."playerId" = p."userId" AND s.score IS NOT NULL
+    ) report ON true
+    WHERE p.id = ANY(${profileIds})
+  )
+  SELECT id, relevance::float8 AS relevance
+  FROM ranked
+  WHERE ${cursor ? Prisma.sql`(relevance, id) < (${cursor.relevance}::numeric, ${cursor.id}::int)` : Prisma.sql`true`}
+  ORDER BY relevance DESC, id DESC
+  LIMIT ${take}`;
+
+const playerSearchService = {
+
+  // Average score of every rating on each player's published reels.
+  async averageReelRatings(playerIds) {
+    const groups = await prisma.rating.groupBy({
+      by: ['reelId'],
+      where: { reel: { published: true, ...(playerIds && { playerId: { in: playerIds } }) } },
+      _sum: { score: true },
+      _count: { score: true },
+    });
+    const reels = await prisma.reel.findMany({
+      where: { id: { in: groups.map((g) => g.reelId) } },
+      select: { id: true, playerId: true },
+    });
+    const ownerOf = new Map(reels.map((r) => [r.id, r.playerId]));
+
+    const totals = new Map();
+    for (const g of groups) {
+      const playerId = ownerOf.get(g.reelId);
+      const t = totals.get(playerId) ?? { sum: 0, count: 0 };
+      t.sum += g._sum.score ?? 0;
+      t.count += g._count.score;
+      totals.set(playerId, t);
+    }
+    return new Map([...totals].map(([id, t]) => [id, t.sum / t.count]));
+  },
+
+  // Average report score (0–10, see reportWeightingService) per player,
+  // each report counting once.
+  async averageReportScores(playerIds) {
+    const groups = await prisma.scouterReport.groupBy({
+      by: ['playerId'],
+      where: { score: { not: null }, ...(playerIds && { playerId: { in: playerIds } }) },
+      _avg: { score: true },
+    });
+    return new Map(groups.map((g) => [g.playerId, g._avg.score]));
+  },
+
+  // Profile `where` for a set of discovery filters. Filters that can't be
+  // expressed in one query (radius, ratings, report scores, season stats)
+  // are resolved to player ids first and intersected.
+  //
+  // A filter on a profile field only matches players who let `viewer`
+  // see that field, so filtering can't be used to read a hidden value.
+  // The radius filter counts as a filter on `city`.
+  async buildWhere(query = {}, { now = new Date(), viewer = null } = {}) {
+    const where = { user: { role: 'PLAYER', deletedAt: null } };
+    const filteredFields = new Set();
+
+    if (query.position) where.position = query.position;
+    if (query.country) where.country = query.country;
+    if (query.gender) where.gender = query.gender;
+    if (query.city) where.city = { equals: query.city, mode: 'insensitive' };
+    if (query.favouriteFoot) where.favouriteFoot = { equals: query.favouriteFoot, mode: 'insensitive' };
+    for (const field of ['position', 'country', 'gender', 'city', 'favouriteFoot']) {
+      if (query[field]) filteredFields.add(field);
+    }
+    if (query.search) where.user.fullname = { contains: query.search, mode: 'insensitive' };
+
+    // Age from dob: at least minAge means born on or before today minus
+    // minAge years; at most maxAge means born after today minus maxAge+1.
+    const minAge = numberParam(query, 'minAge', { min: 0, max: 100, integer: true });
+    const maxAge = numberParam(query, 'maxAge', { min: 0, max: 100, integer: true });
+    if (minAge !== null && maxAge !== null && minAge > maxAge) throw { status: 400, message: 'minAge cannot be above maxAge' };
+    if (minAge !== null || maxAge !== null) {
+      where.dob = {
+        ...(minAge !== null && { lte: yearsBefore(now, minAge) }),
+        ...(maxAge !== null && { gt: yearsBefore(now, maxAge + 1) }),
+      };
+      filteredFields.add('dob');
+    }
+
+    const minHeight = numberParam(query, 'minHeight', { min: 0 });
+    const maxHeight = numberParam(query, 'maxHeight', { min: 0 });
+    if (minHeight !== null || maxHeight !== null) {
+      where.height = {
+        ...(minHeight !== null && { gte: minHeight }),
+        ...(maxHeight !== null && { lte: maxHeight }),
+      };
+      filteredFields.add('height');
+    }
+
+    const minCompleteness = numberParam(query, 'minCompleteness', { min: 0, max: 100, integer: true });
+    if (minCompleteness !== null) where.completenessScore = { gte: minCompleteness };
+
+    const categoryId = numberParam(query, 'reelCategoryId', { min: 1, integer: true });
+    if (categoryId !== null) where.user.reels = { some: { categoryId, published: true } };
+
+    const idSets = [];
+
+    const statIds = await seasonStatService.playerIdsMatching(query);
+    if (statIds) idSets.push(statIds);
+
+    const lat = numberParam(query, 'lat', { min: -90, max: 90 });
+    const lng = numberParam(query, 'lng', { min: -180, max: 180 });
+    const radiusKm = numberParam(query, 'radiusKm', { min: MIN_RADIUS_KM, max: MAX_RADIUS_KM });
+    if (lat !== null || lng !== null || radiusKm !== null) {
+      if (lat === null || lng === null || radiusKm === null) {
+        throw { status: 400, message: 'lat, lng and radiusKm must be given together' };
+      }
+      idSets.push(await playersWithinRadius(lat, lng, radiusKm));
+      filteredFields.add('city');
+    }
+
+    const minReelRating = numberParam(query, 'minReelRating', { min: 0 });
+    if (minReelRating !== null) {
+      const ratings = await this.averageReelRatings();
+      idSets.push([...ratings].filter(([, avg]) => avg >= minReelRating).map(([id]) => id));
+    }
+
+    const minReportScore = numberParam(query, 'minReportScore', { min: 0, max: 10 });
+    if (minReportScore !== null) {
+      const scores = await this.averageReportScores();
+      idSets.push([...scores].filter(([, avg]) => avg >= minReportScore).map(([id]) => id));
+    }
+
+    const ids = intersect(idSets);
+    if (ids) where.userId = { in: ids };
+
+    if (filteredFields.size) {
+      const access = await profilePrivacyService.resolveViewer(viewer);
+      where.AND = [...filteredFields].map((field) => profilePrivacyService.visibleWhere(access, field));
+    }
+
+    return where;
+  },
+
+  // Scout discovery. Cursor-paginated: pass `meta.nextCursor` back as
+  // `cursor` for the next page. Sorts by relevance when there's a search
+  // term, otherwise by recency, unless `sort` says otherwise. Fields the
+  // player hides from `viewer` come back null.
+  async search(query = {}, { now = new Date(), viewer = null } = {}) {
+    const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const sort = query.sort ?? (query.search ? 'relevance' : 'recent');
+    if (!SORTS.includes(sort)) throw { status: 400, message: `sort must be one of: ${SORTS.join(', ')}` };
+
+    const where = await this.buildWhere(query, { now, viewer });
+    const cursor = decodeCursor(query.cursor);
+
+    if (sort === 'recent') {
+      const rows = await prisma.profile.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+        ...(cursor?.id && { cursor: { id: cursor.id }, skip: 1 }),
+        select: PROFILE_SELECT,
+      });
+      const hasNextPage = rows.length > limit;
+      const data = await profilePrivacyService.redactProfiles(viewer, rows.slice(0, limit));
+      return {
+        data,
+        meta: { sort, limit, hasNextPage, nextCursor: hasNextPage ? encodeCursor({ id: data[data.length - 1].id }) : null },
+      };
+    }
+
+    if (cursor && (!Number.isFinite(cursor.relevance) || !Number.isInteger(cursor.id))) {
+      throw { status: 400, message: 'Invalid cursor' };
+    }
+
+    // The filters only exist as a Prisma `where`, so the match set is
+    // resolved to ids first; the ranking and paging over all of it
+    // happen in SQL.
+    const matches = await prisma.profile.findMany({ where, select: { id: true } });
+    const term = query.search?.trim().toLowerCase() || null;
+    const rows = matches.length ? await rankedPage(matches.map((m) => m.id), term, cursor, limit + 1) : [];
+    const hasNextPage = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+
+    const profiles = await prisma.profile.findMany({ where: { id: { in: pageRows.map((r) => r.id) } }, select: PROFILE_SELECT });
+    const byId = new Map(profiles.map((p) => [p.id, p]));
+    const data = await profilePrivacyService.redactProfiles(
+      viewer,
+      pageRows.map((r) => ({ ...byId.get(r.id), relevance: r.relevance }))
+    );
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      data,
+      meta: { sort, limit, hasNextPage, nextCursor: hasNextPage ? encodeCursor({ relevance: last.relevance, id: last.id }) : null },
+    };
+  },
+
+  // Player ids matching a set of filters, newest first — what saved-search
+  // alerts compare against. `viewer` is the scout who saved the search.
+  async matchingPlayerIds(filters, { now = new Date(), limit = 1000, viewer = null } = {}) {
+    const where = await this.buildWhere(filters, { now, viewer });
+    const rows = await prisma.profile.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: { userId: true },
+    });
+    return rows.map((r) => r.userId);
+  },
+};
+
+export default playerSearchService;
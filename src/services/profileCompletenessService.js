@@ -0,0 +1,187 @@
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../config/nodemailer.js';
+
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+
+// What makes a player profile complete, in the order we recommend doing
+// it. Weights add up to 100, so the score reads as a percentage.
+export const COMPLETENESS_STEPS = [
+  { key: 'position', label: 'Add your playing position', weight: 15, done: (p) => Boolean(p.position) },
+  { key: 'reel', label: 'Publish a highlight reel', weight: 15, done: (p) => p.readyReels > 0 },
+  { key: 'avatar', label: 'Upload a profile photo', weight: 10, done: (p) => Boolean(p.avatarUrl) },
+  { key: 'favouriteFoot', label: 'Say which foot you prefer', weight: 10, done: (p) => Boolean(p.favouriteFoot) },
+  { key: 'height', label: 'Add your height', weight: 10, done: (p) => p.height !== null },
+  { key: 'dob', label: 'Add your date of birth', weight: 10, done: (p) => p.dob !== null },
+  { key: 'career', label: 'Add a club to your career history', weight: 10, done: (p) => p.careerEntries > 0 },
+  { key: 'bio', label: 'Write a short bio', weight: 10, done: (p) => Boolean(p.bio?.trim()) },
+  { key: 'location', label: 'Add your country and city', weight: 5, done: (p) => Boolean(p.country && p.city) },
+  { key: 'club', label: 'Add your current club', weight: 5, done: (p) => Boolean(p.club) },
+];
+
+// How many incomplete steps the checklist puts forward at once.
+const NEXT_STEPS = 3;
+
+// Nudge emails go to profiles under NUDGE_BELOW that haven't moved for
+// STALLED_DAYS, at most every NUDGE_EVERY_DAYS and NUDGE_LIMIT times in
+// a row — any progress resets the count.
+const NUDGE_BELOW = 80;
+const STALLED_DAYS = 3;
+const NUDGE_EVERY_DAYS = 7;
+const NUDGE_LIMIT = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BATCH_SIZE = 200;
+
+// A reel only counts once it has finished processing and is published —
+// a draft or a reel still transcoding shows scouts nothing.
+const COMPLETENESS_SELECT = {
+  id: true, userId: true, completenessScore: true,
+  avatarUrl: true, position: true, height: true, favouriteFoot: true,
+  dob: true, bio: true, country: true, city: true, club: true,
+  user: {
+    select: {
+      _count: {
+        select: {
+          careerEntries: true,
+          reels: { where: { status: 'ready', published: true } },
+        },
+      },
+    },
+  },
+};
+
+const evaluate = ({ user, ...profile }) => {
+  const facts = {
+    ...profile,
+    careerEntries: user._count.careerEntries,
+    readyReels: user._count.reels,
+  };
+  const steps = COMPLETENESS_STEPS.map(({ key, label, weight, done }) => ({ key, label, weight, done: done(facts) }));
+  const score = steps.filter((s) => s.done).reduce((sum, s) => sum + s.weight, 0);
+  return { score, steps };
+};
+
+// Only a change of score counts as progress, and progress re-arms the
+// nudges.
+const save = async (profile, score, now) => {
+  if (score === profile.completenessScore) return;
+  await prisma.profile.update({
+    where: { id: profile.id },
+    data: { completenessScore: score, completenessUpdatedAt: now, completenessNudgeCount: 0 },
+  });
+};
+
+const sendNudge = async (user, { score, steps }) => {
+  const next = steps.filter((s) => !s.done).slice(0, NEXT_STEPS);
+  const rows = next.map((s) => `<li style="color: #555;">${s.label}</li>`).join('');
+  const profileUrl = `${APP_URL}/profile/edit`;
+
+  await sendEmail({
+    to: user.email,
+    subject: `Your profile is ${score}% complete`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+        <h2 style="color: #333;">Help scouts find you ⚽</h2>
+        <p style="color: #555;">Hi ${user.fullname}, your profile is ${score}% complete. Scouts filter on these details, so a few minutes now makes you much easier to find:</p>
+        <ul style="padding-left: 18px;">${rows}</ul>
+        <p style="text-align: center; padding: 16px 0;"><a href="${profileUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Finish my profile</a></p>
+      </div>
+    `,
+  });
+};
+
+const profileCompletenessService = {
+
+  // Recomputes and stores the player's score. Called after anything that
+  // can change it; the daily job catches whatever slips through.
+  // Returns the score, or null when the player has no profile.
+  async refresh(userId, { now = new Date() } = {}) {
+    const profile = await prisma.profile.findUnique({ where: { userId }, select: COMPLETENESS_SELECT });
+    if (!profile) return null;
+
+    const { score } = evaluate(profile);
+    await save(profile, score, now);
+    return score;
+  },
+
+  // Every step with whether it's done, plus the next few to do.
+  async getChecklist(userId, { now = new Date() } = {}) {
+    const profile = await prisma.profile.findUnique({ where: { userId }, select: COMPLETENESS_SELECT });
+    if (!profile) throw { status: 404, message: 'Profile not found' };
+
+    const { score, steps } = evaluate(profile);
+    await save(profile, score, now);
+
+    return {
+      score,
+      steps,
+      nextSteps: steps.filter((s) => !s.done).slice(0, NEXT_STEPS),
+    };
+  },
+
+  // Recomputes every profile, a batch at a time.
+  async refreshAll({ now = new Date() } = {}) {
+    const summary = { checked: 0, changed: 0 };
+    let cursor;
+
+    for (;;) {
+      const batch = await prisma.profile.findMany({
+        select: COMPLETENESS_SELECT,
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      });
+      if (!batch.length) break;
+
+      for (const profile of batch) {
+        const { score } = evaluate(profile);
+        if (score !== profile.completenessScore) summary.changed += 1;
+        await save(profile, score, now);
+      }
+      summary.checked += batch.length;
+      cursor = batch[batch.length - 1].id;
+    }
+
+    return summary;
+  },
+
+  // Emails players whose profiles have stalled.
+  async sendNudges({ now = new Date() } = {}) {
+    const stalledSince = new Date(now.getTime() - STALLED_DAYS * DAY_MS);
+    const lastNudgeBefore = new Date(now.getTime() - NUDGE_EVERY_DAYS * DAY_MS);
+
+    const profiles = await prisma.profile.findMany({
+      where: {
+        completenessScore: { lt: NUDGE_BELOW },
+        completenessUpdatedAt: { lte: stalledSince },
+        completenessNudgeCount: { lt: NUDGE_LIMIT },
+        OR: [{ completenessNudgedAt: null }, { completenessNudgedAt: { lte: lastNudgeBefore } }],
+        user: { role: 'PLAYER', deletedAt: null, isVerified: true },
+      },
+      select: {
+        ...COMPLETENESS_SELECT,
+        user: { select: { ...COMPLETENESS_SELECT.user.select, email: true, fullname: true } },
+      },
+      orderBy: { id: 'asc' },
+    });
+    const summary = { checked: profiles.length, nudged: 0, failed: [] };
+
+    for (const profile of profiles) {
+      try {
+        await sendNudge(profile.user, evaluate(profile));
+        await prisma.profile.update({
+          where: { id: profile.id },
+          data: { completenessNudgedAt: now, completenessNudgeCount: { increment: 1 } },
+        });
+        summary.nudged += 1;
+      } catch (err) {
+        console.error(`❌ Completeness nudge for profile ${profile.id} failed:`, err);
+        summary.failed.push(profile.id);
+      }
+    }
+
+    return summary;
+  },
+};
+
+export default profileCompletenessService;
@@ -0,0 +1,199 @@
+import prisma from '../lib/prisma.js';
+
+// Per-field visibility on player profiles. Only fields set to something
+// other than PUBLIC have a ProfileFieldVisibility row, so a profile
+// nobody has touched costs nothing to check.
+//
+// Who sees a field:
+// - PUBLIC: everyone, signed in or not
+// - FOLLOWERS: users who follow the player
+// - VERIFIED_SCOUTS: scouts with the verified badge
+// - PRIVATE: nobody else
+// The player, their guardian and admins always see everything.
+
+export const PRIVACY_FIELDS = [
+  'avatarUrl', 'position', 'height', 'favouriteFoot', 'strengths',
+  'gender', 'country', 'city', 'club', 'dob', 'bio',
+];
+
+// Keys that carry the same information as a field, so hiding the field
+// hides them too — the avatar's size map and blurhash go with its URL.
+const DERIVED_KEYS = {
+  avatarUrl: ['avatarUrl', 'avatar', 'avatarSizes', 'avatarBlurhash'],
+};
+
+export const VISIBILITY_LEVELS = ['PUBLIC', 'FOLLOWERS', 'VERIFIED_SCOUTS', 'PRIVATE'];
+
+const GUEST = { id: null, role: null, verifiedScout: false };
+
+// Who is looking. `viewer` is a user id, `req.user`, or null for a
+// signed-out visitor.
+const resolveViewer = async (viewer) => {
+  const id = typeof viewer === 'object' && viewer !== null ? viewer.userId : viewer;
+  if (!id) return GUEST;
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: { role: true, scoutProfile: { select: { verificationStatus: true } } },
+  });
+  if (!user) return GUEST;
+
+  return {
+    id,
+    role: user.role,
+    verifiedScout: user.role === 'SCOUT' && user.scoutProfile?.verificationStatus === 'VERIFIED',
+  };
+};
+
+// Levels hidden from this viewer whoever the player is. FOLLOWERS is
+// decided per player.
+const alwaysHiddenLevels = (access) => [
+  'PRIVATE',
+  ...(access.verifiedScout ? [] : ['VERIFIED_SCOUTS']),
+  ...(access.id ? [] : ['FOLLOWERS']),
+];
+
+const parseSettings = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw { status: 400, message: 'fields must be an object of field: visibility' };
+  }
+  const entries = Object.entries(fields);
+  if (!entries.length) throw { status: 400, message: 'fields must not be empty' };
+
+  for (const [field, level] of entries) {
+    if (!PRIVACY_FIELDS.includes(field)) {
+      throw { status: 400, message: `Unknown field "${field}". Allowed: ${PRIVACY_FIELDS.join(', ')}` };
+    }
+    if (!VISIBILITY_LEVELS.includes(level)) {
+      throw { status: 400, message: `Visibility for ${field} must be one of: ${VISIBILITY_LEVELS.join(', ')}` };
+    }
+  }
+  return entries;
+};
+
+const profilePrivacyService = {
+
+  resolveViewer,
+
+  // Every field with its visibility, PUBLIC unless set.
+  async getSettings(playerId) {
+    const profile = await prisma.profile.findUnique({
+      where: { userId: playerId },
+      select: { fieldVisibility: { select: { field: true, visibility: true } } },
+    });
+    if (!profile) throw { status: 404, message: 'Profile not found' };
+
+    const set = new Map(profile.fieldVisibility.map((v) => [v.field, v.visibility]));
+    return Object.fromEntries(PRIVACY_FIELDS.map((f) => [f, set.get(f) ?? 'PUBLIC']));
+  },
+
+  // Partial update — fields left out keep their visibility.
+  async updateSettings(playerId, { fields } = {}) {
+    const entries = parseSettings(fields);
+
+    const profile = await prisma.profile.findUnique({ where: { userId: playerId }, select: { id: true } });
+    if (!profile) throw { status: 404, message: 'Profile not found' };
+
+    await prisma.$transaction(entries.map(([field, visibility]) =>
+      visibility === 'PUBLIC'
+        ? prisma.profileFieldVisibility.deleteMany({ where: { profileId: profile.id, field } })
+        : prisma.profileFieldVisibility.upsert({
+          where: { profileId_field: { profileId: profile.id, field } },
+          create: { profileId: profile.id, field, visibility },
+          update: { visibility },
+        })
+    ));
+
+    return this.getSettings(playerId);
+  },
+
+  // The fields each player hides from `viewer`, as playerId → Set.
+  // Players hiding nothing from them are left out of the map.
+  async hiddenFields(viewer, playerIds) {
+    const ids = [...new Set(playerIds.filter(Boolean))];
+    if (!ids.length) return new Map();
+
+    const rows = await prisma.profileFieldVisibility.findMany({
+      where: { profile: { userId: { in: ids } } },
+      select: { field: true, visibility: true, profile: { select: { userId: true } } },
+    });
+    if (!rows.length) return new Map();
+
+    const access = await resolveViewer(viewer);
+    if (access.role === 'ADMIN') return new Map();
+
+    const restricted = [...new Set(rows.map((r) => r.profile.userId))];
+    const [wards, follows] = access.id
+      ? await Promise.all([
+        prisma.guardianLink.findMany({
+          where: { guardianId: access.id, playerId: { in: restricted }, status: { not: 'REVOKED' } },
+          select: { playerId: true },
+        }),
+        prisma.follower.findMany({
+          where: { followerId: access.id, followedId: { in: restricted } },
+          select: { followedId: true },
+        }),
+      ])
+      : [[], []];
+    const seesAll = new Set([access.id, ...wards.map((w) => w.playerId)]);
+    const following = new Set(follows.map((f) => f.followedId));
+    const hiddenLevels = alwaysHiddenLevels(access);
+
+    const hidden = new Map();
+    for (const { field, visibility, profile: { userId } } of rows) {
+      if (seesAll.has(userId)) continue;
+      const isHidden = hiddenLevels.includes(visibility) || (visibility === 'FOLLOWERS' && !following.has(userId));
+      if (!isHidden) continue;
+      if (!hidden.has(userId)) hidden.set(userId, new Set());
+      hidden.get(userId).add(field);
+    }
+    return hidden;
+  },
+
+  // A copy of `obj` with the hidden fields nulled. The shape stays the
+  // same, so clients can't tell a hidden field from an empty one.
+  strip(obj, hidden) {
+    if (!obj || !hidden?.size) return obj;
+    const copy = { ...obj };
+    for (const field of hidden) {
+      for (const key of DERIVED_KEYS[field] ?? [field]) if (key in copy) copy[key] = null;
+    }
+    return copy;
+  },
+
+  // Users carrying a nested `profile`.
+  async redactUsers(viewer, users) {
+    const hidden = await this.hiddenFields(viewer, users.map((u) => u.id));
+    if (!hidden.size) return users;
+    return users.map((u) => (hidden.has(u.id) ? { ...u, profile: this.strip(u.profile, hidden.get(u.id)) } : u));
+  },
+
+  // Profile rows, owner given by `userId` or `user.id`.
+  async redactProfiles(viewer, profiles) {
+    const ownerOf = (p) => p.userId ?? p.user?.id;
+    const hidden = await this.hiddenFields(viewer, profiles.map(ownerOf));
+    if (!hidden.size) return profiles;
+    return profiles.map((p) => this.strip(p, hidden.get(ownerOf(p))));
+  },
+
+  // Profile `where` matching only players whose `field` this viewer can
+  // see — so filtering on a hidden value can't reveal it. `access` comes
+  // from resolveViewer.
+  visibleWhere(access, field) {
+    if (access.role === 'ADMIN') return {};
+    const conditions = [
+      { fieldVisibility: { none: { field, visibility: { in: alwaysHiddenLevels(access) } } } },
+    ];
+    if (access.id) {
+      conditions.push({
+        OR: [
+          { fieldVisibility: { none: { field, visibility: 'FOLLOWERS' } } },
+          { user: { followers: { some: { followerId: access.id } } } },
+        ],
+      });
+    }
+    return { AND: conditions };
+  },
+};
+
+export default profilePrivacyService;
@@ -1,30 +1,101 @@
 import prisma from '../lib/prisma.js';
-import { uploadMediaToGCS } from '../config/multer.js';
-import { Storage } from '@google-cloud/storage';
+import guardianService from './guardianService.js';
+import { SEASON_STAT_SELECT } from './seasonStatService.js';
+import playerSearchService from './playerSearchService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import profileCompletenessService from './profileCompletenessService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+
+const SQUAD_LEVELS = ['U14', 'U15', 'U16', 'U17', 'U18', 'U19', 'U21', 'U23', 'RESERVE', 'SENIOR'];
+
+// Career timeline as shown on a player — most recent spell first, each
+// with its season stat lines. Used wherever a player is shown to scouts
+// (userService, integrationService).
+export const CAREER_HISTORY = {
+  orderBy: { startDate: 'desc' },
+  select: {
+    id: true, club: true, league: true, country: true,
+    startDate: true, endDate: true, squadLevel: true, position: true,
+    seasonStats: { orderBy: { season: 'desc' }, select: SEASON_STAT_SELECT },
+  },
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw { status: 400, message: `${field} must be a valid date` };
+  return date;
+};
+
+// Validates a create (all required fields present) or a partial update
+// merged over the existing entry, and returns the columns to write.
+const careerData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.club !== undefined || !existing.club) {
+    if (!input.club?.trim()) throw { status: 400, message: 'club is required' };
+    data.club = input.club.trim();
+  }
+  if (input.startDate !== undefined || !existing.startDate) {
+    if (!input.startDate) throw { status: 400, message: 'startDate is required' };
+    data.startDate = parseDate(input.startDate, 'startDate');
+  }
+  if (input.endDate !== undefined) {
+    data.endDate = input.endDate ? parseDate(input.endDate, 'endDate') : null;
+  }
+  if (input.squadLevel !== undefined) {
+    if (input.squadLevel && !SQUAD_LEVELS.includes(input.squadLevel)) {
+      throw { status: 400, message: `squadLevel must be one of: ${SQUAD_LEVELS.join(', ')}` };
+    }
+    data.squadLevel = input.squadLevel || null;
+  }
+  for (const field of ['league', 'country', 'position']) {
+    if (input[field] !== undefined) data[field] = input[field]?.trim() || null;
+  }
+
+  const startDate = data.startDate ?? existing.startDate;
+  const endDate = data.endDate !== undefined ? data.endDate : existing.endDate;
+  if (endDate && endDate < startDate) throw { status: 400, message: 'endDate cannot be before startDate' };
 
-// ✅ bucket instance for old avatar cleanup
-const storage = new Storage();
-const bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
+  return data;
+};
+
+const parseLocation = (latitude, longitude) => {
+  if (latitude === undefined && longitude === undefined) return {};
+  if (latitude === null && longitude === null) return { latitude: null, longitude: null };
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw { status: 400, message: 'latitude and longitude must be given together as valid coordinates' };
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+const findCareerEntry = async (userId, entryId) => {
+  const id = parseInt(entryId);
+  if (isNaN(id)) throw { status: 400, message: 'Invalid career entry ID' };
+
+  const entry = await prisma.careerEntry.findUnique({ where: { id } });
+  if (!entry || entry.userId !== userId) throw { status: 404, message: 'Career entry not found' };
+  return entry;
+};
 
 const profileService = {
 
   // =========================
   // GET ALL
   // =========================
-  async getAll({ page = 1, limit = 10, position, country, gender, search }) {
+  // Fields a player hides from `viewer` (req.user, or null when signed
+  // out) come back null, and can't be filtered on.
+  async getAll(query = {}, { viewer = null } = {}) {
+    const { page = 1, limit = 10 } = query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
-    const where = {};
-    if (position) where.position = position;
-    if (country) where.country = country;
-    if (gender) where.gender = gender;
-
-    if (search) {
-      where.user = {
-        fullname: { contains: search, mode: 'insensitive' },
-      };
-    }
+    // Same filters as player discovery (playerSearchService) — position,
+    // country, age and height ranges, radius, ratings, season stats… —
+    // with page-based pagination kept for existing clients.
+    const where = await playerSearchService.buildWhere(query, { viewer });
 
     const [profiles, total] = await Promise.all([
       prisma.profile.findMany({
@@ -33,7 +104,7 @@ const profileService = {
         select: {
           id: true, position: true, height: true, favouriteFoot: true,
           strengths: true, gender: true, country: true, city: true,
-          dob: true, bio: true, avatarUrl: true, createdAt: true,
+          dob: true, bio: true, ...AVATAR_SELECT, createdAt: true, completenessScore: true,
           user: { select: { id: true, fullname: true } }, // ✅ removed email for privacy
         },
       }),
@@ -41,7 +112,7 @@ const profileService = {
     ]);
 
     return {
-      data: profiles,
+      data: await profilePrivacyService.redactProfiles(viewer, profiles),
       meta: {
         total,
         page: parseInt(page),
@@ -56,29 +127,42 @@ const profileService = {
   // =========================
   // GET BY USER ID
   // =========================
-  async getById(userId) {
+  async getById(userId, { viewer = null } = {}) {
     const profile = await prisma.profile.findUnique({
       where: { userId }, // ✅ userId
       select: {
         id: true, position: true, height: true, favouriteFoot: true,
         strengths: true, gender: true, country: true, city: true,
-        dob: true, bio: true, avatarUrl: true, createdAt: true,
-        user: { select: { id: true, fullname: true, email: true } },
+        dob: true, bio: true, ...AVATAR_SELECT, createdAt: true, completenessScore: true, slug: true,
+        user: { select: { id: true, fullname: true, email: true, careerEntries: CAREER_HISTORY } },
       },
     });
 
     if (!profile) throw { status: 404, message: 'Profile not found' };
-    return profile;
+    const [visible] = await profilePrivacyService.redactProfiles(viewer, [profile]);
+    return visible;
   },
 
   // =========================
   // UPDATE
   // =========================
-  async update(userId, { position, height, favouriteFoot, strengths, gender, country, city, club, dob, bio }) {
+  async update(userId, { position, height, favouriteFoot, strengths, gender, country, city, club, dob, bio, guardianEmail, latitude, longitude, cvShowScoutReports }) {
     const existing = await prisma.profile.findUnique({ where: { userId } }); // ✅ userId
     if (!existing) throw { status: 404, message: 'Profile not found' };
 
-    return prisma.profile.update({
+    if (cvShowScoutReports !== undefined && typeof cvShowScoutReports !== 'boolean') {
+      throw { status: 400, message: 'cvShowScoutReports must be true or false' };
+    }
+
+    // Home location for radius search — both or neither; null clears it.
+    const location = parseLocation(latitude, longitude);
+
+    // Under-18s must name a guardian — checked against the dob the
+    // profile will have after this update.
+    await guardianService.assertGuardianListed(userId, dob ? new Date(dob) : existing.dob, guardianEmail);
+    if (guardianEmail) await guardianService.setGuardian(userId, { guardianEmail });
+
+    const profile = await prisma.profile.update({
       where: { userId }, // ✅ userId
       data: {
         position,
@@ -91,8 +175,14 @@ const profileService = {
         club,
         dob: dob ? new Date(dob) : undefined,
         bio,
+        cvShowScoutReports,
+        ...location,
       },
+      omit: { latitude: false, longitude: false },
     });
+
+    const completenessScore = await profileCompletenessService.refresh(userId);
+    return { ...profile, completenessScore };
   },
 
   // =========================
@@ -107,48 +197,46 @@ const profileService = {
   // =========================
   // UPLOAD AVATAR
   // =========================
-  async uploadAvatar(userId, file) {
-    if (!file) {
-      throw { status: 400, message: 'No image file provided' };
-    }
+  async uploadAvatar(userId, file, crop) {
+    // cropping, sizes and cleanup of the old files live in avatarService
+    const updated = await avatarService.replace(userId, file, { target: 'profile', crop });
+    await profileCompletenessService.refresh(userId);
 
-    // avatars must be images only
-    if (!file.mimetype?.startsWith('image/')) {
-      throw { status: 400, message: 'Avatar must be an image' };
-    }
+    return {
+      message: 'Avatar uploaded successfully',
+      ...avatarService.fields(updated),
+    };
+  },
 
-    // check profile exists
-    const existing = await prisma.profile.findUnique({ where: { userId } });
-    if (!existing) {
-      throw { status: 404, message: 'Player profile not found' };
-    }
+  // =========================
+  // CAREER HISTORY
+  // =========================
+  async getCareer(userId) {
+    return prisma.careerEntry.findMany({ where: { userId }, ...CAREER_HISTORY });
+  },
 
-    // ✅ upload new avatar to GCS
-    // file is a diskStorage object — has .path and .mimetype, which uploadMediaToGCS expects
-    const uploaded = await uploadMediaToGCS(file, 'avatars');
-
-    // ✅ delete old avatar from GCS to avoid storage leaks
-    if (existing.avatarUrl) {
-      try {
-        const oldPath = existing.avatarUrl.split('.com/')[1];
-        if (oldPath) {
-          await bucket.file(oldPath).delete().catch(() => {});
-        }
-      } catch (_) {
-        // non-critical — log and continue
-      }
-    }
+  async addCareerEntry(userId, data) {
+    const entry = await prisma.careerEntry.create({
+      data: { userId, ...careerData(data ?? {}) },
+      select: CAREER_HISTORY.select,
+    });
+    await profileCompletenessService.refresh(userId);
+    return entry;
+  },
 
-    // update DB with new avatar URL
-    const updated = await prisma.profile.update({
-      where: { userId },
-      data: { avatarUrl: uploaded.url },
+  async updateCareerEntry(userId, entryId, data) {
+    const existing = await findCareerEntry(userId, entryId);
+    return prisma.careerEntry.update({
+      where: { id: existing.id },
+      data: careerData(data ?? {}, existing),
+      select: CAREER_HISTORY.select,
     });
+  },
 
-    return {
-      message: 'Avatar uploaded successfully',
-      avatarUrl: updated.avatarUrl,
-    };
+  async deleteCareerEntry(userId, entryId) {
+    const existing = await findCareerEntry(userId, entryId);
+    await prisma.careerEntry.delete({ where: { id: existing.id } });
+    await profileCompletenessService.refresh(userId);
   },
 
 };
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { redisClient } from '../config/redis.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+
+// A viewer reading the same profile again inside this window counts once.
+const DEDUPE_WINDOW_SEC = 30 * 60;
+
+const DEFAULT_WEEKS = 8;
+const MAX_WEEKS = 26;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Admins reading a profile are doing moderation, not scouting.
+const UNCOUNTED_ROLES = ['ADMIN'];
+
+// Monday 00:00 UTC of the week `date` falls in — the same boundary as
+// Postgres date_trunc('week').
+const weekStart = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+};
+
+// Signed-out visitors are told apart by a hash of their IP, which is
+// only ever used as a Redis key and never stored with the view.
+const dedupeKey = (playerId, viewer, ip) => {
+  if (viewer) return `profileview:${playerId}:u${viewer.userId}`;
+  if (!ip) return null;
+  const ipHash = crypto.createHash('sha256').update(ip).digest('hex').slice(0, 32);
+  return `profileview:${playerId}:ip${ipHash}`;
+};
+
+// A Redis outage records the view rather than dropping it.
+const isFirstInWindow = async (key) => {
+  if (!key) return true;
+  try {
+    return (await redisClient.set(key, '1', { NX: true, EX: DEDUPE_WINDOW_SEC })) !== null;
+  } catch (err) {
+    console.error(`profileView: dedupe check failed for ${key}`, err);
+    return true;
+  }
+};
+
+const parseWeeks = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_WEEKS;
+  const weeks = Number(raw);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+    throw { status: 400, message: `weeks must be an integer between 1 and ${MAX_WEEKS}` };
+  }
+  return weeks;
+};
+
+const profileViewService = {
+
+  // Called after a player's profile has been served. `viewer` is
+  // `req.user` (undefined when signed out). Returns the view, or null
+  // when it wasn't counted.
+  async record(playerId, { viewer, ip } = {}) {
+    if (viewer?.impersonating || UNCOUNTED_ROLES.includes(viewer?.role)) return null;
+    if (viewer?.userId === playerId) return null;
+
+    if (!(await isFirstInWindow(dedupeKey(playerId, viewer, ip)))) return null;
+
+    let anonymous = false;
+    if (viewer?.role === 'SCOUT') {
+      const scoutProfile = await prisma.scoutProfile.findUnique({
+        where: { userId: viewer.userId },
+        select: { browseAnonymously: true },
+      });
+      anonymous = scoutProfile?.browseAnonymously ?? false;
+    }
+
+    return prisma.profileView.create({
+      data: {
+        playerId,
+        viewerId: viewer && !anonymous ? viewer.userId : null,
+        viewerRole: viewer?.role ?? null,
+        anonymous,
+      },
+    });
+  },
+
+  // The player's viewers over the last `weeks` weeks (this one included):
+  // scouts who looked by name, most recent first, everyone else as counts,
+  // and a per-week breakdown oldest first.
+  async getViewers(playerId, { page = 1, limit = 10, weeks } = {}, { now = new Date() } = {}) {
+    const span = parseWeeks(weeks);
+    const since = new Date(weekStart(now).getTime() - (span - 1) * WEEK_MS);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const inWindow = { playerId, viewedAt: { gte: since } };
+    const namedScouts = { ...inWindow, viewerRole: 'SCOUT', anonymous: false, viewerId: { not: null } };
+
+    const [scoutGroups, allScoutGroups, byKind, weeklyRows] = await Promise.all([
+      prisma.profileView.groupBy({
+        by: ['viewerId'],
+        where: namedScouts,
+        _count: { _all: true },
+        _max: { viewedAt: true },
+        orderBy: { _max: { viewedAt: 'desc' } },
+        skip, take,
+      }),
+      prisma.profileView.groupBy({ by: ['viewerId'], where: namedScouts }),
+      prisma.profileView.groupBy({
+        by: ['viewerRole', 'anonymous'],
+        where: inWindow,
+        _count: { _all: true },
+      }),
+      prisma.$queryRaw`
+        SELECT date_trunc('week', "viewedAt") AS "weekStart",
+               count(*)::int AS views,
+               count(*) FILTER (WHERE "viewerRole" = 'SCOUT')::int AS "scoutViews",
+               count(DISTINCT "viewerId") FILTER (WHERE "viewerRole" = 'SCOUT' AND NOT anonymous)::int AS "namedScouts"
+        FROM "ProfileView"
+        WHERE "playerId" = ${playerId} AND "viewedAt" >= ${since}
+        GROUP BY 1
+        ORDER BY 1`,
+    ]);
+
+    const scouts = await prisma.user.findMany({
+      where: { id: { in: scoutGroups.map((g) => g.viewerId) }, deletedAt: null },
+      select: {
+        id: true, fullname: true,
+        scoutProfile: { select: { ...AVATAR_SELECT, club: true, verificationStatus: true } },
+        organisationMembership: { select: { organisation: { select: { id: true, name: true } } } },
+      },
+    });
+    const scoutsById = new Map(scouts.map((s) => [s.id, s]));
+
+    const viewers = scoutGroups
+      .filter((g) => scoutsById.has(g.viewerId))
+      .map((g) => {
+        const { scoutProfile, organisationMembership, ...scout } = scoutsById.get(g.viewerId);
+        return {
+          scout: {
+            ...scout,
+            ...avatarService.fields(scoutProfile),
+            club: scoutProfile?.club ?? null,
+            verificationStatus: scoutProfile?.verificationStatus ?? 'UNVERIFIED',
+            organisation: organisationMembership?.organisation ?? null,
+          },
+          views: g._count._all,
+          lastViewedAt: g._max.viewedAt,
+        };
+      });
+
+    const summary = { totalViews: 0, namedScoutViews: 0, anonymousScoutViews: 0, memberViews: 0, guestViews: 0 };
+    for (const { viewerRole, anonymous, _count } of byKind) {
+      summary.totalViews += _count._all;
+      if (viewerRole === 'SCOUT') summary[anonymous ? 'anonymousScoutViews' : 'namedScoutViews'] += _count._all;
+      else if (viewerRole) summary.memberViews += _count._all;
+      else summary.guestViews += _count._all;
+    }
+    summary.uniqueNamedScouts = allScoutGroups.length;
+
+    // Weeks nobody looked still get a zero row, so charts line up.
+    const rowsByWeek = new Map(weeklyRows.map((r) => [new Date(r.weekStart).getTime(), r]));
+    const weekly = Array.from({ length: span }, (_, i) => {
+      const start = new Date(since.getTime() + i * WEEK_MS);
+      const row = rowsByWeek.get(start.getTime());
+      return {
+        weekStart: start,
+        views: row?.views ?? 0,
+        scoutViews: row?.scoutViews ?? 0,
+        namedScouts: row?.namedScouts ?? 0,
+      };
+    });
+
+    const total = allScoutGroups.length;
+    return {
+      data: { viewers, summary, weekly },
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+        weeks: span,
+        since,
+      },
+    };
+  },
+};
+
+export default profileViewService;
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { computeAge } from '../utils/age.js';
+import { escapeHtml } from '../utils/html.js';
+import guardianService from './guardianService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+
+// Public player pages: /public/players/{slug}, readable without signing
+// in. They show what the player shows a signed-out visitor — every field
+// they keep PUBLIC — plus their best published reels. The page never
+// carries a date of birth, only the age (and only if dob is public).
+
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+// Where this server is reached from outside — public pages sit at its
+// root, not under /api.
+const SERVER_URL = process.env.SERVER_URL || 'https://www.thescouterpro.com';
+
+const SLUG_MIN = 3;
+const SLUG_MAX = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Would clash with app routes, or read as if they were official.
+const RESERVED_SLUGS = [
+  'admin', 'api', 'edit', 'help', 'login', 'me', 'new', 'player', 'players',
+  'public', 'scout', 'scouter', 'scouts', 'search', 'settings', 'signup', 'support',
+];
+
+const TOP_REELS = 6;
+const DESCRIPTION_MAX = 200;
+
+const PUBLIC_PROFILE_SELECT = {
+  userId: true, avatarUrl: true, position: true, height: true,
+  favouriteFoot: true, strengths: true, gender: true, country: true,
+  city: true, club: true, dob: true, bio: true,
+  user: { select: { fullname: true, role: true, deletedAt: true } },
+};
+
+// "Zoë O'Neill-Adébáyọ̀" → "zoe-o-neill-adebayo"
+const slugify = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SLUG_MAX)
+    .replace(/^-+|-+$/g, '');
+
+const parseSlug = (raw) => {
+  const slug = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (slug.length < SLUG_MIN || slug.length > SLUG_MAX || !SLUG_PATTERN.test(slug)) {
+    throw {
+      status: 400,
+      message: `slug must be ${SLUG_MIN}–${SLUG_MAX} characters of lowercase letters, numbers and single hyphens`,
+    };
+  }
+  if (RESERVED_SLUGS.includes(slug)) throw { status: 400, message: `"${slug}" is reserved` };
+  return slug;
+};
+
+const isTaken = async (slug) =>
+  Boolean(await prisma.profile.findUnique({ where: { slug }, select: { id: true } }));
+
+// Published, processed reels, best rated first (newest breaks ties).
+const topReels = async (playerId, limit = TOP_REELS) => {
+  const reels = await prisma.reel.findMany({
+    where: { playerId, published: true, status: 'ready' },
+    select: {
+      id: true, title: true, thumbnailUrl: true, videoUrl: true, durationSec: true, createdAt: true,
+      category: { select: { id: true, title: true } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!reels.length) return [];
+
+  const ratings = await prisma.rating.groupBy({
+    by: ['reelId'],
+    where: { reelId: { in: reels.map((r) => r.id) } },
+    _avg: { score: true },
+    _count: { score: true },
+  });
+  const byReel = new Map(ratings.map((r) => [r.reelId, r]));
+
+  return reels
+    .map((reel) => ({
+      ...reel,
+      averageRating: byReel.get(reel.id)?._avg.score ?? null,
+      ratingsCount: byReel.get(reel.id)?._count.score ?? 0,
+    }))
+    .sort((a, b) => (b.averageRating ?? 0) - (a.averageRating ?? 0))
+    .slice(0, limit);
+};
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const publicProfileService = {
+
+  // Also what the CV links to (playerCvService).
+  topReels,
+
+  // A free slug for a new profile: the name itself if nobody has it,
+  // otherwise the name with a short number on the end.
+  async availableSlug(fullname) {
+    let base = slugify(fullname).slice(0, SLUG_MAX - 5).replace(/-+$/, '');
+    if (base.length < SLUG_MIN || RESERVED_SLUGS.includes(base)) base = `player${base ? `-${base}` : ''}`;
+
+    if (!(await isTaken(base))) return base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = `${base}-${crypto.randomInt(1000, 10000)}`;
+      if (!(await isTaken(candidate))) return candidate;
+    }
+    return `${base}-${Date.now().toString(36)}`;
+  },
+
+  // The player picks their own slug. The old one stops working straight
+  // away and is free for anyone else to take.
+  async setSlug(userId, { slug } = {}) {
+    const wanted = parseSlug(slug);
+
+    const profile = await prisma.profile.findUnique({ where: { userId }, select: { id: true, slug: true } });
+    if (!profile) throw { status: 404, message: 'Profile not found' };
+    if (profile.slug === wanted) return { slug: wanted, url: this.pageUrl(wanted) };
+
+    try {
+      await prisma.profile.update({ where: { id: profile.id }, data: { slug: wanted } });
+    } catch (err) {
+      if (err.code === 'P2002') throw { status: 409, message: 'That slug is already taken' };
+      throw err;
+    }
+    return { slug: wanted, url: this.pageUrl(wanted) };
+  },
+
+  // The URL to share: HTML for browsers and link-preview crawlers, JSON
+  // for clients that ask for it.
+  pageUrl(slug) {
+    return `${SERVER_URL}/public/players/${encodeURIComponent(slug)}`;
+  },
+
+  // Deleted accounts, and under-18s whose guardian hasn't consented,
+  // have no public page.
+  async getBySlug(rawSlug, { now = new Date() } = {}) {
+    const slug = typeof rawSlug === 'string' ? rawSlug.trim().toLowerCase() : '';
+    const found = slug && await prisma.profile.findUnique({ where: { slug }, select: PUBLIC_PROFILE_SELECT });
+    if (!found || found.user.role !== 'PLAYER' || found.user.deletedAt) {
+      throw { status: 404, message: 'Player not found' };
+    }
+    if (!(await guardianService.hasConsent(found.userId))) throw { status: 404, message: 'Player not found' };
+
+    const [profile] = await profilePrivacyService.redactProfiles(null, [found]);
+    const { userId, user, dob, ...fields } = profile;
+
+    return {
+      slug,
+      url: this.pageUrl(slug),
+      appUrl: `${APP_URL}/players/${encodeURIComponent(slug)}`,
+      fullname: user.fullname,
+      profile: { ...fields, age: computeAge(dob, now) },
+      reels: await topReels(userId),
+    };
+  },
+
+  // Server-rendered page for link previews: Open Graph and Twitter card
+  // tags up top, a plain summary below, and a link into the app.
+  renderPage(player) {
+    const { fullname, profile, reels, url, appUrl } = player;
+
+    const headline = [profile.position, profile.club].filter(Boolean).join(' · ');
+    const title = headline ? `${fullname} — ${headline}` : fullname;
+    const facts = [
+      profile.age !== null && `${profile.age} years old`,
+      profile.favouriteFoot && `${profile.favouriteFoot} foot`,
+      [profile.city, profile.country].filter(Boolean).join(', '),
+    ].filter(Boolean);
+    const description = truncate(
+      profile.bio?.trim() || [headline, ...facts].filter(Boolean).join(' · ') || `${fullname} on The Scouter`,
+      DESCRIPTION_MAX
+    );
+
+    // A reel thumbnail makes a better big preview than a square avatar.
+    const cover = reels.find((r) => r.thumbnailUrl)?.thumbnailUrl;
+    const image = cover ?? profile.avatarUrl;
+
+    const meta = [
+      ['property', 'og:type', 'profile'],
+      ['property', 'og:site_name', 'The Scouter'],
+      ['property', 'og:title', title],
+      ['property', 'og:description', description],
+      ['property', 'og:url', url],
+      image && ['property', 'og:image', image],
+      ['name', 'twitter:card', cover ? 'summary_large_image' : 'summary'],
+      ['name', 'twitter:title', title],
+      ['name', 'twitter:description', description],
+      image && ['name', 'twitter:image', image],
+      ['name', 'description', description],
+    ]
+      .filter(Boolean)
+      .map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}">`)
+      .join('\n    ');
+
+    const reelItems = reels
+      .map((r) => `
+        <li style="margin-bottom: 12px;">
+          ${r.thumbnailUrl ? `<img src="${escapeHtml(r.thumbnailUrl)}" alt="" style="width: 100%; border-radius: 6px;">` : ''}
+          <div style="color: #333;">${escapeHtml(r.title)}</div>
+        </li>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)} | The Scouter</title>
+    <link rel="canonical" href="${escapeHtml(url)}">
+    ${meta}
+  </head>
+  <body style="font-family: Arial, sans-serif; margin: 0; background: #f7f7f9;">
+    <div style="max-width: 480px; margin: auto; padding: 24px; background: #fff; border: 1px solid #eee; border-radius: 8px;">
+      ${profile.avatarUrl ? `<img src="${escapeHtml(profile.avatarUrl)}" alt="" style="width: 96px; height: 96px; border-radius: 50%; object-fit: cover;">` : ''}
+      <h1 style="color: #333; font-size: 24px;">${escapeHtml(fullname)}</h1>
+      ${headline ? `<p style="color: #555;">${escapeHtml(headline)}</p>` : ''}
+      ${facts.length ? `<p style="color: #555;">${escapeHtml(facts.join(' · '))}</p>` : ''}
+      ${profile.bio ? `<p style="color: #555;">${escapeHtml(profile.bio)}</p>` : ''}
+      ${reelItems ? `<ul style="list-style: none; padding: 0;">${reelItems}</ul>` : ''}
+      <p style="text-align: center; padding: 16px 0;"><a href="${escapeHtml(appUrl)}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">View on The Scouter</a></p>
+    </div>
+  </body>
+</html>
+`;
+  },
+};
+
+export default publicProfileService;
@@ -1,6 +1,11 @@
 // src/services/reelService.js
 import prisma from '../lib/prisma.js';
 import { uploadMediaToGCS } from '../config/multer.js';
+import { computeAge } from '../utils/age.js';
+import guardianService from './guardianService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import profileCompletenessService from './profileCompletenessService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
 
 // =========================================================
 // 🔹 Common reel include block (no comments — lazy loaded)
@@ -35,7 +40,7 @@ const REEL_WITH_PLAYER_AND_REVIEWS = {
       fullname: true,
       profile: {        // ✅ fixed: was `profile`
         select: {
-          avatarUrl: true,
+          ...AVATAR_SELECT,
           position:  true,
           country:   true,
           dob:       true,
@@ -57,7 +62,7 @@ const REEL_WITH_PLAYER_COMMENTS_AND_LIKES = {
         select: {
           id: true,
           fullname: true,
-          profile: { select: { avatarUrl: true } },
+          profile: { select: AVATAR_SELECT },
         },
       },
       _count: { select: { replies: true } },
@@ -70,7 +75,7 @@ const REEL_WITH_PLAYER_COMMENTS_AND_LIKES = {
         select: {
           id: true,
           fullname: true,
-          profile: { select: { avatarUrl: true } },
+          profile: { select: AVATAR_SELECT },
         },
       },
     },
@@ -85,22 +90,6 @@ const avgRating = (ratings) =>
     ? parseFloat((ratings.reduce((s, r) => s + r.score, 0) / ratings.length).toFixed(1))
     : null;
 
-// =========================================================
-// 🔹 Compute age from date of birth
-// =========================================================
-const computeAge = (dob) => {
-  if (!dob) return null;
-  const today = new Date();
-  const birth = new Date(dob);
-  let age = today.getFullYear() - birth.getFullYear();
-  const monthDiff = today.getMonth() - birth.getMonth();
-  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
-    age--;
-  }
-  return age;
-};
-
-
 // =========================================================
 // 🔹 Shape a reel into the standard response format
 // =========================================================
@@ -112,7 +101,7 @@ const formatReel = (r) => ({
     ? {
         id:        r.player.id,
         fullname:  r.player.fullname,
-        avatarUrl: r.player.profile?.avatarUrl ?? null,
+        ...avatarService.fields(r.player.profile),
         position:  r.player.profile?.position  ?? null,
         country:   r.player.profile?.country   ?? null,
         age:       computeAge(r.player.profile?.dob),
@@ -128,7 +117,7 @@ const formatReel = (r) => ({
           ? {
               id:        c.user.id,
               fullname:  c.user.fullname,
-              avatarUrl: c.user.profile?.avatarUrl ?? null,
+              ...avatarService.fields(c.user.profile),
             }
           : null,
       }))
@@ -140,7 +129,7 @@ const formatReel = (r) => ({
           ? {
               id:        l.user.id,
               fullname:  l.user.fullname,
-              avatarUrl: l.user.profile?.avatarUrl ?? null,
+              ...avatarService.fields(l.user.profile),
             }
           : null,
       }))
@@ -221,10 +210,31 @@ const attachViewerInteractions = async (reels, viewerId) => {
   }));
 };
 
+// =========================================================
+// 🔹 Hide player fields the viewer isn't allowed to see
+// =========================================================
+// The player block is built from profile fields, so it follows the
+// player's field visibility — `age` goes with `dob`.
+const applyPlayerPrivacy = async (reels, viewerId) => {
+  const hidden = await profilePrivacyService.hiddenFields(viewerId, reels.map((r) => r.player?.id));
+  if (!hidden.size) return reels;
+
+  return reels.map((reel) => {
+    const fields = hidden.get(reel.player?.id);
+    if (!fields) return reel;
+    const player = profilePrivacyService.strip(reel.player, fields);
+    if (fields.has('dob')) player.age = null;
+    return { ...reel, player };
+  });
+};
+
 // =========================================================
 // 🔹 Create a pending reel record before processing starts
 // =========================================================
 export const createPendingReel = async ({ title, description, published, categoryId, playerId }) => {
+  // Under-18s can still upload drafts; publishing waits for their guardian.
+  if (published) await guardianService.assertCanPublish(playerId);
+
   return prisma.reel.create({
     data: {
       title,
@@ -263,7 +273,7 @@ export const uploadReel = async (multerFile, meta, playerId) => {
 
   console.log(`✅ Reel HLS ready [${sizeKB} KB, ${uploadTimeMS} ms]`);
 
-  return prisma.reel.update({
+  const reel = await prisma.reel.update({
     where: { id: meta.reelId },
     data: {
       videoUrl:     url,
@@ -273,16 +283,22 @@ export const uploadReel = async (multerFile, meta, playerId) => {
       status:       'ready',
     },
   });
+  await profileCompletenessService.refresh(playerId);
+
+  return reel;
 };
 
 // =========================================================
 // 🔹 Mark a reel as ready or failed
 // =========================================================
 export const updateReelStatus = async (reelId, { status, videoUrl, thumbnailUrl, durationSec }) => {
-  return prisma.reel.update({
+  const reel = await prisma.reel.update({
     where: { id: reelId },
     data:  { status, videoUrl, thumbnailUrl, durationSec },
   });
+  await profileCompletenessService.refresh(reel.playerId);
+
+  return reel;
 };
 
 // =========================================================
@@ -298,7 +314,7 @@ export const getReelsByUser = async (playerId, categoryId = null, viewerId = nul
     include: REEL_WITH_PLAYER_COMMENTS_AND_LIKES,
   });
 
-  const formatted = reels.map(formatReel);
+  const formatted = await applyPlayerPrivacy(reels.map(formatReel), viewerId);
   return attachViewerInteractions(formatted, viewerId);
 };
 
@@ -313,7 +329,8 @@ export const getReelById = async (reelId, viewerId = null, ipHash = null) => {
     include: REEL_WITH_PLAYER_AND_REVIEWS,
   });
 
-  const [result] = await attachViewerInteractions([formatReel(reel)], viewerId);
+  const formatted = await applyPlayerPrivacy([formatReel(reel)], viewerId);
+  const [result] = await attachViewerInteractions(formatted, viewerId);
   return result;
 };
 
@@ -330,7 +347,7 @@ export const getReelsByCategory = async (categoryId, viewerId = null) => {
     include: REEL_WITH_PLAYER_AND_REVIEWS,
   });
 
-  const formatted = reels.map(formatReel);
+  const formatted = await applyPlayerPrivacy(reels.map(formatReel), viewerId);
   return attachViewerInteractions(formatted, viewerId);
 };
 
@@ -1,4 +1,5 @@
 import prisma from '../lib/prisma.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
 
 // =========================================================
 // Reply select shape
@@ -12,7 +13,7 @@ const REPLY_SELECT = {
       id:       true,
       fullname: true,
       scoutProfile: {          // ✅ matches commentService pattern
-        select: { avatarUrl: true },
+        select: AVATAR_SELECT,
       },
     },
   },
@@ -22,14 +23,14 @@ const REPLY_SELECT = {
 };
  
 // =========================================================
-// 🔹 Flatten scoutProfile.avatarUrl onto user
+// 🔹 Flatten the scoutProfile avatar onto user
 // =========================================================
 const flattenReply = (reply) => ({
   ...reply,
   user: {
     id:        reply.user.id,
     fullname:  reply.user.fullname,
-    avatarUrl: reply.user.scoutProfile?.avatarUrl ?? null, // ✅ lifted up
+    ...avatarService.fields(reply.user.scoutProfile), // ✅ lifted up
   },
 });
  
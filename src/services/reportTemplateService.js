@@ -0,0 +1,344 @@
+import prisma from '../lib/prisma.js';
+import organisationService from './organisationService.js';
+
+// Scout report templates. A template is a list of sections, each a list
+// of attributes; an attribute is either rated on one of RATING_SCALES or
+// answered in text, and is required or optional. Reports store their
+// answers keyed by attribute against one template version, which never
+// changes once reports use it — editing the sections adds a version.
+//
+// Organisation owners manage their organisation's templates; every
+// member can file reports with them. The default template is the
+// original fixed report and is open to every scout.
+
+// Worst to best. Ratings are scaled to 0–10 for report scores
+// (reportWeightingService), so a 4 out of 5, an 8 out of 10 and a B all
+// count the same.
+export const RATING_SCALES = {
+  '1-5': [1, 2, 3, 4, 5],
+  '1-10': [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  'A-E': ['E', 'D', 'C', 'B', 'A'],
+};
+export const ATTRIBUTE_TYPES = ['rating', 'text'];
+
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const MAX_SECTIONS = 20;
+const MAX_ATTRIBUTES = 100;
+const MAX_LABEL = 80;
+const MAX_NAME = 100;
+const MAX_DESCRIPTION = 500;
+const MAX_TEXT_ANSWER = 2000;
+
+const VERSION_SELECT = { id: true, version: true, sections: true, createdAt: true };
+
+const TEMPLATE_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  isDefault: true,
+  organisationId: true,
+  archivedAt: true,
+  createdAt: true,
+  updatedAt: true,
+  createdBy: { select: { id: true, fullname: true } },
+  versions: { select: VERSION_SELECT, orderBy: { version: 'desc' }, take: 1 },
+};
+
+// The newest version goes out as `currentVersion`.
+const shape = ({ versions, ...template }) => ({ ...template, currentVersion: versions[0] ?? null });
+
+const parseId = (value, label) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: `Invalid ${label}` };
+  return id;
+};
+
+const parseText = (value, label, max, { required = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw { status: 400, message: `${label} is required` };
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) throw { status: 400, message: `${label} must be text` };
+  if (value.trim().length > max) throw { status: 400, message: `${label} must be at most ${max} characters` };
+  return value.trim();
+};
+
+// Checks a sections list and returns it in stored form. Attribute keys
+// are unique across the whole template, since answers are keyed by them.
+const parseSections = (raw) => {
+  if (!Array.isArray(raw) || !raw.length) throw { status: 400, message: 'sections must be a non-empty array' };
+  if (raw.length > MAX_SECTIONS) throw { status: 400, message: `A template can have at most ${MAX_SECTIONS} sections` };
+
+  const sectionKeys = new Set();
+  const attributeKeys = new Set();
+
+  const sections = raw.map((section, i) => {
+    const where = `sections[${i}]`;
+    if (!section || typeof section !== 'object') throw { status: 400, message: `${where} must be an object` };
+    if (!KEY_PATTERN.test(section.key ?? '')) {
+      throw { status: 400, message: `${where}.key must start with a letter and use only letters, numbers and _` };
+    }
+    if (sectionKeys.has(section.key)) throw { status: 400, message: `Section key "${section.key}" is used twice` };
+    sectionKeys.add(section.key);
+
+    if (!Array.isArray(section.attributes) || !section.attributes.length) {
+      throw { status: 400, message: `${where}.attributes must be a non-empty array` };
+    }
+
+    const attributes = section.attributes.map((attribute, j) => {
+      const at = `${where}.attributes[${j}]`;
+      if (!attribute || typeof attribute !== 'object') throw { status: 400, message: `${at} must be an object` };
+      if (!KEY_PATTERN.test(attribute.key ?? '')) {
+        throw { status: 400, message: `${at}.key must start with a letter and use only letters, numbers and _` };
+      }
+      if (attributeKeys.has(attribute.key)) throw { status: 400, message: `Attribute key "${attribute.key}" is used twice` };
+      attributeKeys.add(attribute.key);
+
+      const type = attribute.type ?? 'rating';
+      if (!ATTRIBUTE_TYPES.includes(type)) {
+        throw { status: 400, message: `${at}.type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` };
+      }
+      if (type === 'rating' && !RATING_SCALES[attribute.scale]) {
+        throw { status: 400, message: `${at}.scale must be one of: ${Object.keys(RATING_SCALES).join(', ')}` };
+      }
+      if (attribute.required !== undefined && typeof attribute.required !== 'boolean') {
+        throw { status: 400, message: `${at}.required must be true or false` };
+      }
+
+      return {
+        key: attribute.key,
+        label: parseText(attribute.label, `${at}.label`, MAX_LABEL, { required: true }),
+        type,
+        ...(type === 'rating' && { scale: attribute.scale }),
+        required: attribute.required ?? false,
+      };
+    });
+
+    return {
+      key: section.key,
+      title: parseText(section.title, `${where}.title`, MAX_LABEL, { required: true }),
+      attributes,
+    };
+  });
+
+  if (attributeKeys.size > MAX_ATTRIBUTES) {
+    throw { status: 400, message: `A template can have at most ${MAX_ATTRIBUTES} attributes` };
+  }
+  return sections;
+};
+
+const attributesOf = (sections) => sections.flatMap((s) => s.attributes);
+
+// A rating scaled to 0–10, or null for anything else.
+const scaled = (attribute, value) => {
+  if (attribute.type !== 'rating') return null;
+  const values = RATING_SCALES[attribute.scale];
+  const index = values.indexOf(value);
+  return index === -1 ? null : ((index + 1) / values.length) * 10;
+};
+
+// Owners edit, and only their own organisation's templates; the default
+// template is read-only.
+const findManaged = async (id, userId) => {
+  const membership = await organisationService.getMembership(userId);
+  const template = await prisma.reportTemplate.findUnique({ where: { id } });
+  if (!template || !membership || template.organisationId !== membership.organisationId) {
+    throw { status: 404, message: 'Template not found' };
+  }
+  if (membership.role !== 'OWNER') throw { status: 403, message: 'Only organisation owners can manage templates' };
+  return template;
+};
+
+// Templates a scout can see: the default plus their organisation's.
+const visibleWhere = async (userId) => {
+  const membership = await organisationService.getMembership(userId);
+  return membership
+    ? { OR: [{ isDefault: true }, { organisationId: membership.organisationId }] }
+    : { isDefault: true };
+};
+
+const reportTemplateService = {
+
+  async list(userId, { includeArchived } = {}) {
+    const where = { AND: [await visibleWhere(userId)] };
+    if (includeArchived !== 'true' && includeArchived !== true) where.AND.push({ archivedAt: null });
+
+    const templates = await prisma.reportTemplate.findMany({
+      where,
+      select: TEMPLATE_SELECT,
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }],
+    });
+    return templates.map(shape);
+  },
+
+  // `version` picks an older layout; without it, the current one.
+  async getById(id, userId, { version } = {}) {
+    const template = await prisma.reportTemplate.findFirst({
+      where: { AND: [{ id }, await visibleWhere(userId)] },
+      select: TEMPLATE_SELECT,
+    });
+    if (!template) throw { status: 404, message: 'Template not found' };
+    if (version === undefined || version === '') return shape(template);
+
+    const wanted = await prisma.reportTemplateVersion.findUnique({
+      where: { templateId_version: { templateId: id, version: parseId(version, 'version') } },
+      select: VERSION_SELECT,
+    });
+    if (!wanted) throw { status: 404, message: 'Template version not found' };
+    return { ...shape(template), currentVersion: wanted };
+  },
+
+  async create(userId, { name, description, sections } = {}) {
+    const membership = await organisationService.getMembership(userId);
+    if (!membership) throw { status: 404, message: 'You are not part of an organisation' };
+    if (membership.role !== 'OWNER') throw { status: 403, message: 'Only organisation owners can manage templates' };
+
+    const template = await prisma.reportTemplate.create({
+      data: {
+        organisationId: membership.organisationId,
+        createdById: userId,
+        name: parseText(name, 'name', MAX_NAME, { required: true }),
+        description: parseText(description, 'description', MAX_DESCRIPTION),
+        versions: { create: { version: 1, sections: parseSections(sections) } },
+      },
+      select: TEMPLATE_SELECT,
+    });
+    return shape(template);
+  },
+
+  // Name and description change in place. New sections become the next
+  // version; reports already filed keep theirs.
+  async update(id, userId, { name, description, sections } = {}) {
+    const existing = await findManaged(id, userId);
+    if (existing.archivedAt) throw { status: 409, message: 'Archived templates can\'t be changed' };
+
+    const data = {};
+    if (name !== undefined) data.name = parseText(name, 'name', MAX_NAME, { required: true });
+    if (description !== undefined) data.description = parseText(description, 'description', MAX_DESCRIPTION);
+
+    if (sections !== undefined) {
+      const parsed = parseSections(sections);
+      const latest = await prisma.reportTemplateVersion.findFirst({
+        where: { templateId: id },
+        orderBy: { version: 'desc' },
+      });
+      // Re-parsed so both sides have the same key order (jsonb reorders keys).
+      if (JSON.stringify(parseSections(latest.sections)) !== JSON.stringify(parsed)) {
+        data.versions = { create: { version: latest.version + 1, sections: parsed } };
+      }
+    }
+
+    try {
+      const template = await prisma.reportTemplate.update({ where: { id }, data, select: TEMPLATE_SELECT });
+      return shape(template);
+    } catch (err) {
+      // Two owners saving new sections at once.
+      if (err.code === 'P2002') throw { status: 409, message: 'The template was changed meanwhile — reload and try again' };
+      throw err;
+    }
+  },
+
+  // Archived templates drop out of the picker; reports filed with them
+  // are untouched. There is no hard delete.
+  async archive(id, userId, { now = new Date() } = {}) {
+    const existing = await findManaged(id, userId);
+    if (existing.archivedAt) return;
+    await prisma.reportTemplate.update({ where: { id }, data: { archivedAt: now } });
+  },
+
+  // The version a new report is filed against: the current version of
+  // `templateId` if the scout may use it, else of the default template.
+  async versionForNewReport(userId, templateId) {
+    const where = templateId === undefined || templateId === null || templateId === ''
+      ? { isDefault: true }
+      : { AND: [{ id: parseId(templateId, 'templateId') }, await visibleWhere(userId)] };
+
+    const template = await prisma.reportTemplate.findFirst({
+      where,
+      select: { id: true, archivedAt: true, versions: { select: VERSION_SELECT, orderBy: { version: 'desc' }, take: 1 } },
+    });
+    if (!template) throw { status: 404, message: 'Template not found' };
+    if (template.archivedAt) throw { status: 400, message: 'That template has been archived' };
+    return template.versions[0];
+  },
+
+  // Checks answers against a version's sections and returns them in
+  // stored form. Unknown keys are rejected; null clears an optional
+  // answer. Letter grades are case-insensitive.
+  checkAnswers(sections, answers) {
+    if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw { status: 400, message: 'answers must be an object keyed by attribute' };
+    }
+
+    const attributes = attributesOf(sections);
+    const known = new Map(attributes.map((a) => [a.key, a]));
+    const unknown = Object.keys(answers).filter((key) => !known.has(key));
+    if (unknown.length) throw { status: 400, message: `Unknown attributes: ${unknown.join(', ')}` };
+
+    const stored = {};
+    for (const attribute of attributes) {
+      let value = answers[attribute.key];
+      if (value === undefined || value === null || value === '') {
+        if (attribute.required) throw { status: 400, message: `${attribute.label} is required` };
+        continue;
+      }
+
+      if (attribute.type === 'text') {
+        value = parseText(value, attribute.label, MAX_TEXT_ANSWER);
+      } else {
+        const values = RATING_SCALES[attribute.scale];
+        if (typeof values[0] === 'string') value = typeof value === 'string' ? value.trim().toUpperCase() : value;
+        else if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+        if (!values.includes(value)) {
+          throw { status: 400, message: `${attribute.label} must be one of: ${values.join(', ')}` };
+        }
+      }
+      stored[attribute.key] = value;
+    }
+
+    return stored;
+  },
+
+  // One answer on 0–10; null for text answers and blanks.
+  scaled,
+
+  // Answers kept as a copy without the text attributes — what's left
+  // when a report's free text has to go.
+  ratingsOnly(sections, answers) {
+    const ratings = new Set(attributesOf(sections).filter((a) => a.type === 'rating').map((a) => a.key));
+    return Object.fromEntries(Object.entries(answers ?? {}).filter(([key]) => ratings.has(key)));
+  },
+
+  // Per-section averages (0–10) of the rating answers across reports,
+  // matched by section title and attribute label so reports on different
+  // templates or versions add up. Sections and attributes nobody rated
+  // are left out.
+  summarise(reports) {
+    const sections = new Map();
+    for (const { answers, templateVersion } of reports) {
+      for (const section of templateVersion.sections) {
+        for (const attribute of section.attributes) {
+          const value = scaled(attribute, answers?.[attribute.key]);
+          if (value === null) continue;
+          const entry = sections.get(section.title) ?? new Map();
+          const totals = entry.get(attribute.label) ?? { sum: 0, count: 0 };
+          totals.sum += value;
+          totals.count += 1;
+          entry.set(attribute.label, totals);
+          sections.set(section.title, entry);
+        }
+      }
+    }
+
+    return [...sections].map(([title, attributes]) => {
+      const rows = [...attributes].map(([label, t]) => ({ label, average: t.sum / t.count }));
+      return {
+        title,
+        average: rows.reduce((sum, r) => sum + r.average, 0) / rows.length,
+        attributes: rows,
+      };
+    });
+  },
+};
+
+export default reportTemplateService;
@@ -0,0 +1,176 @@
+import prisma from '../lib/prisma.js';
+import organisationService from './organisationService.js';
+import reportTemplateService from './reportTemplateService.js';
+
+// Report scores. Every rating answer is scaled to 0–10
+// (reportTemplateService.scaled); a report's score is their weighted
+// mean, overall and per template section. The weights come from the
+// organisation's profile for the player's position — a winger's report
+// can count pace and dribbling for more than heading. Attributes a
+// profile doesn't list weigh 1, so without a profile every rating counts
+// the same.
+//
+// Owners edit their organisation's profiles; saving or removing one
+// re-scores every report the organisation filed for that position.
+
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const MAX_POSITION = 50;
+const MAX_WEIGHTS = 100;
+const MAX_WEIGHT = 10;
+const RESCORE_BATCH = 200;
+
+const WEIGHTING_SELECT = {
+  id: true,
+  position: true,
+  weights: true,
+  createdAt: true,
+  updatedAt: true,
+  updatedBy: { select: { id: true, fullname: true } },
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Positions are free text on the profile, so "Winger" and " winger "
+// share a profile.
+const normalisePosition = (value) =>
+  (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+
+const parsePosition = (value) => {
+  const position = normalisePosition(value);
+  if (!position) throw { status: 400, message: 'position is required' };
+  if (position.length > MAX_POSITION) throw { status: 400, message: `position must be at most ${MAX_POSITION} characters` };
+  return position;
+};
+
+const parseWeights = (raw) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw { status: 400, message: 'weights must be an object keyed by attribute' };
+  }
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_WEIGHTS) throw { status: 400, message: `At most ${MAX_WEIGHTS} weights can be set` };
+
+  for (const [key, weight] of entries) {
+    if (!KEY_PATTERN.test(key)) throw { status: 400, message: `"${key}" is not a valid attribute key` };
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      throw { status: 400, message: `The weight for ${key} must be a number from 0 to ${MAX_WEIGHT}` };
+    }
+  }
+  return Object.fromEntries(entries);
+};
+
+const requireMembership = async (userId, { owner = false } = {}) => {
+  const membership = await organisationService.getMembership(userId);
+  if (!membership) throw { status: 404, message: 'You are not part of an organisation' };
+  if (owner && membership.role !== 'OWNER') {
+    throw { status: 403, message: 'Only organisation owners can manage weightings' };
+  }
+  return membership;
+};
+
+const reportWeightingService = {
+
+  normalisePosition,
+
+  // The weights an organisation scores `position` with; {} (all equal)
+  // without an organisation, a position or a profile for it.
+  async weightsFor(organisationId, position) {
+    if (!organisationId || !position) return {};
+    const weighting = await prisma.reportWeighting.findUnique({
+      where: { organisationId_position: { organisationId, position } },
+      select: { weights: true },
+    });
+    return weighting?.weights ?? {};
+  },
+
+  // `score` and `sectionScores` (keyed by section) for a report's
+  // answers. A section with no weighted ratings is left out; with none
+  // at all the score is null.
+  scoreReport(sections, answers, weights = {}) {
+    const sectionScores = {};
+    let total = 0;
+    let totalWeight = 0;
+
+    for (const section of sections) {
+      let sum = 0;
+      let weightSum = 0;
+      for (const attribute of section.attributes) {
+        const value = reportTemplateService.scaled(attribute, answers?.[attribute.key]);
+        const weight = weights[attribute.key] ?? 1;
+        if (value === null || !weight) continue;
+        sum += value * weight;
+        weightSum += weight;
+      }
+      if (!weightSum) continue;
+      sectionScores[section.key] = round(sum / weightSum);
+      total += sum;
+      totalWeight += weightSum;
+    }
+
+    return { score: totalWeight ? round(total / totalWeight) : null, sectionScores };
+  },
+
+  async list(userId) {
+    const { organisationId } = await requireMembership(userId);
+    return prisma.reportWeighting.findMany({
+      where: { organisationId },
+      select: WEIGHTING_SELECT,
+      orderBy: { position: 'asc' },
+    });
+  },
+
+  // Replaces the profile for `position` and re-scores the reports it
+  // covers. Returns the profile with how many reports were re-scored.
+  async set(userId, position, { weights } = {}) {
+    const { organisationId } = await requireMembership(userId, { owner: true });
+    const key = parsePosition(position);
+    const data = { weights: parseWeights(weights), updatedById: userId };
+
+    const weighting = await prisma.reportWeighting.upsert({
+      where: { organisationId_position: { organisationId, position: key } },
+      update: data,
+      create: { organisationId, position: key, ...data },
+      select: WEIGHTING_SELECT,
+    });
+    const rescored = await this.rescore({ organisationId, position: key });
+    return { ...weighting, rescored };
+  },
+
+  // Back to equal weights for `position`.
+  async remove(userId, position) {
+    const { organisationId } = await requireMembership(userId, { owner: true });
+    const key = parsePosition(position);
+
+    const { count } = await prisma.reportWeighting.deleteMany({ where: { organisationId, position: key } });
+    if (!count) throw { status: 404, message: 'No weighting for that position' };
+    return { rescored: await this.rescore({ organisationId, position: key }) };
+  },
+
+  // Re-scores the organisation's reports on players in `position` with
+  // its current weights, in batches. Returns the number of reports.
+  async rescore({ organisationId, position }) {
+    const weights = await this.weightsFor(organisationId, position);
+    let cursor;
+    let count = 0;
+
+    for (;;) {
+      const reports = await prisma.scouterReport.findMany({
+        where: { organisationId, scoredPosition: position },
+        select: { id: true, answers: true, templateVersion: { select: { sections: true } } },
+        orderBy: { id: 'asc' },
+        take: RESCORE_BATCH,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+      if (!reports.length) return count;
+
+      await prisma.$transaction(reports.map((report) => prisma.scouterReport.update({
+        where: { id: report.id },
+        data: this.scoreReport(report.templateVersion.sections, report.answers, weights),
+      })));
+
+      count += reports.length;
+      cursor = reports[reports.length - 1].id;
+    }
+  },
+};
+
+export default reportWeightingService;
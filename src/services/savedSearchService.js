@@ -0,0 +1,251 @@
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../config/nodemailer.js';
+import { escapeHtml } from '../utils/html.js';
+import playerSearchService, { DISCOVERY_FILTERS } from './playerSearchService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
+
+const MAX_SAVED_SEARCHES = 20;
+// How many current matches a search remembers — the newest ones.
+const MATCH_WINDOW = 1000;
+// Players named in an alert email; the rest are counted.
+const EMAIL_PREVIEW = 10;
+
+const SEARCH_SELECT = {
+  id: true,
+  name: true,
+  filters: true,
+  alertsEnabled: true,
+  lastCheckedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid saved search ID' };
+  return id;
+};
+
+// Only discovery keys with a value are kept; paging and sorting aren't
+// part of a saved search.
+const pickFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw { status: 400, message: 'filters must be an object' };
+  }
+  return Object.fromEntries(
+    Object.entries(filters).filter(([key, value]) => DISCOVERY_FILTERS.includes(key) && value !== '' && value !== null && value !== undefined)
+  );
+};
+
+const findOwn = async (userId, searchId) => {
+  const id = parseId(searchId);
+  const search = await prisma.savedSearch.findUnique({ where: { id } });
+  if (!search || search.userId !== userId) throw { status: 404, message: 'Saved search not found' };
+  return search;
+};
+
+// Records who matches right now and returns the players that weren't
+// recorded before.
+const recordMatches = async (search, now) => {
+  const ids = await playerSearchService.matchingPlayerIds(search.filters, { now, limit: MATCH_WINDOW, viewer: search.userId });
+  const known = new Set(
+    (await prisma.savedSearchMatch.findMany({ where: { savedSearchId: search.id }, select: { playerId: true } }))
+      .map((m) => m.playerId)
+  );
+  const fresh = ids.filter((id) => !known.has(id));
+
+  if (fresh.length) {
+    await prisma.savedSearchMatch.createMany({
+      data: fresh.map((playerId) => ({ savedSearchId: search.id, playerId, firstMatchedAt: now })),
+      skipDuplicates: true,
+    });
+  }
+  await prisma.savedSearch.update({ where: { id: search.id }, data: { lastCheckedAt: now } });
+  return fresh;
+};
+
+const sendAlert = async (search, playerIds) => {
+  const [scout, found] = await Promise.all([
+    prisma.user.findUnique({ where: { id: search.userId }, select: { email: true, fullname: true, deletedAt: true } }),
+    prisma.user.findMany({
+      where: { id: { in: playerIds.slice(0, EMAIL_PREVIEW) } },
+      select: { id: true, fullname: true, profile: { select: { position: true, city: true } } },
+    }),
+  ]);
+  if (!scout || scout.deletedAt) return;
+  const players = await profilePrivacyService.redactUsers(search.userId, found);
+
+  const more = playerIds.length - players.length;
+  const rows = players
+    .map((p) => `<li style="color: #555;"><strong>${escapeHtml(p.fullname)}</strong>${[p.profile?.position, p.profile?.city].filter(Boolean).map((v) => ` · ${escapeHtml(v)}`).join('')}</li>`)
+    .join('');
+  const searchUrl = `${APP_URL}/saved-searches/${search.id}`;
+
+  await sendEmail({
+    to: scout.email,
+    subject: `${playerIds.length} new player${playerIds.length === 1 ? '' : 's'} match "${search.name}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+        <h2 style="color: #333;">New matches for "${escapeHtml(search.name)}" 🔎</h2>
+        <p style="color: #555;">Hi ${escapeHtml(scout.fullname)}, these players now match your saved search:</p>
+        <ul style="padding-left: 18px;">${rows}</ul>
+        ${more > 0 ? `<p style="color: #555;">…and ${more} more.</p>` : ''}
+        <p style="text-align: center; padding: 16px 0;"><a href="${searchUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">View matches</a></p>
+        <p style="color: #999; font-size: 12px;">You can turn off alerts for this search in the app.</p>
+      </div>
+    `,
+  });
+};
+
+const savedSearchService = {
+
+  // Saving takes a snapshot of who already matches, so the first alert is
+  // only about players who turn up afterwards.
+  async create(userId, { name, filters, alertsEnabled = true } = {}, { now = new Date() } = {}) {
+    if (!name?.trim()) throw { status: 400, message: 'Saved search name is required' };
+    const picked = pickFilters(filters);
+    await playerSearchService.buildWhere(picked, { now }); // throws 400 on bad filters
+
+    const count = await prisma.savedSearch.count({ where: { userId } });
+    if (count >= MAX_SAVED_SEARCHES) throw { status: 409, message: `You can save at most ${MAX_SAVED_SEARCHES} searches` };
+
+    const search = await prisma.savedSearch.create({
+      data: { userId, name: name.trim(), filters: picked, alertsEnabled: Boolean(alertsEnabled) },
+    });
+    await recordMatches(search, now);
+
+    return prisma.savedSearch.findUnique({ where: { id: search.id }, select: SEARCH_SELECT });
+  },
+
+  async list(userId) {
+    return prisma.savedSearch.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      select: { ...SEARCH_SELECT, _count: { select: { matches: true } } },
+    });
+  },
+
+  async getById(userId, searchId) {
+    const { id } = await findOwn(userId, searchId);
+    return prisma.savedSearch.findUnique({ where: { id }, select: SEARCH_SELECT });
+  },
+
+  // New filters start a new snapshot — matches under the old filters are
+  // forgotten.
+  async update(userId, searchId, { name, filters, alertsEnabled } = {}, { now = new Date() } = {}) {
+    const existing = await findOwn(userId, searchId);
+    const data = {};
+
+    if (name !== undefined) {
+      if (!name?.trim()) throw { status: 400, message: 'Saved search name cannot be empty' };
+      data.name = name.trim();
+    }
+    if (alertsEnabled !== undefined) data.alertsEnabled = Boolean(alertsEnabled);
+    if (filters !== undefined) {
+      data.filters = pickFilters(filters);
+      await playerSearchService.buildWhere(data.filters, { now });
+    }
+
+    const search = await prisma.savedSearch.update({ where: { id: existing.id }, data });
+    if (data.filters) {
+      await prisma.savedSearchMatch.deleteMany({ where: { savedSearchId: search.id } });
+      await recordMatches(search, now);
+    }
+
+    return prisma.savedSearch.findUnique({ where: { id: search.id }, select: SEARCH_SELECT });
+  },
+
+  async delete(userId, searchId) {
+    const { id } = await findOwn(userId, searchId);
+    await prisma.savedSearch.delete({ where: { id } });
+  },
+
+  // Runs the saved filters through discovery — same cursor, limit and
+  // sort parameters as /profiles/search.
+  async run(userId, searchId, { cursor, limit, sort } = {}) {
+    const search = await findOwn(userId, searchId);
+    return playerSearchService.search({ ...search.filters, cursor, limit, sort }, { viewer: userId });
+  },
+
+  // Players the search picked up after it was saved, newest first.
+  async getNewMatches(userId, searchId, { page = 1, limit = 20, since } = {}) {
+    const search = await findOwn(userId, searchId);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = { savedSearchId: search.id, firstMatchedAt: { gt: search.createdAt } };
+    if (since) {
+      const date = new Date(since);
+      if (isNaN(date.getTime())) throw { status: 400, message: 'since must be an ISO date' };
+      where.firstMatchedAt = { gt: date > search.createdAt ? date : search.createdAt };
+    }
+
+    const [matches, total] = await Promise.all([
+      prisma.savedSearchMatch.findMany({
+        where, skip, take,
+        orderBy: { firstMatchedAt: 'desc' },
+        select: {
+          firstMatchedAt: true,
+          player: {
+            select: {
+              id: true, fullname: true,
+              profile: { select: { position: true, country: true, city: true, dob: true, ...AVATAR_SELECT } },
+            },
+          },
+        },
+      }),
+      prisma.savedSearchMatch.count({ where }),
+    ]);
+
+    const players = await profilePrivacyService.redactUsers(userId, matches.map((m) => m.player));
+
+    return {
+      data: matches.map((m, i) => ({
+        ...m,
+        player: { ...players[i], profile: avatarService.withFields(players[i].profile) },
+      })),
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    };
+  },
+
+  // ===========================
+  // ALERTS (savedSearchAlertJob)
+  // ===========================
+  // Checks every search with alerts on and emails its owner about new
+  // matches. One failing search doesn't stop the rest.
+  async sendAlerts({ now = new Date() } = {}) {
+    const searches = await prisma.savedSearch.findMany({
+      where: { alertsEnabled: true, user: { deletedAt: null } },
+      orderBy: { id: 'asc' },
+    });
+    const summary = { checked: 0, alerted: 0, failed: [] };
+
+    for (const search of searches) {
+      try {
+        const fresh = await recordMatches(search, now);
+        summary.checked += 1;
+        if (fresh.length) {
+          await sendAlert(search, fresh);
+          summary.alerted += 1;
+        }
+      } catch (err) {
+        console.error(`❌ Saved search ${search.id} alert failed:`, err);
+        summary.failed.push(search.id);
+      }
+    }
+
+    return summary;
+  },
+};
+
+export default savedSearchService;
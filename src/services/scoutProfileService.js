@@ -1,22 +1,18 @@
-import { Storage } from '@google-cloud/storage';
 import prisma from '../lib/prisma.js';
-import { uploadMediaToGCS } from '../config/multer.js';
-
-// ✅ bucket instance for old avatar cleanup
-const storage = new Storage();
-const bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
 
 const scoutProfileService = {
 
   // =========================
   // GET ALL
   // =========================
-  async getAll({ page = 1, limit = 10, country, search }) {
+  async getAll({ page = 1, limit = 10, country, search, verified }) {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
     const where = {};
     if (country) where.country = country;
+    if (verified === 'true') where.verificationStatus = 'VERIFIED';
 
     if (search) {
       where.user = {
@@ -30,7 +26,8 @@ const scoutProfileService = {
         orderBy: { createdAt: 'desc' },
         select: {
           id: true, club: true, country: true, city: true,
-          address: true, bio: true, avatarUrl: true, createdAt: true,
+          address: true, bio: true, ...AVATAR_SELECT, createdAt: true,
+          verificationStatus: true, verifiedAt: true,
           user: { select: { id: true, fullname: true } },
         },
       }),
@@ -58,7 +55,8 @@ const scoutProfileService = {
       where: { userId },
       select: {
         id: true, club: true, country: true, city: true,
-        address: true, bio: true, avatarUrl: true, createdAt: true,
+        address: true, bio: true, ...AVATAR_SELECT, createdAt: true,
+        verificationStatus: true, verifiedAt: true,
         user: { select: { id: true, fullname: true, email: true } },
       },
     });
@@ -70,13 +68,17 @@ const scoutProfileService = {
   // =========================
   // UPDATE
   // =========================
-  async update(userId, { club, country, city, address, bio }) {
+  async update(userId, { club, country, city, address, bio, browseAnonymously }) {
     const existing = await prisma.scoutProfile.findUnique({ where: { userId } });
     if (!existing) throw { status: 404, message: 'Scout profile not found' };
 
+    if (browseAnonymously !== undefined && typeof browseAnonymously !== 'boolean') {
+      throw { status: 400, message: 'browseAnonymously must be true or false' };
+    }
+
     return prisma.scoutProfile.update({
       where: { userId },
-      data: { club, country, city, address, bio },
+      data: { club, country, city, address, bio, browseAnonymously },
     });
   },
 
@@ -92,47 +94,13 @@ const scoutProfileService = {
   // =========================
   // UPLOAD AVATAR
   // =========================
-  async uploadAvatar(userId, file) {
-    if (!file) {
-      throw { status: 400, message: 'No image file provided' };
-    }
-
-    // avatars must be images only
-    if (!file.mimetype?.startsWith('image/')) {
-      throw { status: 400, message: 'Avatar must be an image' };
-    }
-
-    // check profile exists
-    const existing = await prisma.scoutProfile.findUnique({ where: { userId } });
-    if (!existing) {
-      throw { status: 404, message: 'Scout profile not found' };
-    }
-
-    // ✅ upload new avatar to GCS
-    // file is a diskStorage object — has .path and .mimetype, which uploadMediaToGCS expects
-    const uploaded = await uploadMediaToGCS(file, 'avatars');
-
-    // ✅ delete old avatar from GCS to avoid storage leaks
-    if (existing.avatarUrl) {
-      try {
-        const oldPath = existing.avatarUrl.split('.com/')[1];
-        if (oldPath) {
-          await bucket.file(oldPath).delete().catch(() => {});
-        }
-      } catch (_) {
-        // non-critical — log and continue
-      }
-    }
-
-    // update DB with new avatar URL
-    const updated = await prisma.scoutProfile.update({
-      where: { userId },
-      data: { avatarUrl: uploaded.url },
-    });
+  async uploadAvatar(userId, file, crop) {
+    // cropping, sizes and cleanup of the old files live in avatarService
+    const updated = await avatarService.replace(userId, file, { target: 'scoutProfile', crop });
 
     return {
       message: 'Avatar uploaded successfully',
-      avatarUrl: updated.avatarUrl,
+      ...avatarService.fields(updated),
     };
   },
 };
@@ -1,115 +1,349 @@
+import { Recommendation } from '@prisma/client';
 import prisma from '../lib/prisma.js';
+import { computeAge } from '../utils/age.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+import organisationService from './organisationService.js';
+import playerSearchService from './playerSearchService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import reportTemplateService from './reportTemplateService.js';
+import reportWeightingService from './reportWeightingService.js';
 
-const scoutReportService = {
+const REPORT_INCLUDE = {
+  scouter: { select: { id: true, fullname: true, email: true } },
+  organisation: { select: { id: true, name: true } },
+  templateVersion: {
+    select: {
+      id: true, version: true, sections: true,
+      template: { select: { id: true, name: true } },
+    },
+  },
+  player: {
+    select: {
+      id: true, fullname: true, email: true,
+      profile: { select: { position: true, height: true, dob: true, country: true, city: true } },
+    },
+  },
+};
+
+// The player block follows the player's field visibility, as seen by
+// whoever is reading the report. `scoredPosition` is the player's
+// position, so it goes too when that's hidden.
+const withVisiblePlayers = async (viewerId, reports) => {
+  const players = await profilePrivacyService.redactUsers(viewerId, reports.map((r) => r.player));
+  return reports.map((r, i) => {
+    const positionHidden = r.player.profile?.position != null && players[i].profile?.position == null;
+    return { ...r, player: players[i], scoredPosition: positionHidden ? null : r.scoredPosition };
+  });
+};
+
+const withVisiblePlayer = async (viewerId, report) => (await withVisiblePlayers(viewerId, [report]))[0];
+
+// The fields every report has, whatever its template. Who a report
+// belongs to comes from the token and the scout's membership, its
+// template from reportTemplateService and its scores from
+// reportWeightingService — never from the body.
+const REPORT_FIELDS = [
+  'matchScouted', 'ageGroup', 'timesSeen', 'currentClub', 'overallAssessment',
+  'keyStrengths', 'areasForDevelopment', 'recommendation',
+];
+const reportFields = (data) =>
+  Object.fromEntries(Object.entries(data).filter(([key]) => REPORT_FIELDS.includes(key)));
 
-  async create(data) {
-    const { scoutId, playerId, timesSeen, keyStrengths, areasForDevelopment, recommendation, ...rest } = data;
+// Answers come in as `answers`. Clients written for the fixed report send
+// its attributes as top-level fields instead; those are picked up for any
+// template that has attributes with those keys.
+const answersFrom = (data, sections) => {
+  if (data.answers !== undefined) return data.answers;
+  const keys = sections.flatMap((s) => s.attributes.map((a) => a.key));
+  const legacy = Object.fromEntries(keys.filter((key) => key in data).map((key) => [key, data[key]]));
+  return Object.keys(legacy).length ? legacy : undefined;
+};
+
+// Who may do what with a report:
+// - read: the scout who filed it, and every member of the organisation
+//   it was filed into
+// - update: the scout who filed it
+// - delete: the scout who filed it, or an owner of its organisation
+// Anything the viewer can't read answers 404, so report ids can't be
+// probed.
+const findVisible = async (id, viewerId) => {
+  const report = await prisma.scouterReport.findFirst({
+    where: { AND: [{ id }, await organisationService.reportAccessWhere(viewerId)] },
+  });
+  if (!report) throw { status: 404, message: 'Report not found' };
+  return report;
+};
+
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 4;
 
-    const scout = await prisma.user.findUnique({ where: { id: parseInt(scoutId) } });
-    if (!scout || scout.role !== 'SCOUT') {
-      throw { status: 403, message: 'Only scouts can file reports' };
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// `playerIds` as "3,8,12" or as a repeated query parameter.
+const parseCompareIds = (raw) => {
+  const parts = [raw ?? []].flat().flatMap((part) => String(part).split(',')).map((part) => part.trim()).filter(Boolean);
+  const ids = [...new Set(parts.map(Number))];
+  if (!ids.every(Number.isInteger)) throw { status: 400, message: 'playerIds must be player IDs separated by commas' };
+  if (ids.length < COMPARE_MIN || ids.length > COMPARE_MAX) {
+    throw { status: 400, message: `Compare between ${COMPARE_MIN} and ${COMPARE_MAX} different players` };
+  }
+  return ids;
+};
+
+// One radar axis: each player's value in `playerIds` order, and the
+// ID(s) of whoever has the highest. Nobody leads an axis nobody was
+// rated on.
+const radarAxis = (axis, values, playerIds) => {
+  const best = Math.max(...values.filter((v) => v !== null));
+  return {
+    ...axis,
+    values,
+    leaders: Number.isFinite(best) ? playerIds.filter((_, i) => values[i] === best) : [],
+  };
+};
+
+// Section and attribute axes across every player's reports, matched by
+// section title and attribute label as reportTemplateService.summarise
+// does, so players scouted on different templates line up.
+const radarFor = (playerIds, summaries) => {
+  const sections = new Map();
+  summaries.forEach((summary, i) => {
+    for (const section of summary) {
+      const entry = sections.get(section.title) ?? { averages: new Map(), attributes: new Map() };
+      entry.averages.set(i, section.average);
+      for (const attribute of section.attributes) {
+        const averages = entry.attributes.get(attribute.label) ?? new Map();
+        averages.set(i, attribute.average);
+        entry.attributes.set(attribute.label, averages);
+      }
+      sections.set(section.title, entry);
     }
+  });
+
+  const valuesOf = (averages) => playerIds.map((_, i) => round(averages.get(i)));
+  const entries = [...sections];
+  return {
+    sections: entries.map(([title, { averages }]) => radarAxis({ label: title }, valuesOf(averages), playerIds)),
+    attributes: entries.flatMap(([title, { attributes }]) => [...attributes].map(([label, averages]) =>
+      radarAxis({ section: title, label }, valuesOf(averages), playerIds))),
+  };
+};
+
+// Published reels per player: how many, their views and the average of
+// their ratings (1–5).
+const reelStats = async (playerIds) => {
+  const [reels, ratings] = await Promise.all([
+    prisma.reel.findMany({
+      where: { playerId: { in: playerIds }, published: true },
+      select: { playerId: true, _count: { select: { views: true } } },
+    }),
+    playerSearchService.averageReelRatings(playerIds),
+  ]);
+
+  return new Map(playerIds.map((id) => {
+    const own = reels.filter((r) => r.playerId === id);
+    const views = own.reduce((sum, r) => sum + r._count.views, 0);
+    return [id, {
+      published: own.length,
+      views,
+      averageViews: own.length ? round(views / own.length) : null,
+      averageRating: round(ratings.get(id)),
+    }];
+  }));
+};
+
+const scoutReportService = {
 
-    const player = await prisma.user.findUnique({ where: { id: parseInt(playerId) } });
-    if (!player || player.role !== 'PLAYER') {
+  // The report joins the scout's organisation (if any) at filing time,
+  // and is filed against the current version of `templateId` (the
+  // default template when not given). It's scored for the player's
+  // position as it is now, and keeps that position through re-scoring.
+  async create(scouterId, data) {
+    const { playerId } = data;
+    const { timesSeen, keyStrengths, areasForDevelopment, recommendation, ...rest } = reportFields(data);
+
+    const player = await prisma.user.findUnique({
+      where: { id: parseInt(playerId) },
+      include: { profile: { select: { position: true } } },
+    });
+    if (!player || player.role !== 'PLAYER' || player.deletedAt) {
       throw { status: 404, message: 'Player not found' };
     }
 
-    return prisma.scoutReport.create({
+    const version = await reportTemplateService.versionForNewReport(scouterId, data.templateId);
+    const answers = reportTemplateService.checkAnswers(version.sections, answersFrom(data, version.sections) ?? {});
+
+    const membership = await organisationService.getMembership(scouterId);
+    const organisationId = membership?.organisationId ?? null;
+    const scoredPosition = reportWeightingService.normalisePosition(player.profile?.position);
+    const weights = await reportWeightingService.weightsFor(organisationId, scoredPosition);
+
+    const report = await prisma.scouterReport.create({
       data: {
-        scoutId: parseInt(scoutId),
+        scouterId,
         playerId: parseInt(playerId),
+        organisationId,
+        templateVersionId: version.id,
+        answers,
+        ...reportWeightingService.scoreReport(version.sections, answers, weights),
+        scoredPosition,
         timesSeen: timesSeen ? parseInt(timesSeen) : null,
         keyStrengths: keyStrengths ?? [],
         areasForDevelopment: areasForDevelopment ?? [],
         recommendation: recommendation ?? null,
         ...rest,
       },
-      include: {
-        scout: { select: { id: true, fullname: true, email: true } },
-        player: {
-          select: {
-            id: true, fullname: true, email: true,
-            profile: { select: { position: true, height: true, dob: true, country: true, city: true } },
-          },
-        },
-      },
+      include: REPORT_INCLUDE,
     });
+    return withVisiblePlayer(scouterId, report);
   },
 
-  async getAll({ scoutId, playerId, recommendation, page = 1, limit = 10 }) {
-    const where = {};
-    if (scoutId) where.scoutId = parseInt(scoutId);
-    if (playerId) where.playerId = parseInt(playerId);
-    if (recommendation) where.recommendation = recommendation;
+  async getAll(viewerId, { scouterId, scoutId, playerId, recommendation, templateId, page = 1, limit = 10 }) {
+    const filters = {};
+    // `scoutId` is the query name the API has always documented.
+    const author = scouterId ?? scoutId;
+    if (author) filters.scouterId = parseInt(author);
+    if (playerId) filters.playerId = parseInt(playerId);
+    if (recommendation) filters.recommendation = recommendation;
+    if (templateId) filters.templateVersion = { templateId: parseInt(templateId) };
+
+    const where = { AND: [await organisationService.reportAccessWhere(viewerId), filters] };
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
     const [reports, total] = await Promise.all([
-      prisma.scoutReport.findMany({
+      prisma.scouterReport.findMany({
         where, skip, take,
         orderBy: { createdAt: 'desc' },
-        include: {
-          scout: { select: { id: true, fullname: true, email: true } },
-          player: {
-            select: {
-              id: true, fullname: true, email: true,
-              profile: { select: { position: true, height: true, dob: true, country: true, city: true } },
-            },
-          },
-        },
+        include: REPORT_INCLUDE,
       }),
-      prisma.scoutReport.count({ where }),
+      prisma.scouterReport.count({ where }),
     ]);
 
     return {
-      data: reports,
+      data: await withVisiblePlayers(viewerId, reports),
       meta: { total, page: parseInt(page), limit: take, totalPages: Math.ceil(total / take) },
     };
   },
 
-  async getById(id) {
-    const report = await prisma.scoutReport.findUnique({
-      where: { id },
-      include: {
-        scout: { select: { id: true, fullname: true, email: true } },
-        player: {
-          select: {
-            id: true, fullname: true, email: true,
-            profile: { select: { position: true, height: true, dob: true, country: true, city: true } },
-          },
-        },
-      },
-    });
-
-    if (!report) throw { status: 404, message: 'Report not found' };
-    return report;
+  async getById(id, viewerId) {
+    await findVisible(id, viewerId);
+    const report = await prisma.scouterReport.findUnique({ where: { id }, include: REPORT_INCLUDE });
+    return withVisiblePlayer(viewerId, report);
   },
 
-  async update(id, requestingScoutId, data) {
-    const existing = await prisma.scoutReport.findUnique({ where: { id } });
-    if (!existing) throw { status: 404, message: 'Report not found' };
-    if (existing.scoutId !== parseInt(requestingScoutId)) {
+  // A report stays on the template version it was filed against.
+  // `answers` replaces the answers as a whole; top-level attribute fields
+  // (the fixed-report style) change just those attributes.
+  async update(id, viewerId, data) {
+    const existing = await findVisible(id, viewerId);
+    if (existing.scouterId !== viewerId) {
       throw { status: 403, message: 'You can only update your own reports' };
     }
 
-    const { timesSeen, ...rest } = data;
+    const { timesSeen, ...rest } = reportFields(data);
 
-    return prisma.scoutReport.update({
+    const { sections } = await prisma.reportTemplateVersion.findUnique({
+      where: { id: existing.templateVersionId },
+      select: { sections: true },
+    });
+    const given = answersFrom(data, sections);
+    let scored = {};
+    if (given !== undefined) {
+      const answers = reportTemplateService.checkAnswers(
+        sections, data.answers !== undefined ? given : { ...existing.answers, ...given },
+      );
+      const weights = await reportWeightingService.weightsFor(existing.organisationId, existing.scoredPosition);
+      scored = { answers, ...reportWeightingService.scoreReport(sections, answers, weights) };
+    }
+
+    const report = await prisma.scouterReport.update({
       where: { id },
       data: {
         ...rest,
+        ...scored,
         timesSeen: timesSeen ? parseInt(timesSeen) : undefined,
       },
+      include: REPORT_INCLUDE,
+    });
+    return withVisiblePlayer(viewerId, report);
+  },
+
+  // 2–4 players side by side, for the scout's shortlist. Report figures
+  // come from the reports this scout can read (their own and their
+  // organisation's); profile fields follow each player's visibility.
+  // Radar values line up with `players`: values[i] is players[i]'s.
+  async compare(viewerId, { playerIds } = {}) {
+    const ids = parseCompareIds(playerIds);
+
+    const found = await prisma.user.findMany({
+      where: { id: { in: ids }, role: 'PLAYER', deletedAt: null },
+      select: {
+        id: true,
+        fullname: true,
+        profile: { select: { position: true, height: true, favouriteFoot: true, dob: true, ...AVATAR_SELECT } },
+      },
+    });
+    const missing = ids.filter((id) => !found.some((p) => p.id === id));
+    if (missing.length) throw { status: 404, message: `Player not found: ${missing.join(', ')}` };
+
+    const [visible, reports, reels] = await Promise.all([
+      profilePrivacyService.redactUsers(viewerId, ids.map((id) => found.find((p) => p.id === id))),
+      prisma.scouterReport.findMany({
+        where: { AND: [{ playerId: { in: ids } }, await organisationService.reportAccessWhere(viewerId)] },
+        select: {
+          playerId: true, recommendation: true, score: true, answers: true,
+          templateVersion: { select: { sections: true } },
+        },
+      }),
+      reelStats(ids),
+    ]);
+
+    const reportsOf = ids.map((id) => reports.filter((r) => r.playerId === id));
+
+    const players = visible.map(({ id, fullname, profile }, i) => {
+      const own = reportsOf[i];
+      const scores = own.map((r) => r.score).filter((score) => score !== null);
+      const recommendations = Object.fromEntries(Object.keys(Recommendation).map((key) => [key, 0]));
+      for (const r of own) if (r.recommendation) recommendations[r.recommendation] += 1;
+
+      return {
+        id,
+        fullname,
+        ...avatarService.fields(profile),
+        physical: {
+          position: profile?.position ?? null,
+          height: profile?.height ?? null,
+          favouriteFoot: profile?.favouriteFoot ?? null,
+          age: computeAge(profile?.dob),
+        },
+        reports: {
+          count: own.length,
+          averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+          recommendations,
+        },
+        reels: reels.get(id),
+      };
     });
+
+    return {
+      players,
+      radar: radarFor(ids, reportsOf.map((own) => reportTemplateService.summarise(own))),
+    };
   },
 
-  async delete(id) {
-    const existing = await prisma.scoutReport.findUnique({ where: { id } });
-    if (!existing) throw { status: 404, message: 'Report not found' };
-    await prisma.scoutReport.delete({ where: { id } });
+  async delete(id, viewerId) {
+    const existing = await findVisible(id, viewerId);
+
+    if (existing.scouterId !== viewerId) {
+      const membership = await organisationService.getMembership(viewerId);
+      const isOwner = membership?.role === 'OWNER' && membership.organisationId === existing.organisationId;
+      if (!isOwner) throw { status: 403, message: 'Only the author or an organisation owner can delete this report' };
+    }
+
+    await prisma.scouterReport.delete({ where: { id } });
   },
 };
 
-export default scoutReportService;
\ No newline at end of file
+export default scoutReportService;
@@ -0,0 +1,300 @@
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../config/nodemailer.js';
+import {
+  uploadPrivateDocumentToGCS,
+  getSignedDocumentUrl,
+  deletePrivateDocumentFromGCS,
+} from '../config/multer.js';
+import { isMinor } from '../utils/age.js';
+import { escapeHtml } from '../utils/html.js';
+
+const DOCUMENT_SELECT = {
+  id: true,
+  mimeType: true,
+  originalName: true,
+  sizeKB: true,
+  createdAt: true,
+};
+
+const REQUEST_SELECT = {
+  id: true,
+  status: true,
+  licenceNumber: true,
+  issuingBody: true,
+  note: true,
+  rejectionReason: true,
+  reviewedAt: true,
+  createdAt: true,
+  documents: { select: DOCUMENT_SELECT },
+};
+
+const statusEmail = (fullname, heading, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+    <h2 style="color: #333;">Hi ${escapeHtml(fullname)},</h2>
+    <h3 style="color: #333;">${heading}</h3>
+    ${body}
+  </div>
+`;
+
+const findPendingRequest = async (requestId) => {
+  const id = parseInt(requestId);
+  if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid request ID' };
+
+  const request = await prisma.scoutVerificationRequest.findUnique({
+    where: { id },
+    include: { user: { select: { id: true, email: true, fullname: true } } },
+  });
+  if (!request) throw { status: 404, message: 'Verification request not found' };
+  if (request.status !== 'PENDING') throw { status: 400, message: 'This request has already been reviewed' };
+  return request;
+};
+
+const scoutVerificationService = {
+
+  // ===========================
+  // SCOUT
+  // ===========================
+  // Files are multer temp files from handleDocumentUpload; they're stored
+  // privately and removed from disk whatever happens.
+  async submit(userId, { licenceNumber, issuingBody, note }, files = []) {
+    if (files.length === 0) throw { status: 400, message: 'At least one licence or ID document is required' };
+
+    const profile = await prisma.scoutProfile.findUnique({
+      where: { userId },
+      select: { verificationStatus: true, user: { select: { email: true, fullname: true } } },
+    });
+    if (!profile) throw { status: 404, message: 'Scout profile not found' };
+    if (profile.verificationStatus === 'VERIFIED') throw { status: 400, message: 'Your profile is already verified' };
+    if (profile.verificationStatus === 'PENDING') {
+      throw { status: 409, message: 'A verification request is already waiting for review' };
+    }
+
+    const documents = [];
+    try {
+      for (const file of files) {
+        documents.push(await uploadPrivateDocumentToGCS(file, `verification/${userId}`));
+      }
+    } catch (err) {
+      await Promise.allSettled(documents.map((d) => deletePrivateDocumentFromGCS(d.filePath)));
+      throw { status: err.statusCode ?? 500, message: err.message };
+    }
+
+    const [request] = await prisma.$transaction([
+      prisma.scoutVerificationRequest.create({
+        data: {
+          userId,
+          licenceNumber: licenceNumber || null,
+          issuingBody: issuingBody || null,
+          note: note || null,
+          documents: { create: documents },
+        },
+        select: REQUEST_SELECT,
+      }),
+      prisma.scoutProfile.update({
+        where: { userId },
+        data: { verificationStatus: 'PENDING' },
+      }),
+    ]);
+
+    await sendEmail({
+      to: profile.user.email,
+      subject: 'Verification Request Received',
+      html: statusEmail(
+        profile.user.fullname,
+        "We've received your documents 📄",
+        `<p style="color: #555;">Our team will review your verification request and email you once it's done.</p>`
+      ),
+    });
+
+    return request;
+  },
+
+  async getStatus(userId) {
+    const profile = await prisma.scoutProfile.findUnique({
+      where: { userId },
+      select: { verificationStatus: true, verifiedAt: true },
+    });
+    if (!profile) throw { status: 404, message: 'Scout profile not found' };
+
+    const latestRequest = await prisma.scoutVerificationRequest.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      select: REQUEST_SELECT,
+    });
+
+    return { ...profile, latestRequest };
+  },
+
+  // ===========================
+  // ADMIN REVIEW
+  // ===========================
+  async listQueue({ status = 'PENDING', page = 1, limit = 10 }) {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+    const where = { status };
+
+    const [requests, total] = await Promise.all([
+      prisma.scoutVerificationRequest.findMany({
+        where, skip, take,
+        // Oldest first — it's a queue.
+        orderBy: { createdAt: 'asc' },
+        select: {
+          ...REQUEST_SELECT,
+          user: {
+            select: {
+              id: true, fullname: true, email: true,
+              scoutProfile: { select: { club: true, country: true, city: true } },
+            },
+          },
+          reviewer: { select: { id: true, fullname: true } },
+        },
+      }),
+      prisma.scoutVerificationRequest.count({ where }),
+    ]);
+
+    return {
+      data: requests,
+      meta: {
+        total,
+        page: parseInt(page),
+        limit: take,
+        totalPages: Math.ceil(total / take),
+        hasNextPage: skip + take < total,
+        hasPrevPage: parseInt(page) > 1,
+      },
+    };
+  },
+
+  // Documents come back with signed URLs valid for 15 minutes.
+  async getForReview(requestId) {
+    const id = parseInt(requestId);
+    if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid request ID' };
+
+    const request = await prisma.scoutVerificationRequest.findUnique({
+      where: { id },
+      select: {
+        ...REQUEST_SELECT,
+        documents: { select: { ...DOCUMENT_SELECT, filePath: true } },
+        user: {
+          select: {
+            id: true, fullname: true, email: true, createdAt: true,
+            scoutProfile: true,
+          },
+        },
+        reviewer: { select: { id: true, fullname: true } },
+      },
+    });
+    if (!request) throw { status: 404, message: 'Verification request not found' };
+
+    const documents = await Promise.all(
+      request.documents.map(async ({ filePath, ...doc }) => ({
+        ...doc,
+        url: await getSignedDocumentUrl(filePath),
+      }))
+    );
+
+    return { ...request, documents };
+  },
+
+  async approve(requestId, reviewerId) {
+    const request = await findPendingRequest(requestId);
+    const now = new Date();
+
+    await prisma.$transaction([
+      prisma.scoutVerificationRequest.update({
+        where: { id: request.id },
+        data: { status: 'APPROVED', reviewerId, reviewedAt: now },
+      }),
+      prisma.scoutProfile.update({
+        where: { userId: request.userId },
+        data: { verificationStatus: 'VERIFIED', verifiedAt: now },
+      }),
+    ]);
+
+    await sendEmail({
+      to: request.user.email,
+      subject: "You're a Verified Scout",
+      html: statusEmail(
+        request.user.fullname,
+        'Verification approved ✅',
+        `<p style="color: #555;">Your profile now shows the verified badge, and you can file scout reports and message players of every age.</p>`
+      ),
+    });
+
+    return this.getStatus(request.userId);
+  },
+
+  async reject(requestId, reviewerId, { reason }) {
+    if (!reason?.trim()) throw { status: 400, message: 'A rejection reason is required' };
+
+    const request = await findPendingRequest(requestId);
+
+    await prisma.$transaction([
+      prisma.scoutVerificationRequest.update({
+        where: { id: request.id },
+        data: { status: 'REJECTED', reviewerId, reviewedAt: new Date(), rejectionReason: reason.trim() },
+      }),
+      prisma.scoutProfile.update({
+        where: { userId: request.userId },
+        data: { verificationStatus: 'REJECTED', verifiedAt: null },
+      }),
+    ]);
+
+    await sendEmail({
+      to: request.user.email,
+      subject: 'Verification Request Not Approved',
+      html: statusEmail(
+        request.user.fullname,
+        "We couldn't verify your profile",
+        `<p style="color: #555;"><strong>Reason:</strong> ${escapeHtml(reason.trim())}</p>
+         <p style="color: #555;">You can submit a new request with updated documents at any time.</p>`
+      ),
+    });
+
+    return this.getStatus(request.userId);
+  },
+
+  // ===========================
+  // RESTRICTIONS
+  // ===========================
+  async isVerifiedScout(userId) {
+    const profile = await prisma.scoutProfile.findUnique({
+      where: { userId },
+      select: { verificationStatus: true },
+    });
+    return profile?.verificationStatus === 'VERIFIED';
+  },
+
+  // True when the group of users would put an unverified scout in a
+  // conversation with a minor (unknown date of birth counts as a minor).
+  // Used by chatRoomService before opening or growing a room.
+  async mixesUnverifiedScoutsWithMinors(userIds) {
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds.map((id) => parseInt(id)) } },
+      select: {
+        role: true,
+        profile: { select: { dob: true } },
+        scoutProfile: { select: { verificationStatus: true } },
+      },
+    });
+
+    const hasUnverifiedScout = users.some(
+      (u) => u.role === 'SCOUT' && u.scoutProfile?.verificationStatus !== 'VERIFIED'
+    );
+    const hasMinor = users.some((u) => u.role === 'PLAYER' && isMinor(u.profile?.dob));
+
+    return hasUnverifiedScout && hasMinor;
+  },
+
+  // Used by account deletion — ID scans must not outlive the account.
+  async removeAllForUser(userId) {
+    const documents = await prisma.scoutVerificationDocument.findMany({
+      where: { request: { userId } },
+      select: { filePath: true },
+    });
+    await Promise.all(documents.map((d) => deletePrivateDocumentFromGCS(d.filePath)));
+    await prisma.scoutVerificationRequest.deleteMany({ where: { userId } });
+  },
+};
+
+export default scoutVerificationService;
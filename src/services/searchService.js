@@ -0,0 +1,228 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../lib/prisma.js';
+import { escapeHtml } from '../utils/html.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService from './avatarService.js';
+
+// Unified search over the `searchVector` columns Postgres generates (see
+// the add_full_text_search migration). Every word is matched as a prefix,
+// so "mar rash" finds "Marcus Rashford" while the user is still typing,
+// and names, clubs and reel titles fall back to trigram similarity so a
+// typo still finds them.
+
+export const SEARCH_TYPES = ['players', 'scouts', 'reels', 'posts'];
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 8;
+// Below this pg_trgm has too few trigrams to say anything useful.
+const MIN_FUZZY_LENGTH = 3;
+
+// ts_headline marks matches with these; the snippet is HTML-escaped
+// afterwards and they become <mark> tags, so user text can't inject markup.
+const MARK_START = '⟦';
+const MARK_END = '⟧';
+const HEADLINE_OPTIONS =
+  `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=20, MinWords=8, ShortWord=2, MaxFragments=1`;
+
+const toHighlight = (headline) =>
+  headline
+    ? escapeHtml(headline).split(MARK_START).join('<mark>').split(MARK_END).join('</mark>')
+    : null;
+
+// Only letters and digits reach to_tsquery, so its operators can't be
+// smuggled in through the query string.
+const parseQuery = (raw) => {
+  const q = typeof raw === 'string' ? raw.trim() : '';
+  if (!q) throw { status: 400, message: 'q is required' };
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw { status: 400, message: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const terms = (q.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).slice(0, MAX_TERMS);
+  if (!terms.length) throw { status: 400, message: 'q must contain letters or numbers' };
+
+  return {
+    q,
+    tsquery: terms.map((term) => `${term}:*`).join(' & '),
+    fuzzy: q.length >= MIN_FUZZY_LENGTH ? q : null,
+  };
+};
+
+const parseTypes = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return SEARCH_TYPES;
+  const types = [...new Set(String(raw).split(',').map((t) => t.trim()).filter(Boolean))];
+  const unknown = types.filter((t) => !SEARCH_TYPES.includes(t));
+  if (unknown.length || !types.length) {
+    throw { status: 400, message: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}` };
+  }
+  return types;
+};
+
+const parseLimit = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_LIMIT;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw { status: 400, message: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  return limit;
+};
+
+// Hides deleted accounts, and anyone the viewer has blocked or been
+// blocked by. `alias` is the "User" row being searched.
+const visibleUser = (alias, viewerId) => Prisma.sql`
+  ${Prisma.raw(alias)}."deletedAt" IS NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM "Block" b
+    WHERE (b."blockerId" = ${viewerId} AND b."blockedId" = ${Prisma.raw(alias)}.id)
+       OR (b."blockerId" = ${Prisma.raw(alias)}.id AND b."blockedId" = ${viewerId})
+  )`;
+
+// Player profile text is only searched, and only quoted in snippets,
+// for fields the player leaves PUBLIC — the searchVector mixes several
+// fields, so any restricted one keeps the whole vector out. What comes
+// back is then redacted for the viewer like any other profile.
+const PROFILE_VECTOR_FIELDS = ['club', 'position', 'city', 'country', 'bio'];
+
+const publicField = (field) => Prisma.sql`
+  NOT EXISTS (SELECT 1 FROM "ProfileFieldVisibility" v WHERE v."profileId" = p.id AND v.field = ${field})`;
+
+const profileVectorPublic = Prisma.sql`
+  NOT EXISTS (SELECT 1 FROM "ProfileFieldVisibility" v WHERE v."profileId" = p.id AND v.field IN (${Prisma.join(PROFILE_VECTOR_FIELDS)}))`;
+
+const publicText = (field) => Prisma.sql`CASE WHEN ${publicField(field)} THEN p.${Prisma.raw(`"${field}"`)} END`;
+
+// Each query returns its rows best match first. `rank` adds text rank and
+// trigram similarity, so an exact prefix hit still beats a near miss.
+const QUERIES = {
+  players: ({ tsquery, fuzzy }, viewerId, limit) => prisma.$queryRaw`
+    WITH query AS (SELECT to_tsquery('simple', ${tsquery}) AS tsq)
+    SELECT u.id, u.fullname,
+           p."avatarUrl", p."avatarSizes", p."avatarBlurhash", p.position, p.club, p.country, p.city,
+           (ts_rank(u."searchVector" || CASE WHEN ${profileVectorPublic} THEN coalesce(p."searchVector", ''::tsvector) ELSE ''::tsvector END, query.tsq)
+             + CASE WHEN ${fuzzy}::text IS NULL THEN 0
+                    ELSE greatest(similarity(u.fullname, ${fuzzy}), similarity(coalesce(${publicText('club')}, ''), ${fuzzy})) END
+           )::float8 AS rank,
+           ts_headline('simple',
+             concat_ws(' · ', u.fullname, ${publicText('club')}, ${publicText('position')},
+               ${publicText('city')}, ${publicText('country')}, ${publicText('bio')}),
+             query.tsq, ${HEADLINE_OPTIONS}) AS headline
+    FROM "User" u
+    LEFT JOIN "Profile" p ON p."userId" = u.id
+    CROSS JOIN query
+    WHERE u.role = 'PLAYER'
+      AND ${visibleUser('u', viewerId)}
+      AND (
+        u."searchVector" @@ query.tsq
+        OR (p."searchVector" @@ query.tsq AND ${profileVectorPublic})
+        OR (${fuzzy}::text IS NOT NULL AND (u.fullname % ${fuzzy} OR (p.club % ${fuzzy} AND ${publicField('club')})))
+      )
+    ORDER BY rank DESC, u.id DESC
+    LIMIT ${limit}`,
+
+  scouts: ({ tsquery, fuzzy }, viewerId, limit) => prisma.$queryRaw`
+    WITH query AS (SELECT to_tsquery('simple', ${tsquery}) AS tsq)
+    SELECT u.id, u.fullname,
+           s."avatarUrl", s."avatarSizes", s."avatarBlurhash", s.club, s.country, s.city,
+           (s."verificationStatus" = 'VERIFIED') AS verified,
+           (ts_rank(u."searchVector" || coalesce(s."searchVector", ''::tsvector), query.tsq)
+             + CASE WHEN ${fuzzy}::text IS NULL THEN 0
+                    ELSE greatest(similarity(u.fullname, ${fuzzy}), similarity(coalesce(s.club, ''), ${fuzzy})) END
+           )::float8 AS rank,
+           ts_headline('simple',
+             concat_ws(' · ', u.fullname, s.club, s.city, s.country, s.bio),
+             query.tsq, ${HEADLINE_OPTIONS}) AS headline
+    FROM "User" u
+    LEFT JOIN "ScoutProfile" s ON s."userId" = u.id
+    CROSS JOIN query
+    WHERE u.role = 'SCOUT'
+      AND ${visibleUser('u', viewerId)}
+      AND (
+        u."searchVector" @@ query.tsq
+        OR s."searchVector" @@ query.tsq
+        OR (${fuzzy}::text IS NOT NULL AND (u.fullname % ${fuzzy} OR s.club % ${fuzzy}))
+      )
+    ORDER BY rank DESC, u.id DESC
+    LIMIT ${limit}`,
+
+  // Unpublished reels (including a minor's, pending guardian consent)
+  // never show up.
+  reels: ({ tsquery, fuzzy }, viewerId, limit) => prisma.$queryRaw`
+    WITH query AS (SELECT to_tsquery('simple', ${tsquery}) AS tsq)
+    SELECT r.id, r.title, r."thumbnailUrl", r."createdAt",
+           u.id AS "playerId", u.fullname AS "playerName",
+           (ts_rank(r."searchVector", query.tsq)
+             + CASE WHEN ${fuzzy}::text IS NULL THEN 0 ELSE similarity(r.title, ${fuzzy}) END
+           )::float8 AS rank,
+           ts_headline('simple', concat_ws(' · ', r.title, r.description),
+             query.tsq, ${HEADLINE_OPTIONS}) AS headline
+    FROM "Reel" r
+    JOIN "User" u ON u.id = r."playerId"
+    CROSS JOIN query
+    WHERE r.published = true
+      AND ${visibleUser('u', viewerId)}
+      AND (
+        r."searchVector" @@ query.tsq
+        OR (${fuzzy}::text IS NOT NULL AND r.title % ${fuzzy})
+      )
+    ORDER BY rank DESC, r."createdAt" DESC
+    LIMIT ${limit}`,
+
+  posts: ({ tsquery }, viewerId, limit) => prisma.$queryRaw`
+    WITH query AS (SELECT to_tsquery('simple', ${tsquery}) AS tsq)
+    SELECT po.id, po."createdAt",
+           u.id AS "authorId", u.fullname AS "authorName",
+           ts_rank(po."searchVector", query.tsq)::float8 AS rank,
+           ts_headline('simple', po.content, query.tsq, ${HEADLINE_OPTIONS}) AS headline
+    FROM "Post" po
+    JOIN "User" u ON u.id = po."userId"
+    CROSS JOIN query
+    WHERE po."searchVector" @@ query.tsq
+      AND ${visibleUser('u', viewerId)}
+    ORDER BY rank DESC, po."createdAt" DESC
+    LIMIT ${limit}`,
+};
+
+const SHAPES = {
+  players: ({ headline, ...row }, hidden) => ({
+    ...avatarService.withFields(profilePrivacyService.strip(row, hidden.get(row.id))),
+    highlight: toHighlight(headline),
+  }),
+  scouts: ({ headline, ...row }) => ({ ...avatarService.withFields(row), highlight: toHighlight(headline) }),
+  reels: ({ headline, playerId, playerName, ...row }) => ({
+    ...row,
+    player: { id: playerId, fullname: playerName },
+    highlight: toHighlight(headline),
+  }),
+  posts: ({ headline, authorId, authorName, ...row }) => ({
+    ...row,
+    user: { id: authorId, fullname: authorName },
+    highlight: toHighlight(headline),
+  }),
+};
+
+const searchService = {
+
+  // Results come back grouped by type, `limit` per type, best first.
+  async search(viewerId, { q, types, limit } = {}) {
+    const query = parseQuery(q);
+    const wanted = parseTypes(types);
+    const take = parseLimit(limit);
+
+    const results = await Promise.all(
+      wanted.map((type) => QUERIES[type](query, viewerId, take))
+    );
+
+    const playerRows = results[wanted.indexOf('players')] ?? [];
+    const hidden = await profilePrivacyService.hiddenFields(viewerId, playerRows.map((r) => r.id));
+
+    const data = Object.fromEntries(
+      wanted.map((type, i) => [type, results[i].map((row) => SHAPES[type](row, hidden))])
+    );
+
+    return { query: query.q, data };
+  },
+};
+
+export default searchService;
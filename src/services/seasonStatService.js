@@ -0,0 +1,214 @@
+import prisma from '../lib/prisma.js';
+
+// "2023/24" for split seasons, "2024" for calendar-year leagues.
+const SEASON_PATTERN = /^\d{4}(\/\d{2})?$/;
+const COUNT_FIELDS = ['appearances', 'minutes', 'goals', 'assists'];
+
+export const SEASON_STAT_SELECT = {
+  id: true,
+  season: true,
+  appearances: true,
+  minutes: true,
+  goals: true,
+  assists: true,
+  verificationStatus: true,
+  verifiedAt: true,
+  verifiedBy: { select: { id: true, fullname: true } },
+  verifiedByOrganisation: { select: { id: true, name: true } },
+};
+
+// Anything that changes the numbers makes them self-reported again.
+const UNVERIFIED = {
+  verificationStatus: 'SELF_REPORTED',
+  verifiedById: null,
+  verifiedByOrganisationId: null,
+  verifiedAt: null,
+};
+
+const parseId = (value, label) => {
+  const id = parseInt(value);
+  if (isNaN(id)) throw { status: 400, message: `Invalid ${label}` };
+  return id;
+};
+
+const rate90 = (count, minutes) => (minutes > 0 ? count * 90 / minutes : null);
+const per90 = (count, minutes) => (minutes > 0 ? Math.round(rate90(count, minutes) * 100) / 100 : null);
+
+// Validates a create or a partial update merged over the existing line.
+const statData = (input, existing = {}) => {
+  const data = {};
+
+  if (input.season !== undefined || !existing.season) {
+    const season = String(input.season ?? '').trim();
+    if (!SEASON_PATTERN.test(season)) throw { status: 400, message: 'season must look like 2023/24 or 2024' };
+    data.season = season;
+  }
+  for (const field of COUNT_FIELDS) {
+    if (input[field] === undefined) continue;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 0) throw { status: 400, message: `${field} must be a whole number of 0 or more` };
+    data[field] = value;
+  }
+
+  const appearances = data.appearances ?? existing.appearances ?? 0;
+  const minutes = data.minutes ?? existing.minutes ?? 0;
+  if (appearances === 0 && minutes > 0) throw { status: 400, message: 'minutes need at least one appearance' };
+
+  return data;
+};
+
+const findOwnStat = async (userId, statId) => {
+  const id = parseId(statId, 'stat ID');
+  const stat = await prisma.seasonStat.findUnique({ where: { id } });
+  if (!stat || stat.userId !== userId) throw { status: 404, message: 'Season stats not found' };
+  return stat;
+};
+
+const saveUnique = async (write) => {
+  try {
+    return await write();
+  } catch (err) {
+    if (err.code === 'P2002') throw { status: 409, message: 'There are already stats for this season at this club' };
+    throw err;
+  }
+};
+
+const seasonStatService = {
+
+  // ===========================
+  // PLAYER
+  // ===========================
+  async create(userId, careerEntryId, input) {
+    const entryId = parseId(careerEntryId, 'career entry ID');
+    const entry = await prisma.careerEntry.findUnique({ where: { id: entryId } });
+    if (!entry || entry.userId !== userId) throw { status: 404, message: 'Career entry not found' };
+
+    const data = statData(input ?? {});
+    return saveUnique(() => prisma.seasonStat.create({
+      data: { ...data, careerEntryId: entryId, userId },
+      select: SEASON_STAT_SELECT,
+    }));
+  },
+
+  async update(userId, statId, input) {
+    const existing = await findOwnStat(userId, statId);
+    const data = statData(input ?? {}, existing);
+
+    return saveUnique(() => prisma.seasonStat.update({
+      where: { id: existing.id },
+      data: Object.keys(data).length ? { ...data, ...UNVERIFIED } : data,
+      select: SEASON_STAT_SELECT,
+    }));
+  },
+
+  async delete(userId, statId) {
+    const existing = await findOwnStat(userId, statId);
+    await prisma.seasonStat.delete({ where: { id: existing.id } });
+  },
+
+  // ===========================
+  // SCOUT
+  // ===========================
+  // Route is behind requireVerifiedScout. A scout in an organisation
+  // verifies on its behalf, and the organisation is shown alongside.
+  async verify(scoutId, statId, { now = new Date() } = {}) {
+    const id = parseId(statId, 'stat ID');
+    const stat = await prisma.seasonStat.findUnique({ where: { id } });
+    if (!stat) throw { status: 404, message: 'Season stats not found' };
+    if (stat.verificationStatus === 'VERIFIED') throw { status: 400, message: 'These stats are already verified' };
+
+    const membership = await prisma.organisationMember.findUnique({ where: { userId: scoutId } });
+
+    return prisma.seasonStat.update({
+      where: { id },
+      data: {
+        verificationStatus: 'VERIFIED',
+        verifiedById: scoutId,
+        verifiedByOrganisationId: membership?.organisationId ?? null,
+        verifiedAt: now,
+      },
+      select: SEASON_STAT_SELECT,
+    });
+  },
+
+  // ===========================
+  // READ
+  // ===========================
+  async listForPlayer(playerId) {
+    const userId = parseId(playerId, 'user ID');
+    return prisma.seasonStat.findMany({
+      where: { userId },
+      orderBy: [{ season: 'desc' }, { careerEntry: { startDate: 'desc' } }],
+      select: {
+        ...SEASON_STAT_SELECT,
+        careerEntry: { select: { id: true, club: true, league: true, squadLevel: true } },
+      },
+    });
+  },
+
+  // Career totals and per-90 rates. `verifiedOnly` leaves self-reported
+  // lines out, so a scout can see what the numbers look like on
+  // confirmed stats alone.
+  async totals(playerId, { verifiedOnly } = {}) {
+    const userId = parseId(playerId, 'user ID');
+    const where = { userId };
+    if (verifiedOnly === true || verifiedOnly === 'true') where.verificationStatus = 'VERIFIED';
+
+    const [sums, seasons, verifiedSeasons] = await Promise.all([
+      prisma.seasonStat.aggregate({ where, _sum: { appearances: true, minutes: true, goals: true, assists: true } }),
+      prisma.seasonStat.count({ where }),
+      prisma.seasonStat.count({ where: { userId, verificationStatus: 'VERIFIED' } }),
+    ]);
+
+    const totals = {
+      appearances: sums._sum.appearances ?? 0,
+      minutes: sums._sum.minutes ?? 0,
+      goals: sums._sum.goals ?? 0,
+      assists: sums._sum.assists ?? 0,
+    };
+
+    return {
+      seasons,
+      verifiedSeasons,
+      totals,
+      per90: {
+        goals: per90(totals.goals, totals.minutes),
+        assists: per90(totals.assists, totals.minutes),
+        goalContributions: per90(totals.goals + totals.assists, totals.minutes),
+      },
+    };
+  },
+
+  // Player ids whose career totals pass the given thresholds, or null when
+  // no stat filter was asked for. Used by profileService.getAll.
+  async playerIdsMatching({ minGoalsPer90, minAssistsPer90, minMinutes, verifiedStatsOnly } = {}) {
+    const thresholds = {
+      goals: minGoalsPer90 !== undefined ? parseFloat(minGoalsPer90) : null,
+      assists: minAssistsPer90 !== undefined ? parseFloat(minAssistsPer90) : null,
+      minutes: minMinutes !== undefined ? parseInt(minMinutes) : null,
+    };
+    for (const [name, value] of Object.entries(thresholds)) {
+      if (value !== null && (isNaN(value) || value < 0)) throw { status: 400, message: `Invalid ${name} filter` };
+    }
+    if (Object.values(thresholds).every((v) => v === null)) return null;
+
+    const where = verifiedStatsOnly === 'true' || verifiedStatsOnly === true ? { verificationStatus: 'VERIFIED' } : {};
+    const groups = await prisma.seasonStat.groupBy({
+      by: ['userId'],
+      where,
+      _sum: { minutes: true, goals: true, assists: true },
+    });
+
+    return groups
+      .filter(({ _sum }) => {
+        const minutes = _sum.minutes ?? 0;
+        if (thresholds.minutes !== null && minutes < thresholds.minutes) return false;
+        if (thresholds.goals !== null && !(rate90(_sum.goals ?? 0, minutes) > thresholds.goals)) return false;
+        if (thresholds.assists !== null && !(rate90(_sum.assists ?? 0, minutes) > thresholds.assists)) return false;
+        return true;
+      })
+      .map((g) => g.userId);
+  },
+};
+
+export default seasonStatService;
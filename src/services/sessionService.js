@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+
+// Access tokens are short-lived on purpose: verifyToken still checks the
+// session row on every request, but a short TTL bounds how long a leaked
+// token is useful even if that check is ever bypassed.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '30');
+
+const SESSION_SELECT = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId, { impersonatorId, expiresIn = ACCESS_TOKEN_TTL } = {}) =>
+  jwt.sign(
+    {
+      userId: user.id, email: user.email, role: user.role, isVerified: user.isVerified ?? false, sessionId,
+      ...(impersonatorId && { impersonatorId }),
+    },
+    JWT_SECRET,
+    { expiresIn }
+  );
+
+const sessionService = {
+
+  // ===========================
+  // ISSUE
+  // ===========================
+  // Starts a new device session and returns the token pair the client
+  // stores. `user` needs at least { id, email, role, isVerified }.
+  async create(user, { deviceName, userAgent, ipAddress } = {}) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await prisma.session.create({
+      data: {
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        deviceName: deviceName || null,
+        userAgent: userAgent || null,
+        ipAddress: ipAddress || null,
+        expiresAt: refreshExpiry(),
+      },
+    });
+
+    return {
+      token: signAccessToken(user, session.id),
+      refreshToken,
+      sessionId: session.id,
+    };
+  },
+
+  // Support session for an admin acting as `user`. There is no refresh
+  // token to hand out — the access token lives as long as the session,
+  // and the admin starts a new one when it runs out.
+  async createImpersonation(user, impersonator, { reason, userAgent, ipAddress } = {}) {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+    const session = await prisma.session.create({
+      data: {
+        userId: user.id,
+        impersonatorId: impersonator.id,
+        impersonationReason: reason,
+        // Never given out; the column is unique and required.
+        refreshTokenHash: hashToken(generateRefreshToken()),
+        deviceName: `Support (${impersonator.email})`,
+        userAgent: userAgent || null,
+        ipAddress: ipAddress || null,
+        expiresAt,
+      },
+    });
+
+    return {
+      token: signAccessToken(user, session.id, {
+        impersonatorId: impersonator.id,
+        expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+      }),
+      sessionId: session.id,
+      expiresAt,
+    };
+  },
+
+  // ===========================
+  // ROTATE
+  // ===========================
+  // Every refresh swaps the refresh token for a new one. The old hash is
+  // kept as `previousTokenHash` so a replay of a rotated-out token can be
+  // told apart from a plain typo — a replay means two parties hold the
+  // same session, so it's revoked outright.
+  //
+  // The new access token also picks up the account's current isVerified,
+  // which is how the app learns about a verification mid-session.
+  async refresh({ refreshToken }, { userAgent, ipAddress } = {}) {
+    if (!refreshToken) throw { status: 400, message: 'Refresh token is required' };
+
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: tokenHash },
+      include: { user: { select: { id: true, email: true, role: true, isVerified: true } } },
+    });
+
+    if (!session) {
+      const replayed = await prisma.session.findUnique({ where: { previousTokenHash: tokenHash } });
+      if (replayed && !replayed.revokedAt) {
+        await prisma.session.update({ where: { id: replayed.id }, data: { revokedAt: new Date() } });
+        throw {
+          status: 401,
+          message: 'Refresh token reuse detected. Please log in again.',
+          revokedSessionIds: [replayed.id],
+        };
+      }
+      throw { status: 401, message: 'Invalid refresh token' };
+    }
+
+    if (session.revokedAt || session.impersonatorId) throw { status: 401, message: 'Session has been revoked' };
+    if (new Date() > session.expiresAt) throw { status: 401, message: 'Session has expired. Please log in again.' };
+
+    const nextRefreshToken = generateRefreshToken();
+
+    // Rotate only if the token is still the current one: two refreshes
+    // racing with the same token can't both win, and the loser is treated
+    // as the replay it is.
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        userAgent: userAgent ?? session.userAgent,
+        ipAddress: ipAddress ?? session.ipAddress,
+      },
+    });
+    if (count === 0) {
+      await prisma.session.update({ where: { id: session.id }, data: { revokedAt: new Date() } });
+      throw {
+        status: 401,
+        message: 'Refresh token reuse detected. Please log in again.',
+        revokedSessionIds: [session.id],
+      };
+    }
+
+    return {
+      token: signAccessToken(session.user, session.id),
+      refreshToken: nextRefreshToken,
+    };
+  },
+
+  // ===========================
+  // LOOKUP
+  // ===========================
+  // Used by verifyToken and the socket authMiddleware. Returns null for
+  // missing, revoked or expired sessions so callers only need one check.
+  async getActive(sessionId) {
+    const id = parseInt(sessionId);
+    if (!Number.isInteger(id)) return null;
+
+    const session = await prisma.session.findUnique({
+      where: { id },
+      include: {
+        user: true,
+        impersonator: { select: { id: true, email: true, role: true } },
+      },
+    });
+
+    if (!session || session.revokedAt || new Date() > session.expiresAt) return null;
+    return session;
+  },
+
+  async listForUser(userId, currentSessionId) {
+    const sessions = await prisma.session.findMany({
+      // Support sessions aren't the user's devices — admins see those
+      // under GET /users/impersonations.
+      where: { userId, impersonatorId: null, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: 'desc' },
+      select: SESSION_SELECT,
+    });
+
+    return sessions.map((s) => ({ ...s, current: s.id === currentSessionId }));
+  },
+
+  // ===========================
+  // REVOKE
+  // ===========================
+  async revoke(userId, sessionId) {
+    const id = parseInt(sessionId);
+    if (!Number.isInteger(id)) throw { status: 400, message: 'Invalid session ID' };
+
+    const session = await prisma.session.findUnique({ where: { id } });
+    // Someone else's session reads as "not found" rather than 403 so
+    // session ids can't be probed.
+    if (!session || session.userId !== userId) throw { status: 404, message: 'Session not found' };
+
+    if (!session.revokedAt) {
+      await prisma.session.update({ where: { id }, data: { revokedAt: new Date() } });
+    }
+
+    return id;
+  },
+
+  // Logs a user out of every device, optionally keeping the one that
+  // made the request. Returns the revoked ids so the caller can drop
+  // their live sockets.
+  async revokeAll(userId, { exceptSessionId } = {}) {
+    const where = {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    };
+
+    const sessions = await prisma.session.findMany({ where, select: { id: true } });
+    if (sessions.length === 0) return [];
+
+    await prisma.session.updateMany({ where, data: { revokedAt: new Date() } });
+    return sessions.map((s) => s.id);
+  },
+};
+
+export default sessionService;
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import sessionService from './sessionService.js';
+import accountDeletionService from './accountDeletionService.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret,
+} from '../utils/totp.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ScouterPro';
+
+// Roles that may turn 2FA on, and the subset that must have it.
+const TWO_FACTOR_ROLES = ['SCOUT', 'ADMIN'];
+const TWO_FACTOR_REQUIRED_ROLES = ['ADMIN'];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Challenge tokens are the "limited token" between the password step and
+// the second factor. They carry no sessionId, so verifyToken and the
+// socket authMiddleware refuse them — the only thing they unlock is
+// POST /users/login/2fa (and /login/2fa/setup for the enroll purpose).
+const CHALLENGE_TTL = '5m';
+const PURPOSE_VERIFY = '2fa-login';
+const PURPOSE_ENROLL = '2fa-enroll';
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const signChallenge = (user, purpose, deviceName) =>
+  jwt.sign({ userId: user.id, purpose, deviceName: deviceName || null }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+const readChallenge = (challengeToken) => {
+  if (!challengeToken) throw { status: 400, message: 'Challenge token is required' };
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch {
+    throw { status: 401, message: 'Invalid or expired challenge. Please log in again.' };
+  }
+
+  if (decoded.purpose !== PURPOSE_VERIFY && decoded.purpose !== PURPOSE_ENROLL) {
+    throw { status: 401, message: 'Invalid challenge token' };
+  }
+  return decoded;
+};
+
+// Checks a TOTP code and records its step so the same code can't be used
+// twice. The conditional update makes the replay guard race-safe.
+const consumeTotp = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+  return count === 1;
+};
+
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  if (!recoveryCode) return false;
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId, codeHash: hashCode(recoveryCode), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count === 1;
+};
+
+const replaceRecoveryCodes = async (tx, userId) => {
+  const codes = generateRecoveryCodes();
+  await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await tx.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashCode(code) })),
+  });
+  return codes;
+};
+
+const startSetup = async (user) => {
+  if (user.twoFactorEnabled) throw { status: 400, message: 'Two-factor authentication is already enabled' };
+
+  const secret = generateSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUrl({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+  };
+};
+
+const finishSetup = async (user, code) => {
+  if (user.twoFactorEnabled) throw { status: 400, message: 'Two-factor authentication is already enabled' };
+  if (!user.twoFactorSecret) throw { status: 400, message: 'Start two-factor setup first' };
+  if (!(await consumeTotp(user, code))) throw { status: 401, message: 'Invalid authentication code' };
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { id: user.id }, data: { twoFactorEnabled: true } });
+    return replaceRecoveryCodes(tx, user.id);
+  });
+};
+
+const findUser = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    omit: { twoFactorSecret: false, twoFactorLastStep: false },
+  });
+  if (!user) throw { status: 404, message: 'User not found' };
+  return user;
+};
+
+const twoFactorService = {
+
+  // ===========================
+  // LOGIN
+  // ===========================
+  // Called by userService.login once the password checks out. Returns
+  // null when no second factor is needed, otherwise the body of the
+  // two-step login response.
+  async challengeFor(user, { deviceName } = {}) {
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user, PURPOSE_VERIFY, deviceName),
+      };
+    }
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user, PURPOSE_ENROLL, deviceName),
+      };
+    }
+
+    return null;
+  },
+
+  // Enrollment during login, for accounts (admins) that must have 2FA
+  // but don't yet. Authenticated by the enroll challenge token.
+  async setupFromChallenge({ challengeToken }) {
+    const challenge = readChallenge(challengeToken);
+    if (challenge.purpose !== PURPOSE_ENROLL) throw { status: 400, message: 'Two-factor authentication is already set up' };
+
+    return startSetup(await findUser(challenge.userId));
+  },
+
+  // Second step of login. With a verify challenge, accepts a TOTP code or
+  // an unused recovery code. With an enroll challenge, the code confirms
+  // the new authenticator, 2FA is switched on and the recovery codes are
+  // returned alongside the session.
+  async completeLogin({ challengeToken, code, recoveryCode }, client = {}) {
+    const challenge = readChallenge(challengeToken);
+    const user = await findUser(challenge.userId);
+
+    let recoveryCodes;
+    if (challenge.purpose === PURPOSE_ENROLL) {
+      recoveryCodes = await finishSetup(user, code);
+    } else {
+      if (!user.twoFactorEnabled) throw { status: 400, message: 'Two-factor authentication is not enabled' };
+
+      const passed = code
+        ? await consumeTotp(user, code)
+        : await consumeRecoveryCode(user.id, recoveryCode);
+      if (!passed) throw { status: 401, message: 'Invalid authentication code' };
+    }
+
+    const { token, refreshToken } = await sessionService.create(user, {
+      deviceName: challenge.deviceName,
+      ...client,
+    });
+    const deletionCancelled = await accountDeletionService.cancelOnLogin(user);
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        fullname: user.fullname,
+        role: user.role,
+        isVerified: user.isVerified,
+        twoFactorEnabled: true,
+        createdAt: user.createdAt,
+      },
+      token,
+      refreshToken,
+      ...(recoveryCodes && { recoveryCodes }),
+      ...(deletionCancelled && { deletionCancelled }),
+    };
+  },
+
+  // ===========================
+  // SELF-SERVICE
+  // ===========================
+  async setup(userId) {
+    const user = await findUser(userId);
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      throw { status: 403, message: 'Two-factor authentication is available to scouts and admins only' };
+    }
+    return startSetup(user);
+  },
+
+  async enable(userId, { code }) {
+    const recoveryCodes = await finishSetup(await findUser(userId), code);
+    return { recoveryCodes };
+  },
+
+  // Scouts may switch 2FA off with a current code or one of their
+  // recovery codes (the lost-phone case). Admins can't — it's mandatory.
+  async disable(userId, { code, recoveryCode }) {
+    const user = await findUser(userId);
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+      throw { status: 403, message: 'Two-factor authentication is required for this account' };
+    }
+    if (!user.twoFactorEnabled) throw { status: 400, message: 'Two-factor authentication is not enabled' };
+
+    const passed = code
+      ? await consumeTotp(user, code)
+      : await consumeRecoveryCode(user.id, recoveryCode);
+    if (!passed) throw { status: 401, message: 'Invalid authentication code' };
+
+    await prisma.$transaction([
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+      }),
+    ]);
+  },
+
+  async regenerateRecoveryCodes(userId, { code }) {
+    const user = await findUser(userId);
+    if (!user.twoFactorEnabled) throw { status: 400, message: 'Two-factor authentication is not enabled' };
+    if (!(await consumeTotp(user, code))) throw { status: 401, message: 'Invalid authentication code' };
+
+    const recoveryCodes = await prisma.$transaction((tx) => replaceRecoveryCodes(tx, userId));
+    return { recoveryCodes };
+  },
+
+  async getStatus(userId) {
+    const user = await findUser(userId);
+    const remainingRecoveryCodes = await prisma.twoFactorRecoveryCode.count({
+      where: { userId, usedAt: null },
+    });
+
+    return {
+      enabled: user.twoFactorEnabled,
+      required: TWO_FACTOR_REQUIRED_ROLES.includes(user.role),
+      remainingRecoveryCodes,
+    };
+  },
+};
+
+export default twoFactorService;
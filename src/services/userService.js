@@ -1,19 +1,35 @@
+import crypto from 'crypto';
 import prisma from '../lib/prisma.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { sendEmail } from '../config/nodemailer.js';
+import sessionService from './sessionService.js';
+import twoFactorService from './twoFactorService.js';
+import accountDeletionService from './accountDeletionService.js';
+import dataExportService from './dataExportService.js';
+import scoutVerificationService from './scoutVerificationService.js';
+import { CAREER_HISTORY } from './profileService.js';
+import profilePrivacyService from './profilePrivacyService.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+import publicProfileService from './publicProfileService.js';
 
-const VALID_ROLES = ['PLAYER', 'SCOUT', 'ADMIN'];
+const VALID_ROLES = ['PLAYER', 'SCOUT', 'ADMIN', 'GUARDIAN'];
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const APP_URL = process.env.APP_URL || 'https://thescouterpro.com';
 
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+// How long the old address can undo an email change.
+const EMAIL_REVERT_TTL = '7d';
+
+// crypto.randomInt rather than Math.random — OTPs must not be predictable.
+// Guess limits live in middleware/authThrottle.js.
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
 
 const userService = {
 
   // ===========================
   // AUTH
   // ===========================
-  async register({ email, password, fullname, role }) {
+  async register({ email, password, fullname, role, deviceName }, client = {}) {
     if (!email || !password || !fullname) {
       throw { status: 400, message: 'Email, password, and fullname are required' };
     }
@@ -50,7 +66,7 @@ const userService = {
         otpExpiry,
         isVerified: false,
   
-        ...(roleUpper === 'PLAYER' && { profile: { create: {} } }),
+        ...(roleUpper === 'PLAYER' && { profile: { create: { slug: await publicProfileService.availableSlug(fullname) } } }),
         ...(roleUpper === 'SCOUT' && { scoutProfile: { create: {} } }),
       },
       select: {
@@ -58,6 +74,7 @@ const userService = {
         email: true,
         fullname: true,
         role: true,
+        isVerified: true,
         createdAt: true,
         profile: true,
         scoutProfile: true,
@@ -77,22 +94,22 @@ const userService = {
       `,
     });
   
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await sessionService.create(user, { deviceName, ...client });
   
-    return { user, token };
+    return { user, token, refreshToken };
   },
-  async login({ email, password }) {
+  async login({ email, password, deviceName }, client = {}) {
     if (!email || !password) {
       throw { status: 400, message: 'Email and password are required' };
     }
 
     const user = await prisma.user.findUnique({
       where: { email },
-      select: { id: true, email: true, password: true, fullname: true, role: true, createdAt: true },
+      select: {
+        id: true, email: true, password: true, fullname: true, role: true,
+        isVerified: true, twoFactorEnabled: true, createdAt: true,
+        deletionScheduledFor: true,
+      },
     });
 
     if (!user) throw { status: 401, message: 'Invalid email or password' };
@@ -100,14 +117,68 @@ const userService = {
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) throw { status: 401, message: 'Invalid email or password' };
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Two-step login: no session yet, just a short-lived challenge token
+    // to trade in at POST /users/login/2fa.
+    const challenge = await twoFactorService.challengeFor(user, { deviceName });
+    if (challenge) return challenge;
+
+    const { token, refreshToken } = await sessionService.create(user, { deviceName, ...client });
+
+    // Logging in during the grace period is how a deletion is cancelled.
+    const deletionCancelled = await accountDeletionService.cancelOnLogin(user);
+
+    const { password: _, deletionScheduledFor: __, ...userWithoutPassword } = user;
+    return { user: userWithoutPassword, token, refreshToken, ...(deletionCancelled && { deletionCancelled }) };
+  },
 
-    const { password: _, ...userWithoutPassword } = user;
-    return { user: userWithoutPassword, token };
+  async completeTwoFactorLogin(body, client = {}) {
+    return twoFactorService.completeLogin(body, client);
+  },
+
+  async setupTwoFactorFromChallenge(body) {
+    return twoFactorService.setupFromChallenge(body);
+  },
+
+  // ===========================
+  // TWO-FACTOR
+  // ===========================
+  async getTwoFactorStatus(userId) {
+    return twoFactorService.getStatus(userId);
+  },
+
+  async setupTwoFactor(userId) {
+    return twoFactorService.setup(userId);
+  },
+
+  async enableTwoFactor(userId, body) {
+    return twoFactorService.enable(userId, body);
+  },
+
+  async disableTwoFactor(userId, body) {
+    return twoFactorService.disable(userId, body);
+  },
+
+  async regenerateRecoveryCodes(userId, body) {
+    return twoFactorService.regenerateRecoveryCodes(userId, body);
+  },
+
+  // ===========================
+  // SESSIONS
+  // ===========================
+  async refreshToken(body, client = {}) {
+    return sessionService.refresh(body, client);
+  },
+
+  async logout({ userId, sessionId }) {
+    return sessionService.revoke(userId, sessionId);
+  },
+
+  async getSessions({ userId, sessionId }) {
+    return sessionService.listForUser(userId, sessionId);
+  },
+
+  async revokeSession({ userId, sessionId }) {
+    return sessionService.revoke(userId, sessionId);
   },
 
   // ===========================
@@ -173,7 +244,9 @@ const userService = {
     const otp = generateOTP();
     const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
 
-    await prisma.user.update({ where: { email }, data: { otp, otpExpiry } });
+    // The OTP fields are shared with the email-change flow, so a reset
+    // request cancels any pending change rather than leave it half-valid.
+    await prisma.user.update({ where: { email }, data: { otp, otpExpiry, pendingEmail: null } });
 
     await sendEmail({
       to: email,
@@ -194,11 +267,13 @@ const userService = {
 
     const user = await prisma.user.findUnique({
       where: { email },
-      select: { id: true, otp: true, otpExpiry: true },
+      select: { id: true, otp: true, otpExpiry: true, pendingEmail: true },
     });
 
     if (!user) throw { status: 404, message: 'User not found' };
-    if (user.otp !== otp) throw { status: 400, message: 'Invalid OTP' };
+    // While an email change is pending the stored OTP was sent to the new
+    // address for that change — it must not double as a reset code.
+    if (user.pendingEmail || user.otp !== otp) throw { status: 400, message: 'Invalid OTP' };
     if (new Date() > new Date(user.otpExpiry)) {
       throw { status: 400, message: 'OTP has expired. Please request a new one.' };
     }
@@ -242,6 +317,10 @@ const userService = {
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     await prisma.user.update({ where: { email: decoded.email }, data: { password: hashedPassword } });
 
+    // Whoever triggered the reset may not be the one holding the old
+    // sessions, so every device is signed out.
+    const revokedSessionIds = await sessionService.revokeAll(user.id);
+
     await sendEmail({
       to: decoded.email,
       subject: 'Password Changed Successfully',
@@ -252,9 +331,11 @@ const userService = {
         </div>
       `,
     });
+
+    return { revokedSessionIds };
   },
 
-  async updatePassword({ userId, currentPassword, newPassword }) {
+  async updatePassword({ userId, sessionId, currentPassword, newPassword }) {
     if (!currentPassword || !newPassword) {
       throw { status: 400, message: 'Current password and new password are required' };
     }
@@ -277,6 +358,10 @@ const userService = {
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     await prisma.user.update({ where: { id: userId }, data: { password: hashedPassword } });
 
+    // Log out everywhere else — the device that just proved the current
+    // password keeps its session.
+    const revokedSessionIds = await sessionService.revokeAll(userId, { exceptSessionId: sessionId });
+
     await sendEmail({
       to: user.email,
       subject: 'Password Changed Successfully',
@@ -287,6 +372,197 @@ const userService = {
         </div>
       `,
     });
+
+    return { revokedSessionIds };
+  },
+
+  // ===========================
+  // EMAIL CHANGE
+  // ===========================
+  // Step 1: park the new address in `pendingEmail`, send an OTP to it and
+  // warn the current address with a revert link. Nothing about the login
+  // changes until the OTP is confirmed.
+  async requestEmailChange({ userId, newEmail, password }) {
+    if (!newEmail || !password) throw { status: 400, message: 'New email and password are required' };
+
+    const email = newEmail.trim();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) throw { status: 400, message: 'Invalid email format' };
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, fullname: true, password: true },
+    });
+    if (!user) throw { status: 404, message: 'User not found' };
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) throw { status: 401, message: 'Password is incorrect' };
+
+    if (email.toLowerCase() === user.email.toLowerCase()) {
+      throw { status: 400, message: 'New email must be different from current email' };
+    }
+
+    const existing = await prisma.user.findUnique({ where: { email } });
+    if (existing) throw { status: 400, message: 'Email already in use' };
+
+    const otp = generateOTP();
+    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { pendingEmail: email, otp, otpExpiry },
+    });
+
+    const revertToken = jwt.sign(
+      { userId, oldEmail: user.email, newEmail: email, purpose: 'email-revert' },
+      JWT_SECRET,
+      { expiresIn: EMAIL_REVERT_TTL }
+    );
+    // The link opens the web app, which POSTs the token to
+    // /users/email/revert — a GET that changed state would be triggered
+    // by mail scanners prefetching links.
+    const revertUrl = `${APP_URL}/revert-email?token=${encodeURIComponent(revertToken)}`;
+
+    await sendEmail({
+      to: email,
+      subject: 'Confirm Your New Email Address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Hi ${user.fullname},</h2>
+          <p style="color: #555;">Use the code below to confirm this as your new email address. It expires in <strong>10 minutes</strong>.</p>
+          <div style="font-size: 36px; font-weight: bold; letter-spacing: 8px; color: #4F46E5; text-align: center; padding: 16px 0;">${otp}</div>
+          <p style="color: #999; font-size: 12px;">If you didn't request this, you can safely ignore this email.</p>
+        </div>
+      `,
+    });
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Email Change Requested',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Hi ${user.fullname},</h2>
+          <p style="color: #555;">Someone asked to change the email on your account to <strong>${email}</strong>.</p>
+          <p style="color: #555;">If this wasn't you, undo it here — this also signs out every device. The link works for 7 days.</p>
+          <p style="text-align: center; padding: 16px 0;"><a href="${revertUrl}" style="background: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">This wasn't me</a></p>
+          <p style="color: #999; font-size: 12px;">If you made this change, no action is needed.</p>
+        </div>
+      `,
+    });
+  },
+
+  // Step 2: the OTP proves the new address. The swap logs out every
+  // existing session (the old email was part of what they authenticated
+  // as) and hands the confirming device a fresh one.
+  async confirmEmailChange({ userId, sessionId, otp }, client = {}) {
+    if (!otp) throw { status: 400, message: 'OTP is required' };
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, pendingEmail: true, otp: true, otpExpiry: true },
+    });
+    if (!user) throw { status: 404, message: 'User not found' };
+    if (!user.pendingEmail) throw { status: 400, message: 'No email change is pending' };
+    if (user.otp !== otp) throw { status: 400, message: 'Invalid OTP' };
+    if (new Date() > new Date(user.otpExpiry)) {
+      throw { status: 400, message: 'OTP has expired. Please request a new one.' };
+    }
+
+    const existing = await prisma.user.findUnique({ where: { email: user.pendingEmail } });
+    if (existing) throw { status: 400, message: 'Email already in use' };
+
+    let updated;
+    try {
+      updated = await prisma.user.update({
+        where: { id: userId },
+        data: { email: user.pendingEmail, pendingEmail: null, otp: null, otpExpiry: null },
+        select: { id: true, email: true, fullname: true, role: true, isVerified: true, createdAt: true },
+      });
+    } catch (err) {
+      // Lost a race with a registration for the same address.
+      if (err.code === 'P2002') throw { status: 400, message: 'Email already in use' };
+      throw err;
+    }
+
+    const current = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { deviceName: true },
+    });
+    const revokedSessionIds = await sessionService.revokeAll(userId);
+    const { token, refreshToken } = await sessionService.create(updated, {
+      deviceName: current?.deviceName,
+      ...client,
+    });
+
+    await sendEmail({
+      to: updated.email,
+      subject: 'Email Address Updated',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Hi ${updated.fullname},</h2>
+          <p style="color: #555;">This is now the email address for your account. Other devices have been signed out.</p>
+        </div>
+      `,
+    });
+
+    return { user: updated, token, refreshToken, revokedSessionIds };
+  },
+
+  // From the link sent to the old address. Works both before confirmation
+  // (cancels the pending change) and after (swaps the old address back).
+  // Either way every session is revoked — the link exists for the case
+  // where the account is in someone else's hands.
+  async revertEmailChange({ token }) {
+    if (!token) throw { status: 400, message: 'Revert token is required' };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch {
+      throw { status: 401, message: 'Invalid or expired revert link' };
+    }
+    if (decoded.purpose !== 'email-revert') throw { status: 401, message: 'Invalid revert link' };
+
+    const { userId, oldEmail, newEmail } = decoded;
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, pendingEmail: true, fullname: true },
+    });
+    if (!user) throw { status: 404, message: 'User not found' };
+
+    const pending = user.email === oldEmail && user.pendingEmail === newEmail;
+    const swapped = user.email === newEmail;
+    if (!pending && !swapped) {
+      throw { status: 400, message: 'This email change can no longer be reverted' };
+    }
+
+    if (swapped) {
+      const taken = await prisma.user.findFirst({ where: { email: oldEmail, id: { not: userId } } });
+      if (taken) {
+        throw { status: 409, message: 'The original address now belongs to another account. Please contact support.' };
+      }
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { email: oldEmail, pendingEmail: null, otp: null, otpExpiry: null },
+    });
+
+    const revokedSessionIds = await sessionService.revokeAll(userId);
+
+    await sendEmail({
+      to: oldEmail,
+      subject: 'Email Change Reverted',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; padding: 24px; border: 1px solid #eee; border-radius: 8px;">
+          <h2 style="color: #333;">Hi ${user.fullname},</h2>
+          <p style="color: #555;">Your account is back on this email address and every device has been signed out.</p>
+          <p style="color: #555;">If you didn't request the change, reset your password now — whoever did may know it.</p>
+        </div>
+      `,
+    });
+
+    return { revokedSessionIds };
   },
 
   // ===========================
@@ -295,7 +571,7 @@ const userService = {
   async getCurrentUser(userId) {
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true, email: true, fullname: true, role: true, createdAt: true, profile: true },
+      select: { id: true, email: true, fullname: true, role: true, isVerified: true, createdAt: true, profile: true },
     });
     if (!user) throw { status: 404, message: 'User not found' };
     return user;
@@ -335,14 +611,20 @@ const userService = {
       }
     }
 
-    let hashedPassword = user.password;
-    if (password) hashedPassword = await bcrypt.hash(password, 10);
+    // Admin override: no confirmation round-trip, but the address still
+    // has to be free, and it supersedes any self-service change in flight.
+    const emailChanged = email && email !== user.email;
+    if (emailChanged) {
+      const existing = await prisma.user.findUnique({ where: { email } });
+      if (existing) throw { status: 400, message: 'Email already in use' };
+    }
 
     return prisma.user.update({
       where: { id },
       data: {
         email: email ?? user.email,
-        password: hashedPassword,
+        ...(emailChanged && { pendingEmail: null }),
+        ...(password && { password: await bcrypt.hash(password, 10) }),
         fullname: fullname ?? user.fullname,
         role: role ? role.toUpperCase() : user.role,
       },
@@ -350,18 +632,56 @@ const userService = {
     });
   },
 
-  async delete(id) {
-    const user = await prisma.user.findUnique({ where: { id } });
+  // Admin deletion: anonymised straight away (no grace period) through
+  // the same path as the deletion job, so foreign keys are handled and
+  // the admin is recorded in the audit trail.
+  async delete(id, { actorId } = {}) {
+    return accountDeletionService.anonymise(id, { actorId, reason: 'admin' });
+  },
+
+  // ===========================
+  // ACCOUNT DELETION
+  // ===========================
+  async requestDeletion(userId, body) {
+    return accountDeletionService.requestDeletion(userId, body);
+  },
+
+  // ===========================
+  // DATA EXPORT
+  // ===========================
+  // Builds in the background — the request returns as soon as the export
+  // is queued and the user is emailed a link when it's ready.
+  async requestDataExport(userId) {
+    const record = await dataExportService.request(userId);
+
+    dataExportService.process(record.id).catch((err) =>
+      console.error(`❌ Data export ${record.id} failed:`, err)
+    );
+
+    return record;
+  },
+
+  async getDataExports(userId) {
+    return dataExportService.listForUser(userId);
+  },
+
+  async getDataExport(userId, exportId) {
+    return dataExportService.getForUser(userId, exportId);
+  },
+
+  async getDeletionAudit(userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
     if (!user) throw { status: 404, message: 'User not found' };
-    await prisma.user.delete({ where: { id } });
+    return accountDeletionService.getAuditTrail(userId);
   },
 
   // ===========================
   // PLAYERS
   // ===========================
-  async getAllPlayers() {
-    return prisma.user.findMany({
-      where: { role: 'PLAYER' },
+  // Profile fields a player hides from `viewer` come back null.
+  async getAllPlayers({ viewer = null } = {}) {
+    const players = await prisma.user.findMany({
+      where: { role: 'PLAYER', deletedAt: null },
       select: {
         id: true,
         email: true,
@@ -379,6 +699,7 @@ const userService = {
         },
       },
     });
+    return profilePrivacyService.redactUsers(viewer, players);
   },
 
   // async getPlayerById(id) {
@@ -451,13 +772,14 @@ const userService = {
   //   return player;
   // },
 
-  async getPlayerById(id) {
+  async getPlayerById(id, { viewer = null } = {}) {
     const playerId = Number(id);
   
     const player = await prisma.user.findFirst({
       where: {
         id: playerId,
         role: 'PLAYER',
+        deletedAt: null,
       },
       select: {
         id: true,
@@ -466,6 +788,7 @@ const userService = {
         role: true,
         createdAt: true,
         profile: true,
+        careerEntries: CAREER_HISTORY,
         videos: true,
         posts: true,
         scouter: true,
@@ -489,7 +812,8 @@ const userService = {
       };
     }
   
-    return player;
+    const [visible] = await profilePrivacyService.redactUsers(viewer, [player]);
+    return visible;
   },
   
   async getUserById(id) {
@@ -517,7 +841,7 @@ const userService = {
           select: {
             id: true,
             userId: true,
-            avatarUrl: true,
+            ...AVATAR_SELECT,
             position: true,
             height: true,
             favouriteFoot: true,
@@ -535,7 +859,7 @@ const userService = {
           select: {
             id: true,
             userId: true,
-            avatarUrl: true,
+            ...AVATAR_SELECT,
             club: true,
             country: true,
             city: true,
@@ -567,7 +891,11 @@ const userService = {
       };
     }
   
-    return user;
+    return {
+      ...user,
+      profile: avatarService.withFields(user.profile),
+      scoutProfile: avatarService.withFields(user.scoutProfile),
+    };
   },
 
   async getScouterById(id) {
@@ -654,6 +982,13 @@ const userService = {
         message: 'Scouter not found',
       };
     }
+
+    if (!(await scoutVerificationService.isVerifiedScout(scouter.id))) {
+      throw {
+        status: 400,
+        message: 'Only verified scouts can be assigned players',
+      };
+    }
   
     return prisma.user.update({
       where: {
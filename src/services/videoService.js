@@ -1,5 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import { uploadMediaToGCS } from '../config/multer.js';
+import avatarService, { AVATAR_SELECT } from './avatarService.js';
+import guardianService from './guardianService.js';
 
 const prisma = new PrismaClient();
 
@@ -17,7 +19,7 @@ const VIDEO_WITH_REVIEWS = {
         select: {
           id:       true,
           fullname: true,
-          profile:  { select: { avatarUrl: true } },
+          profile:  { select: AVATAR_SELECT },
         },
       },
     },
@@ -46,6 +48,20 @@ const avgRating = (ratings) =>
     : null;
 
 
+// =========================================================
+// 🔹 Avatars go out through avatarService.fields, as everywhere else
+// =========================================================
+const withAvatars = (video) => ({
+  ...video,
+  ...(video.player && {
+    player: { ...video.player, profile: avatarService.withFields(video.player.profile) },
+  }),
+  comments: video.comments.map((c) => ({
+    ...c,
+    user: { ...c.user, profile: avatarService.withFields(c.user.profile) },
+  })),
+});
+
 // =========================================================
 // 🔹 Upload a video for a player
 // =========================================================
@@ -94,16 +110,10 @@ export const uploadVideo = async (multerFile, meta, playerId) => {
 // =========================================================
 // 🔹 Upload / update profile avatar
 // =========================================================
-export const uploadAvatar = async (multerFile, userId) => {
-  const { url } = await uploadMediaToGCS(multerFile, `avatars/${userId}`);
+export const uploadAvatar = async (multerFile, userId, crop) => {
+  const profile = await avatarService.replace(userId, multerFile, { target: 'profile', crop, create: true });
 
-  const profile = await prisma.profile.upsert({
-    where:  { userId },
-    update: { avatarUrl: url },
-    create: { userId, avatarUrl: url },
-  });
-
-  return profile;
+  return { ...profile, ...avatarService.fields(profile) };
 };
 
 // =========================================================
@@ -118,7 +128,7 @@ export const getVideosByUser = async (playerId) => {
 
   return videos.map((v) =>
     stripCategoryIfChallenge({
-      ...v,
+      ...withAvatars(v),
       averageRating: avgRating(v.ratings),
     })
   );
@@ -146,7 +156,7 @@ export const getMyProfileWithVideos = async (userId) => {
 
   const videosWithRating = user.videos.map((v) =>
     stripCategoryIfChallenge({
-      ...v,
+      ...withAvatars(v),
       averageRating: avgRating(v.ratings),
     })
   );
@@ -171,7 +181,7 @@ export const getVideoById = async (videoId, viewerId = null, ipHash = null) => {
         select: {
           id:       true,
           fullname: true,
-          profile:  { select: { avatarUrl: true, position: true, country: true } },
+          profile:  { select: { ...AVATAR_SELECT, position: true, country: true } },
         },
       },
       ...VIDEO_WITH_REVIEWS,
@@ -179,7 +189,7 @@ export const getVideoById = async (videoId, viewerId = null, ipHash = null) => {
   });
 
   return stripCategoryIfChallenge({
-    ...video,
+    ...withAvatars(video),
     averageRating: avgRating(video.ratings),
   });
 };
@@ -188,6 +198,10 @@ export const getVideoById = async (videoId, viewerId = null, ipHash = null) => {
 // 🔹 Create a placeholder record before processing starts
 // =========================================================
 export const createPendingVideo = async ({ title, description, published, categoryId, playerId }) => {
+  // Same rule as reels: under-18s can upload drafts, publishing waits for
+  // their guardian.
+  if (published) await guardianService.assertCanPublish(playerId, 'videos');
+
   return prisma.video.create({
     data: {
       title,
@@ -1,4 +1,7 @@
 import jwt from 'jsonwebtoken';
+import sessionService from '../services/sessionService.js';
+import { VERIFICATION_GATE_ENABLED, EMAIL_NOT_VERIFIED } from '../config/verificationGate.js';
+import { IMPERSONATION_FORBIDDEN } from '../config/impersonationGuard.js';
 
 // Runs once per socket connection, before any handler is registered
 // (spec §5.1/§13.1: "Auth middleware verifying JWT on socket handshake").
@@ -13,7 +16,11 @@ import jwt from 'jsonwebtoken';
 // `socket.user.id` is a valid integer user id; if this is wrong, every
 // service call fails with a confusing 403 (membership lookups silently
 // resolve to "not a member") instead of an auth error.
-export default function authMiddleware(socket, next) {
+//
+// The session row is checked here too, not just the JWT signature —
+// otherwise a device that was logged out (or revoked from another
+// device) could keep reconnecting with its still-unexpired access token.
+export default async function authMiddleware(socket, next) {
   try {
     const token =
       socket.handshake.auth?.token ||
@@ -25,11 +32,35 @@ export default function authMiddleware(socket, next) {
 
     const payload = jwt.verify(token, process.env.JWT_SECRET);
     const id = payload.id ?? payload.userId;
-    if (!id) {
+    if (!id || !payload.sessionId) {
       return next(new Error('Invalid token payload'));
     }
 
-    socket.user = { id: parseInt(id), role: payload.role };
+    const session = await sessionService.getActive(payload.sessionId);
+    if (!session || session.userId !== parseInt(id)) {
+      return next(new Error('Session has been revoked'));
+    }
+
+    // Impersonation is read-only over REST (config/impersonationGuard.js).
+    // A socket would mark the user online, send typing indicators and read
+    // receipts, and let messages be deleted — none of which goes through
+    // that guard — so support sessions don't get one. The inbox is still
+    // visible through GET /api/chatRooms.
+    if (session.impersonatorId) {
+      const error = new Error('Live chat is not available while impersonating a user');
+      error.data = { code: IMPERSONATION_FORBIDDEN };
+      return next(error);
+    }
+
+    // Chat is never on the unverified allow-list (config/verificationGate.js).
+    // `data.code` reaches the client on its connect_error event.
+    if (VERIFICATION_GATE_ENABLED && !session.user.isVerified) {
+      const error = new Error('Please verify your email address to continue');
+      error.data = { code: EMAIL_NOT_VERIFIED };
+      return next(error);
+    }
+
+    socket.user = { id: parseInt(id), role: payload.role, sessionId: session.id };
     next();
   } catch (err) {
     next(new Error('Invalid or expired token'));
@@ -45,6 +45,10 @@ export function initSocketServer(httpServer, allowedOrigins) {
     // between this and `room:{roomId}`.
     socket.join(`user:${socket.user.id}`);
 
+    // Per-session room so a revoked device's sockets can be dropped
+    // without touching the user's other devices. See disconnectSessions.
+    socket.join(`session:${socket.user.sessionId}`);
+
     registerMessageHandlers(io, socket);
     registerPresenceHandlers(io, socket);
     registerTypingHandlers(io, socket);
@@ -54,5 +58,14 @@ export function initSocketServer(httpServer, allowedOrigins) {
   return io;
 }
 
-
-
+// Force-disconnects every live socket belonging to the given sessions —
+// called after logout, session revocation and password changes. Goes
+// through the Redis adapter, so sockets held by other instances are
+// dropped too. Reconnects then fail in authMiddleware because the
+// session row is revoked.
+export function disconnectSessions(io, sessionIds = []) {
+  if (!io) return;
+  for (const sessionId of sessionIds) {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+}
@@ -0,0 +1,21 @@
+// utils/age.js
+
+export const ADULT_AGE = 18;
+
+export const computeAge = (dob, now = new Date()) => {
+  if (!dob) return null;
+  const birth = new Date(dob);
+  let age = now.getFullYear() - birth.getFullYear();
+  const monthDiff = now.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+// For safeguarding checks: an unknown date of birth counts as a minor, so
+// the checks fail closed rather than open.
+export const isMinor = (dob, now = new Date()) => {
+  const age = computeAge(dob, now);
+  return age === null || age < ADULT_AGE;
+};
@@ -0,0 +1,6 @@
+// utils/html.js
+
+// For user-supplied text going into HTML — emails and the public pages.
+export const escapeHtml = (text) =>
+  String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');